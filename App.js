@@ -1,15 +1,57 @@
 import React, { useState, useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, StyleSheet, Platform, AppState } from 'react-native';
 import AppNavigator from './src/navigation/AppNavigator';
 import ErrorBoundary from './src/components/ErrorBoundary';
+import Snackbar from './src/components/Snackbar';
 import { colors, typography, commonStyles } from './src/styles/globalStyles';
 import { initializeAppWithDummyData } from './src/utils/dummyData';
-import networkStatusManager from './src/utils/networkStatus';
+import networkStatusManager, { getProbeEndpoints } from './src/utils/networkStatus';
 import appStateManager from './src/utils/appStateManager';
+import dataSynchronizer, { SYNC_OPERATION, SYNC_INTERVAL_MS } from './src/utils/dataSynchronizer';
+import outbox from './src/utils/outbox';
+import { AI_TIP_OPERATION, sendQueuedTipRequest } from './src/utils/tipCache';
 import { showNetworkStatusFeedback } from './src/utils/toastNotifications';
+import { openDatabaseAsync } from 'expo-sqlite';
+import { getRandomValues } from 'expo-crypto';
+import {
+  applyUserPreferences,
+  applyEncryptionSettings,
+  getHabits,
+  setStorageAdapter,
+  backupHabits,
+  BACKUP_RETENTION
+} from './src/utils/storage';
+import { createAsyncStorageAdapter } from './src/utils/asyncStorageAdapter';
+import { createSqliteStorageAdapter } from './src/utils/sqliteStorageAdapter';
+import { createMemoryStorageAdapter } from './src/utils/memoryStorageAdapter';
+import { setReminderScheduler, syncAllReminders } from './src/utils/reminders';
+import { createNotificationScheduler } from './src/utils/notificationScheduler';
+import { handleReminderAction } from './src/utils/reminderActions';
 
+// Passcode encryption needs secure random numbers, which Hermes doesn't provide
+if (typeof global.crypto?.getRandomValues !== 'function') {
+  global.crypto = { ...global.crypto, getRandomValues };
+}
+
+// Where habits and settings are kept: 'asyncStorage', 'sqlite', or 'memory'
+// (nothing survives a restart). Data isn't copied when this changes.
+const STORAGE_BACKEND = 'asyncStorage';
 
+// Sync server to keep devices in step (see server/syncServer.js), e.g.
+// 'http://192.168.1.10:8787', or null to keep habits on this device only
+const SYNC_SERVER_URL = null;
+
+const createStorageAdapter = async (backend) => {
+  switch (backend) {
+    case 'sqlite':
+      return createSqliteStorageAdapter(await openDatabaseAsync('habits.db'));
+    case 'memory':
+      return createMemoryStorageAdapter();
+    default:
+      return createAsyncStorageAdapter();
+  }
+};
 
 // App Initialization Hook
 const useAppInitialization = () => {
@@ -17,31 +59,118 @@ const useAppInitialization = () => {
   const [initError, setInitError] = useState(null);
 
   useEffect(() => {
+    let removeReminderListener = null;
+    let removeHabitsListener = null;
+    let removeSyncListener = null;
+    let removeNetworkListener = null;
+    let backupTimer = null;
+    let syncTimer = null;
+    let appStateSubscription = null;
+
     const initializeApp = async () => {
       try {
         console.log('Starting app initialization...');
         
-        // Initialize network status monitoring
+        // Pick the storage backend before anything is read
+        setStorageAdapter(await createStorageAdapter(STORAGE_BACKEND));
+        
+        // Apply stored preferences (day rollover hour) before any dates are computed
+        const preferences = await applyUserPreferences();
+        
+        // With a passcode set, habits can't be read until the lock screen unlocks them
+        const { locked } = await applyEncryptionSettings();
+        
+        // Initialize network status monitoring; with a sync server set, being
+        // online also means reaching it. Other endpoints are probed only when
+        // set up in the connectivity settings.
+        networkStatusManager.configure({
+          apiUrl: SYNC_SERVER_URL,
+          probeEndpoints: getProbeEndpoints(preferences.connectivity)
+        });
         networkStatusManager.initialize();
         
-        // Initialize app with dummy data on first launch
-        const dummyDataSuccess = await initializeAppWithDummyData();
+        // AI tips asked for while offline are fetched once back online
+        outbox.registerHandler(AI_TIP_OPERATION, sendQueuedTipRequest);
+        
+        // Sync through the outbox, so changes made offline go out once back online
+        if (SYNC_SERVER_URL) {
+          dataSynchronizer.setServerUrl(SYNC_SERVER_URL);
+          outbox.registerHandler(SYNC_OPERATION, async () => {
+            const result = await dataSynchronizer.syncWithServer();
+            if (!result.success) throw new Error(result.message || 'Sync failed');
+          });
+          let lastHabits = appStateManager.getState().habits;
+          removeHabitsListener = appStateManager.subscribe(({ habits }) => {
+            if (habits === lastHabits) return;
+            lastHabits = habits;
+            // One waiting sync covers every change made before it runs
+            dataSynchronizer.requestServerSync();
+          });
+          // Habits merged from other devices are saved straight to storage
+          removeSyncListener = dataSynchronizer.subscribe(({ event, data }) => {
+            if (event === 'sync_completed' && data.merged > 0) {
+              appStateManager.loadHabits({ showLoading: false, silent: true });
+            }
+          });
+          // Pull changes made elsewhere even when nothing changes here (the
+          // first one at launch, below or after unlocking)
+          syncTimer = setInterval(() => dataSynchronizer.requestServerSync(), SYNC_INTERVAL_MS);
+        }
         
-        if (!dummyDataSuccess) {
-          console.warn('Dummy data initialization failed, but continuing with app startup');
+        if (!locked) {
+          // Initialize app with dummy data on first launch
+          const dummyDataSuccess = await initializeAppWithDummyData();
+          
+          if (!dummyDataSuccess) {
+            console.warn('Dummy data initialization failed, but continuing with app startup');
+          }
+          
+          // Load initial habits into app state manager
+          await appStateManager.loadHabits({ showLoading: false, silent: true });
+          
+          // Send whatever was left in the outbox last time (the lock screen
+          // starts it after unlocking), then pull what changed elsewhere
+          await outbox.start();
+          dataSynchronizer.requestServerSync();
         }
         
-        // Load initial habits into app state manager
-        await appStateManager.loadHabits({ showLoading: false, silent: true });
+        // Saves back up the habits every few changes; changes short of that
+        // are backed up within an interval and whenever the app is left
+        // (skipped while locked)
+        backupHabits();
+        backupTimer = setInterval(() => backupHabits(), BACKUP_RETENTION.INTERVAL_MS);
+        // Back in the foreground, the network may have changed while away
+        appStateSubscription = AppState.addEventListener('change', (state) => {
+          if (state === 'background') backupHabits({ force: true });
+          if (state === 'active') networkStatusManager.checkReachability({ force: true });
+        });
+        
+        // Deliver reminders as local notifications (not available on web)
+        if (Platform.OS !== 'web') {
+          const scheduler = createNotificationScheduler();
+          setReminderScheduler(scheduler);
+          removeReminderListener = scheduler.addActionListener(async (event) => {
+            if (await handleReminderAction(event)) {
+              await appStateManager.loadHabits({ showLoading: false, silent: true });
+            }
+          });
+          
+          // Reminders are scheduled a week ahead, so top them up on every launch
+          // (the lock screen does it after unlocking)
+          if (!locked) await syncAllReminders(await getHabits());
+        }
         
         // Check network connectivity
         const isOnline = await networkStatusManager.checkConnection();
         appStateManager.setOnlineStatus(isOnline);
         
-        // Show network status feedback if offline
+        // Show network status feedback if offline, and whenever it changes later
         if (!isOnline) {
-          showNetworkStatusFeedback(isOnline);
+          showNetworkStatusFeedback(isOnline, networkStatusManager.getState().reachability);
         }
+        removeNetworkListener = networkStatusManager.subscribe((online, { reachability }) => {
+          showNetworkStatusFeedback(online, reachability);
+        });
         
         // Simulate initialization delay for smooth UX
         await new Promise(resolve => setTimeout(resolve, 500));
@@ -61,6 +190,14 @@ const useAppInitialization = () => {
     // Cleanup function
     return () => {
       networkStatusManager.cleanup();
+      if (removeNetworkListener) removeNetworkListener();
+      outbox.stop();
+      if (removeHabitsListener) removeHabitsListener();
+      if (removeSyncListener) removeSyncListener();
+      if (syncTimer) clearInterval(syncTimer);
+      if (removeReminderListener) removeReminderListener();
+      if (backupTimer) clearInterval(backupTimer);
+      if (appStateSubscription) appStateSubscription.remove();
     };
   }, []);
 
@@ -96,6 +233,7 @@ export default function App() {
   return (
     <ErrorBoundary onRestart={() => setIsInitialized(false)}>
       <AppNavigator />
+      <Snackbar />
       <StatusBar style="light" />
     </ErrorBoundary>
   );
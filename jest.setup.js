@@ -1,10 +1,25 @@
 // Jest setup file
 // Mock AsyncStorage
-jest.mock('@react-native-async-storage/async-storage', () => ({
-  getItem: jest.fn(),
-  setItem: jest.fn(),
-  removeItem: jest.fn(),
-}));
+// multiSet goes through setItem, so tests that fake setItem see batched writes too
+jest.mock('@react-native-async-storage/async-storage', () => {
+  const AsyncStorage = {
+    getItem: jest.fn(),
+    setItem: jest.fn(),
+    removeItem: jest.fn(),
+    getAllKeys: jest.fn(),
+  };
+  AsyncStorage.multiSet = jest.fn(async (entries) => {
+    for (const [key, value] of entries) {
+      await AsyncStorage.setItem(key, value);
+    }
+  });
+  return AsyncStorage;
+});
+
+// jsdom leaves out TextEncoder and TextDecoder, which Expo provides on devices
+const { TextEncoder, TextDecoder } = require('util');
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
 
 // Mock console methods to reduce noise in tests
 global.console = {
@@ -0,0 +1,191 @@
+// Reference sync server
+// A small Node server for the sync protocol the app speaks (see
+// src/utils/dataSynchronizer.js). It keeps the latest revision of every
+// record, and deleted records as tombstones, in memory and optionally in a
+// JSON file. There are no accounts: run it on a trusted network, or behind
+// something that authenticates.
+//
+//   node server/syncServer.js [--port 8787] [--data sync-data.json]
+//
+// Protocol (JSON over HTTP):
+//   GET  /v1/changes?since=<cursor>
+//     -> { cursor, changes: [{ id, rev, deleted, data }] }
+//        Every record changed after the cursor, oldest first
+//   POST /v1/changes  { changes: [{ id, baseRev, deleted, data }] }
+//     -> { cursor, accepted: [{ id, rev }], conflicts: [{ id, rev, deleted, data }] }
+//        A change is accepted only if baseRev is the record's current revision
+//        (0 for a new record). Otherwise the current record is returned as a
+//        conflict, for the client to merge and push again.
+// Revisions come from one counter across all records, so a client's cursor is
+// simply the highest revision it has pulled.
+const http = require('http');
+const fs = require('fs');
+
+const SYNC_PATH = '/v1/changes';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const DEFAULT_PORT = 8787;
+
+/**
+ * Create the record store behind the server
+ * @param {Object} [initial] - Saved state from toJSON, to continue from
+ * @returns {Object} - Store with getChanges, applyChanges and toJSON
+ */
+const createSyncStore = (initial = {}) => {
+  let cursor = initial.cursor || 0;
+  const records = new Map(Object.entries(initial.records || {}));
+
+  return {
+    /**
+     * Records changed after a cursor
+     * @param {number} since - Cursor the client has pulled up to
+     * @returns {{cursor: number, changes: Object[]}} - Changes, oldest first
+     */
+    getChanges: (since) => ({
+      cursor,
+      changes: [...records.values()]
+        .filter(record => record.rev > since)
+        .sort((a, b) => a.rev - b.rev)
+    }),
+
+    /**
+     * Apply pushed changes whose base revision is current
+     * @param {Object[]} changes - Pushed changes
+     * @returns {{cursor: number, accepted: Object[], conflicts: Object[]}} - Outcome per change
+     */
+    applyChanges: (changes) => {
+      const accepted = [];
+      const conflicts = [];
+      changes.forEach(({ id, baseRev, deleted, data }) => {
+        const current = records.get(id);
+        if ((current ? current.rev : 0) !== baseRev) {
+          // A record the server never had reads as deleted at revision 0
+          conflicts.push(current || { id, rev: 0, deleted: true, data: null });
+          return;
+        }
+        cursor += 1;
+        records.set(id, { id, rev: cursor, deleted: Boolean(deleted), data: deleted ? null : data });
+        accepted.push({ id, rev: cursor });
+      });
+      return { cursor, accepted, conflicts };
+    },
+
+    toJSON: () => ({ cursor, records: Object.fromEntries(records) })
+  };
+};
+
+/**
+ * Check a pushed change
+ * @param {*} change - Change from the request body
+ * @returns {boolean} - True when well-formed
+ */
+const isValidChange = (change) => (
+  Boolean(change)
+  && typeof change.id === 'string' && change.id.length > 0
+  && Number.isInteger(change.baseRev) && change.baseRev >= 0
+  && (change.deleted === true || (Boolean(change.data) && typeof change.data === 'object'))
+);
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<*>} - Parsed body; rejects with a status for bad bodies
+ */
+const readJsonBody = (request) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  request.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      request.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+    }
+  });
+  request.on('error', reject);
+});
+
+/**
+ * Create the HTTP server; call listen on it to start
+ * @param {Object} [options] - Server options
+ * @param {Object} [options.store] - Record store (a new empty one by default)
+ * @param {string} [options.dataFile] - JSON file the store is saved to after every push
+ * @returns {http.Server} - Server
+ */
+const createSyncServer = ({ store = createSyncStore(), dataFile = null } = {}) => http.createServer(async (request, response) => {
+  const url = new URL(request.url, 'http://localhost');
+  if (url.pathname !== SYNC_PATH) {
+    sendJson(response, 404, { error: 'Not found' });
+    return;
+  }
+
+  try {
+    if (request.method === 'GET') {
+      const since = Number(url.searchParams.get('since') || 0);
+      if (!Number.isInteger(since) || since < 0) {
+        sendJson(response, 400, { error: 'Invalid cursor' });
+        return;
+      }
+      sendJson(response, 200, store.getChanges(since));
+    } else if (request.method === 'POST') {
+      const body = await readJsonBody(request);
+      if (!body || !Array.isArray(body.changes) || !body.changes.every(isValidChange)) {
+        sendJson(response, 400, { error: 'Invalid changes' });
+        return;
+      }
+      const result = store.applyChanges(body.changes);
+      if (dataFile && result.accepted.length > 0) {
+        fs.writeFileSync(dataFile, JSON.stringify(store.toJSON()));
+      }
+      sendJson(response, 200, result);
+    } else {
+      sendJson(response, 405, { error: 'Method not allowed' });
+    }
+  } catch (error) {
+    sendJson(response, error.status || 500, { error: error.status ? error.message : 'Server error' });
+  }
+});
+
+/**
+ * Value of a --name command line option
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name without dashes
+ * @returns {string|null} - Option value
+ */
+const getOption = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : null;
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const port = Number(getOption(args, 'port') || process.env.PORT || DEFAULT_PORT);
+  const dataFile = getOption(args, 'data');
+  const store = createSyncStore(dataFile && fs.existsSync(dataFile)
+    ? JSON.parse(fs.readFileSync(dataFile, 'utf8'))
+    : {});
+
+  createSyncServer({ store, dataFile }).listen(port, () => {
+    console.log(`Sync server listening on http://localhost:${port}${SYNC_PATH}`);
+  });
+}
+
+module.exports = { SYNC_PATH, createSyncStore, createSyncServer };
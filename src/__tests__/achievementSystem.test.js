@@ -72,6 +72,25 @@ describe('Achievement System Tests', () => {
       expect(stats.overallCompletionRate).toBe(0);
       expect(stats.longestStreak).toBe(0);
     });
+
+    it('should count early and late completions from when they were checked off', () => {
+      const timed = {
+        ...mockHabits[1],
+        id: 'habit-3',
+        targetTime: null,
+        completionHistory: [
+          { date: '2024-01-01', completed: true, completedAt: new Date(2024, 0, 1, 7, 30).toISOString() },
+          { date: '2024-01-02', completed: true, completedAt: new Date(2024, 0, 2, 22, 0).toISOString() },
+          { date: '2024-01-03', completed: true, completedAt: null }
+        ]
+      };
+
+      // targetTime alone says nothing about when a habit was actually done
+      expect(calculateUserStats(mockHabits).earlyCompletions).toBe(0);
+      const stats = calculateUserStats([...mockHabits, timed]);
+      expect(stats.earlyCompletions).toBe(1);
+      expect(stats.lateCompletions).toBe(1);
+    });
   });
 
   describe('checkAchievements', () => {
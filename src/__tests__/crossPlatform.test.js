@@ -1,8 +1,8 @@
 // Cross-platform compatibility tests
 // Tests that the app works correctly on both iOS and Android
 
-import { Platform } from 'react-native';
-import { showToast, showConfirmDialog } from '../utils/toastNotifications';
+import { Platform, Alert, ToastAndroid } from 'react-native';
+import { showToast, showConfirmDialog, setSnackbarListener, TOAST_TYPES, TOAST_DURATION } from '../utils/toastNotifications';
 import { calculateCompletionPercentage } from '../utils/progressCalculations';
 
 // Mock Platform
@@ -106,4 +106,38 @@ describe('Cross-Platform Compatibility Tests', () => {
       expect(deserialized.completionHistory).toHaveLength(2);
     });
   });
+
+  describe('Toasts with an action', () => {
+    const action = { label: 'Undo', onPress: jest.fn() };
+
+    it('should show the action in the snackbar without blocking on either platform', () => {
+      const listener = jest.fn();
+      const unregister = setSnackbarListener(listener);
+
+      ['ios', 'android'].forEach(os => {
+        Platform.OS = os;
+        showToast('"Read" deleted', TOAST_TYPES.INFO, TOAST_DURATION.SHORT, action);
+      });
+      unregister();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener).toHaveBeenCalledWith({
+        message: '"Read" deleted',
+        type: TOAST_TYPES.INFO,
+        duration: TOAST_DURATION.LONG,
+        action
+      });
+      expect(Alert.alert).not.toHaveBeenCalled();
+      expect(ToastAndroid.show).not.toHaveBeenCalled();
+    });
+
+    it('should show a plain toast when no snackbar is mounted', () => {
+      Platform.OS = 'android';
+
+      showToast('"Read" deleted', TOAST_TYPES.INFO, TOAST_DURATION.SHORT, action);
+
+      expect(ToastAndroid.show).toHaveBeenCalledWith('"Read" deleted', ToastAndroid.SHORT);
+      expect(Alert.alert).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
@@ -8,15 +8,9 @@ import {
   updateHabitCompletion 
 } from '../utils/storage';
 import { generateEnhancedAITip } from '../utils/aiTips';
+import { DEFAULT_VALUES, STORAGE_KEYS } from '../utils/types';
 import networkStatusManager from '../utils/networkStatus';
 
-// Mock AsyncStorage
-jest.mock('@react-native-async-storage/async-storage', () => ({
-  getItem: jest.fn(),
-  setItem: jest.fn(),
-  removeItem: jest.fn(),
-}));
-
 // Mock network status
 jest.mock('../utils/networkStatus', () => ({
   checkConnection: jest.fn(),
@@ -61,7 +55,7 @@ describe('Offline Functionality Tests', () => {
       const mockStoredData = {
         habits: [newHabit],
         lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
+        version: DEFAULT_VALUES.VERSION
       };
       AsyncStorage.getItem.mockResolvedValue(JSON.stringify(mockStoredData));
 
@@ -90,11 +84,14 @@ describe('Offline Functionality Tests', () => {
       const mockStoredData = {
         habits: [mockHabit],
         lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
+        version: DEFAULT_VALUES.VERSION
       };
 
-      AsyncStorage.getItem.mockResolvedValue(JSON.stringify(mockStoredData));
-      AsyncStorage.setItem.mockResolvedValue();
+      const store = { [STORAGE_KEYS.HABITS]: JSON.stringify(mockStoredData) };
+      AsyncStorage.getItem.mockImplementation(async (key) => (key in store ? store[key] : null));
+      AsyncStorage.setItem.mockImplementation(async (key, value) => {
+        store[key] = value;
+      });
 
       // Update completion while offline
       const success = await updateHabitCompletion('offline-habit-1', true);
@@ -102,9 +99,7 @@ describe('Offline Functionality Tests', () => {
 
       // Verify the update was stored locally
       expect(AsyncStorage.setItem).toHaveBeenCalled();
-      const setItemCall = AsyncStorage.setItem.mock.calls[0];
-      const storedData = JSON.parse(setItemCall[1]);
-      const updatedHabit = storedData.habits[0];
+      const [updatedHabit] = await getHabits();
 
       expect(updatedHabit.isCompleted).toBe(true);
       expect(updatedHabit.completedDays).toBe(1);
@@ -150,7 +145,7 @@ describe('Offline Functionality Tests', () => {
       const mockStoredData = {
         habits: mockHabits,
         lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
+        version: DEFAULT_VALUES.VERSION
       };
 
       AsyncStorage.getItem.mockResolvedValue(JSON.stringify(mockStoredData));
@@ -289,7 +284,7 @@ describe('Offline Functionality Tests', () => {
       const mockStoredData = {
         habits: [habit1, habit2],
         lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
+        version: DEFAULT_VALUES.VERSION
       };
       AsyncStorage.getItem.mockResolvedValue(JSON.stringify(mockStoredData));
 
@@ -0,0 +1,335 @@
+/**
+ * @jest-environment node
+ */
+// Sync integration tests
+// Two simulated devices, each with its own storage, sync through the
+// reference server over HTTP
+
+import { SYNC_PATH, createSyncServer } from '../../server/syncServer';
+import { DataSynchronizer, toSyncRecord } from '../utils/dataSynchronizer';
+import {
+  setStorageAdapter,
+  getHabits,
+  saveHabits,
+  addHabit,
+  editHabit,
+  deleteHabit,
+  setHabitCompletionForDate,
+  getStorageData
+} from '../utils/storage';
+import { createMemoryStorageAdapter } from '../utils/memoryStorageAdapter';
+import { setReminderScheduler } from '../utils/reminders';
+import { createMemoryScheduler } from '../utils/memoryScheduler';
+import { STORAGE_KEYS } from '../utils/types';
+import { getTodayKey, addDaysToKey } from '../utils/localDate';
+
+// The error handler behind sync failures reaches for Alert
+jest.mock('react-native', () => ({ Alert: { alert: jest.fn() } }));
+
+describe('Server sync', () => {
+  let server;
+  let serverUrl;
+  let phone;
+  let tablet;
+
+  // A device with its own storage and synchronizer
+  const createDevice = () => {
+    const synchronizer = new DataSynchronizer();
+    synchronizer.setServerUrl(serverUrl);
+    return { adapter: createMemoryStorageAdapter(), synchronizer };
+  };
+
+  // Run storage calls against one device's storage
+  const on = async (device, action) => {
+    setStorageAdapter(device.adapter);
+    return action();
+  };
+
+  const sync = async (device) => {
+    const result = await on(device, () => device.synchronizer.syncWithServer());
+    expect(result.success).toBe(true);
+    return result.data;
+  };
+
+  const habitsOn = (device) => on(device, () => getHabits());
+
+  // Habits as synced, without the progress each device works out for itself
+  const recordsOn = async (device) => (await habitsOn(device)).map(toSyncRecord);
+
+  beforeEach(async () => {
+    server = createSyncServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    serverUrl = `http://127.0.0.1:${server.address().port}`;
+    phone = createDevice();
+    tablet = createDevice();
+  });
+
+  afterEach(async () => {
+    setStorageAdapter(null);
+    setReminderScheduler(null);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should copy a new habit to the other device', async () => {
+    await on(phone, () => addHabit({ name: 'Read', frequency: 'daily' }));
+
+    expect(await sync(phone)).toMatchObject({ pulled: 0, pushed: 1 });
+    expect(await sync(tablet)).toMatchObject({ pulled: 1, pushed: 0 });
+
+    const [habit] = await habitsOn(tablet);
+    expect(habit).toMatchObject({ name: 'Read', completedDays: 0 });
+    expect(await recordsOn(tablet)).toEqual(await recordsOn(phone));
+  });
+
+  it('should merge edits to different fields made on both devices', async () => {
+    const today = getTodayKey();
+    const habit = await on(phone, () => addHabit({ name: 'Read', frequency: 'daily' }));
+    await sync(phone);
+    await sync(tablet);
+
+    await on(phone, () => editHabit(habit.id, { name: 'Read 20 pages' }));
+    await on(tablet, () => setHabitCompletionForDate(habit.id, today, true));
+    await sync(phone);
+    await sync(tablet);
+    await sync(phone);
+
+    for (const device of [phone, tablet]) {
+      const [synced] = await habitsOn(device);
+      expect(synced.name).toBe('Read 20 pages');
+      expect(synced.completionHistory.map(entry => entry.date)).toEqual([today]);
+      expect(synced.isCompleted).toBe(true);
+    }
+  });
+
+  it('should merge check-ins on different days of the same habit', async () => {
+    const today = getTodayKey();
+    const yesterday = addDaysToKey(today, -1);
+    const added = await on(phone, () => addHabit({ name: 'Walk', frequency: 'daily' }));
+    const habit = { ...added, createdAt: `${addDaysToKey(today, -3)}T08:00:00.000Z` };
+    await on(phone, () => saveHabits([habit]));
+    await sync(phone);
+    await sync(tablet);
+
+    await on(phone, () => setHabitCompletionForDate(habit.id, yesterday, true));
+    await on(tablet, () => setHabitCompletionForDate(habit.id, today, true));
+    await sync(phone);
+    const result = await sync(tablet);
+    await sync(phone);
+
+    expect(result.pulled).toBe(1);
+    for (const device of [phone, tablet]) {
+      const [synced] = await habitsOn(device);
+      expect(synced.completionHistory.map(entry => entry.date)).toEqual([yesterday, today]);
+    }
+  });
+
+  it('should retry a push that raced another device', async () => {
+    const habit = await on(phone, () => addHabit({ name: 'Stretch', frequency: 'daily' }));
+    await sync(phone);
+    await sync(tablet);
+
+    // The tablet pulls, then the phone pushes before the tablet does
+    await on(tablet, () => editHabit(habit.id, { name: 'Stretch daily' }));
+    const pull = tablet.synchronizer.requestSync.bind(tablet.synchronizer);
+    jest.spyOn(tablet.synchronizer, 'requestSync').mockImplementation(async (query, body) => {
+      if (!body) {
+        const pulled = await pull(query);
+        await on(phone, () => setHabitCompletionForDate(habit.id, getTodayKey(), true));
+        await sync(phone);
+        setStorageAdapter(tablet.adapter);
+        return pulled;
+      }
+      return pull(query, body);
+    });
+
+    expect(await sync(tablet)).toMatchObject({ pushed: 1, conflicts: 1 });
+    await sync(phone);
+
+    for (const device of [phone, tablet]) {
+      const [synced] = await habitsOn(device);
+      expect(synced).toMatchObject({ name: 'Stretch daily', isCompleted: true });
+    }
+  });
+
+  it('should delete a habit everywhere with a tombstone', async () => {
+    const habit = await on(phone, () => addHabit({ name: 'Floss', frequency: 'daily' }));
+    await on(phone, () => addHabit({ name: 'Journal', frequency: 'daily' }));
+    await sync(phone);
+    await sync(tablet);
+
+    await on(tablet, () => deleteHabit(habit.id));
+    expect(await sync(tablet)).toMatchObject({ pushed: 1 });
+    await sync(phone);
+
+    expect((await habitsOn(phone)).map(item => item.name)).toEqual(['Journal']);
+
+    // A third device that syncs later never sees the deleted habit
+    const laptop = createDevice();
+    await sync(laptop);
+    expect((await habitsOn(laptop)).map(item => item.name)).toEqual(['Journal']);
+  });
+
+  it('should keep a habit edited on one device while deleted on another', async () => {
+    const habit = await on(phone, () => addHabit({ name: 'Meditate', frequency: 'daily' }));
+    await sync(phone);
+    await sync(tablet);
+
+    await on(phone, () => deleteHabit(habit.id));
+    await on(tablet, () => editHabit(habit.id, { name: 'Meditate 10 min' }));
+    await sync(phone);
+    await sync(tablet);
+    await sync(phone);
+
+    expect((await habitsOn(phone)).map(item => item.name)).toEqual(['Meditate 10 min']);
+    expect((await habitsOn(tablet)).map(item => item.name)).toEqual(['Meditate 10 min']);
+  });
+
+  it('should keep what it pulled when the push fails', async () => {
+    await on(phone, () => addHabit({ name: 'Read', frequency: 'daily' }));
+    await sync(phone);
+    await on(tablet, () => addHabit({ name: 'Run', frequency: 'daily' }));
+    const request = tablet.synchronizer.requestSync.bind(tablet.synchronizer);
+    const push = jest.spyOn(tablet.synchronizer, 'requestSync').mockImplementation(async (query, body) => {
+      if (body) throw new Error('Connection reset');
+      return request(query, body);
+    });
+
+    expect((await on(tablet, () => tablet.synchronizer.syncWithServer())).success).toBe(false);
+
+    const state = await on(tablet, () => getStorageData(STORAGE_KEYS.SYNC_STATE, null));
+    expect(state.cursor).toBe(1);
+    expect(Object.keys(state.records)).toHaveLength(1);
+
+    push.mockRestore();
+    expect(await sync(tablet)).toMatchObject({ pulled: 0, pushed: 1 });
+    expect((await habitsOn(tablet)).map(item => item.name).sort()).toEqual(['Read', 'Run']);
+  });
+
+  it('should skip invalid records from the server and merge the rest', async () => {
+    const habit = await on(phone, () => addHabit({ name: 'Read', frequency: 'daily' }));
+    await sync(phone);
+    await on(tablet, () => addHabit({ name: 'Run', frequency: 'daily' }));
+    await sync(tablet);
+    const record = toSyncRecord(habit);
+    // Written by a client that doesn't check what it sends
+    await fetch(`${serverUrl}${SYNC_PATH}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        changes: [
+          { id: habit.id, baseRev: 1, data: { ...record, name: '' } },
+          { id: 'bogus', baseRev: 0, data: { id: 'bogus', frequency: 'hourly' } }
+        ]
+      })
+    });
+
+    expect(await sync(phone)).toMatchObject({ pulled: 3, merged: 1, skipped: 2 });
+    expect((await habitsOn(phone)).map(item => item.name).sort()).toEqual(['Read', 'Run']);
+    const state = await on(phone, () => getStorageData(STORAGE_KEYS.SYNC_STATE, null));
+    expect(Object.keys(state.quarantine).sort()).toEqual(['bogus', habit.id].sort());
+
+    // A valid revision takes its place
+    await sync(tablet);
+    await on(tablet, () => editHabit(habit.id, { name: 'Read 20 pages' }));
+    await sync(tablet);
+
+    expect(await sync(phone)).toMatchObject({ merged: 1, skipped: 0 });
+    expect((await habitsOn(phone)).map(item => item.name).sort()).toEqual(['Read 20 pages', 'Run']);
+    expect(Object.keys((await on(phone, () => getStorageData(STORAGE_KEYS.SYNC_STATE, null))).quarantine))
+      .toEqual(['bogus']);
+  });
+
+  it('should update reminders for pulled habits', async () => {
+    const habit = await on(phone, () => addHabit({ name: 'Stretch', frequency: 'daily', targetTime: '08:00' }));
+    await sync(phone);
+    const scheduler = createMemoryScheduler();
+    const scheduledFor = async (habitId) => (await scheduler.getScheduled()).filter(item => item.habitId === habitId);
+
+    // Only the tablet delivers reminders
+    setReminderScheduler(scheduler);
+    await sync(tablet);
+    expect((await scheduledFor(habit.id)).length).toBeGreaterThan(0);
+
+    setReminderScheduler(null);
+    await on(phone, () => deleteHabit(habit.id));
+    await sync(phone);
+
+    setReminderScheduler(scheduler);
+    await sync(tablet);
+    expect(await scheduledFor(habit.id)).toEqual([]);
+  });
+
+  it('should report failures without changing local data', async () => {
+    await on(phone, () => addHabit({ name: 'Read', frequency: 'daily' }));
+    const before = await habitsOn(phone);
+    // Nothing listens on port 1
+    phone.synchronizer.setServerUrl('http://127.0.0.1:1');
+
+    const result = await on(phone, () => phone.synchronizer.syncWithServer());
+
+    expect(result.success).toBe(false);
+    expect(await habitsOn(phone)).toEqual(before);
+    expect(phone.synchronizer.getSyncStatus().syncInProgress).toBe(false);
+    expect(await new DataSynchronizer().syncWithServer()).toMatchObject({ success: false });
+  });
+
+  it('should fix the habits found inconsistent even when the list changed since', async () => {
+    const habit = (id, completedDays, completed) => ({
+      id,
+      name: `Habit ${id}`,
+      frequency: 'daily',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      completedDays,
+      totalDays: 3,
+      isCompleted: false,
+      completionHistory: completed.map(date => ({ date, completed: true }))
+    });
+    // More completed days than days counted
+    const broken = { ...habit('broken', 5, []), totalDays: 0 };
+    // One off from its history, which the check lets through
+    const kept = habit('kept', 2, ['2024-01-02']);
+    await on(phone, () => saveHabits([broken]));
+
+    const validate = phone.synchronizer.validateDataIntegrity.bind(phone.synchronizer);
+    jest.spyOn(phone.synchronizer, 'validateDataIntegrity').mockImplementationOnce(async (habits) => {
+      const result = await validate(habits);
+      // Another change puts a habit in front before the fix is saved
+      await saveHabits([kept, ...habits]);
+      return result;
+    });
+    const result = await on(phone, () => phone.synchronizer.performFullSync({ recalculate: false }));
+
+    expect(result.success).toBe(true);
+    const habits = await habitsOn(phone);
+    expect(habits.map(({ id, completedDays }) => [id, completedDays])).toEqual([['kept', 2], ['broken', 0]]);
+  });
+
+  describe('reference server', () => {
+    const post = (body) => fetch(`${serverUrl}${SYNC_PATH}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    it('should accept a change only against the current revision', async () => {
+      const data = { id: 'a', name: 'Read' };
+
+      const first = await (await post({ changes: [{ id: 'a', baseRev: 0, data }] })).json();
+      const stale = await (await post({ changes: [{ id: 'a', baseRev: 0, data: { ...data, name: 'Run' } }] })).json();
+      const deleted = await (await post({ changes: [{ id: 'a', baseRev: 1, deleted: true }] })).json();
+
+      expect(first).toEqual({ cursor: 1, accepted: [{ id: 'a', rev: 1 }], conflicts: [] });
+      expect(stale.conflicts).toEqual([{ id: 'a', rev: 1, deleted: false, data }]);
+      expect(deleted.accepted).toEqual([{ id: 'a', rev: 2 }]);
+
+      const changes = await (await fetch(`${serverUrl}${SYNC_PATH}?since=1`)).json();
+      expect(changes).toEqual({ cursor: 2, changes: [{ id: 'a', rev: 2, deleted: true, data: null }] });
+    });
+
+    it('should reject malformed requests', async () => {
+      expect((await post({ changes: [{ id: 'a' }] })).status).toBe(400);
+      expect((await fetch(`${serverUrl}${SYNC_PATH}?since=-1`)).status).toBe(400);
+      expect((await fetch(`${serverUrl}/other`)).status).toBe(404);
+    });
+  });
+});
@@ -10,13 +10,7 @@ import {
 } from '../utils/storage';
 import { generateEnhancedAITip } from '../utils/aiTips';
 import { calculateCompletionPercentage } from '../utils/progressCalculations';
-
-// Mock AsyncStorage
-jest.mock('@react-native-async-storage/async-storage', () => ({
-  getItem: jest.fn(),
-  setItem: jest.fn(),
-  removeItem: jest.fn(),
-}));
+import { DEFAULT_VALUES } from '../utils/types';
 
 describe('End-to-End User Flow Tests', () => {
   beforeEach(() => {
@@ -105,7 +99,7 @@ describe('End-to-End User Flow Tests', () => {
       const mockStoredData = {
         habits: existingHabits,
         lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
+        version: DEFAULT_VALUES.VERSION
       };
 
       AsyncStorage.getItem.mockResolvedValue(JSON.stringify(mockStoredData));
@@ -152,7 +146,7 @@ describe('End-to-End User Flow Tests', () => {
       AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
         habits: [currentHabit],
         lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
+        version: DEFAULT_VALUES.VERSION
       }));
 
       await updateHabitCompletion('progress-habit', true);
@@ -169,7 +163,7 @@ describe('End-to-End User Flow Tests', () => {
       AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
         habits: [currentHabit],
         lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
+        version: DEFAULT_VALUES.VERSION
       }));
 
       // Day 3: Complete habit
@@ -273,7 +267,7 @@ describe('End-to-End User Flow Tests', () => {
       const mockStoredData = {
         habits: precrashHabits,
         lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
+        version: DEFAULT_VALUES.VERSION
       };
 
       // Mock successful data recovery
@@ -17,11 +17,17 @@ import {
   borderRadius,
   animations
 } from '../styles/globalStyles';
+import { SimpleProgressRing } from './ProgressRing';
 import { 
   calculateCompletionPercentage, 
   getProgressColor,
-  calculateStreak 
+  calculateStreak,
+  getTodayProgress
 } from '../utils/progressCalculations';
+import { getScheduleText } from '../utils/schedule';
+import { isMeasurableHabit, formatAmount } from '../utils/measurement';
+import { isPausedOnDate } from '../utils/habitStatus';
+import { getTodayKey } from '../utils/localDate';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -29,10 +35,17 @@ const { width: screenWidth } = Dimensions.get('window');
  * HabitCard component for displaying individual habit information
  * Shows habit name, progress bar, and completion toggle
  * Handles progress calculation and visual feedback
+ * Tapping the card body opens the habit's history when onViewHistory is set
+ * Long-pressing it opens the edit form when onEdit is set
+ * Measurable habits show today's amount and log one more unit per tap
+ * Habits paused today (or on vacation) show a paused label and can't be checked off
  */
 const HabitCard = ({
   habit,
   onToggleComplete,
+  onLogAmount,
+  onViewHistory,
+  onEdit,
   style,
   testID,
   accessibilityLabel,
@@ -45,7 +58,14 @@ const HabitCard = ({
   const progressPercentage = calculateCompletionPercentage(habit);
   
   // Calculate streak information
-  const { currentStreak } = calculateStreak(habit.completionHistory || []);
+  const { currentStreak, unit: streakUnit } = calculateStreak(habit.completionHistory || [], habit);
+
+  // Today's partial progress for measurable habits
+  const isMeasurable = isMeasurableHabit(habit);
+  const { amount: todayAmount, progress: todayProgress } = getTodayProgress(habit);
+
+  // Paused days aren't tracked
+  const isPausedToday = isPausedOnDate(habit, getTodayKey());
 
   // Animate progress bar when progress changes
   useEffect(() => {
@@ -77,7 +97,8 @@ const HabitCard = ({
 
   // Handle completion toggle with visual feedback
   const handleToggleComplete = () => {
-    if (!onToggleComplete || !habit.id) return;
+    const callback = isMeasurable ? onLogAmount : onToggleComplete;
+    if (!callback || !habit.id || isPausedToday) return;
 
     // Scale animation for visual feedback
     Animated.sequence([
@@ -93,12 +114,17 @@ const HabitCard = ({
       }),
     ]).start();
 
-    // Call the toggle callback
-    onToggleComplete(habit.id);
+    // Call the toggle callback, or log one more unit for measurable habits
+    if (isMeasurable) {
+      onLogAmount(habit.id, todayAmount + 1);
+    } else {
+      onToggleComplete(habit.id);
+    }
   };
 
   // Get completion icon based on status
   const getCompletionIcon = () => {
+    if (isPausedToday) return 'pause-circle-outline';
     return habit.isCompleted ? 'checkmark-circle' : 'ellipse-outline';
   };
 
@@ -107,11 +133,8 @@ const HabitCard = ({
     return habit.isCompleted ? colors.success : colors.border;
   };
 
-  // Format frequency display
-  const getFrequencyText = () => {
-    const frequency = habit.frequency || 'daily';
-    return frequency.charAt(0).toUpperCase() + frequency.slice(1);
-  };
+  // Format frequency display, including custom schedules
+  const getFrequencyText = () => getScheduleText(habit);
 
   // Get progress color using utility function
   const progressColor = getProgressColor(progressPercentage);
@@ -141,8 +164,26 @@ const HabitCard = ({
       accessibilityLabel={accessibilityLabel || `${habit.name} habit card`}
       {...props}
     >
-      {/* Main content area */}
-      <View style={styles.content}>
+      {/* Main content area - opens history, long press to edit */}
+      <TouchableOpacity
+        style={styles.content}
+        onPress={onViewHistory ? () => onViewHistory(habit.id) : undefined}
+        onLongPress={onEdit ? () => onEdit(habit.id) : undefined}
+        disabled={!onViewHistory && !onEdit}
+        activeOpacity={0.7}
+        testID={`${testID}-history`}
+        accessibilityRole="button"
+        accessibilityLabel={`View ${habit.name} history`}
+        accessibilityHint={
+          onEdit
+            ? 'Double tap to see and edit past days. Long press to edit the habit'
+            : 'Double tap to see and edit past days'
+        }
+        accessibilityActions={onEdit ? [{ name: 'longpress', label: 'Edit habit' }] : undefined}
+        onAccessibilityAction={(event) => {
+          if (event.nativeEvent.actionName === 'longpress' && onEdit) onEdit(habit.id);
+        }}
+      >
         {/* Habit name and frequency */}
         <View style={styles.header}>
           <Text
@@ -161,6 +202,24 @@ const HabitCard = ({
           >
             {getFrequencyText()}
           </Text>
+          {isMeasurable && (
+            <Text
+              style={styles.amountText}
+              testID={`${testID}-amount`}
+              accessibilityRole="text"
+            >
+              {formatAmount(habit, todayAmount)} today
+            </Text>
+          )}
+          {isPausedToday && (
+            <Text
+              style={styles.pausedText}
+              testID={`${testID}-paused`}
+              accessibilityRole="text"
+            >
+              Paused today
+            </Text>
+          )}
         </View>
 
         {/* Progress section */}
@@ -208,7 +267,7 @@ const HabitCard = ({
           </Text>
           {currentStreak > 0 && (
             <Text style={styles.streakText}>
-              🔥 {currentStreak} day streak
+              🔥 {currentStreak} {streakUnit} streak
             </Text>
           )}
           {habit.targetTime && !currentStreak && (
@@ -217,28 +276,48 @@ const HabitCard = ({
             </Text>
           )}
         </View>
-      </View>
+      </TouchableOpacity>
 
-      {/* Completion toggle button */}
+      {/* Completion toggle button (logs one unit for measurable habits) */}
       <TouchableOpacity
         style={styles.toggleButton}
         onPress={handleToggleComplete}
+        disabled={isPausedToday}
         activeOpacity={0.7}
         testID={`${testID}-toggle`}
         accessibilityRole="button"
         accessibilityLabel={
-          habit.isCompleted 
-            ? `Mark ${habit.name} as incomplete` 
-            : `Mark ${habit.name} as complete`
+          isMeasurable
+            ? `Log 1 ${habit.unit} for ${habit.name}`
+            : habit.isCompleted 
+              ? `Mark ${habit.name} as incomplete` 
+              : `Mark ${habit.name} as complete`
+        }
+        accessibilityHint={
+          isPausedToday
+            ? 'Paused today'
+            : isMeasurable
+            ? `${formatAmount(habit, todayAmount)} logged today`
+            : 'Double tap to toggle completion status'
         }
-        accessibilityHint="Double tap to toggle completion status"
-        accessibilityState={{ checked: habit.isCompleted }}
+        accessibilityState={{ checked: habit.isCompleted, disabled: isPausedToday }}
       >
-        <Ionicons
-          name={getCompletionIcon()}
-          size={32}
-          color={getCompletionIconColor()}
-        />
+        {isMeasurable && !isPausedToday ? (
+          <SimpleProgressRing
+            progress={todayProgress * 100}
+            size={44}
+            strokeWidth={4}
+            color={colors.success}
+            centerText={habit.isCompleted ? '✓' : '+1'}
+            testID={`${testID}-ring`}
+          />
+        ) : (
+          <Ionicons
+            name={getCompletionIcon()}
+            size={32}
+            color={getCompletionIconColor()}
+          />
+        )}
       </TouchableOpacity>
     </Animated.View>
   );
@@ -273,7 +352,20 @@ const styles = StyleSheet.create({
   frequency: {
     ...typography.caption,
     color: colors.textSecondary,
-    textTransform: 'capitalize',
+  },
+  
+  amountText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+    marginTop: spacing.xs / 2,
+  },
+  
+  pausedText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+    marginTop: spacing.xs / 2,
   },
   
   progressSection: {
@@ -0,0 +1,515 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  colors,
+  typography,
+  spacing,
+  componentStyles,
+  borderRadius
+} from '../styles/globalStyles';
+import Button from './Button';
+import { FREQUENCY_TYPES, WEEKDAY_LABELS } from '../utils/schedule';
+import { HABIT_TYPES } from '../utils/measurement';
+import { DEFAULT_FORM_VALUES, validateHabitForm, buildHabitData } from '../utils/habitForm';
+
+// Frequency choices shown in the selector
+const FREQUENCY_CHOICES = [
+  { value: FREQUENCY_TYPES.DAILY, label: 'Daily', icon: 'calendar' },
+  { value: FREQUENCY_TYPES.WEEKLY, label: 'Weekly', icon: 'calendar-outline' },
+  { value: FREQUENCY_TYPES.WEEKDAYS, label: 'Specific days', icon: 'today-outline' },
+  { value: FREQUENCY_TYPES.TIMES_PER_WEEK, label: 'Times a week', icon: 'repeat' },
+  { value: FREQUENCY_TYPES.INTERVAL, label: 'Every N days', icon: 'refresh' }
+];
+
+// Habit type choices shown in the selector
+const TYPE_CHOICES = [
+  { value: HABIT_TYPES.CHECK, label: 'Yes / No', icon: 'checkmark-circle-outline' },
+  { value: HABIT_TYPES.MEASURABLE, label: 'Amount', icon: 'speedometer-outline' }
+];
+
+/**
+ * HabitForm component with the fields shared by the add and edit screens
+ * Validates with the habit form rules and passes the habit fields to onSubmit
+ * Children render between the fields and the save button
+ */
+const HabitForm = ({
+  initialValues = DEFAULT_FORM_VALUES,
+  onSubmit,
+  submitTitle,
+  loading = false,
+  typeLocked = false,
+  children
+}) => {
+  const [formData, setFormData] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+
+  // Handle input changes
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+    
+    // Clear error when user starts typing
+    if (errors[field]) {
+      setErrors(prev => ({
+        ...prev,
+        [field]: null
+      }));
+    }
+  };
+
+  // Validate form data with the shared habit form rules
+  const validateForm = () => {
+    const newErrors = validateHabitForm(formData);
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Validate, then hand the habit fields to the screen
+  const handleSubmit = () => {
+    if (!validateForm()) {
+      return;
+    }
+    onSubmit(buildHabitData(formData));
+  };
+
+  // Handle frequency selection
+  const handleFrequencySelect = (frequency) => {
+    handleInputChange('frequency', frequency);
+    if (errors.schedule) {
+      setErrors(prev => ({ ...prev, schedule: null }));
+    }
+  };
+
+  // Toggle a weekday for the specific-days schedule
+  const handleWeekdayToggle = (day) => {
+    const weekdays = formData.weekdays.includes(day)
+      ? formData.weekdays.filter(d => d !== day)
+      : [...formData.weekdays, day];
+    handleInputChange('weekdays', weekdays);
+    if (errors.schedule) {
+      setErrors(prev => ({ ...prev, schedule: null }));
+    }
+  };
+
+  // Render schedule details for the selected frequency
+  const renderScheduleDetails = () => {
+    switch (formData.frequency) {
+      case FREQUENCY_TYPES.WEEKDAYS:
+        return (
+          <View style={styles.weekdayOptions}>
+            {WEEKDAY_LABELS.map((label, day) => {
+              const selected = formData.weekdays.includes(day);
+              return (
+                <TouchableOpacity
+                  key={label}
+                  style={[styles.weekdayOption, selected && styles.frequencyOptionSelected]}
+                  onPress={() => handleWeekdayToggle(day)}
+                  testID={`weekday-${day}`}
+                  accessibilityRole="button"
+                  accessibilityLabel={label}
+                  accessibilityState={{ selected }}
+                >
+                  <Text
+                    style={[
+                      styles.weekdayOptionText,
+                      selected && styles.frequencyOptionTextSelected
+                    ]}
+                  >
+                    {label.charAt(0)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        );
+      case FREQUENCY_TYPES.TIMES_PER_WEEK:
+        return (
+          <View style={styles.scheduleInputRow}>
+            <TextInput
+              style={[styles.input, styles.scheduleInput, errors.schedule && styles.inputError]}
+              value={formData.timesPerWeek}
+              onChangeText={(value) => handleInputChange('timesPerWeek', value)}
+              keyboardType="numeric"
+              maxLength={1}
+              testID="times-per-week-input"
+              accessibilityLabel="Times per week"
+            />
+            <Text style={styles.scheduleInputLabel}>times per week</Text>
+          </View>
+        );
+      case FREQUENCY_TYPES.INTERVAL:
+        return (
+          <View style={styles.scheduleInputRow}>
+            <Text style={styles.scheduleInputLabel}>Every</Text>
+            <TextInput
+              style={[styles.input, styles.scheduleInput, errors.schedule && styles.inputError]}
+              value={formData.intervalDays}
+              onChangeText={(value) => handleInputChange('intervalDays', value)}
+              keyboardType="numeric"
+              maxLength={3}
+              testID="interval-days-input"
+              accessibilityLabel="Interval in days"
+            />
+            <Text style={styles.scheduleInputLabel}>days</Text>
+          </View>
+        );
+      default:
+        return null;
+    }
+  };
+
+  // Render habit type selector with target inputs for measurable habits
+  const renderTypeSelector = () => (
+    <View style={styles.frequencyContainer}>
+      <Text style={styles.label}>Tracking</Text>
+      <View style={styles.frequencyOptions}>
+        {TYPE_CHOICES.map(choice => {
+          const selected = formData.type === choice.value;
+          return (
+            <TouchableOpacity
+              key={choice.value}
+              style={[
+                styles.frequencyOption,
+                selected && styles.frequencyOptionSelected
+              ]}
+              onPress={() => handleInputChange('type', choice.value)}
+              disabled={typeLocked}
+              testID={`type-${choice.value}`}
+              accessibilityRole="button"
+              accessibilityState={{ selected, disabled: typeLocked }}
+            >
+              <Ionicons
+                name={choice.icon}
+                size={20}
+                color={selected ? colors.cardBackground : colors.textSecondary}
+              />
+              <Text
+                style={[
+                  styles.frequencyOptionText,
+                  selected && styles.frequencyOptionTextSelected
+                ]}
+              >
+                {choice.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      {typeLocked && (
+        <Text style={styles.helperText}>
+          The tracking type can't be changed once a habit has history.
+        </Text>
+      )}
+      {formData.type === HABIT_TYPES.MEASURABLE && (
+        <View style={styles.scheduleInputRow}>
+          <Text style={styles.scheduleInputLabel}>Target</Text>
+          <TextInput
+            style={[styles.input, styles.scheduleInput, errors.measurement && styles.inputError]}
+            value={formData.targetValue}
+            onChangeText={(value) => handleInputChange('targetValue', value)}
+            keyboardType="decimal-pad"
+            maxLength={6}
+            testID="target-value-input"
+            accessibilityLabel="Target amount per day"
+          />
+          <TextInput
+            style={[styles.input, styles.unitInput, errors.measurement && styles.inputError]}
+            value={formData.unit}
+            onChangeText={(value) => handleInputChange('unit', value)}
+            placeholder="e.g., glasses, pages, km"
+            placeholderTextColor={colors.textSecondary}
+            maxLength={20}
+            testID="unit-input"
+            accessibilityLabel="Unit"
+          />
+        </View>
+      )}
+      {errors.measurement && (
+        <Text style={styles.errorText}>{errors.measurement}</Text>
+      )}
+    </View>
+  );
+
+  // Render frequency selector
+  const renderFrequencySelector = () => (
+    <View style={styles.frequencyContainer}>
+      <Text style={styles.label}>Frequency</Text>
+      <View style={styles.frequencyOptions}>
+        {FREQUENCY_CHOICES.map(choice => {
+          const selected = formData.frequency === choice.value;
+          return (
+            <TouchableOpacity
+              key={choice.value}
+              style={[
+                styles.frequencyOption,
+                selected && styles.frequencyOptionSelected
+              ]}
+              onPress={() => handleFrequencySelect(choice.value)}
+              testID={`frequency-${choice.value}`}
+              accessibilityRole="button"
+              accessibilityState={{ selected }}
+            >
+              <Ionicons
+                name={choice.icon}
+                size={20}
+                color={selected ? colors.cardBackground : colors.textSecondary}
+              />
+              <Text
+                style={[
+                  styles.frequencyOptionText,
+                  selected && styles.frequencyOptionTextSelected
+                ]}
+              >
+                {choice.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      {renderScheduleDetails()}
+      {errors.frequency && (
+        <Text style={styles.errorText}>{errors.frequency}</Text>
+      )}
+      {errors.schedule && (
+        <Text style={styles.errorText}>{errors.schedule}</Text>
+      )}
+    </View>
+  );
+
+  return (
+    <View style={styles.formCard}>
+      {/* Habit Name Input */}
+      <View style={styles.inputContainer}>
+        <Text style={styles.label}>Habit Name *</Text>
+        <TextInput
+          style={[
+            styles.input,
+            errors.name && styles.inputError
+          ]}
+          value={formData.name}
+          onChangeText={(value) => handleInputChange('name', value)}
+          placeholder="e.g., Drink 8 glasses of water"
+          placeholderTextColor={colors.textSecondary}
+          maxLength={50}
+          testID="habit-name-input"
+          accessibilityLabel="Habit name"
+          accessibilityHint="Enter the name of your habit"
+        />
+        {errors.name && (
+          <Text style={styles.errorText}>{errors.name}</Text>
+        )}
+      </View>
+
+      {/* Habit Type Selector */}
+      {renderTypeSelector()}
+
+      {/* Frequency Selector */}
+      {renderFrequencySelector()}
+
+      {/* Target Time Input */}
+      <View style={styles.inputContainer}>
+        <Text style={styles.label}>Target Time (Optional)</Text>
+        <TextInput
+          style={[
+            styles.input,
+            errors.targetTime && styles.inputError
+          ]}
+          value={formData.targetTime}
+          onChangeText={(value) => handleInputChange('targetTime', value)}
+          placeholder="e.g., 09:30"
+          placeholderTextColor={colors.textSecondary}
+          keyboardType="numeric"
+          maxLength={5}
+          testID="target-time-input"
+          accessibilityLabel="Target time"
+          accessibilityHint="Enter target time in HH:MM format"
+        />
+        <Text style={styles.helperText}>
+          Set a specific time to be reminded (HH:MM format)
+        </Text>
+        {errors.targetTime && (
+          <Text style={styles.errorText}>{errors.targetTime}</Text>
+        )}
+      </View>
+
+      {/* Extra Reminder Times Input */}
+      <View style={styles.inputContainer}>
+        <Text style={styles.label}>More Reminders (Optional)</Text>
+        <TextInput
+          style={[
+            styles.input,
+            errors.reminderTimes && styles.inputError
+          ]}
+          value={formData.reminderTimes}
+          onChangeText={(value) => handleInputChange('reminderTimes', value)}
+          placeholder="e.g., 12:00, 20:30"
+          placeholderTextColor={colors.textSecondary}
+          keyboardType="numbers-and-punctuation"
+          maxLength={40}
+          testID="reminder-times-input"
+          accessibilityLabel="Extra reminder times"
+          accessibilityHint="Enter extra reminder times in HH:MM format, separated by commas"
+        />
+        <Text style={styles.helperText}>
+          Extra times to be reminded on days the habit is due, separated by commas
+        </Text>
+        {errors.reminderTimes && (
+          <Text style={styles.errorText}>{errors.reminderTimes}</Text>
+        )}
+      </View>
+
+      {children}
+
+      {/* Save Button */}
+      <Button
+        title={submitTitle}
+        onPress={handleSubmit}
+        loading={loading}
+        disabled={loading}
+        style={styles.saveButton}
+        testID="save-habit-button"
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  // Form card
+  formCard: {
+    ...componentStyles.cardLarge,
+    marginBottom: spacing.lg,
+  },
+  
+  // Input styles
+  inputContainer: {
+    marginBottom: spacing.lg,
+  },
+  
+  label: {
+    ...typography.caption,
+    color: colors.text,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+  
+  input: {
+    ...componentStyles.input.field,
+    fontSize: typography.body.fontSize,
+  },
+  
+  inputError: {
+    ...componentStyles.input.error,
+  },
+  
+  helperText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+  
+  errorText: {
+    ...componentStyles.input.errorText,
+  },
+  
+  // Frequency selector
+  frequencyContainer: {
+    marginBottom: spacing.lg,
+  },
+  
+  frequencyOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+  
+  frequencyOption: {
+    flexGrow: 1,
+    flexBasis: '45%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.small,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.cardBackground,
+  },
+  
+  frequencyOptionSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  
+  frequencyOptionText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginLeft: spacing.xs,
+    fontWeight: '500',
+  },
+  
+  frequencyOptionTextSelected: {
+    color: colors.cardBackground,
+  },
+  
+  // Schedule details
+  weekdayOptions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+  },
+  
+  weekdayOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.cardBackground,
+  },
+  
+  weekdayOptionText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  
+  scheduleInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: spacing.md,
+    gap: spacing.sm,
+  },
+  
+  scheduleInput: {
+    width: 64,
+    textAlign: 'center',
+  },
+  
+  unitInput: {
+    flex: 1,
+  },
+  
+  scheduleInputLabel: {
+    ...typography.body,
+    color: colors.text,
+  },
+  
+  // Save button
+  saveButton: {
+    marginTop: spacing.md,
+  },
+});
+
+export default HabitForm;
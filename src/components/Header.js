@@ -9,12 +9,14 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
-import { colors, componentStyles, typography, spacing } from '../styles/globalStyles';
+import { colors, componentStyles, typography, spacing, borderRadius } from '../styles/globalStyles';
+import { useOutbox, getOutboxBadge } from '../utils/outbox';
 
 /**
  * Reusable Header component for consistent navigation and branding
  * Supports title, optional back button, and right component slot
  * Integrates with React Navigation and handles safe area
+ * Shows a badge with the number of outbox items waiting for the network
  */
 const Header = ({
   title,
@@ -30,6 +32,7 @@ const Header = ({
   ...props
 }) => {
   const insets = useSafeAreaInsets();
+  const outboxBadge = getOutboxBadge(useOutbox());
 
   // Handle back button press
   const handleBackPress = () => {
@@ -100,6 +103,20 @@ const Header = ({
           >
             {title}
           </Text>
+          {outboxBadge && (
+            <View
+              style={styles.outboxBadge}
+              testID={`${testID}-outbox-badge`}
+              accessibilityLabel={outboxBadge.label}
+            >
+              <Ionicons
+                name="cloud-upload-outline"
+                size={14}
+                color={colors.cardBackground}
+              />
+              <Text style={styles.outboxBadgeText}>{outboxBadge.count}</Text>
+            </View>
+          )}
         </View>
 
         {/* Right side - Custom component or spacer */}
@@ -143,6 +160,7 @@ const styles = StyleSheet.create({
   
   titleContainer: {
     flex: 1,
+    flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'center',
     paddingHorizontal: spacing.sm,
@@ -158,6 +176,24 @@ const styles = StyleSheet.create({
     ...typography.h3,
     color: colors.text,
     textAlign: 'center',
+    flexShrink: 1,
+  },
+  
+  outboxBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: spacing.xs,
+    paddingHorizontal: spacing.xs,
+    paddingVertical: 2,
+    borderRadius: borderRadius.small,
+    backgroundColor: colors.textSecondary,
+  },
+  
+  outboxBadgeText: {
+    ...typography.caption,
+    color: colors.cardBackground,
+    fontWeight: '600',
+    marginLeft: 2,
   },
   
   backButton: {
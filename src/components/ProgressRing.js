@@ -11,9 +11,27 @@ import {
   spacing
 } from '../styles/globalStyles';
 
+/**
+ * Border colors that draw the filled part of the ring a quarter at a time,
+ * clockwise from 12 o'clock (the ring is rotated 45deg so each border spans a quarter).
+ * Any progress above zero shows at least one quarter so partial days stay visible.
+ */
+const getArcBorderColors = (progress, color) => {
+  const quarters = progress > 0 ? Math.max(1, Math.round(Math.min(progress, 100) / 25)) : 0;
+  const colorFor = (quarter) => (quarters > quarter ? color : 'transparent');
+
+  return {
+    borderTopColor: colorFor(0),
+    borderRightColor: colorFor(1),
+    borderBottomColor: colorFor(2),
+    borderLeftColor: colorFor(3),
+  };
+};
+
 /**
  * Animated Progress Ring Component
  * Shows circular progress with percentage and label
+ * Pass centerText to show a value such as "5/8" instead of the percentage
  */
 const ProgressRing = ({
   progress = 0, // 0-100
@@ -22,6 +40,7 @@ const ProgressRing = ({
   color = colors.primary,
   backgroundColor = colors.border,
   label = '',
+  centerText,
   showPercentage = true,
   animated = true,
   duration = 1000,
@@ -95,8 +114,8 @@ const ProgressRing = ({
               height: size,
               borderRadius: size / 2,
               borderWidth: strokeWidth,
-              borderColor: color,
-              transform: [{ rotate: '-90deg' }],
+              ...getArcBorderColors(progress, color),
+              transform: [{ rotate: '45deg' }],
             }
           ]}
         />
@@ -104,7 +123,11 @@ const ProgressRing = ({
 
       {/* Center Content */}
       <View style={styles.centerContent}>
-        {showPercentage && (
+        {centerText ? (
+          <Text style={[styles.percentage, getPercentageSize(size)]}>
+            {centerText}
+          </Text>
+        ) : showPercentage && (
           <Animated.Text style={[styles.percentage, getPercentageSize(size)]}>
             {animatedPercentage.interpolate({
               inputRange: [0, 100],
@@ -159,6 +182,7 @@ export const SimpleProgressRing = ({
   strokeWidth = 6,
   color = colors.primary,
   backgroundColor = colors.border,
+  centerText,
   showPercentage = true,
   style,
   testID
@@ -200,15 +224,19 @@ export const SimpleProgressRing = ({
             height: size,
             borderRadius: size / 2,
             borderWidth: strokeWidth,
-            borderColor: progress > 0 ? color : 'transparent',
-            transform: [{ rotate: '-90deg' }],
+            ...getArcBorderColors(progress, color),
+            transform: [{ rotate: '45deg' }],
           }
         ]}
       />
 
       {/* Center Content */}
       <View style={styles.centerContent}>
-        {showPercentage && (
+        {centerText ? (
+          <Text style={[styles.percentage, getPercentageSize(size)]}>
+            {centerText}
+          </Text>
+        ) : showPercentage && (
           <Text style={[styles.percentage, getPercentageSize(size)]}>
             {Math.round(progress)}%
           </Text>
@@ -241,9 +269,6 @@ const styles = StyleSheet.create({
   progressCircle: {
     position: 'absolute',
     backgroundColor: 'transparent',
-    borderLeftColor: 'transparent',
-    borderRightColor: 'transparent',
-    borderBottomColor: 'transparent',
   },
   
   centerContent: {
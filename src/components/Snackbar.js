@@ -0,0 +1,118 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Animated,
+  TouchableOpacity
+} from 'react-native';
+import {
+  colors,
+  typography,
+  spacing,
+  borderRadius,
+  shadows
+} from '../styles/globalStyles';
+import { setSnackbarListener } from '../utils/toastNotifications';
+
+/**
+ * Snackbar component
+ * Shows messages with a button (e.g. Undo) from showToast at the bottom of
+ * the screen while the app stays usable. A new message replaces the one on
+ * show. Mount it once, above the navigator.
+ */
+const Snackbar = ({ testID }) => {
+  const [snack, setSnack] = useState(null);
+  const slideAnim = useRef(new Animated.Value(100)).current;
+
+  useEffect(() => setSnackbarListener(setSnack), []);
+
+  useEffect(() => {
+    if (!snack) return undefined;
+
+    Animated.spring(slideAnim, {
+      toValue: 0,
+      tension: 100,
+      friction: 8,
+      useNativeDriver: true,
+    }).start();
+
+    const timer = setTimeout(() => hide(snack), snack.duration);
+    return () => clearTimeout(timer);
+  }, [snack]);
+
+  // Slide out, unless another message took its place meanwhile
+  const hide = (shown) => {
+    Animated.timing(slideAnim, {
+      toValue: 100,
+      duration: 200,
+      useNativeDriver: true,
+    }).start(() => {
+      setSnack(current => (current === shown ? null : current));
+    });
+  };
+
+  const handleAction = () => {
+    hide(snack);
+    snack.action.onPress();
+  };
+
+  if (!snack) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container} pointerEvents="box-none" testID={testID}>
+      <Animated.View
+        style={[styles.snackbar, { transform: [{ translateY: slideAnim }] }]}
+        accessibilityLiveRegion="polite"
+      >
+        <Text style={styles.message} numberOfLines={2}>
+          {snack.message}
+        </Text>
+        <TouchableOpacity
+          onPress={handleAction}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          accessibilityRole="button"
+          accessibilityLabel={snack.action.label}
+        >
+          <Text style={styles.actionText}>{snack.action.label}</Text>
+        </TouchableOpacity>
+      </Animated.View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    bottom: spacing.xl,
+    left: spacing.md,
+    right: spacing.md,
+    zIndex: 1000,
+  },
+
+  snackbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.text,
+    borderRadius: borderRadius.medium,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    ...shadows.medium,
+  },
+
+  message: {
+    ...typography.caption,
+    flex: 1,
+    color: colors.cardBackground,
+    marginRight: spacing.md,
+  },
+
+  actionText: {
+    ...typography.button,
+    color: colors.warning,
+  },
+});
+
+export default Snackbar;
@@ -6,8 +6,18 @@ import { createStackNavigator } from '@react-navigation/stack';
 import SplashScreen from '../screens/SplashScreen';
 import HomeScreen from '../screens/HomeScreen';
 import AddHabitScreen from '../screens/AddHabitScreen';
+import EditHabitScreen from '../screens/EditHabitScreen';
 import InsightsScreen from '../screens/InsightsScreen';
 import AchievementsScreen from '../screens/AchievementsScreen';
+import HabitHistoryScreen from '../screens/HabitHistoryScreen';
+import VacationScreen from '../screens/VacationScreen';
+import DataTransferScreen from '../screens/DataTransferScreen';
+import BackupsScreen from '../screens/BackupsScreen';
+import LockScreen from '../screens/LockScreen';
+import PasscodeScreen from '../screens/PasscodeScreen';
+import AIProviderScreen from '../screens/AIProviderScreen';
+import CoachScreen from '../screens/CoachScreen';
+import ConnectivityScreen from '../screens/ConnectivityScreen';
 
 import { colors } from '../styles/globalStyles';
 
@@ -33,6 +43,11 @@ const AppNavigator = () => {
           component={SplashScreen}
           options={{ headerShown: false }}
         />
+        <Stack.Screen 
+          name="Lock" 
+          component={LockScreen}
+          options={{ headerShown: false }}
+        />
         <Stack.Screen 
           name="Home" 
           component={HomeScreen}
@@ -43,6 +58,11 @@ const AppNavigator = () => {
           component={AddHabitScreen}
           options={{ title: 'Add New Habit' }}
         />
+        <Stack.Screen 
+          name="EditHabit" 
+          component={EditHabitScreen}
+          options={{ title: 'Edit Habit' }}
+        />
         <Stack.Screen 
           name="Insights" 
           component={InsightsScreen}
@@ -53,6 +73,46 @@ const AppNavigator = () => {
           component={AchievementsScreen}
           options={{ title: 'Achievements' }}
         />
+        <Stack.Screen 
+          name="HabitHistory" 
+          component={HabitHistoryScreen}
+          options={{ title: 'History' }}
+        />
+        <Stack.Screen 
+          name="Vacation" 
+          component={VacationScreen}
+          options={{ title: 'Vacation' }}
+        />
+        <Stack.Screen 
+          name="DataTransfer" 
+          component={DataTransferScreen}
+          options={{ title: 'Export & Import' }}
+        />
+        <Stack.Screen 
+          name="Backups" 
+          component={BackupsScreen}
+          options={{ title: 'Backups' }}
+        />
+        <Stack.Screen 
+          name="Passcode" 
+          component={PasscodeScreen}
+          options={{ title: 'Passcode Lock' }}
+        />
+        <Stack.Screen 
+          name="AIProvider" 
+          component={AIProviderScreen}
+          options={{ title: 'AI Provider' }}
+        />
+        <Stack.Screen 
+          name="Coach" 
+          component={CoachScreen}
+          options={{ title: 'Coach' }}
+        />
+        <Stack.Screen 
+          name="Connectivity" 
+          component={ConnectivityScreen}
+          options={{ title: 'Connection Checks' }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
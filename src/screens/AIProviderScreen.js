@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  colors,
+  typography,
+  spacing,
+  componentStyles,
+  borderRadius
+} from '../styles/globalStyles';
+import Header from '../components/Header';
+import Button from '../components/Button';
+import { getAIProviderSettings, saveUserPreferences } from '../utils/storage';
+import { AI_PROVIDER_TYPES, validateAIProviderSettings } from '../utils/aiProviders';
+import { testAIConnection } from '../utils/aiTips';
+import { showSuccessToast, showErrorToast } from '../utils/toastNotifications';
+
+const PROVIDER_CHOICES = [
+  { value: AI_PROVIDER_TYPES.GEMINI, label: 'Gemini', icon: 'sparkles-outline' },
+  { value: AI_PROVIDER_TYPES.OPENAI_COMPATIBLE, label: 'OpenAI-compatible', icon: 'server-outline' },
+  { value: AI_PROVIDER_TYPES.MOCK, label: 'Offline demo', icon: 'flask-outline' }
+];
+
+// Hints for the fields each provider uses
+const FIELD_HINTS = {
+  [AI_PROVIDER_TYPES.GEMINI]: {
+    baseUrl: 'Default: Google',
+    model: 'Default: gemini-pro'
+  },
+  [AI_PROVIDER_TYPES.OPENAI_COMPATIBLE]: {
+    baseUrl: 'e.g. http://192.168.1.10:11434/v1',
+    model: 'e.g. llama3'
+  }
+};
+
+const AIProviderScreen = ({ navigation }) => {
+  const [type, setType] = useState(AI_PROVIDER_TYPES.GEMINI);
+  const [baseUrl, setBaseUrl] = useState('');
+  const [model, setModel] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  // Load the saved provider
+  useEffect(() => {
+    getAIProviderSettings().then((aiProvider) => {
+      setType(aiProvider.type);
+      setBaseUrl(aiProvider.baseUrl || '');
+      setModel(aiProvider.model || '');
+      setApiKey(aiProvider.apiKey || '');
+    });
+  }, []);
+
+  // Settings from the form; empty fields mean the provider's default
+  const getSettings = () => ({
+    type,
+    baseUrl: baseUrl.trim() || null,
+    model: model.trim() || null,
+    apiKey: apiKey.trim() || null
+  });
+
+  // Check the form; returns an error message or null
+  const checkSettings = () => {
+    const errors = validateAIProviderSettings(getSettings());
+    return errors.length > 0 ? errors[0] : null;
+  };
+
+  const handleTest = async () => {
+    const problem = checkSettings();
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    setError(null);
+    setBusy('test');
+    try {
+      const result = await testAIConnection(getSettings());
+      if (result.success) {
+        showSuccessToast(result.message);
+      } else {
+        setError(result.error || result.message);
+      }
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSave = async () => {
+    const problem = checkSettings();
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    setError(null);
+    setBusy('save');
+    try {
+      if (await saveUserPreferences({ aiProvider: getSettings() })) {
+        showSuccessToast('AI provider saved');
+        navigation.goBack();
+      } else {
+        showErrorToast('Failed to save AI provider. Please try again.');
+      }
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const renderInput = (label, value, onChange, testID, props = {}) => (
+    <View style={styles.inputContainer}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={value}
+        onChangeText={onChange}
+        placeholderTextColor={colors.textSecondary}
+        autoCapitalize="none"
+        autoCorrect={false}
+        testID={testID}
+        accessibilityLabel={label}
+        {...props}
+      />
+    </View>
+  );
+
+  const hints = FIELD_HINTS[type];
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <Header
+        title="AI Provider"
+        showBackButton={true}
+        navigation={navigation}
+        testID="ai-provider-header"
+      />
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <Text style={styles.intro}>
+          Choose where AI tips and coach answers come from. Built-in tips are shown whenever the provider can't be reached.
+        </Text>
+
+        <View style={styles.options}>
+          {PROVIDER_CHOICES.map(choice => {
+            const selected = type === choice.value;
+            return (
+              <TouchableOpacity
+                key={choice.value}
+                style={[styles.option, selected && styles.optionSelected]}
+                onPress={() => {
+                  setType(choice.value);
+                  setError(null);
+                }}
+                testID={`provider-${choice.value}`}
+                accessibilityRole="button"
+                accessibilityState={{ selected }}
+              >
+                <Ionicons
+                  name={choice.icon}
+                  size={20}
+                  color={selected ? colors.cardBackground : colors.textSecondary}
+                />
+                <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                  {choice.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {hints ? (
+          <>
+            {renderInput('Server URL', baseUrl, setBaseUrl, 'provider-url-input', {
+              placeholder: hints.baseUrl,
+              keyboardType: 'url'
+            })}
+            {renderInput('Model', model, setModel, 'provider-model-input', { placeholder: hints.model })}
+            {renderInput('API key', apiKey, setApiKey, 'provider-key-input', {
+              placeholder: type === AI_PROVIDER_TYPES.GEMINI ? 'Required' : 'Only if the server needs one',
+              secureTextEntry: true
+            })}
+          </>
+        ) : (
+          <Text style={styles.helperText}>
+            Canned tips that never leave this device, for trying things out.
+          </Text>
+        )}
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <Button
+          title="Test Connection"
+          variant="secondary"
+          onPress={handleTest}
+          loading={busy === 'test'}
+          disabled={busy !== null}
+          style={styles.button}
+          testID="test-provider-button"
+        />
+        <Button
+          title="Save"
+          onPress={handleSave}
+          loading={busy === 'save'}
+          disabled={busy !== null}
+          style={styles.button}
+          testID="save-provider-button"
+        />
+
+        {/* What is sent */}
+        <View style={styles.noteCard}>
+          <Text style={styles.noteTitle}>What is sent</Text>
+          <Text style={styles.noteText}>
+            • Your completion rate, streak and the names of your best and weakest habits{'\n'}
+            • The coach also sends each habit's recent history and your questions{'\n'}
+            • A local server (Ollama, llama.cpp) keeps everything on your network{'\n'}
+            • The API key is stored apart from your other settings and encrypted when a passcode is set
+          </Text>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  content: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: spacing.xl,
+  },
+
+  intro: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginBottom: spacing.lg,
+  },
+
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginBottom: spacing.lg,
+  },
+
+  option: {
+    flexGrow: 1,
+    flexBasis: '45%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.small,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.cardBackground,
+  },
+
+  optionSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+
+  optionText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginLeft: spacing.xs,
+    fontWeight: '500',
+  },
+
+  optionTextSelected: {
+    color: colors.cardBackground,
+  },
+
+  inputContainer: {
+    marginBottom: spacing.md,
+  },
+
+  label: {
+    ...typography.caption,
+    color: colors.text,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+
+  input: {
+    ...componentStyles.input.field,
+    fontSize: typography.body.fontSize,
+  },
+
+  helperText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+
+  errorText: {
+    ...componentStyles.input.errorText,
+  },
+
+  button: {
+    marginTop: spacing.md,
+  },
+
+  // Note card
+  noteCard: {
+    ...componentStyles.card,
+    marginTop: spacing.lg,
+    backgroundColor: colors.primary + '10', // Light primary color
+    borderLeftWidth: 4,
+    borderLeftColor: colors.primary,
+  },
+
+  noteTitle: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+
+  noteText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    lineHeight: 18,
+  },
+});
+
+export default AIProviderScreen;
@@ -0,0 +1,290 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  colors,
+  typography,
+  spacing,
+  componentStyles
+} from '../styles/globalStyles';
+import Header from '../components/Header';
+import Button from '../components/Button';
+import { InlineLoading } from '../components/LoadingIndicator';
+import {
+  BACKUP_RETENTION,
+  listBackups,
+  getBackup,
+  restoreBackup,
+  deleteBackup
+} from '../utils/storage';
+import {
+  showSuccessToast,
+  showErrorToast,
+  showConfirmDialog
+} from '../utils/toastNotifications';
+
+const MAX_PREVIEW_NAMES = 5;
+
+// e.g. 'Mar 10, 2024, 9:41 AM'
+const formatBackupTime = (createdAt) => new Date(createdAt).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const BackupsScreen = ({ navigation }) => {
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadBackups = async () => {
+    try {
+      setBackups(await listBackups());
+    } catch (error) {
+      console.error('Error loading backups:', error);
+      showErrorToast('Failed to load backups.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Refresh whenever the screen is shown; saves add backups
+  useFocusEffect(
+    useCallback(() => {
+      loadBackups();
+    }, [])
+  );
+
+  // Show a backup's contents before it is restored
+  const handleSelect = async (backup) => {
+    if (selected && selected.id === backup.id) {
+      setSelected(null);
+      return;
+    }
+
+    const details = await getBackup(backup.id);
+    if (details) {
+      setSelected(details);
+    } else {
+      showErrorToast('This backup could not be read.');
+    }
+  };
+
+  const handleRestore = () => {
+    showConfirmDialog(
+      'Restore Backup',
+      `Replace your habits with the ${selected.habitCount} habit(s) saved on ${formatBackupTime(selected.createdAt)}? ` +
+        'Your current habits are backed up first.',
+      async () => {
+        setBusy(true);
+        try {
+          const success = await restoreBackup(selected.id);
+          if (success) {
+            showSuccessToast('Backup restored');
+            navigation.goBack();
+          } else {
+            showErrorToast('Failed to restore backup. Please try again.');
+          }
+        } finally {
+          setBusy(false);
+        }
+      },
+      null,
+      { confirmText: 'Restore' }
+    );
+  };
+
+  const handleDelete = () => {
+    showConfirmDialog(
+      'Delete Backup',
+      `Delete the backup from ${formatBackupTime(selected.createdAt)}?`,
+      async () => {
+        setBusy(true);
+        try {
+          if (await deleteBackup(selected.id)) {
+            setSelected(null);
+            await loadBackups();
+          } else {
+            showErrorToast('Failed to delete backup. Please try again.');
+          }
+        } finally {
+          setBusy(false);
+        }
+      },
+      null,
+      { confirmText: 'Delete', destructive: true }
+    );
+  };
+
+  const renderPreview = () => {
+    const names = selected.habits.map(habit => habit.name);
+    const more = names.length - MAX_PREVIEW_NAMES;
+
+    return (
+      <View style={styles.preview} testID="backup-preview">
+        <Text style={styles.previewText}>
+          {names.length === 0
+            ? 'No habits'
+            : names.slice(0, MAX_PREVIEW_NAMES).join(', ') + (more > 0 ? ` and ${more} more` : '')}
+        </Text>
+        <View style={styles.previewActions}>
+          <Button
+            title="Restore"
+            onPress={handleRestore}
+            loading={busy}
+            testID="restore-backup-button"
+          />
+          <Button
+            title="Delete"
+            variant="secondary"
+            onPress={handleDelete}
+            disabled={busy}
+            testID="delete-backup-button"
+          />
+        </View>
+      </View>
+    );
+  };
+
+  const renderBackup = ({ item, index }) => {
+    const isSelected = selected && selected.id === item.id;
+
+    return (
+      <View style={[styles.backupCard, isSelected && styles.backupCardSelected]}>
+        <TouchableOpacity
+          style={styles.backupRow}
+          onPress={() => handleSelect(item)}
+          activeOpacity={0.7}
+          testID={`backup-${item.id}`}
+          accessibilityRole="button"
+          accessibilityLabel={`Backup from ${formatBackupTime(item.createdAt)}`}
+        >
+          <View style={styles.backupInfo}>
+            <Text style={styles.backupTime}>{formatBackupTime(item.createdAt)}</Text>
+            <Text style={styles.backupMeta}>
+              {item.habitCount} habit(s){index === 0 ? ' · Latest' : ''}
+            </Text>
+          </View>
+          <Ionicons
+            name={isSelected ? 'chevron-up' : 'chevron-down'}
+            size={20}
+            color={colors.textSecondary}
+          />
+        </TouchableOpacity>
+        {isSelected && renderPreview()}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header
+        title="Backups"
+        showBackButton={true}
+        navigation={navigation}
+        testID="backups-header"
+      />
+
+      {loading ? (
+        <InlineLoading message="Loading backups..." />
+      ) : (
+        <FlatList
+          data={backups}
+          keyExtractor={item => item.id}
+          renderItem={renderBackup}
+          contentContainerStyle={styles.listContent}
+          ListHeaderComponent={(
+            <Text style={styles.intro}>
+              Your habits are backed up every {BACKUP_RETENTION.WRITES_PER_BACKUP} changes, at least hourly while they change, whenever you leave the app, and before anything clears or replaces them.
+              The last {BACKUP_RETENTION.RECENT_WRITES} backups and the last backup of each of the past {BACKUP_RETENTION.DAILY} days are kept.
+            </Text>
+          )}
+          ListEmptyComponent={(
+            <Text style={styles.emptyText}>No backups yet. One is made the next time you change your habits.</Text>
+          )}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  listContent: {
+    padding: spacing.md,
+    paddingBottom: spacing.xl,
+  },
+
+  intro: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: spacing.xl,
+  },
+
+  backupCard: {
+    ...componentStyles.card,
+    marginBottom: spacing.sm,
+  },
+
+  backupCardSelected: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+
+  backupRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+
+  backupInfo: {
+    flex: 1,
+  },
+
+  backupTime: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.text,
+  },
+
+  backupMeta: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+
+  preview: {
+    marginTop: spacing.md,
+  },
+
+  previewText: {
+    ...typography.caption,
+    color: colors.text,
+    marginBottom: spacing.md,
+  },
+
+  previewActions: {
+    gap: spacing.sm,
+  },
+});
+
+export default BackupsScreen;
@@ -0,0 +1,352 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  colors,
+  typography,
+  spacing,
+  componentStyles,
+  borderRadius
+} from '../styles/globalStyles';
+import Header from '../components/Header';
+import { InlineLoading } from '../components/LoadingIndicator';
+import { getHabits } from '../utils/storage';
+import { askCoach, getCoachConversation, clearCoachConversation } from '../utils/coach';
+import { showErrorToast, showConfirmDialog } from '../utils/toastNotifications';
+
+// Questions to start a conversation with
+const SUGGESTIONS = [
+  'Why do I keep missing my evening habits?',
+  'Which habit should I focus on this week?',
+  'How can I get my streak back?'
+];
+
+const CoachScreen = ({ navigation }) => {
+  const [messages, setMessages] = useState([]);
+  const [habits, setHabits] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [thinking, setThinking] = useState(false);
+  const scrollRef = useRef(null);
+
+  // Load the saved conversation and the habits it's about
+  useEffect(() => {
+    Promise.all([getCoachConversation(), getHabits()])
+      .then(([conversation, storedHabits]) => {
+        setMessages(conversation);
+        setHabits(storedHabits);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleSend = async (text = question) => {
+    const trimmed = text.trim();
+    if (!trimmed || thinking) return;
+
+    // Show the question while the coach answers
+    setQuestion('');
+    setThinking(true);
+    setMessages(current => [...current, {
+      id: 'pending',
+      role: 'user',
+      content: trimmed,
+      createdAt: new Date().toISOString()
+    }]);
+
+    try {
+      const result = await askCoach(trimmed, habits);
+      if (result.success) {
+        setMessages(result.messages);
+      } else {
+        setMessages(current => current.filter(message => message.id !== 'pending'));
+        setQuestion(trimmed);
+        showErrorToast(result.error || 'The coach could not answer. Please try again.');
+      }
+    } finally {
+      setThinking(false);
+    }
+  };
+
+  const handleClear = () => {
+    showConfirmDialog(
+      'Clear Conversation',
+      'Delete every message in this conversation?',
+      async () => {
+        if (await clearCoachConversation()) {
+          setMessages([]);
+        } else {
+          showErrorToast('Failed to clear the conversation. Please try again.');
+        }
+      },
+      null,
+      { confirmText: 'Clear', destructive: true }
+    );
+  };
+
+  const headerRightComponent = messages.length > 0 ? (
+    <TouchableOpacity
+      style={styles.headerButton}
+      onPress={handleClear}
+      disabled={thinking}
+      activeOpacity={0.7}
+      testID="clear-coach-button"
+      accessibilityLabel="Clear conversation"
+      accessibilityRole="button"
+    >
+      <Ionicons
+        name="trash-outline"
+        size={24}
+        color={colors.primary}
+      />
+    </TouchableOpacity>
+  ) : null;
+
+  const renderMessage = (message) => {
+    const mine = message.role === 'user';
+    return (
+      <View
+        key={message.id}
+        style={[styles.bubble, mine ? styles.userBubble : styles.coachBubble]}
+        testID={`coach-message-${message.role}`}
+      >
+        <Text style={[styles.bubbleText, mine && styles.userBubbleText]}>
+          {message.content}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderSuggestions = () => (
+    <View style={styles.emptyState}>
+      <Ionicons
+        name="chatbubbles-outline"
+        size={48}
+        color={colors.textSecondary}
+        style={styles.emptyIcon}
+      />
+      <Text style={styles.emptyDescription}>
+        Ask about your habits. The coach sees your recent history, completion rates and streaks.
+      </Text>
+      {SUGGESTIONS.map(suggestion => (
+        <TouchableOpacity
+          key={suggestion}
+          style={styles.suggestion}
+          onPress={() => handleSend(suggestion)}
+          testID="coach-suggestion"
+          accessibilityRole="button"
+        >
+          <Text style={styles.suggestionText}>{suggestion}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const canSend = question.trim().length > 0 && !thinking;
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <Header
+        title="Coach"
+        showBackButton={true}
+        navigation={navigation}
+        rightComponent={headerRightComponent}
+        testID="coach-header"
+      />
+
+      {loading ? (
+        <InlineLoading message="Loading conversation..." />
+      ) : (
+        <ScrollView
+          ref={scrollRef}
+          style={styles.content}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+          onContentSizeChange={() => scrollRef.current && scrollRef.current.scrollToEnd({ animated: true })}
+        >
+          {messages.length === 0 ? renderSuggestions() : messages.map(renderMessage)}
+
+          {thinking && (
+            <View style={styles.thinking} testID="coach-thinking">
+              <ActivityIndicator size="small" color={colors.primary} />
+              <Text style={styles.thinkingText}>Coach is thinking...</Text>
+            </View>
+          )}
+        </ScrollView>
+      )}
+
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.input}
+          value={question}
+          onChangeText={setQuestion}
+          placeholder="Ask the coach..."
+          placeholderTextColor={colors.textSecondary}
+          multiline
+          maxLength={500}
+          editable={!thinking}
+          testID="coach-input"
+          accessibilityLabel="Question for the coach"
+        />
+        <TouchableOpacity
+          style={[styles.sendButton, !canSend && styles.sendButtonDisabled]}
+          onPress={() => handleSend()}
+          disabled={!canSend}
+          testID="coach-send-button"
+          accessibilityLabel="Send"
+          accessibilityRole="button"
+        >
+          <Ionicons name="send" size={20} color={colors.cardBackground} />
+        </TouchableOpacity>
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  headerButton: {
+    width: 40,
+    opacity: 0.8,
+  },
+
+  content: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: spacing.lg,
+  },
+
+  // Messages
+  bubble: {
+    maxWidth: '85%',
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.large,
+    marginBottom: spacing.sm,
+  },
+
+  userBubble: {
+    alignSelf: 'flex-end',
+    backgroundColor: colors.primary,
+    borderBottomRightRadius: borderRadius.small / 2,
+  },
+
+  coachBubble: {
+    alignSelf: 'flex-start',
+    backgroundColor: colors.cardBackground,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderBottomLeftRadius: borderRadius.small / 2,
+  },
+
+  bubbleText: {
+    ...typography.body,
+    color: colors.text,
+    lineHeight: 22,
+  },
+
+  userBubbleText: {
+    color: colors.cardBackground,
+  },
+
+  thinking: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingVertical: spacing.sm,
+  },
+
+  thinkingText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginLeft: spacing.sm,
+  },
+
+  // Empty state
+  emptyState: {
+    alignItems: 'center',
+    paddingTop: spacing.xl,
+  },
+
+  emptyIcon: {
+    marginBottom: spacing.md,
+  },
+
+  emptyDescription: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: spacing.lg,
+  },
+
+  suggestion: {
+    alignSelf: 'stretch',
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.md,
+    borderRadius: borderRadius.small,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.cardBackground,
+    marginBottom: spacing.sm,
+  },
+
+  suggestionText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '500',
+  },
+
+  // Input
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    padding: spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    backgroundColor: colors.cardBackground,
+  },
+
+  input: {
+    ...componentStyles.input.field,
+    flex: 1,
+    height: undefined,
+    minHeight: 44,
+    maxHeight: 120,
+    paddingVertical: spacing.sm,
+  },
+
+  sendButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    marginLeft: spacing.sm,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.primary,
+  },
+
+  sendButtonDisabled: {
+    backgroundColor: colors.disabled,
+  },
+});
+
+export default CoachScreen;
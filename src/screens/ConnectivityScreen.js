@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  colors,
+  typography,
+  spacing,
+  componentStyles,
+  borderRadius
+} from '../styles/globalStyles';
+import Header from '../components/Header';
+import Button from '../components/Button';
+import { getUserPreferences, saveUserPreferences } from '../utils/storage';
+import networkStatusManager, {
+  PUBLIC_PROBE_ENDPOINTS,
+  validateConnectivitySettings,
+  getProbeEndpoints
+} from '../utils/networkStatus';
+import { showSuccessToast, showErrorToast } from '../utils/toastNotifications';
+
+const PROBE_CHOICES = [
+  { value: false, label: 'Private', icon: 'lock-closed-outline' },
+  { value: true, label: 'Public checks', icon: 'globe-outline' }
+];
+
+const ConnectivityScreen = ({ navigation }) => {
+  const [usePublicProbes, setUsePublicProbes] = useState(false);
+  const [url, setUrl] = useState('');
+  const [expectedStatus, setExpectedStatus] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Load the saved settings; the form edits the first endpoint of the user's own
+  useEffect(() => {
+    getUserPreferences().then(({ connectivity }) => {
+      const [endpoint] = connectivity.probeEndpoints;
+      setUsePublicProbes(connectivity.usePublicProbes);
+      setUrl(endpoint ? endpoint.url : '');
+      setExpectedStatus(endpoint && endpoint.expectedStatus ? String(endpoint.expectedStatus) : '');
+    });
+  }, []);
+
+  // Settings from the form; an empty URL means no endpoint of the user's own
+  const getSettings = () => {
+    const trimmedUrl = url.trim();
+    const status = expectedStatus.trim();
+    return {
+      usePublicProbes,
+      probeEndpoints: trimmedUrl
+        ? [{ url: trimmedUrl, ...(status ? { expectedStatus: Number(status) } : {}) }]
+        : []
+    };
+  };
+
+  const handleSave = async () => {
+    const settings = getSettings();
+    const errors = validateConnectivitySettings(settings);
+    if (errors.length > 0) {
+      setError(errors[0]);
+      return;
+    }
+
+    setError(null);
+    setSaving(true);
+    try {
+      if (await saveUserPreferences({ connectivity: settings })) {
+        networkStatusManager.configure({ probeEndpoints: getProbeEndpoints(settings) });
+        showSuccessToast('Connection checks saved');
+        navigation.goBack();
+      } else {
+        showErrorToast('Failed to save connection checks. Please try again.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderInput = (label, value, onChange, testID, props = {}) => (
+    <View style={styles.inputContainer}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={value}
+        onChangeText={onChange}
+        placeholderTextColor={colors.textSecondary}
+        autoCapitalize="none"
+        autoCorrect={false}
+        testID={testID}
+        accessibilityLabel={label}
+        {...props}
+      />
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <Header
+        title="Connection Checks"
+        showBackButton={true}
+        navigation={navigation}
+        testID="connectivity-header"
+      />
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <Text style={styles.intro}>
+          Choose how the app tells whether you're online. By default it only contacts your sync server, if you use one.
+        </Text>
+
+        <View style={styles.options}>
+          {PROBE_CHOICES.map(choice => {
+            const selected = usePublicProbes === choice.value;
+            return (
+              <TouchableOpacity
+                key={choice.label}
+                style={[styles.option, selected && styles.optionSelected]}
+                onPress={() => setUsePublicProbes(choice.value)}
+                testID={`probes-${choice.value ? 'public' : 'private'}`}
+                accessibilityRole="button"
+                accessibilityState={{ selected }}
+              >
+                <Ionicons
+                  name={choice.icon}
+                  size={20}
+                  color={selected ? colors.cardBackground : colors.textSecondary}
+                />
+                <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                  {choice.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {usePublicProbes && (
+          <Text style={styles.helperText}>
+            Also checks {PUBLIC_PROBE_ENDPOINTS.map(endpoint => endpoint.url).join(' and ')}, run by Cloudflare and Google, who can see that this device is online.
+          </Text>
+        )}
+
+        {renderInput('Your own check URL', url, setUrl, 'probe-url-input', {
+          placeholder: 'Optional, e.g. https://example.com/generate_204',
+          keyboardType: 'url'
+        })}
+        {renderInput('Expected status', expectedStatus, setExpectedStatus, 'probe-status-input', {
+          placeholder: 'Default: 200',
+          keyboardType: 'number-pad'
+        })}
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <Button
+          title="Save"
+          onPress={handleSave}
+          loading={saving}
+          disabled={saving}
+          style={styles.button}
+          testID="save-connectivity-button"
+        />
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  content: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: spacing.xl,
+  },
+
+  intro: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginBottom: spacing.lg,
+  },
+
+  options: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+
+  option: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.small,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.cardBackground,
+  },
+
+  optionSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+
+  optionText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginLeft: spacing.xs,
+    fontWeight: '500',
+  },
+
+  optionTextSelected: {
+    color: colors.cardBackground,
+  },
+
+  helperText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+
+  inputContainer: {
+    marginBottom: spacing.md,
+  },
+
+  label: {
+    ...typography.caption,
+    color: colors.text,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+
+  input: {
+    ...componentStyles.input.field,
+    fontSize: typography.body.fontSize,
+  },
+
+  errorText: {
+    ...componentStyles.input.errorText,
+  },
+
+  button: {
+    marginTop: spacing.md,
+  },
+});
+
+export default ConnectivityScreen;
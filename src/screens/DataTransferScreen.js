@@ -0,0 +1,540 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  Share
+} from 'react-native';
+import {
+  colors,
+  typography,
+  spacing,
+  componentStyles,
+  borderRadius
+} from '../styles/globalStyles';
+import Header from '../components/Header';
+import Button from '../components/Button';
+import {
+  IMPORT_MODES,
+  createExportBundle,
+  serializeExportBundle,
+  parseExportBundle,
+  previewImport,
+  importBundle
+} from '../utils/dataTransfer';
+import { buildHistoryCsv, buildSummaryCsv } from '../utils/csvExport';
+import { IMPORT_FORMATS, previewHabitCsv, importHabitCsv } from '../utils/csvImport';
+import { getHabits } from '../utils/storage';
+import {
+  showSuccessToast,
+  showErrorToast,
+  showConfirmDialog
+} from '../utils/toastNotifications';
+
+const MODE_OPTIONS = [
+  {
+    mode: IMPORT_MODES.MERGE,
+    title: 'Merge',
+    description: 'Keep everything on this device and add the habits and days it is missing'
+  },
+  {
+    mode: IMPORT_MODES.REPLACE,
+    title: 'Replace',
+    description: 'Replace all habits, achievements and settings with the imported ones'
+  }
+];
+
+const MAX_ROW_ERRORS_SHOWN = 5;
+
+const DataTransferScreen = ({ navigation }) => {
+  const [exporting, setExporting] = useState(null);
+  const [importText, setImportText] = useState('');
+  const [bundle, setBundle] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [mode, setMode] = useState(IMPORT_MODES.MERGE);
+  const [preview, setPreview] = useState(null);
+  const [csvPreview, setCsvPreview] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  // Build an export and hand it to the share sheet
+  const shareExport = async (kind, title, buildText) => {
+    setExporting(kind);
+    try {
+      await Share.share({ title, message: await buildText() });
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      showErrorToast('Failed to export data. Please try again.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Share all app data as a JSON export
+  const handleExport = () => shareExport('json', 'Habit tracker export',
+    async () => serializeExportBundle(await createExportBundle()));
+
+  // Share completion history or per-habit summaries for spreadsheets
+  const handleExportHistoryCsv = () => shareExport('history', 'Habit history (CSV)',
+    async () => buildHistoryCsv(await getHabits()));
+  const handleExportSummaryCsv = () => shareExport('summary', 'Habit summary (CSV)',
+    async () => buildSummaryCsv(await getHabits()));
+
+  // Show what an import would change in the chosen mode
+  const loadPreview = async (validBundle, importMode) => {
+    setMode(importMode);
+    setPreview(await previewImport(validBundle, importMode));
+  };
+
+  // Read a CSV from another tracker and show what it would add
+  const checkCsvImport = async (text) => {
+    try {
+      const result = await previewHabitCsv(text);
+      setErrors(result.format ? [] : result.errors.map(error => error.message));
+      setCsvPreview(result.format ? result : null);
+    } catch (error) {
+      console.error('Error previewing CSV import:', error);
+      showErrorToast('Failed to read the file. Please try again.');
+    }
+  };
+
+  // Validate the pasted export before anything is imported. App exports are
+  // JSON; anything else is read as a CSV from another tracker.
+  const handleCheckImport = async () => {
+    const text = importText.trim();
+    setBundle(null);
+    setPreview(null);
+    setCsvPreview(null);
+    if (!text.startsWith('{')) {
+      await checkCsvImport(text);
+      return;
+    }
+
+    const result = parseExportBundle(text);
+    setErrors(result.errors);
+    setBundle(result.bundle);
+
+    if (result.isValid) {
+      try {
+        await loadPreview(result.bundle, mode);
+      } catch (error) {
+        console.error('Error previewing import:', error);
+        showErrorToast('Failed to read the export. Please try again.');
+      }
+    }
+  };
+
+  const runImport = async () => {
+    setImporting(true);
+    try {
+      const success = await importBundle(bundle, mode);
+      if (success) {
+        showSuccessToast('Your data was imported');
+        navigation.goBack();
+      } else {
+        showErrorToast('Failed to import data. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error importing data:', error);
+      showErrorToast('Failed to import data. Please try again.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Import the habits and days from a CSV; rows with errors are skipped
+  const handleCsvImport = async () => {
+    setImporting(true);
+    try {
+      const result = await importHabitCsv(importText.trim(), csvPreview.format);
+      if (result.success) {
+        showSuccessToast(`Imported ${result.entriesAdded} day(s) of history`);
+        navigation.goBack();
+      } else {
+        showErrorToast('Failed to import data. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error importing CSV:', error);
+      showErrorToast('Failed to import data. Please try again.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Replacing removes data, so it needs confirming
+  const handleImport = () => {
+    if (mode !== IMPORT_MODES.REPLACE) {
+      runImport();
+      return;
+    }
+
+    showConfirmDialog(
+      'Replace All Data',
+      'Everything on this device will be replaced by the import. This cannot be undone.',
+      runImport,
+      null,
+      { confirmText: 'Replace', destructive: true }
+    );
+  };
+
+  const renderPreview = () => {
+    if (!preview) return null;
+    const { summary } = preview.habits;
+
+    return (
+      <View style={styles.previewCard} testID="import-preview">
+        <Text style={styles.previewTitle}>
+          {preview.habits.hasChanges || preview.achievementsAdded > 0 || preview.achievementsRemoved > 0
+            ? 'This import will:'
+            : 'This import changes nothing on this device'}
+        </Text>
+        {summary.addedCount > 0 && (
+          <Text style={styles.previewText}>• Add {summary.addedCount} habit(s)</Text>
+        )}
+        {summary.modifiedCount > 0 && (
+          <Text style={styles.previewText}>• Update {summary.modifiedCount} habit(s)</Text>
+        )}
+        {summary.removedCount > 0 && (
+          <Text style={[styles.previewText, styles.previewWarning]}>
+            • Remove {summary.removedCount} habit(s): {preview.habits.removed.map(habit => habit.name).join(', ')}
+          </Text>
+        )}
+        {preview.achievementsAdded > 0 && (
+          <Text style={styles.previewText}>• Unlock {preview.achievementsAdded} achievement(s)</Text>
+        )}
+        {preview.achievementsRemoved > 0 && (
+          <Text style={[styles.previewText, styles.previewWarning]}>
+            • Remove {preview.achievementsRemoved} achievement(s)
+          </Text>
+        )}
+        {preview.replacesPreferences && (
+          <Text style={styles.previewText}>• Use the imported settings</Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderCsvPreview = () => {
+    const format = IMPORT_FORMATS.find(candidate => candidate.id === csvPreview.format);
+
+    return (
+      <View style={styles.section} testID="csv-import-preview">
+        <Text style={styles.previewTitle}>{format.label} file, {csvPreview.rowCount} row(s)</Text>
+        {csvPreview.added.length > 0 && (
+          <Text style={styles.previewText}>• New habits: {csvPreview.added.join(', ')}</Text>
+        )}
+        {csvPreview.merged.length > 0 && (
+          <Text style={styles.previewText}>• Add days to: {csvPreview.merged.join(', ')}</Text>
+        )}
+        <Text style={styles.previewText}>• {csvPreview.entriesAdded} day(s) of history to add</Text>
+        {csvPreview.errors.length > 0 && (
+          <View style={styles.rowErrors}>
+            <Text style={[styles.previewText, styles.previewWarning]}>
+              {csvPreview.errors.length} row(s) will be skipped:
+            </Text>
+            {csvPreview.errors.slice(0, MAX_ROW_ERRORS_SHOWN).map(error => (
+              <Text key={`${error.row}-${error.message}`} style={[styles.previewText, styles.previewWarning]}>
+                Row {error.row}: {error.message}
+              </Text>
+            ))}
+          </View>
+        )}
+        <Button
+          title="Import Habits"
+          onPress={handleCsvImport}
+          loading={importing}
+          disabled={csvPreview.added.length === 0 && csvPreview.entriesAdded === 0}
+          style={styles.csvImportButton}
+          testID="import-csv-button"
+        />
+      </View>
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <Header
+        title="Export & Import"
+        showBackButton={true}
+        navigation={navigation}
+        testID="data-transfer-header"
+      />
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Export */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Export</Text>
+          <Text style={styles.sectionText}>
+            Save a copy of your habits, history, achievements and settings, or move them to another device.
+          </Text>
+          <Button
+            title="Export Data"
+            onPress={handleExport}
+            loading={exporting === 'json'}
+            disabled={exporting !== null}
+            testID="export-data-button"
+          />
+          <Text style={[styles.sectionText, styles.csvText]}>
+            For spreadsheets: every logged day, or one row per habit with its progress.
+          </Text>
+          <View style={styles.csvButtons}>
+            <Button
+              title="History CSV"
+              variant="secondary"
+              onPress={handleExportHistoryCsv}
+              loading={exporting === 'history'}
+              disabled={exporting !== null}
+              testID="export-history-csv-button"
+            />
+            <Button
+              title="Summary CSV"
+              variant="secondary"
+              onPress={handleExportSummaryCsv}
+              loading={exporting === 'summary'}
+              disabled={exporting !== null}
+              testID="export-summary-csv-button"
+            />
+          </View>
+        </View>
+
+        {/* Backups */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Backups</Text>
+          <Text style={styles.sectionText}>
+            Recent versions of your habits are backed up on this device automatically.
+          </Text>
+          <Button
+            title="View Backups"
+            variant="secondary"
+            onPress={() => navigation.navigate('Backups')}
+            testID="view-backups-button"
+          />
+        </View>
+
+        {/* Passcode lock */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Passcode Lock</Text>
+          <Text style={styles.sectionText}>
+            Encrypt your habits on this device and ask for a passcode when the app starts.
+          </Text>
+          <Button
+            title="Passcode Settings"
+            variant="secondary"
+            onPress={() => navigation.navigate('Passcode')}
+            testID="passcode-settings-button"
+          />
+        </View>
+
+        {/* Connection checks */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Connection Checks</Text>
+          <Text style={styles.sectionText}>
+            Choose which servers the app may contact to tell whether you're online.
+          </Text>
+          <Button
+            title="Connection Checks"
+            variant="secondary"
+            onPress={() => navigation.navigate('Connectivity')}
+            testID="connectivity-settings-button"
+          />
+        </View>
+
+        {/* Import */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Import</Text>
+          <Text style={styles.sectionText}>
+            Paste an export from this app, or a CSV from Loop Habit Tracker, Habitica or a spreadsheet
+            with date, habit and value columns.
+          </Text>
+          <TextInput
+            style={[styles.input, errors.length > 0 && styles.inputError]}
+            value={importText}
+            onChangeText={(text) => {
+              setImportText(text);
+              setBundle(null);
+              setPreview(null);
+              setCsvPreview(null);
+              setErrors([]);
+            }}
+            placeholder="Exported data"
+            placeholderTextColor={colors.textSecondary}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            testID="import-data-input"
+            accessibilityLabel="Exported data to import"
+          />
+          {errors.map(error => (
+            <Text key={error} style={styles.errorText}>{error}</Text>
+          ))}
+          <Button
+            title="Check Import"
+            variant="secondary"
+            onPress={handleCheckImport}
+            disabled={importText.trim().length === 0}
+            testID="check-import-button"
+          />
+        </View>
+
+        {csvPreview && renderCsvPreview()}
+
+        {bundle && (
+          <View style={styles.section}>
+            {MODE_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.mode}
+                style={[styles.modeOption, mode === option.mode && styles.modeOptionSelected]}
+                onPress={() => loadPreview(bundle, option.mode)}
+                activeOpacity={0.7}
+                testID={`import-mode-${option.mode}`}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: mode === option.mode }}
+              >
+                <Text style={styles.modeTitle}>{option.title}</Text>
+                <Text style={styles.modeDescription}>{option.description}</Text>
+              </TouchableOpacity>
+            ))}
+
+            {renderPreview()}
+
+            <Button
+              title={mode === IMPORT_MODES.REPLACE ? 'Replace My Data' : 'Merge Into My Data'}
+              onPress={handleImport}
+              loading={importing}
+              disabled={!preview}
+              testID="import-data-button"
+            />
+          </View>
+        )}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  content: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: spacing.xl,
+  },
+
+  section: {
+    ...componentStyles.card,
+    marginBottom: spacing.lg,
+  },
+
+  sectionTitle: {
+    ...typography.h3,
+    color: colors.text,
+    marginBottom: spacing.xs,
+  },
+
+  sectionText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+
+  csvText: {
+    marginTop: spacing.md,
+  },
+
+  csvButtons: {
+    gap: spacing.sm,
+  },
+
+  input: {
+    ...componentStyles.input.field,
+    fontSize: typography.caption.fontSize,
+    minHeight: 120,
+    maxHeight: 240,
+    textAlignVertical: 'top',
+    marginBottom: spacing.sm,
+  },
+
+  inputError: {
+    ...componentStyles.input.error,
+  },
+
+  errorText: {
+    ...componentStyles.input.errorText,
+    marginBottom: spacing.sm,
+  },
+
+  // Import mode
+  modeOption: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.small,
+    padding: spacing.md,
+    marginBottom: spacing.sm,
+  },
+
+  modeOptionSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + '10', // Light primary color
+  },
+
+  modeTitle: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.text,
+  },
+
+  modeDescription: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+
+  // Preview
+  previewCard: {
+    marginVertical: spacing.md,
+  },
+
+  previewTitle: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.xs,
+  },
+
+  previewText: {
+    ...typography.caption,
+    color: colors.text,
+    lineHeight: 20,
+  },
+
+  previewWarning: {
+    color: colors.secondary,
+  },
+
+  rowErrors: {
+    marginTop: spacing.sm,
+  },
+
+  csvImportButton: {
+    marginTop: spacing.md,
+  },
+});
+
+export default DataTransferScreen;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import {
+  colors,
+  typography,
+  spacing,
+  componentStyles
+} from '../styles/globalStyles';
+import Header from '../components/Header';
+import HabitForm from '../components/HabitForm';
+import Button from '../components/Button';
+import { InlineLoading } from '../components/LoadingIndicator';
+import {
+  getHabit,
+  pauseHabit,
+  resumeHabit,
+  archiveHabit
+} from '../utils/storage';
+import appStateManager from '../utils/appStateManager';
+import { habitToFormData } from '../utils/habitForm';
+import { isHabitPaused } from '../utils/habitStatus';
+import {
+  showSuccessToast,
+  showErrorToast,
+  showConfirmDialog
+} from '../utils/toastNotifications';
+
+const EditHabitScreen = ({ navigation, route }) => {
+  const { habitId } = route.params || {};
+  const [habit, setHabit] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Load the habit being edited
+  useEffect(() => {
+    const loadHabit = async () => {
+      try {
+        setHabit(await getHabit(habitId));
+      } catch (error) {
+        console.error('Error loading habit for editing:', error);
+        showErrorToast('Failed to load habit.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHabit();
+  }, [habitId]);
+
+  // Pause or resume the habit from today
+  const handleTogglePause = async () => {
+    const paused = isHabitPaused(habit);
+    setSaving(true);
+    try {
+      const success = paused ? await resumeHabit(habitId) : await pauseHabit(habitId);
+
+      if (success) {
+        showSuccessToast(paused ? `"${habit.name}" resumed` : `"${habit.name}" paused`);
+        navigation.goBack();
+      } else {
+        showErrorToast('Failed to update habit. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error pausing habit:', error);
+      showErrorToast('Failed to update habit. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Archive the habit; it can be restored from the home screen
+  const handleArchive = () => {
+    showConfirmDialog(
+      'Archive Habit',
+      `Archive "${habit.name}"? Its history is kept and you can restore it any time.`,
+      async () => {
+        const success = await archiveHabit(habitId);
+        if (success) {
+          showSuccessToast(`"${habit.name}" archived`);
+          navigation.goBack();
+        } else {
+          showErrorToast('Failed to archive habit. Please try again.');
+        }
+      },
+      null,
+      { confirmText: 'Archive' }
+    );
+  };
+
+  // Save validated changes; history is kept as it is
+  const handleSave = async (habitData) => {
+    setSaving(true);
+    try {
+      const success = await appStateManager.editHabit(habitId, habitData);
+
+      if (success) {
+        showSuccessToast(`"${habitData.name}" updated`);
+        navigation.goBack();
+      } else {
+        showErrorToast('Failed to update habit. Please check your input and try again.');
+      }
+    } catch (error) {
+      console.error('Error updating habit:', error);
+      showErrorToast('Failed to update habit. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return <InlineLoading message="Loading habit..." testID="edit-habit-loading" />;
+    }
+
+    if (!habit) {
+      return (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyText}>This habit could not be found.</Text>
+        </View>
+      );
+    }
+
+    return (
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <HabitForm
+          initialValues={habitToFormData(habit)}
+          onSubmit={handleSave}
+          submitTitle="Save Changes"
+          loading={saving}
+          typeLocked={true}
+        />
+
+        {/* How edits affect history */}
+        <View style={styles.noteCard}>
+          <Text style={styles.noteTitle}>Your history stays as it is</Text>
+          <Text style={styles.noteText}>
+            • A new frequency or target applies from today{'\n'}
+            • Past days keep the schedule they were tracked under{'\n'}
+            • Your streak carries over unless you switch between daily and weekly tracking
+          </Text>
+        </View>
+
+        {/* Pause and archive */}
+        <View style={styles.statusActions}>
+          <Button
+            title={isHabitPaused(habit) ? 'Resume Habit' : 'Pause Habit'}
+            variant="secondary"
+            onPress={handleTogglePause}
+            disabled={saving}
+            testID="pause-habit-button"
+          />
+          <Button
+            title="Archive Habit"
+            variant="secondary"
+            onPress={handleArchive}
+            disabled={saving}
+            testID="archive-habit-button"
+          />
+          <Text style={styles.noteText}>
+            Paused days don't count toward your totals or streaks.
+          </Text>
+        </View>
+      </ScrollView>
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <Header
+        title="Edit Habit"
+        showBackButton={true}
+        navigation={navigation}
+        testID="edit-habit-header"
+      />
+
+      {renderContent()}
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  content: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: spacing.xl,
+  },
+
+  // Note card
+  noteCard: {
+    ...componentStyles.card,
+    backgroundColor: colors.primary + '10', // Light primary color
+    borderLeftWidth: 4,
+    borderLeftColor: colors.primary,
+  },
+
+  noteTitle: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+
+  noteText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    lineHeight: 18,
+  },
+
+  statusActions: {
+    gap: spacing.sm,
+    marginTop: spacing.md,
+  },
+
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+});
+
+export default EditHabitScreen;
@@ -0,0 +1,551 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  colors,
+  typography,
+  spacing,
+  borderRadius,
+  componentStyles
+} from '../styles/globalStyles';
+import Header from '../components/Header';
+import { InlineLoading } from '../components/LoadingIndicator';
+import {
+  getHabit,
+  getUserPreferences,
+  setHabitCompletionForDate,
+  setHabitAmountForDate
+} from '../utils/storage';
+import { calculateStreak } from '../utils/progressCalculations';
+import {
+  getWeekday,
+  isDueOnDate,
+  getEditableDateRange,
+  getScheduleText
+} from '../utils/schedule';
+import { getTodayKey } from '../utils/localDate';
+import { isPausedOnDate } from '../utils/habitStatus';
+import {
+  isMeasurableHabit,
+  getEntryAmount,
+  getEntryProgress,
+  formatAmount
+} from '../utils/measurement';
+import { showErrorToast } from '../utils/toastNotifications';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const WEEK_HEADER = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Build Monday-first calendar rows for a month; empty slots are null
+const buildMonthGrid = (year, month) => {
+  const firstKey = `${year}-${pad(month + 1)}-01`;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const leading = (getWeekday(firstKey) + 6) % 7;
+
+  const cells = Array(leading).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(`${year}-${pad(month + 1)}-${pad(day)}`);
+  }
+  while (cells.length % 7 !== 0) {
+    cells.push(null);
+  }
+
+  const rows = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    rows.push(cells.slice(i, i + 7));
+  }
+  return rows;
+};
+
+const HabitHistoryScreen = ({ navigation, route }) => {
+  const { habitId } = route.params || {};
+  const todayKey = getTodayKey();
+  const [habit, setHabit] = useState(null);
+  const [maxDaysBack, setMaxDaysBack] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [savingDate, setSavingDate] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(todayKey);
+  const [visibleMonth, setVisibleMonth] = useState(() => ({
+    year: Number(todayKey.slice(0, 4)),
+    month: Number(todayKey.slice(5, 7)) - 1
+  }));
+
+  // Load the habit and the backfill limit
+  const loadHistory = async (showLoading = true) => {
+    try {
+      if (showLoading) setLoading(true);
+
+      const [habitData, preferences] = await Promise.all([
+        getHabit(habitId),
+        getUserPreferences()
+      ]);
+
+      setHabit(habitData);
+      setMaxDaysBack(preferences.maxBackfillDays);
+    } catch (error) {
+      console.error('Error loading habit history:', error);
+      showErrorToast('Failed to load habit history.');
+    } finally {
+      if (showLoading) setLoading(false);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadHistory();
+    }, [habitId])
+  );
+
+  // Toggle a day's completion and reload recalculated progress
+  const handleToggleDate = async (dateKey) => {
+    if (!habit || savingDate) return;
+
+    const entry = (habit.completionHistory || []).find(e => e.date === dateKey);
+    const newStatus = !(entry && entry.completed);
+
+    setSavingDate(dateKey);
+    const success = await setHabitCompletionForDate(habit.id, dateKey, newStatus, { maxDaysBack });
+    if (success) {
+      await loadHistory(false);
+    } else {
+      showErrorToast('Failed to update that day. Please try again.');
+    }
+    setSavingDate(null);
+  };
+
+  // Change the logged amount for the selected day of a measurable habit
+  const handleAdjustAmount = async (delta) => {
+    if (!habit || savingDate) return;
+
+    const entry = (habit.completionHistory || []).find(e => e.date === selectedDate);
+    const amount = Math.max(0, getEntryAmount(habit, entry) + delta);
+
+    setSavingDate(selectedDate);
+    const success = await setHabitAmountForDate(habit.id, selectedDate, amount, { maxDaysBack });
+    if (success) {
+      await loadHistory(false);
+    } else {
+      showErrorToast('Failed to update that day. Please try again.');
+    }
+    setSavingDate(null);
+  };
+
+  // Measurable habits select a day for the amount editor; others toggle it
+  const handleDayPress = (dateKey) => {
+    if (isMeasurableHabit(habit)) {
+      setSelectedDate(dateKey);
+    } else {
+      handleToggleDate(dateKey);
+    }
+  };
+
+  // Move the calendar by a number of months
+  const changeMonth = (delta) => {
+    setVisibleMonth(({ year, month }) => {
+      const index = year * 12 + month + delta;
+      return { year: Math.floor(index / 12), month: index % 12 };
+    });
+  };
+
+  // Render a single calendar day
+  const renderDay = (dateKey, slotKey, editableRange, entriesByDate) => {
+    if (!dateKey) {
+      return <View key={slotKey} style={styles.dayCell} />;
+    }
+
+    const entry = entriesByDate.get(dateKey);
+    const isCompleted = Boolean(entry && entry.completed);
+    const isPartial = !isCompleted && getEntryProgress(habit, entry) > 0;
+    const isSelected = isMeasurableHabit(habit) && dateKey === selectedDate;
+    const isDue = isDueOnDate(habit, dateKey);
+    const isPaused = isPausedOnDate(habit, dateKey);
+    const isEditable = dateKey >= editableRange.firstKey && dateKey <= editableRange.lastKey;
+    const isPast = dateKey < todayKey;
+    const dayNumber = Number(dateKey.slice(8));
+
+    return (
+      <TouchableOpacity
+        key={dateKey}
+        style={[
+          styles.dayCell,
+          styles.day,
+          isDue && styles.dueDay,
+          isPaused && styles.pausedDay,
+          isDue && isPast && !isCompleted && styles.missedDay,
+          isPartial && styles.partialDay,
+          isCompleted && styles.completedDay,
+          dateKey === todayKey && styles.today,
+          isSelected && styles.selectedDay,
+          !isEditable && styles.lockedDay
+        ]}
+        onPress={() => handleDayPress(dateKey)}
+        disabled={!isEditable || savingDate !== null}
+        activeOpacity={0.7}
+        testID={`history-day-${dateKey}`}
+        accessibilityRole="button"
+        accessibilityLabel={`${dateKey}, ${isCompleted ? 'completed' : 'not completed'}${isPaused ? ', paused' : ''}`}
+        accessibilityState={{ checked: isCompleted, disabled: !isEditable }}
+      >
+        <Text style={[styles.dayText, isCompleted && styles.completedDayText]}>
+          {dayNumber}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <Header
+          title="History"
+          showBackButton={true}
+          navigation={navigation}
+          testID="history-header"
+        />
+        <InlineLoading message="Loading history..." testID="history-loading" />
+      </View>
+    );
+  }
+
+  if (!habit) {
+    return (
+      <View style={styles.container}>
+        <Header
+          title="History"
+          showBackButton={true}
+          navigation={navigation}
+          testID="history-header"
+        />
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyText}>This habit could not be found.</Text>
+        </View>
+      </View>
+    );
+  }
+
+  const editableRange = getEditableDateRange(habit, maxDaysBack);
+  const entriesByDate = new Map((habit.completionHistory || []).map(e => [e.date, e]));
+  const isMeasurable = isMeasurableHabit(habit);
+  const selectedAmount = getEntryAmount(habit, entriesByDate.get(selectedDate));
+  const canEditSelected = selectedDate >= editableRange.firstKey && selectedDate <= editableRange.lastKey;
+  const { currentStreak, longestStreak, unit } = calculateStreak(habit.completionHistory || [], habit);
+  const rows = buildMonthGrid(visibleMonth.year, visibleMonth.month);
+  const monthPrefix = `${visibleMonth.year}-${pad(visibleMonth.month + 1)}`;
+  // Browse back to whichever came first: creation or the oldest entry
+  const historyStart = [getEditableDateRange(habit, null).firstKey]
+    .concat((habit.completionHistory || []).map(e => e.date))
+    .sort()[0];
+  const canGoBack = monthPrefix > historyStart.slice(0, 7);
+  const canGoForward = monthPrefix < todayKey.slice(0, 7);
+
+  return (
+    <View style={styles.container}>
+      <Header
+        title="History"
+        showBackButton={true}
+        navigation={navigation}
+        testID="history-header"
+      />
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Habit summary */}
+        <View style={styles.card}>
+          <Text style={styles.habitName}>{habit.name}</Text>
+          <Text style={styles.scheduleText}>{getScheduleText(habit)}</Text>
+          <View style={styles.statsRow}>
+            <View style={styles.stat}>
+              <Text style={styles.statValue}>{habit.completedDays} / {habit.totalDays}</Text>
+              <Text style={styles.statLabel}>Completed</Text>
+            </View>
+            <View style={styles.stat}>
+              <Text style={styles.statValue}>{currentStreak}</Text>
+              <Text style={styles.statLabel}>Current {unit} streak</Text>
+            </View>
+            <View style={styles.stat}>
+              <Text style={styles.statValue}>{longestStreak}</Text>
+              <Text style={styles.statLabel}>Longest</Text>
+            </View>
+          </View>
+        </View>
+
+        {/* Calendar */}
+        <View style={styles.card}>
+          <View style={styles.monthHeader}>
+            <TouchableOpacity
+              onPress={() => changeMonth(-1)}
+              disabled={!canGoBack}
+              testID="history-prev-month"
+              accessibilityLabel="Previous month"
+              accessibilityRole="button"
+            >
+              <Ionicons
+                name="chevron-back"
+                size={24}
+                color={canGoBack ? colors.primary : colors.border}
+              />
+            </TouchableOpacity>
+            <Text style={styles.monthTitle}>
+              {MONTH_NAMES[visibleMonth.month]} {visibleMonth.year}
+            </Text>
+            <TouchableOpacity
+              onPress={() => changeMonth(1)}
+              disabled={!canGoForward}
+              testID="history-next-month"
+              accessibilityLabel="Next month"
+              accessibilityRole="button"
+            >
+              <Ionicons
+                name="chevron-forward"
+                size={24}
+                color={canGoForward ? colors.primary : colors.border}
+              />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.weekRow}>
+            {WEEK_HEADER.map(label => (
+              <Text key={label} style={[styles.dayCell, styles.weekLabel]}>{label}</Text>
+            ))}
+          </View>
+
+          {rows.map((row, index) => (
+            <View key={`${monthPrefix}-${index}`} style={styles.weekRow}>
+              {row.map((dateKey, column) => (
+                renderDay(dateKey, `${index}-${column}`, editableRange, entriesByDate)
+              ))}
+            </View>
+          ))}
+
+          {isMeasurable && (
+            <View style={styles.amountEditor}>
+              <Text style={styles.amountDate}>{selectedDate}</Text>
+              <View style={styles.amountControls}>
+                <TouchableOpacity
+                  onPress={() => handleAdjustAmount(-1)}
+                  disabled={!canEditSelected || selectedAmount === 0 || savingDate !== null}
+                  testID="history-amount-decrease"
+                  accessibilityLabel={`Remove 1 ${habit.unit}`}
+                  accessibilityRole="button"
+                >
+                  <Ionicons name="remove-circle-outline" size={32} color={colors.primary} />
+                </TouchableOpacity>
+                <Text style={styles.amountValue} testID="history-amount">
+                  {formatAmount(habit, selectedAmount)}
+                </Text>
+                <TouchableOpacity
+                  onPress={() => handleAdjustAmount(1)}
+                  disabled={!canEditSelected || savingDate !== null}
+                  testID="history-amount-increase"
+                  accessibilityLabel={`Add 1 ${habit.unit}`}
+                  accessibilityRole="button"
+                >
+                  <Ionicons name="add-circle-outline" size={32} color={colors.primary} />
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+
+          <Text style={styles.hint}>
+            {maxDaysBack === null
+              ? 'Tap any day since you started to change it.'
+              : `Tap a day to change it. You can edit up to ${maxDaysBack} days back.`}
+          </Text>
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  content: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    padding: spacing.md,
+  },
+
+  card: {
+    ...componentStyles.card,
+    marginBottom: spacing.md,
+  },
+
+  habitName: {
+    ...typography.h3,
+    color: colors.text,
+  },
+
+  scheduleText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+  },
+
+  statValue: {
+    ...typography.h3,
+    color: colors.primary,
+  },
+
+  statLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+
+  monthHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+  },
+
+  monthTitle: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.text,
+  },
+
+  weekRow: {
+    flexDirection: 'row',
+    marginBottom: spacing.xs,
+  },
+
+  weekLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+
+  dayCell: {
+    flex: 1,
+    marginHorizontal: 2,
+  },
+
+  day: {
+    aspectRatio: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: borderRadius.small,
+  },
+
+  dueDay: {
+    backgroundColor: colors.background,
+  },
+
+  missedDay: {
+    borderWidth: 1,
+    borderColor: colors.secondary,
+  },
+
+  pausedDay: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: colors.textSecondary,
+  },
+
+  partialDay: {
+    backgroundColor: `${colors.success}59`,
+  },
+
+  completedDay: {
+    backgroundColor: colors.success,
+  },
+
+  selectedDay: {
+    borderWidth: 2,
+    borderColor: colors.text,
+  },
+
+  amountEditor: {
+    alignItems: 'center',
+    marginTop: spacing.md,
+  },
+
+  amountDate: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+
+  amountControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+  },
+
+  amountValue: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.text,
+  },
+
+  today: {
+    borderWidth: 2,
+    borderColor: colors.primary,
+  },
+
+  lockedDay: {
+    opacity: 0.4,
+  },
+
+  dayText: {
+    ...typography.caption,
+    color: colors.text,
+  },
+
+  completedDayText: {
+    color: colors.cardBackground,
+    fontWeight: '600',
+  },
+
+  hint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: spacing.sm,
+    textAlign: 'center',
+  },
+
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+});
+
+export default HabitHistoryScreen;
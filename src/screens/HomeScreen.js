@@ -21,11 +21,22 @@ import Header from '../components/Header';
 import HabitCard from '../components/HabitCard';
 import Button from '../components/Button';
 import { InlineLoading } from '../components/LoadingIndicator';
-import { getHabits, updateHabitCompletion, recalculateAllHabitsProgress } from '../utils/storage';
+import {
+  getHabits,
+  updateHabitAmount,
+  recalculateAllHabitsProgress,
+  restoreHabit
+} from '../utils/storage';
+import appStateManager, { useAppState } from '../utils/appStateManager';
+import { isHabitArchived, getUpcomingVacation } from '../utils/habitStatus';
+import { getTodayKey, formatDateKey } from '../utils/localDate';
 import { calculateCompletionPercentage, getProgressInsights } from '../utils/progressCalculations';
 import { 
   showErrorToast, 
+  showSuccessToast,
+  showConfirmDialog,
   showHabitCompletionFeedback,
+  showHabitDeletionFeedback,
   showLoadingFeedback 
 } from '../utils/toastNotifications';
 import { checkAchievements } from '../utils/achievementSystem';
@@ -35,6 +46,14 @@ const HomeScreen = ({ navigation }) => {
   const [habits, setHabits] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const { undoLabel, redoLabel } = useAppState();
+
+  // Archived habits are listed separately at the bottom
+  const activeHabits = habits.filter(habit => !isHabitArchived(habit));
+  const archivedHabits = habits.filter(isHabitArchived);
+  const vacation = getUpcomingVacation();
+  const todayKey = getTodayKey();
 
   // Load habits from storage with progress recalculation
   const loadHabits = async (showLoading = true) => {
@@ -58,6 +77,7 @@ const HomeScreen = ({ navigation }) => {
   useFocusEffect(
     useCallback(() => {
       loadHabits();
+      appStateManager.loadUndoHistory();
     }, [])
   );
 
@@ -68,6 +88,84 @@ const HomeScreen = ({ navigation }) => {
     setRefreshing(false);
   };
 
+  // Unlock and announce any achievements earned by the latest progress
+  const unlockNewAchievements = async () => {
+    const updatedHabits = await getHabits();
+    const currentAchievements = await getUserAchievements();
+    const achievementResult = checkAchievements(updatedHabits, currentAchievements);
+    
+    for (const newAchievement of achievementResult.newAchievements) {
+      await unlockAchievement(newAchievement.id);
+      
+      // Show achievement notification
+      setTimeout(() => {
+        Alert.alert(
+          '🏆 Achievement Unlocked!',
+          `${newAchievement.icon} ${newAchievement.title}\n${newAchievement.description}`,
+          [{ text: 'Awesome!', style: 'default' }]
+        );
+      }, 500);
+    }
+  };
+
+  // Handle logging an amount for a measurable habit
+  const handleLogAmount = async (habitId, amount) => {
+    try {
+      const habit = habits.find(h => h.id === habitId);
+      if (!habit) {
+        showErrorToast('Habit not found. Please refresh and try again.');
+        return;
+      }
+
+      const success = await updateHabitAmount(habitId, amount);
+      if (!success) {
+        showErrorToast('Failed to log progress. Please try again.');
+        return;
+      }
+
+      await loadHabits(false);
+
+      // Celebrate when this amount reaches the day's target
+      if (!habit.isCompleted && amount >= habit.targetValue) {
+        await unlockNewAchievements();
+        showHabitCompletionFeedback(habit, true, calculateCompletionPercentage(habit));
+      }
+    } catch (error) {
+      console.error('Error logging habit amount:', error);
+      showErrorToast('Failed to log progress. Please check your connection and try again.');
+    }
+  };
+
+  // Undo the last habit change, including ones from an earlier session
+  const handleUndo = async () => {
+    const success = await appStateManager.undo();
+    if (success) {
+      await loadHabits(false);
+    } else {
+      showErrorToast('Could not undo the last change.');
+    }
+  };
+
+  // Undo one change from the Undo button shown for it; nothing else is undone
+  const handleUndoChange = async (commandId) => {
+    const success = await appStateManager.undo(commandId);
+    if (success) {
+      await loadHabits(false);
+    } else {
+      showErrorToast('Could not undo that change.');
+    }
+  };
+
+  // Redo the last undone change
+  const handleRedo = async () => {
+    const success = await appStateManager.redo();
+    if (success) {
+      await loadHabits(false);
+    } else {
+      showErrorToast('Could not redo the last change.');
+    }
+  };
+
   // Handle habit completion toggle
   const handleToggleComplete = async (habitId) => {
     try {
@@ -95,8 +193,11 @@ const HomeScreen = ({ navigation }) => {
         )
       );
 
-      // Update habit completion status in AsyncStorage
-      const success = await updateHabitCompletion(habitId, newCompletionStatus);
+      // Update habit completion status in AsyncStorage, recording it for undo
+      let commandId = null;
+      const success = await appStateManager.toggleHabitCompletion(habitId, newCompletionStatus, {
+        onRecorded: command => { commandId = command.id; }
+      });
       
       if (success) {
         // Reload habits to get accurate updated progress data and calculations
@@ -104,30 +205,15 @@ const HomeScreen = ({ navigation }) => {
         
         // Check for new achievements
         if (newCompletionStatus) {
-          const updatedHabits = await getHabits();
-          const currentAchievements = await getUserAchievements();
-          const achievementResult = checkAchievements(updatedHabits, currentAchievements);
-          
-          // Unlock new achievements
-          for (const newAchievement of achievementResult.newAchievements) {
-            await unlockAchievement(newAchievement.id);
-            
-            // Show achievement notification
-            setTimeout(() => {
-              Alert.alert(
-                '🏆 Achievement Unlocked!',
-                `${newAchievement.icon} ${newAchievement.title}\n${newAchievement.description}`,
-                [{ text: 'Awesome!', style: 'default' }]
-              );
-            }, 500);
-          }
-          
-          const updatedHabit = habits.find(h => h.id === habitId);
-          const completionRate = calculateCompletionPercentage(updatedHabit);
-          
-          // Show encouraging toast feedback
-          showHabitCompletionFeedback(habit, newCompletionStatus, completionRate);
+          await unlockNewAchievements();
         }
+        
+        const updatedHabit = habits.find(h => h.id === habitId);
+        const completionRate = calculateCompletionPercentage(updatedHabit);
+        
+        // Show encouraging toast feedback with a way back
+        const onUndo = commandId ? () => handleUndoChange(commandId) : null;
+        showHabitCompletionFeedback(habit, newCompletionStatus, completionRate, onUndo);
       } else {
         // Revert optimistic update on failure
         setHabits(prevHabits =>
@@ -173,15 +259,143 @@ const HomeScreen = ({ navigation }) => {
     navigation.navigate('Achievements');
   };
 
+  // Navigate to a habit's history calendar
+  const handleViewHistory = (habitId) => {
+    navigation.navigate('HabitHistory', { habitId });
+  };
+
+  // Open the edit form for a habit
+  const handleEditHabit = (habitId) => {
+    navigation.navigate('EditHabit', { habitId });
+  };
+
+  // Navigate to vacation settings
+  const handleManageVacation = () => {
+    navigation.navigate('Vacation');
+  };
+
+  // Navigate to data export and import
+  const handleManageData = () => {
+    navigation.navigate('DataTransfer');
+  };
+
+  // Bring an archived habit back; tracking resumes from today
+  const handleRestoreHabit = async (habit) => {
+    const success = await restoreHabit(habit.id);
+    if (success) {
+      showSuccessToast(`"${habit.name}" restored`);
+      await loadHabits(false);
+    } else {
+      showErrorToast('Failed to restore habit. Please try again.');
+    }
+  };
+
+  // Permanently delete an archived habit and its history
+  const handleDeleteHabit = (habit) => {
+    showConfirmDialog(
+      'Delete Habit',
+      `Delete "${habit.name}" and all of its history?`,
+      async () => {
+        let commandId = null;
+        const success = await appStateManager.deleteHabit(habit.id, {
+          onRecorded: command => { commandId = command.id; }
+        });
+        if (success) {
+          await loadHabits(false);
+          showHabitDeletionFeedback(habit, commandId ? () => handleUndoChange(commandId) : null);
+        } else {
+          showErrorToast('Failed to delete habit. Please try again.');
+        }
+      },
+      null,
+      { confirmText: 'Delete', destructive: true }
+    );
+  };
+
   // Render individual habit item
   const renderHabitItem = ({ item, index }) => (
     <HabitCard
       habit={item}
       onToggleComplete={handleToggleComplete}
+      onLogAmount={handleLogAmount}
+      onViewHistory={handleViewHistory}
+      onEdit={handleEditHabit}
       testID={`habit-card-${index}`}
     />
   );
 
+  // Render the current or upcoming vacation above the list
+  const renderVacationBanner = () => {
+    if (!vacation) return null;
+
+    return (
+      <TouchableOpacity
+        style={styles.vacationBanner}
+        onPress={handleManageVacation}
+        activeOpacity={0.7}
+        testID="vacation-banner"
+        accessibilityRole="button"
+        accessibilityHint="Double tap to change or end your vacation"
+      >
+        <Ionicons name="airplane" size={20} color={colors.primary} />
+        <Text style={styles.vacationText}>
+          {vacation.start <= todayKey
+            ? `On vacation until ${formatDateKey(vacation.end)}. Your streaks are paused.`
+            : `Vacation from ${formatDateKey(vacation.start)} to ${formatDateKey(vacation.end)}`}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  // Render the collapsible archived section below the list
+  const renderArchivedSection = () => {
+    if (archivedHabits.length === 0) return null;
+
+    return (
+      <View style={styles.archivedSection} testID="archived-section">
+        <TouchableOpacity
+          style={styles.archivedHeader}
+          onPress={() => setShowArchived(!showArchived)}
+          activeOpacity={0.7}
+          testID="archived-toggle"
+          accessibilityRole="button"
+          accessibilityState={{ expanded: showArchived }}
+        >
+          <Text style={styles.archivedTitle}>Archived ({archivedHabits.length})</Text>
+          <Ionicons
+            name={showArchived ? 'chevron-up' : 'chevron-down'}
+            size={20}
+            color={colors.textSecondary}
+          />
+        </TouchableOpacity>
+
+        {showArchived && archivedHabits.map(habit => (
+          <View key={habit.id} style={styles.archivedRow} testID={`archived-habit-${habit.id}`}>
+            <Text style={styles.archivedName} numberOfLines={1}>{habit.name}</Text>
+            <TouchableOpacity
+              style={styles.archivedAction}
+              onPress={() => handleRestoreHabit(habit)}
+              testID={`restore-habit-${habit.id}`}
+              accessibilityRole="button"
+              accessibilityLabel={`Restore ${habit.name}`}
+            >
+              <Ionicons name="arrow-undo-outline" size={22} color={colors.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.archivedAction}
+              onPress={() => handleDeleteHabit(habit)}
+              testID={`delete-habit-${habit.id}`}
+              accessibilityRole="button"
+              accessibilityLabel={`Delete ${habit.name} permanently`}
+            >
+              <Ionicons name="trash-outline" size={22} color={colors.secondary} />
+            </TouchableOpacity>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
   // Render empty state
   const renderEmptyState = () => (
     <View style={styles.emptyState}>
@@ -212,9 +426,73 @@ const HomeScreen = ({ navigation }) => {
     />
   );
 
-  // Header right component with insights and achievements buttons
+  // Header right component with undo/redo, data, vacation, achievements and insights buttons
   const headerRightComponent = (
     <View style={styles.headerButtons}>
+      {undoLabel && (
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={handleUndo}
+          activeOpacity={0.7}
+          testID="undo-button"
+          accessibilityLabel={`Undo ${undoLabel}`}
+          accessibilityRole="button"
+        >
+          <Ionicons
+            name="arrow-undo-outline"
+            size={24}
+            color={colors.primary}
+          />
+        </TouchableOpacity>
+      )}
+
+      {redoLabel && (
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={handleRedo}
+          activeOpacity={0.7}
+          testID="redo-button"
+          accessibilityLabel={`Redo ${redoLabel}`}
+          accessibilityRole="button"
+        >
+          <Ionicons
+            name="arrow-redo-outline"
+            size={24}
+            color={colors.primary}
+          />
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity
+        style={styles.headerButton}
+        onPress={handleManageData}
+        activeOpacity={0.7}
+        testID="data-transfer-button"
+        accessibilityLabel="Export and import data"
+        accessibilityRole="button"
+      >
+        <Ionicons
+          name="swap-vertical-outline"
+          size={24}
+          color={colors.primary}
+        />
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={styles.headerButton}
+        onPress={handleManageVacation}
+        activeOpacity={0.7}
+        testID="vacation-button"
+        accessibilityLabel="Vacation mode"
+        accessibilityRole="button"
+      >
+        <Ionicons
+          name="airplane-outline"
+          size={24}
+          color={colors.primary}
+        />
+      </TouchableOpacity>
+
       <TouchableOpacity
         style={styles.headerButton}
         onPress={handleViewAchievements}
@@ -275,9 +553,11 @@ const HomeScreen = ({ navigation }) => {
           <>
             {/* Habits list */}
             <FlatList
-              data={habits}
+              data={activeHabits}
               renderItem={renderHabitItem}
               keyExtractor={(item) => item.id}
+              ListHeaderComponent={renderVacationBanner()}
+              ListFooterComponent={renderArchivedSection()}
               contentContainerStyle={styles.listContainer}
               showsVerticalScrollIndicator={false}
               refreshControl={
@@ -372,6 +652,60 @@ const styles = StyleSheet.create({
     textAlign: 'center',
   },
   
+  // Vacation banner
+  vacationBanner: {
+    ...componentStyles.card,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    marginHorizontal: spacing.md,
+    marginVertical: spacing.sm,
+    backgroundColor: colors.primary + '10', // Light primary color
+  },
+  
+  vacationText: {
+    ...typography.caption,
+    flex: 1,
+    color: colors.text,
+  },
+  
+  // Archived section
+  archivedSection: {
+    marginHorizontal: spacing.md,
+    marginTop: spacing.md,
+  },
+  
+  archivedHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+  },
+  
+  archivedTitle: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  
+  archivedRow: {
+    ...componentStyles.card,
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: spacing.xs,
+  },
+  
+  archivedName: {
+    ...typography.body,
+    flex: 1,
+    color: colors.textSecondary,
+  },
+  
+  archivedAction: {
+    padding: spacing.xs,
+    marginLeft: spacing.sm,
+  },
+  
   // Header components
   headerButtons: {
     flexDirection: 'row',
@@ -25,19 +25,33 @@ import Header from '../components/Header';
 import Button from '../components/Button';
 import { InlineLoading } from '../components/LoadingIndicator';
 import { getHabits } from '../utils/storage';
-import { generateEnhancedAITip } from '../utils/aiTips';
+import { getCachedAITip, getTipHistory } from '../utils/tipCache';
+import { getTimeOfDayHistogram } from '../utils/completionTimes';
 import { showErrorToast } from '../utils/toastNotifications';
 
+// e.g. 'Mar 10, 9:41 AM'
+const formatTipTime = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
 const InsightsScreen = ({ navigation }) => {
   const [habits, setHabits] = useState([]);
   const [aiTip, setAiTip] = useState(null);
+  const [tipInfo, setTipInfo] = useState(null);
+  const [tipHistory, setTipHistory] = useState([]);
+  const [showPastTips, setShowPastTips] = useState(false);
+  const [refreshingTip, setRefreshingTip] = useState(false);
   const [analysis, setAnalysis] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
 
-  // Load habits and generate AI insights
-  const loadInsights = async (showLoading = true) => {
+  // Load habits and generate AI insights; a cached tip is reused unless
+  // forceRefresh asks the AI provider for a new one
+  const loadInsights = async (showLoading = true, forceRefresh = false) => {
     try {
       if (showLoading) setLoading(true);
       setError(null);
@@ -47,10 +61,17 @@ const InsightsScreen = ({ navigation }) => {
       setHabits(storedHabits);
 
       // Generate AI tip based on habit data
-      const tipResult = await generateEnhancedAITip(storedHabits, true);
+      const tipResult = await getCachedAITip(storedHabits, { forceRefresh });
+      setTipHistory(await getTipHistory());
       
       if (tipResult.success) {
         setAiTip(tipResult.tip);
+        setTipInfo({
+          timestamp: tipResult.timestamp,
+          cached: tipResult.cached,
+          stale: tipResult.stale,
+          queued: Boolean(tipResult.queued)
+        });
         setAnalysis(tipResult.analysis);
       } else {
         const errorMsg = 'Failed to generate insights. Please try again.';
@@ -87,6 +108,13 @@ const InsightsScreen = ({ navigation }) => {
     loadInsights();
   };
 
+  // Ask the AI provider for a new tip even when one is cached
+  const handleNewTip = async () => {
+    setRefreshingTip(true);
+    await loadInsights(false, true);
+    setRefreshingTip(false);
+  };
+
   // Get completion rate color
   const getCompletionRateColor = (rate) => {
     if (rate >= 80) return colors.success;
@@ -187,9 +215,19 @@ const InsightsScreen = ({ navigation }) => {
             end={{ x: 1, y: 1 }}
           >
             <Text style={styles.statValue}>
-              {analysis.completedToday}/{analysis.totalHabits}
+              {analysis.completedToday}/{analysis.totalHabits - analysis.pausedToday}
             </Text>
             <Text style={styles.statLabel}>Today</Text>
+            {analysis.inProgressToday > 0 && (
+              <Text style={styles.statNote}>
+                +{analysis.inProgressToday} in progress
+              </Text>
+            )}
+            {analysis.pausedToday > 0 && (
+              <Text style={styles.statNote}>
+                {analysis.pausedToday} paused
+              </Text>
+            )}
           </LinearGradient>
         </View>
       </View>
@@ -212,6 +250,16 @@ const InsightsScreen = ({ navigation }) => {
           <Text style={styles.tipTitle}>AI Insights</Text>
         </View>
         <Text style={styles.tipContent}>{aiTip}</Text>
+        {tipInfo && tipInfo.cached && (
+          <Text style={styles.tipMeta} testID="cached-tip-note">
+            {tipInfo.stale ? 'Saved tip' : 'Tip'} from {formatTipTime(tipInfo.timestamp)}
+          </Text>
+        )}
+        {tipInfo && tipInfo.queued && (
+          <Text style={styles.tipMeta} testID="queued-tip-note">
+            A new AI tip will be fetched when you're back online
+          </Text>
+        )}
         
         {/* Trend indicator */}
         {analysis && analysis.insights && (
@@ -226,6 +274,59 @@ const InsightsScreen = ({ navigation }) => {
             </Text>
           </View>
         )}
+
+        <TouchableOpacity
+          style={styles.newTipButton}
+          onPress={handleNewTip}
+          disabled={refreshingTip}
+          testID="new-tip-button"
+          accessibilityRole="button"
+        >
+          <Ionicons
+            name="refresh"
+            size={16}
+            color={refreshingTip ? colors.disabled : colors.primary}
+          />
+          <Text style={[styles.newTipText, refreshingTip && styles.newTipTextDisabled]}>
+            {refreshingTip ? 'Getting a new tip...' : 'New tip'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  // Render earlier tips, newest first
+  const renderPastTips = () => {
+    const pastTips = tipHistory.filter(entry => !tipInfo || entry.createdAt !== tipInfo.timestamp);
+    if (pastTips.length === 0) return null;
+
+    return (
+      <View style={styles.pastTipsCard} testID="past-tips-card">
+        <TouchableOpacity
+          style={styles.pastTipsHeader}
+          onPress={() => setShowPastTips(!showPastTips)}
+          testID="past-tips-toggle"
+          accessibilityRole="button"
+          accessibilityState={{ expanded: showPastTips }}
+        >
+          <Ionicons
+            name="albums-outline"
+            size={20}
+            color={colors.primary}
+          />
+          <Text style={styles.pastTipsTitle}>Past Tips ({pastTips.length})</Text>
+          <Ionicons
+            name={showPastTips ? 'chevron-up' : 'chevron-down'}
+            size={20}
+            color={colors.textSecondary}
+          />
+        </TouchableOpacity>
+        {showPastTips && pastTips.map(entry => (
+          <View key={entry.id} style={styles.pastTip}>
+            <Text style={styles.pastTipTime}>{formatTipTime(entry.createdAt)}</Text>
+            <Text style={styles.pastTipText}>{entry.tip}</Text>
+          </View>
+        ))}
       </View>
     );
   };
@@ -279,6 +380,62 @@ const InsightsScreen = ({ navigation }) => {
     );
   };
 
+  // Render when completions happen during the day
+  const renderTimeOfDayCard = () => {
+    const buckets = getTimeOfDayHistogram(habits);
+    const maxCount = Math.max(...buckets.map(bucket => bucket.count));
+    if (maxCount === 0) return null;
+
+    return (
+      <View style={styles.timeOfDayCard} testID="time-of-day-card">
+        <View style={styles.insightHeader}>
+          <Ionicons
+            name="time-outline"
+            size={20}
+            color={colors.primary}
+          />
+          <Text style={styles.insightTitle}>When You Check In</Text>
+        </View>
+        <View style={styles.histogram}>
+          {buckets.map(bucket => (
+            <View key={bucket.startHour} style={styles.histogramColumn}>
+              <Text style={styles.histogramCount}>
+                {bucket.count > 0 ? bucket.count : ''}
+              </Text>
+              <View style={styles.histogramTrack}>
+                <View
+                  style={[
+                    styles.histogramBar,
+                    { height: `${Math.round((bucket.count / maxCount) * 100)}%` }
+                  ]}
+                />
+              </View>
+              <Text style={styles.histogramLabel}>{bucket.label}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  // Choose where tips come from
+  const headerRightComponent = (
+    <TouchableOpacity
+      style={styles.headerButton}
+      onPress={() => navigation.navigate('AIProvider')}
+      activeOpacity={0.7}
+      testID="ai-provider-button"
+      accessibilityLabel="AI provider settings"
+      accessibilityRole="button"
+    >
+      <Ionicons
+        name="settings-outline"
+        size={24}
+        color={colors.primary}
+      />
+    </TouchableOpacity>
+  );
+
   if (loading) {
     return (
       <View style={styles.container}>
@@ -286,6 +443,7 @@ const InsightsScreen = ({ navigation }) => {
           title="AI Insights"
           showBackButton={true}
           navigation={navigation}
+          rightComponent={headerRightComponent}
           testID="insights-header"
         />
         {renderLoadingState()}
@@ -300,6 +458,7 @@ const InsightsScreen = ({ navigation }) => {
           title="AI Insights"
           showBackButton={true}
           navigation={navigation}
+          rightComponent={headerRightComponent}
           testID="insights-header"
         />
         {renderErrorState()}
@@ -313,6 +472,7 @@ const InsightsScreen = ({ navigation }) => {
         title="AI Insights"
         showBackButton={true}
         navigation={navigation}
+        rightComponent={headerRightComponent}
         testID="insights-header"
       />
 
@@ -335,9 +495,26 @@ const InsightsScreen = ({ navigation }) => {
         {/* AI Tip Card */}
         {renderAITipCard()}
 
+        {/* Past Tips */}
+        {renderPastTips()}
+
+        {/* Coach */}
+        {habits.length > 0 && (
+          <Button
+            title="Chat with Coach"
+            variant="secondary"
+            onPress={() => navigation.navigate('Coach')}
+            style={styles.coachButton}
+            testID="coach-button"
+          />
+        )}
+
         {/* Insights Cards */}
         {renderInsightsCards()}
 
+        {/* Time of Day Card */}
+        {renderTimeOfDayCard()}
+
         {/* Empty state for no habits */}
         {habits.length === 0 && (
           <View style={styles.emptyState}>
@@ -369,6 +546,15 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: colors.background,
   },
+
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.background,
+  },
   
   content: {
     flex: 1,
@@ -466,6 +652,14 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     opacity: 0.9,
   },
+
+  statNote: {
+    ...typography.caption,
+    fontSize: 12,
+    color: colors.cardBackground,
+    textAlign: 'center',
+    opacity: 0.8,
+  },
   
   // AI tip card
   tipCard: {
@@ -511,6 +705,70 @@ const styles = StyleSheet.create({
     textTransform: 'capitalize',
   },
   
+  tipMeta: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  
+  newTipButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: spacing.md,
+  },
+  
+  newTipText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+    marginLeft: spacing.xs,
+  },
+  
+  newTipTextDisabled: {
+    color: colors.disabled,
+  },
+  
+  coachButton: {
+    marginBottom: spacing.lg,
+  },
+  
+  // Past tips
+  pastTipsCard: {
+    ...componentStyles.card,
+    marginBottom: spacing.lg,
+  },
+  
+  pastTipsHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  
+  pastTipsTitle: {
+    ...typography.body,
+    color: colors.text,
+    fontWeight: '600',
+    marginLeft: spacing.sm,
+    flex: 1,
+  },
+  
+  pastTip: {
+    marginTop: spacing.md,
+    paddingTop: spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  
+  pastTipTime: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  
+  pastTipText: {
+    ...typography.body,
+    color: colors.text,
+  },
+  
   // Insights cards
   insightsContainer: {
     marginBottom: spacing.lg,
@@ -545,6 +803,47 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
   },
   
+  // Time of day histogram
+  timeOfDayCard: {
+    ...componentStyles.card,
+    marginBottom: spacing.lg,
+  },
+  
+  histogram: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    justifyContent: 'space-between',
+  },
+  
+  histogramColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  
+  histogramCount: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  
+  histogramTrack: {
+    width: 16,
+    height: 80,
+    justifyContent: 'flex-end',
+  },
+  
+  histogramBar: {
+    width: '100%',
+    backgroundColor: colors.primary,
+    borderRadius: borderRadius.small,
+  },
+  
+  histogramLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+  
   // Empty state
   emptyState: {
     alignItems: 'center',
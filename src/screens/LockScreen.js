@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import {
+  colors,
+  typography,
+  spacing,
+  componentStyles,
+  commonStyles
+} from '../styles/globalStyles';
+import Button from '../components/Button';
+import appStateManager from '../utils/appStateManager';
+import { unlockStorage, getHabits, backupHabits } from '../utils/storage';
+import { syncAllReminders } from '../utils/reminders';
+import outbox from '../utils/outbox';
+import dataSynchronizer from '../utils/dataSynchronizer';
+
+// Wrong passcodes allowed before a pause, and how long the pause lasts
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_SECONDS = 30;
+
+const LockScreen = ({ navigation }) => {
+  const [passcode, setPasscode] = useState('');
+  const [error, setError] = useState(null);
+  const [unlocking, setUnlocking] = useState(false);
+  const [failedAttempts, setFailedAttempts] = useState(0);
+  const [lockoutSeconds, setLockoutSeconds] = useState(0);
+
+  // Count down a pause after too many wrong passcodes
+  useEffect(() => {
+    if (lockoutSeconds <= 0) return undefined;
+    const timer = setTimeout(() => setLockoutSeconds(lockoutSeconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [lockoutSeconds]);
+
+  // Unlock stored data, then load what app start skipped while it was locked
+  const handleUnlock = async () => {
+    if (!passcode || lockoutSeconds > 0) return;
+
+    setError(null);
+    setUnlocking(true);
+    try {
+      if (await unlockStorage(passcode)) {
+        await appStateManager.loadHabits({ showLoading: false, silent: true });
+        await syncAllReminders(await getHabits());
+        await outbox.start();
+        dataSynchronizer.requestServerSync();
+        backupHabits();
+        navigation.replace('Home');
+        return;
+      }
+
+      const attempts = failedAttempts + 1;
+      setFailedAttempts(attempts);
+      setPasscode('');
+      if (attempts % MAX_ATTEMPTS === 0) {
+        setLockoutSeconds(LOCKOUT_SECONDS);
+      } else {
+        setError('Wrong passcode. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error unlocking:', error);
+      setError('Failed to unlock. Please try again.');
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.logo}>
+        <Text style={styles.logoText}>🔒</Text>
+      </View>
+      <Text style={styles.title}>Enter Passcode</Text>
+      <Text style={styles.subtitle}>Your habits are encrypted on this device</Text>
+
+      <View style={styles.card}>
+        <TextInput
+          style={[styles.input, (error || lockoutSeconds > 0) && styles.inputError]}
+          value={passcode}
+          onChangeText={setPasscode}
+          onSubmitEditing={handleUnlock}
+          placeholder="Passcode"
+          placeholderTextColor={colors.textSecondary}
+          secureTextEntry={true}
+          autoFocus={true}
+          editable={!unlocking && lockoutSeconds === 0}
+          testID="passcode-input"
+          accessibilityLabel="Passcode"
+        />
+        {lockoutSeconds > 0 ? (
+          <Text style={styles.errorText}>
+            Too many attempts. Try again in {lockoutSeconds} seconds.
+          </Text>
+        ) : error && <Text style={styles.errorText}>{error}</Text>}
+        <Button
+          title="Unlock"
+          onPress={handleUnlock}
+          loading={unlocking}
+          disabled={!passcode || lockoutSeconds > 0}
+          style={styles.button}
+          testID="unlock-button"
+        />
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.primary,
+    ...commonStyles.centerContent,
+    padding: spacing.lg,
+  },
+
+  logo: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    ...commonStyles.centerContent,
+    marginBottom: spacing.md,
+  },
+
+  logoText: {
+    fontSize: 40,
+  },
+
+  title: {
+    ...typography.h2,
+    color: colors.cardBackground,
+    marginBottom: spacing.sm,
+    textAlign: 'center',
+  },
+
+  subtitle: {
+    ...typography.body,
+    color: colors.cardBackground,
+    opacity: 0.9,
+    textAlign: 'center',
+    marginBottom: spacing.xl,
+  },
+
+  card: {
+    ...componentStyles.card,
+    alignSelf: 'stretch',
+  },
+
+  input: {
+    ...componentStyles.input.field,
+    fontSize: typography.body.fontSize,
+  },
+
+  inputError: {
+    ...componentStyles.input.error,
+  },
+
+  errorText: {
+    ...componentStyles.input.errorText,
+  },
+
+  button: {
+    marginTop: spacing.md,
+  },
+});
+
+export default LockScreen;
@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import {
+  colors,
+  typography,
+  spacing,
+  componentStyles
+} from '../styles/globalStyles';
+import Header from '../components/Header';
+import Button from '../components/Button';
+import {
+  getEncryptionStatus,
+  enableEncryption,
+  changePasscode,
+  disableEncryption
+} from '../utils/storage';
+import { validatePasscode } from '../utils/encryption';
+import { showSuccessToast, showErrorToast, showConfirmDialog } from '../utils/toastNotifications';
+
+const PasscodeScreen = ({ navigation }) => {
+  const [enabled, setEnabled] = useState(getEncryptionStatus().enabled);
+  const [currentPasscode, setCurrentPasscode] = useState('');
+  const [newPasscode, setNewPasscode] = useState('');
+  const [confirmPasscode, setConfirmPasscode] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(null);
+
+  const resetForm = () => {
+    setCurrentPasscode('');
+    setNewPasscode('');
+    setConfirmPasscode('');
+    setError(null);
+  };
+
+  // Check the new passcode fields; returns an error message or null
+  const checkNewPasscode = () => {
+    const errors = validatePasscode(newPasscode);
+    if (errors.length > 0) return errors[0];
+    if (newPasscode !== confirmPasscode) return 'Passcodes do not match';
+    return null;
+  };
+
+  // Set a passcode, or change it when one is set; everything is re-encrypted
+  const handleSave = async () => {
+    const problem = checkNewPasscode();
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    setError(null);
+    setSaving('save');
+    try {
+      const success = enabled
+        ? await changePasscode(currentPasscode, newPasscode)
+        : await enableEncryption(newPasscode);
+      if (success) {
+        showSuccessToast(enabled ? 'Passcode changed' : 'Passcode set. Your habits are now encrypted.');
+        resetForm();
+        setEnabled(true);
+      } else if (enabled) {
+        setError('Current passcode is wrong');
+      } else {
+        showErrorToast('Failed to set passcode. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error saving passcode:', error);
+      showErrorToast('Failed to save passcode. Please try again.');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  // Remove the passcode and decrypt everything
+  const handleTurnOff = () => {
+    if (!currentPasscode) {
+      setError('Enter your current passcode');
+      return;
+    }
+
+    showConfirmDialog(
+      'Turn Off Passcode',
+      'Your habits will be stored unencrypted and the app will open without a passcode.',
+      async () => {
+        setError(null);
+        setSaving('off');
+        try {
+          if (await disableEncryption(currentPasscode)) {
+            showSuccessToast('Passcode turned off');
+            resetForm();
+            setEnabled(false);
+          } else {
+            setError('Current passcode is wrong');
+          }
+        } catch (error) {
+          console.error('Error turning off passcode:', error);
+          showErrorToast('Failed to turn off passcode. Please try again.');
+        } finally {
+          setSaving(null);
+        }
+      },
+      null,
+      { confirmText: 'Turn Off', destructive: true }
+    );
+  };
+
+  const renderPasscodeInput = (label, value, onChange, testID) => (
+    <View style={styles.inputContainer}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={[styles.input, error && styles.inputError]}
+        value={value}
+        onChangeText={onChange}
+        placeholderTextColor={colors.textSecondary}
+        secureTextEntry={true}
+        testID={testID}
+        accessibilityLabel={label}
+      />
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <Header
+        title="Passcode Lock"
+        showBackButton={true}
+        navigation={navigation}
+        testID="passcode-header"
+      />
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <Text style={styles.intro}>
+          {enabled
+            ? 'Your habits, notes and backups are encrypted. The passcode is asked for every time the app starts.'
+            : 'Encrypt your habits, notes and backups on this device, and ask for a passcode every time the app starts.'}
+        </Text>
+
+        {enabled && renderPasscodeInput('Current passcode', currentPasscode, setCurrentPasscode, 'current-passcode-input')}
+        {renderPasscodeInput('New passcode', newPasscode, setNewPasscode, 'new-passcode-input')}
+        {renderPasscodeInput('Confirm new passcode', confirmPasscode, setConfirmPasscode, 'confirm-passcode-input')}
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <Button
+          title={enabled ? 'Change Passcode' : 'Set Passcode'}
+          onPress={handleSave}
+          loading={saving === 'save'}
+          disabled={saving !== null}
+          style={styles.button}
+          testID="save-passcode-button"
+        />
+
+        {enabled && (
+          <Button
+            title="Turn Off Passcode"
+            variant="secondary"
+            onPress={handleTurnOff}
+            loading={saving === 'off'}
+            disabled={saving !== null}
+            style={styles.button}
+            testID="turn-off-passcode-button"
+          />
+        )}
+
+        {/* What the passcode protects */}
+        <View style={styles.noteCard}>
+          <Text style={styles.noteTitle}>Keep your passcode safe</Text>
+          <Text style={styles.noteText}>
+            • There is no way to recover your habits if you forget it{'\n'}
+            • Setting or changing it can take a moment with a long history{'\n'}
+            • Exports and reminder notifications are not encrypted
+          </Text>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  content: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: spacing.xl,
+  },
+
+  intro: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginBottom: spacing.lg,
+  },
+
+  inputContainer: {
+    marginBottom: spacing.md,
+  },
+
+  label: {
+    ...typography.caption,
+    color: colors.text,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+
+  input: {
+    ...componentStyles.input.field,
+    fontSize: typography.body.fontSize,
+  },
+
+  inputError: {
+    ...componentStyles.input.error,
+  },
+
+  errorText: {
+    ...componentStyles.input.errorText,
+  },
+
+  button: {
+    marginTop: spacing.md,
+  },
+
+  // Note card
+  noteCard: {
+    ...componentStyles.card,
+    marginTop: spacing.lg,
+    backgroundColor: colors.primary + '10', // Light primary color
+    borderLeftWidth: 4,
+    borderLeftColor: colors.primary,
+  },
+
+  noteTitle: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+
+  noteText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    lineHeight: 18,
+  },
+});
+
+export default PasscodeScreen;
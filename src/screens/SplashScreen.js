@@ -1,6 +1,7 @@
 import React, { useEffect, useRef } from 'react';
 import { View, Text, StyleSheet, Animated, Image } from 'react-native';
 import { colors, typography, spacing, animations, commonStyles } from '../styles/globalStyles';
+import { getEncryptionStatus } from '../utils/storage';
 
 const SplashScreen = ({ navigation }) => {
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -22,9 +23,9 @@ const SplashScreen = ({ navigation }) => {
       }),
     ]).start();
 
-    // Navigate to HomeScreen after delay
+    // Navigate to HomeScreen after delay, or to the lock screen first if a passcode is set
     const timer = setTimeout(() => {
-      navigation.replace('Home');
+      navigation.replace(getEncryptionStatus().locked ? 'Lock' : 'Home');
     }, 2500);
 
     return () => clearTimeout(timer);
@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import {
+  colors,
+  typography,
+  spacing,
+  componentStyles
+} from '../styles/globalStyles';
+import Header from '../components/Header';
+import Button from '../components/Button';
+import { startVacation, endVacation } from '../utils/storage';
+import { getUpcomingVacation, validateVacation } from '../utils/habitStatus';
+import { getTodayKey, addDaysToKey, formatDateKey } from '../utils/localDate';
+import { showSuccessToast, showErrorToast } from '../utils/toastNotifications';
+
+const VacationScreen = ({ navigation }) => {
+  const todayKey = getTodayKey();
+  const [vacation, setVacation] = useState(getUpcomingVacation());
+  const [start, setStart] = useState(todayKey);
+  const [end, setEnd] = useState(addDaysToKey(todayKey, 6));
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Schedule a vacation; it replaces any current or upcoming one
+  const handleStart = async () => {
+    const errors = validateVacation(start.trim(), end.trim(), todayKey);
+    if (errors.length > 0) {
+      setError(errors[0]);
+      return;
+    }
+
+    setError(null);
+    setSaving(true);
+    try {
+      const success = await startVacation(start.trim(), end.trim());
+      if (success) {
+        showSuccessToast(`Vacation set until ${formatDateKey(end.trim())}`);
+        navigation.goBack();
+      } else {
+        showErrorToast('Failed to start vacation. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error starting vacation:', error);
+      showErrorToast('Failed to start vacation. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // End the current vacation so today is tracked again
+  const handleEnd = async () => {
+    setSaving(true);
+    try {
+      const success = await endVacation();
+      if (success) {
+        setVacation(getUpcomingVacation());
+        showSuccessToast('Welcome back! Your habits are active again.');
+      } else {
+        showErrorToast('Failed to end vacation. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error ending vacation:', error);
+      showErrorToast('Failed to end vacation. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <Header
+        title="Vacation"
+        showBackButton={true}
+        navigation={navigation}
+        testID="vacation-header"
+      />
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        {vacation && (
+          <View style={styles.currentCard} testID="current-vacation">
+            <Text style={styles.currentTitle}>
+              {vacation.start <= todayKey ? 'You are on vacation' : 'Upcoming vacation'}
+            </Text>
+            <Text style={styles.currentText}>
+              {formatDateKey(vacation.start)} – {formatDateKey(vacation.end)}
+            </Text>
+            <Button
+              title={vacation.start <= todayKey ? 'End Vacation Now' : 'Cancel Vacation'}
+              variant="secondary"
+              onPress={handleEnd}
+              loading={saving}
+              testID="end-vacation-button"
+            />
+          </View>
+        )}
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>First day</Text>
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            value={start}
+            onChangeText={setStart}
+            placeholder="YYYY-MM-DD"
+            placeholderTextColor={colors.textSecondary}
+            maxLength={10}
+            testID="vacation-start-input"
+            accessibilityLabel="First vacation day"
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Last day</Text>
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            value={end}
+            onChangeText={setEnd}
+            placeholder="YYYY-MM-DD"
+            placeholderTextColor={colors.textSecondary}
+            maxLength={10}
+            testID="vacation-end-input"
+            accessibilityLabel="Last vacation day"
+          />
+          {error && <Text style={styles.errorText}>{error}</Text>}
+        </View>
+
+        <Button
+          title={vacation ? 'Replace Vacation' : 'Start Vacation'}
+          onPress={handleStart}
+          loading={saving}
+          testID="start-vacation-button"
+        />
+
+        {/* How vacations affect progress */}
+        <View style={styles.noteCard}>
+          <Text style={styles.noteTitle}>Your streaks are safe</Text>
+          <Text style={styles.noteText}>
+            • Every habit is paused for the days you pick{'\n'}
+            • Paused days don't count toward your totals or streaks{'\n'}
+            • Ending a vacation early tracks your habits again from today
+          </Text>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  content: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    padding: spacing.md,
+    paddingBottom: spacing.xl,
+  },
+
+  currentCard: {
+    ...componentStyles.card,
+    marginBottom: spacing.lg,
+  },
+
+  currentTitle: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.text,
+  },
+
+  currentText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+
+  inputContainer: {
+    marginBottom: spacing.lg,
+  },
+
+  label: {
+    ...typography.caption,
+    color: colors.text,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+
+  input: {
+    ...componentStyles.input.field,
+    fontSize: typography.body.fontSize,
+  },
+
+  inputError: {
+    ...componentStyles.input.error,
+  },
+
+  errorText: {
+    ...componentStyles.input.errorText,
+  },
+
+  // Note card
+  noteCard: {
+    ...componentStyles.card,
+    marginTop: spacing.lg,
+    backgroundColor: colors.primary + '10', // Light primary color
+    borderLeftWidth: 4,
+    borderLeftColor: colors.primary,
+  },
+
+  noteTitle: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+
+  noteText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    lineHeight: 18,
+  },
+});
+
+export default VacationScreen;
@@ -0,0 +1,290 @@
+/**
+ * @jest-environment node
+ */
+// Contract tests for the AI providers, against a local fake server that
+// answers like the Gemini and OpenAI chat completions APIs
+const http = require('http');
+const {
+  AI_PROVIDER_TYPES,
+  validateAIProviderSettings,
+  createGeminiProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  createAIProvider
+} = require('../aiProviders');
+
+describe('AI providers', () => {
+  const fastRequests = { timeoutMs: 300, maxRetries: 2, retryDelayMs: 10 };
+  let server;
+  let baseUrl;
+  let requests;
+  // Answers to give, in order; the last one repeats
+  let answers;
+
+  const answer = (status, body) => ({ status, body });
+
+  beforeEach(async () => {
+    requests = [];
+    answers = [];
+    server = http.createServer((request, response) => {
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('end', () => {
+        requests.push({
+          method: request.method,
+          url: request.url,
+          headers: request.headers,
+          body: JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null')
+        });
+        const next = answers.length > 1 ? answers.shift() : answers[0];
+        if (next === 'hang') return;
+        response.writeHead(next.status, { 'Content-Type': 'application/json' });
+        response.end(typeof next.body === 'string' ? next.body : JSON.stringify(next.body));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('Gemini', () => {
+    const geminiAnswer = (text) => answer(200, {
+      candidates: [{ content: { parts: [{ text }] } }],
+      usageMetadata: { totalTokenCount: 42 }
+    });
+
+    const provider = (settings = {}) => createGeminiProvider({
+      baseUrl: `${baseUrl}/v1beta/`,
+      apiKey: 'gemini-key',
+      ...settings
+    }, fastRequests);
+
+    test('should send the prompt to generateContent with the key in a header', async () => {
+      answers = [geminiAnswer('Keep going!')];
+
+      const result = await provider({ model: 'gemini-test' }).generate('Give me a tip', { maxTokens: 50 });
+
+      expect(result).toEqual({ content: 'Keep going!', usage: { totalTokenCount: 42 } });
+      expect(requests).toHaveLength(1);
+      expect(requests[0]).toMatchObject({
+        method: 'POST',
+        url: '/v1beta/models/gemini-test:generateContent',
+        headers: { 'content-type': 'application/json', 'x-goog-api-key': 'gemini-key' },
+        body: {
+          contents: [{ parts: [{ text: 'Give me a tip' }] }],
+          generationConfig: { maxOutputTokens: 50, temperature: 0.7 }
+        }
+      });
+    });
+
+    test('should send a conversation with the instructions apart', async () => {
+      answers = [geminiAnswer('Try moving it earlier.')];
+
+      await provider().chat([
+        { role: 'system', content: 'You are a coach.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello!' },
+        { role: 'user', content: 'Why do I miss my evening habits?' }
+      ]);
+
+      expect(requests[0].body).toMatchObject({
+        systemInstruction: { parts: [{ text: 'You are a coach.' }] },
+        contents: [
+          { role: 'user', parts: [{ text: 'Hi' }] },
+          { role: 'model', parts: [{ text: 'Hello!' }] },
+          { role: 'user', parts: [{ text: 'Why do I miss my evening habits?' }] }
+        ]
+      });
+    });
+
+    test('should use gemini-pro unless another model is set', async () => {
+      answers = [geminiAnswer('Tip')];
+      await provider().generate('Prompt');
+      expect(requests[0].url).toBe('/v1beta/models/gemini-pro:generateContent');
+    });
+
+    test('should need an API key', () => {
+      const previous = process.env.GEMINI_API_KEY;
+      delete process.env.GEMINI_API_KEY;
+
+      expect(provider({ apiKey: null }).validate()).toEqual(['Gemini API key is not configured']);
+      expect(provider().validate()).toEqual([]);
+
+      if (previous !== undefined) process.env.GEMINI_API_KEY = previous;
+    });
+
+    test('should reject an answer without text', async () => {
+      answers = [answer(200, { candidates: [] })];
+      await expect(provider().generate('Prompt')).rejects.toThrow('Invalid response structure from Gemini API');
+    });
+  });
+
+  describe('OpenAI-compatible', () => {
+    const chatAnswer = (content) => answer(200, {
+      choices: [{ index: 0, message: { role: 'assistant', content } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    });
+
+    const provider = (settings = {}) => createOpenAICompatibleProvider({
+      baseUrl: `${baseUrl}/v1`,
+      model: 'llama3',
+      ...settings
+    }, fastRequests);
+
+    test('should send a chat completion request', async () => {
+      answers = [chatAnswer('Stack the new habit on an old one.')];
+
+      const result = await provider({ apiKey: 'sk-test' }).generate('Give me a tip', { temperature: 0.2 });
+
+      expect(result).toEqual({
+        content: 'Stack the new habit on an old one.',
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      });
+      expect(requests[0]).toMatchObject({
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { authorization: 'Bearer sk-test' },
+        body: {
+          model: 'llama3',
+          messages: [{ role: 'user', content: 'Give me a tip' }],
+          temperature: 0.2,
+          max_tokens: 200
+        }
+      });
+    });
+
+    test('should send a conversation as chat messages', async () => {
+      answers = [chatAnswer('Try moving it earlier.')];
+      const messages = [
+        { role: 'system', content: 'You are a coach.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello!' },
+        { role: 'user', content: 'Why do I miss my evening habits?' }
+      ];
+
+      await provider().chat(messages.map(message => ({ ...message, id: 'dropped' })), { maxTokens: 400 });
+
+      expect(requests[0].body).toEqual({ model: 'llama3', messages, temperature: 0.7, max_tokens: 400 });
+    });
+
+    test('should send no key to a local server that needs none', async () => {
+      answers = [chatAnswer('Tip')];
+      await provider().generate('Prompt');
+      expect(requests[0].headers.authorization).toBeUndefined();
+    });
+
+    test('should need a URL and a model', () => {
+      expect(createOpenAICompatibleProvider({}).validate()).toEqual([
+        'AI provider URL is not configured',
+        'AI provider model is not configured'
+      ]);
+      expect(provider().validate()).toEqual([]);
+    });
+
+    test('should reject an answer without a message', async () => {
+      answers = [answer(200, { choices: [] })];
+      await expect(provider().generate('Prompt')).rejects.toThrow('Invalid response structure from OpenAI-compatible API');
+    });
+  });
+
+  describe('requests', () => {
+    const provider = () => createOpenAICompatibleProvider({ baseUrl, model: 'llama3' }, fastRequests);
+
+    test('should retry server errors', async () => {
+      answers = [
+        answer(503, { error: { message: 'Loading model' } }),
+        answer(200, { choices: [{ message: { content: 'Tip' } }] })
+      ];
+
+      expect((await provider().generate('Prompt')).content).toBe('Tip');
+      expect(requests).toHaveLength(2);
+    });
+
+    test('should not retry client errors', async () => {
+      answers = [answer(401, { error: { message: 'Invalid API key' } })];
+
+      await expect(provider().generate('Prompt')).rejects.toThrow('OpenAI-compatible API error: 401 - Invalid API key');
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should give up after the last retry', async () => {
+      answers = [answer(500, 'not json')];
+
+      await expect(provider().generate('Prompt')).rejects.toThrow('OpenAI-compatible API error: 500 - Unknown error');
+      expect(requests).toHaveLength(3);
+    });
+
+    test('should time out a server that never answers', async () => {
+      answers = ['hang'];
+
+      await expect(provider().generate('Prompt')).rejects.toThrow('Request timeout - OpenAI-compatible API took too long to respond');
+      expect(requests).toHaveLength(3);
+    });
+
+    test('should report a server that cannot be reached', async () => {
+      const unreachable = createOpenAICompatibleProvider({ baseUrl: 'http://127.0.0.1:1', model: 'llama3' }, {
+        ...fastRequests,
+        maxRetries: 0
+      });
+
+      await expect(unreachable.generate('Prompt')).rejects.toThrow('Network error - Unable to connect to OpenAI-compatible API');
+    });
+  });
+
+  describe('mock', () => {
+    test('should answer the same way every time', async () => {
+      const provider = createMockProvider();
+      const first = await provider.generate('Prompt');
+
+      expect(first.content).toEqual(expect.any(String));
+      expect(await provider.generate('Another prompt')).toEqual(first);
+      expect(provider.validate()).toEqual([]);
+    });
+
+    test('should answer with a function of the prompt', async () => {
+      const provider = createMockProvider({ response: prompt => `Echo: ${prompt}` });
+      expect((await provider.generate('Hi')).content).toBe('Echo: Hi');
+    });
+
+    test('should answer a conversation from its last question', async () => {
+      const provider = createMockProvider();
+      const messages = [
+        { role: 'system', content: 'You are a coach.' },
+        { role: 'user', content: 'Why do I miss my evening habits?' }
+      ];
+
+      const reply = await provider.chat(messages);
+
+      expect(reply.content).toContain('"Why do I miss my evening habits?"');
+      expect(await provider.chat(messages)).toEqual(reply);
+    });
+  });
+
+  describe('settings', () => {
+    test('should create the provider the settings choose', () => {
+      expect(createAIProvider().type).toBe(AI_PROVIDER_TYPES.GEMINI);
+      expect(createAIProvider({ type: AI_PROVIDER_TYPES.OPENAI_COMPATIBLE, baseUrl, model: 'x' }).type)
+        .toBe(AI_PROVIDER_TYPES.OPENAI_COMPATIBLE);
+      expect(createAIProvider({ type: AI_PROVIDER_TYPES.MOCK }).type).toBe(AI_PROVIDER_TYPES.MOCK);
+    });
+
+    test('should validate settings', () => {
+      expect(validateAIProviderSettings({
+        type: AI_PROVIDER_TYPES.OPENAI_COMPATIBLE,
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3',
+        apiKey: null
+      })).toEqual([]);
+      expect(validateAIProviderSettings({ type: 'other' })).toEqual(['Unknown AI provider: other']);
+      expect(validateAIProviderSettings({ type: AI_PROVIDER_TYPES.GEMINI, baseUrl: 'ftp://example.com' }))
+        .toEqual(['Invalid AI provider URL: ftp://example.com']);
+      expect(validateAIProviderSettings({ type: AI_PROVIDER_TYPES.MOCK, model: 3 }))
+        .toEqual(['Invalid AI provider model']);
+      expect(validateAIProviderSettings(null)).toEqual(['Invalid AI provider settings']);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+// Unit tests for AI tips and the provider chosen in the user preferences
+const http = require('http');
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+const { generateEnhancedAITip, testAIConnection } = require('../aiTips');
+const { saveUserPreferences } = require('../storage');
+const { AI_PROVIDER_TYPES } = require('../aiProviders');
+
+describe('AI tips', () => {
+  const habits = [{
+    id: 'read',
+    name: 'Read',
+    frequency: 'daily',
+    schedule: null,
+    type: 'check',
+    createdAt: '2024-03-01T12:00:00.000Z',
+    completionHistory: [],
+    archivedAt: null,
+    pausedRanges: []
+  }];
+  let store;
+  let server;
+  let baseUrl;
+  let prompts;
+
+  beforeEach(async () => {
+    store = {};
+    AsyncStorage.getItem.mockImplementation(async (key) => (key in store ? store[key] : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      store[key] = value;
+    });
+
+    // A local OpenAI-compatible server
+    prompts = [];
+    server = http.createServer((request, response) => {
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('end', () => {
+        prompts.push(JSON.parse(Buffer.concat(chunks).toString('utf8')).messages[0].content);
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ choices: [{ message: { content: '  Read one page tonight.  ' } }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should use the provider chosen in the user preferences', async () => {
+    await saveUserPreferences({
+      aiProvider: { type: AI_PROVIDER_TYPES.OPENAI_COMPATIBLE, baseUrl, model: 'llama3', apiKey: null }
+    });
+
+    const result = await generateEnhancedAITip(habits);
+
+    expect(result).toMatchObject({ success: true, tip: 'Read one page tonight.', source: AI_PROVIDER_TYPES.OPENAI_COMPATIBLE });
+    expect(prompts).toHaveLength(1);
+    expect(prompts[0]).toContain('Total Habits: 1');
+  });
+
+  test('should answer from the mock provider without a network', async () => {
+    await saveUserPreferences({ aiProvider: { type: AI_PROVIDER_TYPES.MOCK, baseUrl: null, model: null, apiKey: null } });
+
+    const result = await generateEnhancedAITip(habits);
+
+    expect(result).toMatchObject({ success: true, source: AI_PROVIDER_TYPES.MOCK });
+    expect(prompts).toHaveLength(0);
+  });
+
+  test('should fall back to the built-in tips when the provider is not set up', async () => {
+    await saveUserPreferences({
+      aiProvider: { type: AI_PROVIDER_TYPES.OPENAI_COMPATIBLE, baseUrl: null, model: null, apiKey: null }
+    });
+
+    const result = await generateEnhancedAITip(habits);
+
+    expect(result).toMatchObject({ success: true, source: 'fallback', apiError: 'API unavailable, using fallback' });
+    expect(result.tip).toEqual(expect.any(String));
+  });
+
+  test('should not save invalid provider settings', async () => {
+    expect(await saveUserPreferences({ aiProvider: { type: 'other' } })).toBe(false);
+  });
+
+  test('should test settings before they are saved', async () => {
+    const result = await testAIConnection({ type: AI_PROVIDER_TYPES.OPENAI_COMPATIBLE, baseUrl, model: 'llama3' });
+
+    expect(result).toMatchObject({ success: true, message: 'OpenAI-compatible connection successful' });
+    expect(await testAIConnection({ type: AI_PROVIDER_TYPES.OPENAI_COMPATIBLE, baseUrl: null, model: null }))
+      .toMatchObject({ success: false, error: expect.stringContaining('Configuration error') });
+  });
+});
@@ -0,0 +1,227 @@
+// Unit tests for the undo history in the app state manager
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+const { AppStateManager, UNDOABLE_ACTIONS, UNDO_HISTORY_LIMIT } = require('../appStateManager');
+const { getHabits, updateHabitCompletion, deleteHabit } = require('../storage');
+const { setReminderScheduler } = require('../reminders');
+const { createMemoryScheduler } = require('../memoryScheduler');
+const { STORAGE_KEYS, DEFAULT_VALUES } = require('../types');
+
+jest.mock('react-native', () => ({
+  Alert: {
+    alert: jest.fn()
+  }
+}));
+
+describe('App State Manager undo history', () => {
+  // Sunday 2024-03-10, 06:00 local time
+  const now = new Date(2024, 2, 10, 6, 0);
+  let store;
+  let manager;
+  let scheduler;
+
+  const habit = (id, name, extra = {}) => ({
+    id,
+    name,
+    frequency: 'daily',
+    schedule: null,
+    type: 'check',
+    targetTime: null,
+    reminderTimes: [],
+    createdAt: '2024-03-01T12:00:00.000Z',
+    completedDays: 0,
+    totalDays: 0,
+    completionHistory: [],
+    isCompleted: false,
+    archivedAt: null,
+    pausedRanges: [],
+    ...extra
+  });
+
+  const storeHabits = (habits) => {
+    store[STORAGE_KEYS.HABITS] = JSON.stringify({ habits, lastUpdated: now.toISOString(), version: DEFAULT_VALUES.VERSION });
+  };
+
+  const names = async () => (await getHabits()).map(item => item.name);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers().setSystemTime(now);
+    store = {};
+    AsyncStorage.getItem.mockImplementation(async (key) => (key in store ? store[key] : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      store[key] = value;
+    });
+    AsyncStorage.removeItem.mockImplementation(async (key) => {
+      delete store[key];
+    });
+    scheduler = createMemoryScheduler();
+    setReminderScheduler(scheduler);
+    storeHabits([
+      habit('read', 'Read', { completionHistory: [{ date: '2024-03-09', completed: true }] }),
+      habit('run', 'Run', { reminderTimes: ['20:00'] }),
+      habit('stretch', 'Stretch')
+    ]);
+    manager = new AppStateManager();
+  });
+
+  afterEach(() => {
+    setReminderScheduler(null);
+    jest.useRealTimers();
+  });
+
+  test('should undo and redo checking off a habit', async () => {
+    expect(await manager.toggleHabitCompletion('read', true)).toBe(true);
+    expect(manager.getState().undoLabel).toBe('Check off "Read"');
+
+    expect(await manager.undo()).toBe(true);
+    let [read] = await getHabits();
+    expect(read.isCompleted).toBe(false);
+    expect(read.completionHistory).toEqual([{ date: '2024-03-09', completed: true }]);
+    expect(manager.getState()).toMatchObject({ undoLabel: null, redoLabel: 'Check off "Read"' });
+
+    expect(await manager.redo()).toBe(true);
+    [read] = await getHabits();
+    expect(read.isCompleted).toBe(true);
+    expect(read.completedDays).toBe(2);
+  });
+
+  test('should put a deleted habit back in its place with its history and reminders', async () => {
+    expect(await manager.deleteHabit('run')).toBe(true);
+    expect(await scheduler.getScheduled()).toEqual([]);
+
+    expect(await manager.undo()).toBe(true);
+
+    expect(await names()).toEqual(['Read', 'Run', 'Stretch']);
+    expect(await scheduler.getScheduled()).not.toEqual([]);
+    expect(manager.getState().habits.map(item => item.id)).toEqual(['read', 'run', 'stretch']);
+  });
+
+  test('should remove an added habit on undo', async () => {
+    const added = await manager.addHabit({ name: 'Journal', frequency: 'daily' });
+
+    expect(await names()).toEqual(['Read', 'Run', 'Stretch', 'Journal']);
+    expect(await manager.undo()).toBe(true);
+    expect(await names()).toEqual(['Read', 'Run', 'Stretch']);
+
+    expect(await manager.redo()).toBe(true);
+    expect((await getHabits())[3].id).toBe(added.id);
+  });
+
+  test('should undo an edit without losing check-ins made since', async () => {
+    expect(await manager.editHabit('read', { name: 'Read a book' })).toBe(true);
+    // Changed outside the undo history, e.g. from the history calendar
+    expect(await updateHabitCompletion('read', true)).toBe(true);
+
+    expect(await manager.undo()).toBe(true);
+
+    const [read] = await getHabits();
+    expect(read.name).toBe('Read');
+    expect(read.isCompleted).toBe(true);
+  });
+
+  test('should record only its own change when another lands at the same time', async () => {
+    await manager.loadHabits();
+    const getItem = AsyncStorage.getItem.getMockImplementation();
+    let other = null;
+    AsyncStorage.getItem.mockImplementation(async (key) => {
+      // Checked off elsewhere while the toggle is under way
+      if (key.startsWith(`${STORAGE_KEYS.HABITS}/`) && !other) other = updateHabitCompletion('run', true);
+      return getItem(key);
+    });
+
+    expect(await manager.toggleHabitCompletion('read', true)).toBe(true);
+    expect(await other).toBe(true);
+    expect(await manager.undo()).toBe(true);
+
+    const [read, run] = await getHabits();
+    expect(read.isCompleted).toBe(false);
+    expect(run.isCompleted).toBe(true);
+  });
+
+  test('should toggle without reading the other habits', async () => {
+    await manager.loadHabits();
+    AsyncStorage.getItem.mockClear();
+
+    expect(await manager.toggleHabitCompletion('read', true)).toBe(true);
+
+    const readKeys = AsyncStorage.getItem.mock.calls.map(([key]) => key);
+    expect(readKeys.some(key => key.startsWith(`${STORAGE_KEYS.HABITS}/run`))).toBe(false);
+    expect(readKeys.some(key => key.startsWith(`${STORAGE_KEYS.HABITS}/stretch`))).toBe(false);
+    const [read] = manager.getState().habits;
+    expect(read).toMatchObject({ isCompleted: true, completedDays: 2 });
+    expect(read.completionHistory).toHaveLength(2);
+  });
+
+  test('should undo a reorder', async () => {
+    expect(await manager.reorderHabits(['stretch', 'read'])).toBe(true);
+    expect(await names()).toEqual(['Stretch', 'Read', 'Run']);
+
+    expect(await manager.undo()).toBe(true);
+    expect(await names()).toEqual(['Read', 'Run', 'Stretch']);
+  });
+
+  test('should keep the history across restarts', async () => {
+    await manager.toggleHabitCompletion('run', true);
+
+    const restarted = new AppStateManager();
+    await restarted.loadUndoHistory();
+
+    expect(restarted.getState().undoLabel).toBe('Check off "Run"');
+    expect(await restarted.undo()).toBe(true);
+    expect((await getHabits())[1].isCompleted).toBe(false);
+  });
+
+  test('should keep only the last few actions', async () => {
+    for (let i = 0; i < UNDO_HISTORY_LIMIT + 2; i++) {
+      await manager.toggleHabitCompletion('read', i % 2 === 0);
+    }
+
+    const { undo } = JSON.parse(store[STORAGE_KEYS.UNDO_HISTORY]);
+    expect(undo).toHaveLength(UNDO_HISTORY_LIMIT);
+    expect(undo.every(command => command.type === UNDOABLE_ACTIONS.TOGGLE)).toBe(true);
+  });
+
+  test('should clear the redo history on a new action', async () => {
+    await manager.toggleHabitCompletion('read', true);
+    await manager.undo();
+
+    await manager.toggleHabitCompletion('stretch', true);
+
+    expect(manager.getState().redoLabel).toBeNull();
+    expect(await manager.redo()).toBe(false);
+  });
+
+  test('should undo only the change an Undo button was shown for', async () => {
+    let readCommand;
+    let runCommand;
+    await manager.toggleHabitCompletion('read', true, { onRecorded: command => { readCommand = command; } });
+    await manager.toggleHabitCompletion('run', true, { onRecorded: command => { runCommand = command; } });
+    expect(readCommand.label).toBe('Check off "Read"');
+
+    // Another change came after it
+    expect(await manager.undo(readCommand.id)).toBe(false);
+    let [read, run] = await getHabits();
+    expect([read.isCompleted, run.isCompleted]).toEqual([true, true]);
+
+    expect(await manager.undo(runCommand.id)).toBe(true);
+    [read, run] = await getHabits();
+    expect([read.isCompleted, run.isCompleted]).toEqual([true, false]);
+  });
+
+  test('should not record actions that fail', async () => {
+    expect(await manager.toggleHabitCompletion('missing', true)).toBe(false);
+
+    expect(manager.getState().undoLabel).toBeNull();
+    expect(await manager.undo()).toBe(false);
+  });
+
+  test('should drop an action whose habit was deleted some other way', async () => {
+    await manager.toggleHabitCompletion('stretch', true);
+    await deleteHabit('stretch');
+
+    expect(await manager.undo()).toBe(false);
+
+    expect(manager.getState().undoLabel).toBeNull();
+    expect(await names()).toEqual(['Read', 'Run']);
+  });
+});
@@ -0,0 +1,249 @@
+// Unit tests for the AI habit coach
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+const {
+  COACH_LIMITS,
+  estimateTokens,
+  buildCoachContext,
+  buildCoachMessages,
+  getCoachConversation,
+  clearCoachConversation,
+  askCoach
+} = require('../coach');
+const { AI_PROVIDER_TYPES, createMockProvider } = require('../aiProviders');
+const { saveUserPreferences } = require('../storage');
+const { STORAGE_KEYS } = require('../types');
+
+describe('AI habit coach', () => {
+  // Sunday 2024-03-10, 21:00 local time
+  const now = new Date(2024, 2, 10, 21, 0);
+  let store;
+  let sent;
+
+  // Replies with the question and how many messages it was sent with
+  const provider = () => createMockProvider({
+    response: (prompt, messages) => {
+      sent.push(messages);
+      return `Re: ${prompt} (${messages.length} messages)`;
+    }
+  });
+
+  const habit = (id, name, doneDates, extra = {}) => ({
+    id,
+    name,
+    frequency: 'daily',
+    schedule: null,
+    type: 'check',
+    createdAt: '2024-03-01T12:00:00.000Z',
+    completedDays: doneDates.length,
+    totalDays: 10,
+    completionHistory: doneDates.map(date => ({
+      date,
+      completed: true,
+      completedAt: new Date(`${date}T07:30:00`).toISOString()
+    })),
+    isCompleted: false,
+    archivedAt: null,
+    pausedRanges: [],
+    ...extra
+  });
+
+  const habits = [
+    habit('read', 'Read', ['2024-03-08', '2024-03-09', '2024-03-10']),
+    habit('stretch', 'Evening stretch', ['2024-03-02'], { targetTime: '21:00' })
+  ];
+
+  beforeEach(() => {
+    jest.useFakeTimers({ advanceTimers: true }).setSystemTime(now);
+    store = {};
+    sent = [];
+    AsyncStorage.getItem.mockImplementation(async (key) => (key in store ? store[key] : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      store[key] = value;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('context', () => {
+    test('should describe the habits that need the most help first', () => {
+      const context = buildCoachContext(habits);
+
+      expect(context).toContain('Today: 2024-03-10');
+      expect(context).toContain('Active habits: 2');
+      expect(context.indexOf('- "Evening stretch"')).toBeLessThan(context.indexOf('- "Read"'));
+      expect(context).toContain('- "Evening stretch" (daily, target time 21:00): 10% done');
+      expect(context).toContain('  Last 14 days: NYNNNNNNNN');
+      expect(context).toContain('- "Read" (daily): 30% done, usually checked off around 07:00');
+      expect(context).toContain('  Last 14 days: NNNNNNNYYY');
+      expect(context).toMatch(/ {2}Insights: .*room for improvement/);
+    });
+
+    test('should leave out archived habits', () => {
+      const context = buildCoachContext([...habits, habit('old', 'Old habit', [], { archivedAt: '2024-03-05T12:00:00.000Z' })]);
+      expect(context).not.toContain('Old habit');
+    });
+
+    test('should shorten and then leave out habits beyond the budget', () => {
+      const many = Array.from({ length: 12 }, (_, index) => habit(`h${index}`, `Habit ${index}`, ['2024-03-09']));
+      const full = buildCoachContext(many, 100000);
+      const budget = estimateTokens(buildCoachContext([], 100000)) + 150;
+
+      const context = buildCoachContext(many, budget);
+
+      expect(full).not.toContain('left out');
+      expect(estimateTokens(context)).toBeLessThanOrEqual(budget + 20);
+      expect(context).toContain('Last 14 days');
+      expect(context).toMatch(/- "Habit \d+" \(daily\): 10% done$/m);
+      expect(context).toMatch(/\(\d+ more habit\(s\) left out to keep this short\)$/);
+    });
+  });
+
+  describe('messages', () => {
+    const conversation = [
+      { role: 'user', content: 'First question' },
+      { role: 'assistant', content: 'First answer' },
+      { role: 'user', content: 'Second question' },
+      { role: 'assistant', content: 'x'.repeat(40) }
+    ];
+
+    test('should send the instructions, the earlier turns and the question', () => {
+      const messages = buildCoachMessages('Context', conversation, 'Third question');
+
+      expect(messages[0]).toEqual({ role: 'system', content: expect.stringMatching(/habit coach[\s\S]*\n\nContext$/) });
+      expect(messages.slice(1)).toEqual([...conversation, { role: 'user', content: 'Third question' }]);
+    });
+
+    test('should drop the oldest turns beyond the budget and start on a question', () => {
+      // Fits the last three messages, the first of which is an answer
+      const budget = estimateTokens('First answer') + estimateTokens('Second question') + estimateTokens('x'.repeat(40));
+
+      const messages = buildCoachMessages('Context', conversation, 'Third question', budget);
+
+      expect(messages.slice(1).map(message => message.content)).toEqual([
+        'Second question',
+        'x'.repeat(40),
+        'Third question'
+      ]);
+    });
+  });
+
+  describe('conversation', () => {
+    test('should save questions and answers and send them with the next question', async () => {
+      const first = await askCoach('  Why do I keep missing my evening habits? ', habits, { provider: provider() });
+      const second = await askCoach('What should I change?', habits, { provider: provider() });
+
+      expect(first).toMatchObject({
+        success: true,
+        reply: { role: 'assistant', content: 'Re: Why do I keep missing my evening habits? (2 messages)', source: AI_PROVIDER_TYPES.MOCK }
+      });
+      expect(second.reply.content).toBe('Re: What should I change? (4 messages)');
+      expect(sent[1][0].content).toContain('"Evening stretch"');
+
+      const conversation = await getCoachConversation();
+      expect(conversation).toEqual(second.messages);
+      expect(conversation.map(message => [message.role, message.content])).toEqual([
+        ['user', 'Why do I keep missing my evening habits?'],
+        ['assistant', 'Re: Why do I keep missing my evening habits? (2 messages)'],
+        ['user', 'What should I change?'],
+        ['assistant', 'Re: What should I change? (4 messages)']
+      ]);
+      expect(conversation[0]).toEqual({
+        id: expect.any(String),
+        role: 'user',
+        content: 'Why do I keep missing my evening habits?',
+        createdAt: now.toISOString()
+      });
+    });
+
+    test('should keep only the newest messages', async () => {
+      store[STORAGE_KEYS.COACH_CONVERSATION] = JSON.stringify({
+        messages: Array.from({ length: COACH_LIMITS.STORED_MESSAGES }, (_, index) => ({
+          id: `m${index}`,
+          role: index % 2 === 0 ? 'user' : 'assistant',
+          content: `Message ${index}`,
+          createdAt: now.toISOString()
+        }))
+      });
+
+      await askCoach('Newest question', habits, { provider: provider() });
+
+      const conversation = await getCoachConversation();
+      expect(conversation).toHaveLength(COACH_LIMITS.STORED_MESSAGES);
+      expect(conversation[0].content).toBe('Message 2');
+    });
+
+    test('should save nothing when the provider fails', async () => {
+      const failing = createMockProvider({
+        response: () => {
+          throw new Error('Model is loading');
+        }
+      });
+
+      expect(await askCoach('Hello?', habits, { provider: failing }))
+        .toEqual({ success: false, error: 'Model is loading' });
+      expect(await askCoach('   ', habits, { provider: provider() }))
+        .toEqual({ success: false, error: 'Question is empty' });
+      expect(await getCoachConversation()).toEqual([]);
+    });
+
+    test('should report a provider that is not configured', async () => {
+      const unconfigured = { ...provider(), validate: () => ['AI provider URL is not configured'] };
+
+      expect(await askCoach('Hello?', habits, { provider: unconfigured })).toEqual({
+        success: false,
+        error: 'Configuration error: AI provider URL is not configured'
+      });
+      expect(sent).toEqual([]);
+    });
+
+    test('should use the provider from the preferences', async () => {
+      await saveUserPreferences({
+        aiProvider: { type: AI_PROVIDER_TYPES.MOCK, baseUrl: null, model: null, apiKey: null }
+      });
+
+      const first = await askCoach('Why do I keep missing my evening habits?', habits);
+      await clearCoachConversation();
+      const again = await askCoach('Why do I keep missing my evening habits?', habits);
+
+      expect(first.reply.content).toContain('"Why do I keep missing my evening habits?"');
+      expect(again.reply.content).toBe(first.reply.content);
+      expect(await getCoachConversation()).toHaveLength(2);
+    });
+
+    test('should forget the conversation', async () => {
+      await askCoach('Hello?', habits, { provider: provider() });
+
+      expect(await clearCoachConversation()).toBe(true);
+      expect(await getCoachConversation()).toEqual([]);
+    });
+
+    test('should not bring cleared messages back when a reply arrives', async () => {
+      await askCoach('Hello?', habits, { provider: provider() });
+      // Clear while the reply is being saved, right after the stored
+      // conversation is read
+      let replied = false;
+      const clearing = [];
+      AsyncStorage.getItem.mockImplementation(async (key) => {
+        const value = key in store ? store[key] : null;
+        if (replied && key === STORAGE_KEYS.COACH_CONVERSATION) {
+          replied = false;
+          clearing.push(clearCoachConversation());
+        }
+        return value;
+      });
+      const answer = createMockProvider({
+        response: () => {
+          replied = true;
+          return 'Still here';
+        }
+      });
+
+      expect(await askCoach('Still there?', habits, { provider: answer })).toMatchObject({ success: true });
+      expect(await Promise.all(clearing)).toEqual([true]);
+
+      expect(await getCoachConversation()).toEqual([]);
+    });
+  });
+});
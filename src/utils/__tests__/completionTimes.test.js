@@ -0,0 +1,121 @@
+// Unit tests for completion timestamps and time-of-day analytics
+const {
+  stampCompletionTime,
+  getCompletionHour,
+  countTimedCompletions,
+  getTimeOfDayHistogram
+} = require('../completionTimes');
+const { setDayRolloverHour } = require('../localDate');
+
+describe('Completion Times', () => {
+  // Local timestamps so hours don't depend on the test machine's time zone
+  const at = (day, hour, minute = 0) => new Date(2024, 2, day, hour, minute).toISOString();
+
+  const habitWith = (entries, extra = {}) => ({
+    id: 'timed',
+    name: 'Read',
+    frequency: 'daily',
+    targetTime: null,
+    createdAt: '2024-03-01T12:00:00.000Z',
+    completedDays: entries.filter(entry => entry.completed).length,
+    totalDays: 10,
+    currentStreak: 0,
+    longestStreak: 0,
+    completionHistory: entries,
+    archivedAt: null,
+    pausedRanges: [],
+    ...extra
+  });
+
+  afterEach(() => {
+    setDayRolloverHour(0);
+  });
+
+  describe('stamping entries', () => {
+    test('should stamp a newly completed entry', () => {
+      const entry = stampCompletionTime({ date: '2024-03-10', completed: true }, undefined, at(10, 7));
+
+      expect(entry).toEqual({ date: '2024-03-10', completed: true, completedAt: at(10, 7) });
+    });
+
+    test('should keep the first completion time', () => {
+      const previous = { date: '2024-03-10', completed: true, amount: 5, completedAt: at(10, 7) };
+      const entry = stampCompletionTime({ date: '2024-03-10', completed: true, amount: 8 }, previous, at(10, 21));
+
+      expect(entry.completedAt).toBe(at(10, 7));
+    });
+
+    test('should drop the time when a day is no longer completed', () => {
+      const previous = { date: '2024-03-10', completed: true, completedAt: at(10, 7) };
+
+      expect(stampCompletionTime({ date: '2024-03-10', completed: false }, previous, at(10, 9)))
+        .toEqual({ date: '2024-03-10', completed: false });
+    });
+
+    test('should record an unknown time as null', () => {
+      expect(stampCompletionTime({ date: '2024-03-01', completed: true }, undefined, null).completedAt).toBeNull();
+    });
+  });
+
+  describe('completion hours', () => {
+    test('should read the local hour of a completion', () => {
+      expect(getCompletionHour({ date: '2024-03-10', completed: true, completedAt: at(10, 21, 45) })).toBe(21);
+    });
+
+    test('should ignore entries without a usable time', () => {
+      expect(getCompletionHour({ date: '2024-03-10', completed: true, completedAt: null })).toBeNull();
+      expect(getCompletionHour({ date: '2024-03-10', completed: true })).toBeNull();
+      expect(getCompletionHour({ date: '2024-03-10', completed: true, completedAt: 'not a date' })).toBeNull();
+      expect(getCompletionHour({ date: '2024-03-10', completed: false, completedAt: at(10, 8) })).toBeNull();
+    });
+  });
+
+  describe('early and late completions', () => {
+    const habit = habitWith([
+      { date: '2024-03-07', completed: true, completedAt: at(7, 6) },
+      { date: '2024-03-08', completed: true, completedAt: at(8, 8, 59) },
+      { date: '2024-03-09', completed: true, completedAt: at(9, 12) },
+      { date: '2024-03-10', completed: true, completedAt: at(10, 22) },
+      { date: '2024-03-11', completed: true, completedAt: at(12, 1) },
+      { date: '2024-03-12', completed: true, completedAt: null }
+    ]);
+
+    test('should count completions by the hour they happened', () => {
+      expect(countTimedCompletions([habit])).toEqual({ early: 3, late: 1, timed: 5 });
+    });
+
+    test('should count the hours before the day rollover as late', () => {
+      setDayRolloverHour(3);
+
+      expect(countTimedCompletions([habit])).toEqual({ early: 2, late: 2, timed: 5 });
+    });
+
+    test('should leave out archived habits', () => {
+      const archived = { ...habit, id: 'archived', archivedAt: '2024-03-12T12:00:00.000Z' };
+
+      expect(countTimedCompletions([habit, archived]).timed).toBe(5);
+    });
+  });
+
+  describe('time of day histogram', () => {
+    test('should group completions into three-hour buckets', () => {
+      const histogram = getTimeOfDayHistogram([habitWith([
+        { date: '2024-03-08', completed: true, completedAt: at(8, 0) },
+        { date: '2024-03-09', completed: true, completedAt: at(9, 2, 59) },
+        { date: '2024-03-10', completed: true, completedAt: at(10, 23) }
+      ])]);
+
+      expect(histogram).toHaveLength(8);
+      expect(histogram[0]).toEqual({ startHour: 0, label: '12a', count: 2 });
+      expect(histogram[4]).toEqual({ startHour: 12, label: '12p', count: 0 });
+      expect(histogram[7]).toEqual({ startHour: 21, label: '9p', count: 1 });
+    });
+
+    test('should support other bucket sizes', () => {
+      const histogram = getTimeOfDayHistogram([], 6);
+
+      expect(histogram.map(bucket => bucket.label)).toEqual(['12a', '6a', '12p', '6p']);
+      expect(histogram.every(bucket => bucket.count === 0)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+// Unit tests for CSV reading and writing
+const { formatCsvField, formatCsv, parseCsv, parseCsvRecords } = require('../csv');
+
+describe('CSV', () => {
+  describe('formatting', () => {
+    test('should quote fields only when needed', () => {
+      expect(formatCsvField('Read')).toBe('Read');
+      expect(formatCsvField('Read, write')).toBe('"Read, write"');
+      expect(formatCsvField('The "Daily" walk')).toBe('"The ""Daily"" walk"');
+      expect(formatCsvField('Line one\nLine two')).toBe('"Line one\nLine two"');
+      expect(formatCsvField(' padded ')).toBe('" padded "');
+    });
+
+    test('should write empty fields for missing values', () => {
+      expect(formatCsvField(null)).toBe('');
+      expect(formatCsvField(undefined)).toBe('');
+      expect(formatCsvField(0)).toBe('0');
+    });
+
+    test('should end every row with CRLF', () => {
+      expect(formatCsv(['a', 'b'], [[1, 'x,y']])).toBe('a,b\r\n1,"x,y"\r\n');
+    });
+  });
+
+  describe('parsing', () => {
+    test('should read quoted fields', () => {
+      expect(parseCsv('name,note\r\n"Read, write","Say ""hi""\nthen go"\r\n')).toEqual([
+        ['name', 'note'],
+        ['Read, write', 'Say "hi"\nthen go']
+      ]);
+    });
+
+    test('should accept LF line breaks, a byte order mark and a missing final line break', () => {
+      expect(parseCsv('\uFEFFa,b\n1,2\n\n3,')).toEqual([['a', 'b'], ['1', '2'], ['3', '']]);
+    });
+
+    test('should read records by header name', () => {
+      expect(parseCsvRecords(' habit ,date\nRead,2024-03-10\nWalk')).toEqual({
+        header: ['habit', 'date'],
+        records: [
+          { habit: 'Read', date: '2024-03-10' },
+          { habit: 'Walk', date: '' }
+        ]
+      });
+    });
+
+    test('should read back what it writes', () => {
+      const rows = [['=1+1', ' lead', 'tail ', '"', ',', '\r\n', 'Ünïcödé 🏃']];
+
+      expect(parseCsv(formatCsv(['a', 'b', 'c', 'd', 'e', 'f', 'g'], rows)).slice(1)).toEqual(rows);
+    });
+  });
+});
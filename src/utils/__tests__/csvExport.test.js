@@ -0,0 +1,129 @@
+// Unit tests for the spreadsheet CSV exports
+const {
+  HISTORY_CSV_COLUMNS,
+  SUMMARY_CSV_COLUMNS,
+  buildHistoryCsv,
+  buildSummaryCsv
+} = require('../csvExport');
+const { parseCsvRecords } = require('../csv');
+const {
+  calculateCompletionPercentage,
+  calculateStreak,
+  calculateConsistencyScore
+} = require('../progressCalculations');
+
+describe('CSV Export', () => {
+  const reading = {
+    id: 'reading',
+    name: 'Read "Dune", chapter by chapter',
+    frequency: 'daily',
+    schedule: null,
+    type: 'check',
+    targetValue: null,
+    unit: null,
+    createdAt: '2024-03-07T08:00:00.000Z',
+    completedDays: 2,
+    totalDays: 4,
+    completionHistory: [
+      { date: '2024-03-09', completed: true, completedAt: '2024-03-09T21:15:00.000Z' },
+      { date: '2024-03-07', completed: true, completedAt: null },
+      { date: '2024-03-08', completed: false }
+    ],
+    archivedAt: null,
+    pausedRanges: []
+  };
+  const water = {
+    ...reading,
+    id: 'water',
+    name: 'Drink water\nevery day',
+    type: 'measurable',
+    targetValue: 8,
+    unit: 'glasses',
+    completedDays: 1,
+    completionHistory: [
+      { date: '2024-03-08', completed: false, amount: 3.5 },
+      { date: '2024-03-09', completed: true, amount: 8, completedAt: '2024-03-09T09:00:00.000Z', note: 'Easy, with "lemon"' }
+    ],
+    archivedAt: '2024-03-10T08:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-03-10T12:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('history', () => {
+    test('should write one row per habit per date', () => {
+      const { header, records } = parseCsvRecords(buildHistoryCsv([reading, water]));
+
+      expect(header).toEqual(HISTORY_CSV_COLUMNS);
+      expect(records).toHaveLength(5);
+      expect(records.map(record => record.date)).toEqual([
+        '2024-03-07', '2024-03-08', '2024-03-09', '2024-03-08', '2024-03-09'
+      ]);
+      expect(records[3]).toEqual({
+        habit_id: 'water',
+        habit: 'Drink water\nevery day',
+        date: '2024-03-08',
+        completed: 'false',
+        amount: '3.5',
+        unit: 'glasses',
+        completed_at: '',
+        note: ''
+      });
+    });
+
+    test('should round-trip names, dates, completion, amounts, times and notes', () => {
+      const habits = [reading, water];
+      const { records } = parseCsvRecords(buildHistoryCsv(habits));
+
+      habits.forEach(habit => {
+        const rows = records.filter(record => record.habit_id === habit.id);
+        const entries = [...habit.completionHistory].sort((a, b) => a.date.localeCompare(b.date));
+
+        expect(rows.map(row => row.habit)).toEqual(entries.map(() => habit.name));
+        expect(rows.map(row => ({
+          date: row.date,
+          completed: row.completed === 'true',
+          amount: row.amount === '' ? undefined : Number(row.amount),
+          completedAt: row.completed_at || (row.completed === 'true' ? null : undefined),
+          note: row.note || undefined
+        }))).toEqual(entries.map(entry => ({
+          date: entry.date,
+          completed: entry.completed,
+          amount: entry.amount,
+          completedAt: entry.completedAt,
+          note: entry.note
+        })));
+      });
+    });
+
+    test('should write just the header without habits', () => {
+      expect(buildHistoryCsv([])).toBe(`${HISTORY_CSV_COLUMNS.join(',')}\r\n`);
+    });
+  });
+
+  describe('summary', () => {
+    test('should write one row per habit with its progress', () => {
+      const { header, records } = parseCsvRecords(buildSummaryCsv([reading, water]));
+
+      expect(header).toEqual(SUMMARY_CSV_COLUMNS);
+      expect(records[0]).toEqual({
+        habit_id: 'reading',
+        habit: reading.name,
+        frequency: 'daily',
+        completion_percent: String(calculateCompletionPercentage(reading)),
+        longest_streak: String(calculateStreak(reading.completionHistory, reading).longestStreak),
+        streak_unit: 'day',
+        consistency_score: String(calculateConsistencyScore(reading).score),
+        consistency_rating: calculateConsistencyScore(reading).rating,
+        archived: 'false'
+      });
+      expect(records[1].habit).toBe('Drink water\nevery day');
+      expect(records[1].archived).toBe('true');
+    });
+  });
+});
@@ -0,0 +1,215 @@
+// Unit tests for importing other trackers' CSV exports
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+const {
+  parseHabitCsv,
+  planHabitCsvImport,
+  previewHabitCsv,
+  importHabitCsv
+} = require('../csvImport');
+const { saveHabits, getHabits } = require('../storage');
+const { validateHabit } = require('../types');
+const fs = require('fs');
+const path = require('path');
+
+// Imports merge through dataTransfer, whose change detection can show alerts
+jest.mock('react-native', () => ({
+  Alert: {
+    alert: jest.fn()
+  }
+}));
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('CSV Import', () => {
+  const now = new Date('2024-03-10T12:00:00.000Z');
+  let store;
+
+  const datesOf = (habit) => habit.entries.map(entry => entry.date);
+
+  const meditate = {
+    id: 'meditate',
+    name: 'meditate',
+    frequency: 'daily',
+    schedule: null,
+    type: 'check',
+    targetValue: null,
+    unit: null,
+    targetTime: null,
+    reminderTimes: [],
+    createdAt: '2024-03-01T08:00:00.000Z',
+    completedDays: 0,
+    totalDays: 9,
+    completionHistory: [{ date: '2024-03-09', completed: false }],
+    isCompleted: false,
+    archivedAt: null,
+    pausedRanges: []
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers().setSystemTime(now);
+    store = {};
+    AsyncStorage.getItem.mockImplementation(async (key) => (key in store ? store[key] : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      store[key] = value;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Loop Habit Tracker', () => {
+    test('should read manual check-ins from each habit column', () => {
+      const { format, habits, rowCount } = parseHabitCsv(readFixture('import-loop-checkmarks.csv'));
+
+      expect(format).toBe('loop');
+      expect(rowCount).toBe(5);
+      expect(habits.map(habit => habit.name)).toEqual(['Meditate', 'Read, 20 pages', 'Run']);
+      expect(datesOf(habits[0])).toEqual(['2024-03-08', '2024-03-09']);
+      expect(datesOf(habits[1])).toEqual(['2024-03-07', '2024-03-08']);
+      // Checkmarks implied by the frequency (1) are not completions
+      expect(datesOf(habits[2])).toEqual(['2024-03-08']);
+    });
+
+    test('should report bad rows', () => {
+      expect(parseHabitCsv(readFixture('import-loop-checkmarks.csv')).errors).toEqual([
+        { row: 5, message: 'Unrecognized checkmark "7" for "Read, 20 pages"' },
+        { row: 6, message: 'Invalid or future date "2024-13-01"' }
+      ]);
+    });
+  });
+
+  describe('Habitica', () => {
+    test('should count a rise in task value as a completion', () => {
+      const { format, habits } = parseHabitCsv(readFixture('import-habitica-history.csv'));
+
+      expect(format).toBe('habitica');
+      expect(habits.map(habit => habit.name)).toEqual(['Stretch', 'Drink water']);
+      expect(datesOf(habits[0])).toEqual(['2024-03-07', '2024-03-09']);
+      expect(datesOf(habits[1])).toEqual(['2024-03-08', '2024-03-09']);
+    });
+
+    test('should report rows that cannot be imported', () => {
+      expect(parseHabitCsv(readFixture('import-habitica-history.csv')).errors).toEqual([
+        { row: 9, message: 'Only habits and dailies can be imported, not "todo"' },
+        { row: 10, message: 'Invalid or future date "not a date"' }
+      ]);
+    });
+  });
+
+  describe('generic spreadsheets', () => {
+    test('should read yes/no values and amounts', () => {
+      const { format, habits } = parseHabitCsv(readFixture('import-generic.csv'));
+
+      expect(format).toBe('generic');
+      expect(habits.map(habit => habit.name)).toEqual(['Journal', 'Water']);
+      // "no" and a check mark on the same day (any case) count as done
+      expect(habits[0].entries).toEqual([
+        { date: '2024-03-08', completed: true },
+        { date: '2024-03-09', completed: true }
+      ]);
+      // Amounts logged in parts add up
+      expect(habits[1].measurement).toEqual({ type: 'measurable', targetValue: 8, unit: 'glasses' });
+      expect(habits[1].entries).toEqual([
+        { date: '2024-03-08', completed: true, amount: 8 },
+        { date: '2024-03-09', completed: true, amount: 4 }
+      ]);
+    });
+
+    test('should report bad rows and import the rest', () => {
+      expect(parseHabitCsv(readFixture('import-generic.csv')).errors).toEqual([
+        { row: 8, message: 'Missing habit name' },
+        { row: 9, message: 'Unrecognized value "maybe"' },
+        { row: 10, message: 'Invalid or future date "2024-03-20"' },
+        { row: 11, message: 'Target must be a number greater than 0 and at most 100000' }
+      ]);
+    });
+
+    test('should reject files it does not recognize', () => {
+      const result = parseHabitCsv('when,what\n2024-03-09,Read\n');
+
+      expect(result.format).toBeNull();
+      expect(result.habits).toEqual([]);
+      expect(result.errors).toHaveLength(1);
+    });
+  });
+
+  describe('planning', () => {
+    test('should create valid daily habits starting on their first day', () => {
+      const { habits: imported } = parseHabitCsv(readFixture('import-generic.csv'));
+
+      const plan = planHabitCsvImport(imported, []);
+
+      expect(plan.added).toEqual(['Journal', 'Water']);
+      expect(plan.entriesAdded).toBe(4);
+      plan.habits.forEach(habit => expect(validateHabit(habit).isValid).toBe(true));
+      const water = plan.habits[1];
+      expect(water).toMatchObject({ type: 'measurable', frequency: 'daily', completedDays: 1, totalDays: 3 });
+      expect(water.completionHistory).toEqual([
+        { date: '2024-03-08', completed: true, amount: 8, completedAt: null },
+        { date: '2024-03-09', completed: false, amount: 4 }
+      ]);
+    });
+
+    test('should add missing days to habits with the same name', () => {
+      const { habits: imported } = parseHabitCsv(readFixture('import-loop-checkmarks.csv'));
+
+      const plan = planHabitCsvImport(imported, [meditate]);
+
+      expect(plan.merged).toEqual(['meditate']);
+      expect(plan.added).toEqual(['Read, 20 pages', 'Run']);
+      expect(plan.habits).toHaveLength(3);
+      // The day already tracked on this device is kept as it is
+      expect(plan.habits[0].completionHistory).toEqual([
+        { date: '2024-03-08', completed: true, completedAt: null },
+        { date: '2024-03-09', completed: false }
+      ]);
+    });
+
+    test('should not duplicate anything when a file is imported twice', () => {
+      const { habits: imported } = parseHabitCsv(readFixture('import-habitica-history.csv'));
+      const first = planHabitCsvImport(imported, []);
+
+      const second = planHabitCsvImport(imported, first.habits);
+
+      expect(second.added).toEqual([]);
+      expect(second.entriesAdded).toBe(0);
+      expect(second.habits).toHaveLength(2);
+    });
+  });
+
+  describe('importing', () => {
+    const storeHabits = async (habits) => {
+      await saveHabits(habits);
+      AsyncStorage.setItem.mockClear();
+    };
+
+    test('should preview without saving', async () => {
+      await storeHabits([meditate]);
+
+      const preview = await previewHabitCsv(readFixture('import-loop-checkmarks.csv'));
+
+      expect(preview).toMatchObject({ format: 'loop', added: ['Read, 20 pages', 'Run'], merged: ['meditate'], entriesAdded: 4 });
+      expect(preview.errors).toHaveLength(2);
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    test('should save imported habits', async () => {
+      await storeHabits([meditate]);
+
+      const result = await importHabitCsv(readFixture('import-generic.csv'));
+
+      expect(result).toMatchObject({ success: true, format: 'generic', added: ['Journal', 'Water'], entriesAdded: 4 });
+      const saved = await getHabits();
+      expect(saved.map(habit => habit.name)).toEqual(['meditate', 'Journal', 'Water']);
+    });
+
+    test('should not save an unrecognized file', async () => {
+      const result = await importHabitCsv('not,a,habit file\n');
+
+      expect(result.success).toBe(false);
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+  });
+});
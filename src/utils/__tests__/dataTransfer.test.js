@@ -0,0 +1,277 @@
+// Unit tests for data export and import
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+const {
+  EXPORT_FORMAT,
+  IMPORT_MODES,
+  createExportBundle,
+  serializeExportBundle,
+  parseExportBundle,
+  mergeHabitLists,
+  previewImport,
+  importBundle
+} = require('../dataTransfer');
+const { saveHabits, getHabits, saveUserPreferences, getAIProviderSettings, listBackups, getBackup } = require('../storage');
+const { STORAGE_KEYS, DEFAULT_VALUES } = require('../types');
+const { setDayRolloverHour } = require('../localDate');
+const { setVacationRanges } = require('../habitStatus');
+const legacyFixture = require('./fixtures/storage-v1.0.0.json');
+
+// The change preview comes from dataSynchronizer, whose error handler shows alerts
+jest.mock('react-native', () => ({
+  Alert: {
+    alert: jest.fn()
+  }
+}));
+
+describe('Data Transfer', () => {
+  const now = new Date('2024-03-10T12:00:00.000Z');
+  let store;
+
+  const habit = (id, name, completionHistory) => ({
+    id,
+    name,
+    frequency: 'daily',
+    schedule: null,
+    type: 'check',
+    targetValue: null,
+    unit: null,
+    targetTime: null,
+    reminderTimes: [],
+    createdAt: '2024-03-08T08:00:00.000Z',
+    completedDays: completionHistory.filter(entry => entry.completed).length,
+    totalDays: 3,
+    completionHistory,
+    isCompleted: false,
+    archivedAt: null,
+    pausedRanges: []
+  });
+
+  const storeData = async (habits, achievements = [], preferences = {}) => {
+    await saveHabits(habits);
+    AsyncStorage.setItem.mockClear();
+    store[STORAGE_KEYS.ACHIEVEMENTS] = JSON.stringify(achievements);
+    store[STORAGE_KEYS.USER_PREFERENCES] = JSON.stringify(preferences);
+  };
+
+  const stored = (key) => JSON.parse(store[key]);
+
+  const bundleWith = (habits, achievements = [], preferences = {}) => parseExportBundle({
+    format: EXPORT_FORMAT,
+    formatVersion: 1,
+    data: {
+      habits: { habits, lastUpdated: now.toISOString(), version: DEFAULT_VALUES.VERSION },
+      achievements,
+      preferences
+    },
+    metadata: { exportedAt: now.toISOString(), habitCount: habits.length, achievementCount: achievements.length }
+  }).bundle;
+
+  const reading = habit('reading', 'Read', [
+    { date: '2024-03-08', completed: true, completedAt: null },
+    { date: '2024-03-09', completed: false }
+  ]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers().setSystemTime(now);
+    store = {};
+    AsyncStorage.getItem.mockImplementation(async (key) => (key in store ? store[key] : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      store[key] = value;
+    });
+  });
+
+  afterEach(() => {
+    setDayRolloverHour(0);
+    setVacationRanges([]);
+    jest.useRealTimers();
+  });
+
+  describe('export', () => {
+    test('should bundle habits, achievements and preferences', async () => {
+      await storeData([reading], ['first_step'], { maxBackfillDays: 3 });
+
+      const bundle = await createExportBundle();
+
+      expect(bundle).toMatchObject({
+        format: EXPORT_FORMAT,
+        formatVersion: 1,
+        data: {
+          habits: { habits: [reading], version: DEFAULT_VALUES.VERSION },
+          achievements: ['first_step'],
+          preferences: { maxBackfillDays: 3, dayRolloverHour: 0, vacations: [] }
+        },
+        metadata: { exportedAt: now.toISOString(), habitCount: 1, achievementCount: 1 }
+      });
+    });
+
+    test('should read back its own export', async () => {
+      await storeData([reading], ['first_step']);
+
+      const result = parseExportBundle(serializeExportBundle(await createExportBundle()));
+
+      expect(result.isValid).toBe(true);
+      expect(result.bundle.data.habits.habits).toEqual([reading]);
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject text that is not an export', () => {
+      expect(parseExportBundle('{not json').errors).toEqual(['The file is not valid JSON']);
+      expect(parseExportBundle('{"habits": []}').errors).toEqual(['This is not a habit tracker export']);
+    });
+
+    test('should reject exports from a newer app version', () => {
+      const bundle = bundleWith([reading]);
+
+      expect(parseExportBundle({ ...bundle, formatVersion: 2 }).isValid).toBe(false);
+      expect(parseExportBundle({
+        ...bundle,
+        data: { ...bundle.data, habits: { ...bundle.data.habits, version: '99.0.0' } }
+      }).errors).toEqual(['This export was made by a newer version of the app']);
+    });
+
+    test('should report invalid habits and preferences', () => {
+      const result = parseExportBundle({
+        format: EXPORT_FORMAT,
+        formatVersion: 1,
+        data: {
+          habits: { habits: [{ ...reading, name: '' }], lastUpdated: now.toISOString(), version: DEFAULT_VALUES.VERSION },
+          achievements: [1],
+          preferences: { dayRolloverHour: 30 }
+        }
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.bundle).toBeNull();
+      expect(result.errors).toEqual([
+        expect.stringContaining('Habit at index 0'),
+        'Achievements must be a list of achievement IDs',
+        'Invalid day rollover hour: 30'
+      ]);
+    });
+
+    test('should migrate habit data from older app versions', () => {
+      const result = parseExportBundle({ format: EXPORT_FORMAT, formatVersion: 1, data: { habits: legacyFixture } });
+
+      expect(result.isValid).toBe(true);
+      expect(result.bundle.data.habits.version).toBe(DEFAULT_VALUES.VERSION);
+      expect(result.bundle.data.habits.habits[0].completionHistory.map(entry => entry.date))
+        .toEqual(['2024-02-01', '2024-02-02', '2024-02-03']);
+      expect(result.bundle.data.achievements).toEqual([]);
+    });
+  });
+
+  describe('merging', () => {
+    test('should keep days on this device and add missing ones', () => {
+      const imported = habit('reading', 'Read (old name)', [
+        { date: '2024-03-09', completed: true, completedAt: null },
+        { date: '2024-03-10', completed: true, completedAt: '2024-03-10T07:00:00.000Z' }
+      ]);
+      const walking = habit('walking', 'Walk', []);
+
+      const [merged, added] = mergeHabitLists([reading], [imported, walking]);
+
+      expect(merged.name).toBe('Read');
+      expect(merged.completionHistory).toEqual([
+        { date: '2024-03-08', completed: true, completedAt: null },
+        { date: '2024-03-09', completed: false },
+        { date: '2024-03-10', completed: true, completedAt: '2024-03-10T07:00:00.000Z' }
+      ]);
+      expect(merged.completedDays).toBe(2);
+      expect(added.id).toBe('walking');
+    });
+  });
+
+  describe('preview', () => {
+    const walking = habit('walking', 'Walk', []);
+
+    test('should preview a merge', async () => {
+      await storeData([reading], ['first_step']);
+      const bundle = bundleWith([walking], ['week_warrior']);
+
+      const preview = await previewImport(bundle, IMPORT_MODES.MERGE);
+
+      expect(preview.habits.summary).toEqual({ addedCount: 1, removedCount: 0, modifiedCount: 0, totalChanges: 1 });
+      expect(preview.achievementsAdded).toBe(1);
+      expect(preview.achievementsRemoved).toBe(0);
+      expect(preview.replacesPreferences).toBe(false);
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    test('should preview a replace', async () => {
+      await storeData([reading], ['first_step']);
+      const bundle = bundleWith([walking], ['week_warrior']);
+
+      const preview = await previewImport(bundle, IMPORT_MODES.REPLACE);
+
+      expect(preview.habits.removed.map(item => item.id)).toEqual(['reading']);
+      expect(preview.habits.added.map(item => item.id)).toEqual(['walking']);
+      expect(preview.achievementsRemoved).toBe(1);
+      expect(preview.replacesPreferences).toBe(true);
+    });
+  });
+
+  describe('import', () => {
+    const walking = habit('walking', 'Walk', [{ date: '2024-03-09', completed: true, completedAt: null }]);
+
+    test('should merge into the data on this device', async () => {
+      await storeData([reading], ['first_step'], { maxBackfillDays: 3 });
+
+      expect(await importBundle(bundleWith([walking], ['week_warrior'], { maxBackfillDays: 0 }), IMPORT_MODES.MERGE))
+        .toBe(true);
+
+      expect((await getHabits()).map(item => item.id)).toEqual(['reading', 'walking']);
+      expect(stored(STORAGE_KEYS.ACHIEVEMENTS)).toEqual(['first_step', 'week_warrior']);
+      expect(stored(STORAGE_KEYS.USER_PREFERENCES).maxBackfillDays).toBe(3);
+    });
+
+    test('should replace the data on this device', async () => {
+      await storeData([reading], ['first_step'], { maxBackfillDays: 3 });
+      const vacation = { start: '2024-03-09', end: '2024-03-09' };
+
+      expect(await importBundle(bundleWith([walking], [], { vacations: [vacation] }), IMPORT_MODES.REPLACE))
+        .toBe(true);
+
+      const habits = (await getHabits());
+      expect(habits.map(item => item.id)).toEqual(['walking']);
+      // The imported vacation pauses the only completed day
+      expect(habits[0].completedDays).toBe(0);
+      expect(stored(STORAGE_KEYS.ACHIEVEMENTS)).toEqual([]);
+      expect(stored(STORAGE_KEYS.USER_PREFERENCES)).toMatchObject({ maxBackfillDays: 7, vacations: [vacation] });
+    });
+
+    test('should keep the AI provider API key unless the bundle has one', async () => {
+      const aiProvider = { type: 'openai_compatible', baseUrl: 'https://api.example.com/v1', model: 'small' };
+      await storeData([reading]);
+      await saveUserPreferences({ aiProvider: { ...aiProvider, apiKey: 'device-key' } });
+
+      expect(await importBundle(bundleWith([walking], [], { aiProvider }), IMPORT_MODES.REPLACE)).toBe(true);
+      expect(await getAIProviderSettings()).toEqual({ ...aiProvider, apiKey: 'device-key' });
+
+      // Exports from earlier versions kept the key with the preferences
+      const withKey = bundleWith([walking], [], { aiProvider: { ...aiProvider, apiKey: 'bundled-key' } });
+      expect(await importBundle(withKey, IMPORT_MODES.REPLACE)).toBe(true);
+      expect(await getAIProviderSettings()).toEqual({ ...aiProvider, apiKey: 'bundled-key' });
+      expect(store[STORAGE_KEYS.USER_PREFERENCES]).not.toContain('bundled-key');
+    });
+
+    test('should back up the habits it replaces', async () => {
+      await storeData([reading]);
+      delete store[STORAGE_KEYS.BACKUPS];
+
+      expect(await importBundle(bundleWith([walking]), IMPORT_MODES.REPLACE)).toBe(true);
+
+      const backups = await listBackups();
+      const replaced = await getBackup(backups[backups.length - 1].id);
+      expect(replaced.habits.map(item => item.id)).toEqual(['reading']);
+    });
+
+    test('should reject an unknown import mode', async () => {
+      await storeData([reading]);
+
+      expect(await importBundle(bundleWith([walking]), 'overwrite')).toBe(false);
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+// Unit tests for encryption at rest
+const {
+  bytesToBase64,
+  base64ToBytes,
+  validatePasscode,
+  derivePasscodeKey,
+  createDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  isEncryptedValue,
+  getValueKeyId,
+  encryptValue,
+  decryptValue
+} = require('../encryption');
+
+describe('Encryption', () => {
+  const salt = Uint8Array.from({ length: 16 }, (_, i) => i);
+
+  test('should round-trip base64', () => {
+    const bytes = Uint8Array.from({ length: 70000 }, (_, i) => i % 256);
+    expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+  });
+
+  test('should require passcodes of at least 4 characters', () => {
+    expect(validatePasscode('2468')).toEqual([]);
+    expect(validatePasscode('246')).toHaveLength(1);
+    expect(validatePasscode(null)).toHaveLength(1);
+  });
+
+  test('should derive the same key from the same passcode and salt', async () => {
+    const key = await derivePasscodeKey('2468', salt, 1000);
+
+    expect(key).toHaveLength(32);
+    expect(await derivePasscodeKey('2468', salt, 1000)).toEqual(key);
+    expect(await derivePasscodeKey('1357', salt, 1000)).not.toEqual(key);
+  });
+
+  test('should unwrap a data key only with the right passcode key', async () => {
+    const dataKey = createDataKey();
+    const wrapped = wrapDataKey(await derivePasscodeKey('2468', salt, 1000), dataKey.key);
+
+    expect(unwrapDataKey(await derivePasscodeKey('2468', salt, 1000), wrapped)).toEqual(dataKey.key);
+    const wrongKey = await derivePasscodeKey('1357', salt, 1000);
+    expect(() => unwrapDataKey(wrongKey, wrapped)).toThrow();
+  });
+
+  test('should encrypt values and mark them with the key ID', () => {
+    const dataKey = createDataKey();
+    const json = JSON.stringify({ name: 'Take medication' });
+
+    const value = encryptValue(dataKey, json);
+
+    expect(isEncryptedValue(value)).toBe(true);
+    expect(isEncryptedValue(json)).toBe(false);
+    expect(value).not.toContain('medication');
+    expect(getValueKeyId(value)).toBe(dataKey.id);
+    expect(encryptValue(dataKey, json)).not.toBe(value);
+    expect(decryptValue(dataKey.key, value)).toBe(json);
+
+    const unicode = JSON.stringify({ name: 'Übung 🏃 — 薬' });
+    expect(decryptValue(dataKey.key, encryptValue(dataKey, unicode))).toBe(unicode);
+  });
+
+  test('should refuse a wrong key or a changed value', () => {
+    const dataKey = createDataKey();
+    const value = encryptValue(dataKey, '"secret"');
+    const tampered = value.slice(0, -4) + (value.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+
+    expect(() => decryptValue(createDataKey().key, value)).toThrow();
+    expect(() => decryptValue(dataKey.key, tampered)).toThrow();
+  });
+});
@@ -0,0 +1,108 @@
+// Unit tests for the habit form helpers shared by the add and edit screens
+
+const {
+  DEFAULT_FORM_VALUES,
+  validateHabitForm,
+  buildHabitData,
+  habitToFormData
+} = require('../habitForm');
+
+describe('Habit Form Utilities', () => {
+  const formWith = (values) => ({ ...DEFAULT_FORM_VALUES, name: 'Read', ...values });
+
+  describe('validateHabitForm', () => {
+    test('should accept the defaults with a name', () => {
+      expect(validateHabitForm(formWith())).toEqual({});
+    });
+
+    test.each([
+      ['', 'Habit name is required'],
+      ['   ', 'Habit name is required'],
+      ['A', 'Habit name must be at least 2 characters'],
+      ['x'.repeat(51), 'Habit name must be less than 50 characters']
+    ])('should reject the name %p', (name, message) => {
+      expect(validateHabitForm(formWith({ name })).name).toBe(message);
+    });
+
+    test('should report schedule, measurement and time errors', () => {
+      const errors = validateHabitForm(formWith({
+        frequency: 'weekdays',
+        weekdays: [],
+        type: 'measurable',
+        targetValue: 'abc',
+        unit: 'pages',
+        targetTime: '25:00',
+        reminderTimes: '08:00, noon'
+      }));
+
+      expect(errors.reminderTimes).toBe('Reminder times must be in HH:MM format (e.g., 09:30)');
+      expect(errors.schedule).toBe('Select at least one day of the week');
+      expect(errors.measurement).toBe('Target must be a number greater than 0 and at most 100000');
+      expect(errors.targetTime).toBe('Please enter time in HH:MM format (e.g., 09:30)');
+    });
+
+    test('should reject an unknown frequency', () => {
+      expect(validateHabitForm(formWith({ frequency: 'monthly' })).frequency)
+        .toBe('Please select a valid frequency');
+    });
+  });
+
+  describe('buildHabitData', () => {
+    test('should trim text and parse numbers', () => {
+      expect(buildHabitData(formWith({
+        name: '  Swim  ',
+        frequency: 'times_per_week',
+        timesPerWeek: '2',
+        type: 'measurable',
+        targetValue: '1.5',
+        unit: ' km ',
+        targetTime: ' 07:00 '
+      }))).toEqual({
+        name: 'Swim',
+        frequency: 'times_per_week',
+        schedule: { timesPerWeek: 2 },
+        type: 'measurable',
+        targetValue: 1.5,
+        unit: 'km',
+        targetTime: '07:00',
+        reminderTimes: []
+      });
+    });
+
+    test('should parse extra reminder times', () => {
+      expect(buildHabitData(formWith({ reminderTimes: ' 7:30,21:00 , ' })).reminderTimes)
+        .toEqual(['07:30', '21:00']);
+    });
+
+    test('should store a missing target time as null', () => {
+      expect(buildHabitData(formWith()).targetTime).toBeNull();
+    });
+  });
+
+  describe('habitToFormData', () => {
+    test('should round-trip a stored habit', () => {
+      const habit = {
+        name: 'Drink water',
+        frequency: 'weekdays',
+        schedule: { weekdays: [0, 6] },
+        type: 'measurable',
+        targetValue: 8,
+        unit: 'glasses',
+        targetTime: '09:30',
+        reminderTimes: ['12:00', '18:00']
+      };
+
+      const formData = habitToFormData(habit);
+
+      expect(formData.targetValue).toBe('8');
+      expect(validateHabitForm(formData)).toEqual({});
+      expect(buildHabitData(formData)).toEqual(habit);
+    });
+
+    test('should keep defaults for fields the habit does not use', () => {
+      const formData = habitToFormData({ name: 'Read', frequency: 'daily', schedule: null, targetTime: null });
+
+      expect(formData).toEqual({ ...DEFAULT_FORM_VALUES, name: 'Read' });
+    });
+  });
+});
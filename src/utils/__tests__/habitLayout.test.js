@@ -0,0 +1,63 @@
+// Unit tests for the per-habit storage layout
+
+const {
+  getHabitKey,
+  getHistoryChunkKey,
+  getMonthKey,
+  isHabitIndex,
+  getWeekMonths,
+  splitHabit,
+  joinHabit
+} = require('../habitLayout');
+
+describe('Habit Layout', () => {
+  const habit = {
+    id: 'read',
+    name: 'Read',
+    completedDays: 3,
+    completionHistory: [
+      { date: '2024-02-28', completed: true },
+      { date: '2024-03-01', completed: true },
+      { date: '2024-03-09', completed: true }
+    ]
+  };
+
+  test('should build keys under the habits key', () => {
+    expect(getHabitKey('read')).toBe('@habits/read');
+    expect(getHistoryChunkKey('read', '2024-03')).toBe('@habits/read/history/2024-03');
+    expect(getMonthKey('2024-03-09')).toBe('2024-03');
+  });
+
+  test('should tell an index from a single blob', () => {
+    expect(isHabitIndex({ habitIds: [], version: '1.6.0' })).toBe(true);
+    expect(isHabitIndex({ habits: [], version: '1.6.0' })).toBe(false);
+    expect(isHabitIndex(null)).toBe(false);
+  });
+
+  test('should list the months a week spans', () => {
+    expect(getWeekMonths('2024-03-13')).toEqual(['2024-03']);
+    // Monday 2024-02-26 to Sunday 2024-03-03
+    expect(getWeekMonths('2024-03-02')).toEqual(['2024-02', '2024-03']);
+    expect(getWeekMonths('2024-02-26')).toEqual(['2024-02', '2024-03']);
+    // Monday 2024-12-30 to Sunday 2025-01-05
+    expect(getWeekMonths('2025-01-01')).toEqual(['2024-12', '2025-01']);
+  });
+
+  test('should split history into months and join it back', () => {
+    const { record, chunks } = splitHabit(habit);
+
+    expect(record).toEqual({ id: 'read', name: 'Read', completedDays: 3, historyMonths: ['2024-02', '2024-03'] });
+    expect(chunks['2024-02']).toEqual([{ date: '2024-02-28', completed: true }]);
+    expect(chunks['2024-03']).toHaveLength(2);
+    expect(joinHabit(record, chunks)).toEqual(habit);
+  });
+
+  test('should join only the months that were loaded', () => {
+    const { record, chunks } = splitHabit(habit);
+
+    const joined = joinHabit(record, { '2024-03': chunks['2024-03'] });
+
+    expect(joined.completionHistory.map(entry => entry.date)).toEqual(['2024-03-01', '2024-03-09']);
+    expect(joined).not.toHaveProperty('historyMonths');
+  });
+});
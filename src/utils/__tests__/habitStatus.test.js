@@ -0,0 +1,167 @@
+// Unit tests for habit pause, archive and vacation helpers
+
+const {
+  isValidPauseRange,
+  validateVacation,
+  setVacationRanges,
+  getVacationRanges,
+  getUpcomingVacation,
+  isPausedOnDate,
+  hasPauses,
+  isHabitPaused,
+  isHabitArchived,
+  getActiveHabits,
+  getHabitsTrackedOn,
+  pauseHabitFrom,
+  resumeHabitFrom,
+  endVacationsBefore
+} = require('../habitStatus');
+
+describe('Habit Status Utilities', () => {
+  const habit = {
+    id: 'status-habit',
+    name: 'Status Habit',
+    archivedAt: null,
+    pausedRanges: [{ start: '2024-03-05', end: '2024-03-07' }]
+  };
+
+  afterEach(() => {
+    setVacationRanges([]);
+    jest.restoreAllMocks();
+  });
+
+  describe('pause ranges', () => {
+    test('should accept closed and open ranges', () => {
+      expect(isValidPauseRange({ start: '2024-03-05', end: '2024-03-05' })).toBe(true);
+      expect(isValidPauseRange({ start: '2024-03-05', end: null })).toBe(true);
+    });
+
+    test('should reject malformed ranges', () => {
+      expect(isValidPauseRange(null)).toBe(false);
+      expect(isValidPauseRange({ start: '2024-03-05', end: '2024-03-04' })).toBe(false);
+      expect(isValidPauseRange({ start: 'March 5', end: null })).toBe(false);
+      expect(isValidPauseRange({ start: '2024-03-05', end: null }, true)).toBe(false);
+    });
+
+    test('should pause days inside a range only', () => {
+      expect(isPausedOnDate(habit, '2024-03-04')).toBe(false);
+      expect(isPausedOnDate(habit, '2024-03-05')).toBe(true);
+      expect(isPausedOnDate(habit, '2024-03-07')).toBe(true);
+      expect(isPausedOnDate(habit, '2024-03-08')).toBe(false);
+    });
+
+    test('should pause every later day while a pause is open', () => {
+      const paused = pauseHabitFrom({ ...habit, pausedRanges: [] }, '2024-03-10');
+
+      expect(isHabitPaused(paused)).toBe(true);
+      expect(isPausedOnDate(paused, '2024-03-09')).toBe(false);
+      expect(isPausedOnDate(paused, '2030-01-01')).toBe(true);
+    });
+  });
+
+  describe('pausing and resuming', () => {
+    test('should not open a second pause', () => {
+      const paused = pauseHabitFrom(habit, '2024-03-10');
+
+      expect(paused.pausedRanges).toEqual([
+        { start: '2024-03-05', end: '2024-03-07' },
+        { start: '2024-03-10', end: null }
+      ]);
+      expect(pauseHabitFrom(paused, '2024-03-12')).toBe(paused);
+    });
+
+    test('should end the pause the day before resuming', () => {
+      const resumed = resumeHabitFrom(pauseHabitFrom(habit, '2024-03-10'), '2024-03-14');
+
+      expect(isHabitPaused(resumed)).toBe(false);
+      expect(resumed.pausedRanges[1]).toEqual({ start: '2024-03-10', end: '2024-03-13' });
+    });
+
+    test('should drop a pause resumed on the day it started', () => {
+      const resumed = resumeHabitFrom(pauseHabitFrom(habit, '2024-03-10'), '2024-03-10');
+
+      expect(resumed.pausedRanges).toEqual(habit.pausedRanges);
+    });
+
+    test('should leave a habit that is not paused unchanged', () => {
+      expect(resumeHabitFrom(habit, '2024-03-10')).toBe(habit);
+    });
+  });
+
+  describe('archived habits', () => {
+    const archived = { ...habit, id: 'archived', archivedAt: '2024-03-01T12:00:00.000Z' };
+
+    test('should tell archived habits apart', () => {
+      expect(isHabitArchived(habit)).toBe(false);
+      expect(isHabitArchived(archived)).toBe(true);
+    });
+
+    test('should leave archived habits out of active habits', () => {
+      expect(getActiveHabits([habit, archived])).toEqual([habit]);
+      expect(getActiveHabits(undefined)).toEqual([]);
+    });
+
+    test('should leave paused habits out of the habits tracked today', () => {
+      const other = { ...habit, id: 'other', pausedRanges: [] };
+
+      expect(getHabitsTrackedOn([habit, other, archived], '2024-03-06')).toEqual([other]);
+      expect(getHabitsTrackedOn([habit, other, archived], '2024-03-08')).toEqual([habit, other]);
+    });
+  });
+
+  describe('vacations', () => {
+    const vacation = { start: '2024-03-20', end: '2024-03-24' };
+
+    test('should pause every habit during a vacation', () => {
+      const other = { id: 'other', pausedRanges: [] };
+      setVacationRanges([vacation]);
+
+      expect(hasPauses(other)).toBe(true);
+      expect(isPausedOnDate(other, '2024-03-19')).toBe(false);
+      expect(isPausedOnDate(other, '2024-03-22')).toBe(true);
+      expect(isPausedOnDate({ id: 'legacy' }, '2024-03-24')).toBe(true);
+    });
+
+    test('should not report pauses without ranges or vacations', () => {
+      expect(hasPauses({ id: 'legacy' })).toBe(false);
+      expect(hasPauses(habit)).toBe(true);
+    });
+
+    test('should reject vacations without an end date', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(setVacationRanges([{ start: '2024-03-20', end: null }])).toBe(false);
+      expect(setVacationRanges('soon')).toBe(false);
+      expect(getVacationRanges()).toEqual([]);
+    });
+
+    test('should find the current or next vacation', () => {
+      const past = { start: '2024-03-01', end: '2024-03-03' };
+
+      expect(getUpcomingVacation([past, vacation], '2024-03-10')).toEqual(vacation);
+      expect(getUpcomingVacation([past, vacation], '2024-03-24')).toEqual(vacation);
+      expect(getUpcomingVacation([past, vacation], '2024-03-25')).toBeNull();
+    });
+
+    test('should validate a new vacation', () => {
+      expect(validateVacation('2024-03-20', '2024-03-24', '2024-03-10')).toEqual([]);
+      expect(validateVacation('2024-03-10', '2024-03-10', '2024-03-10')).toEqual([]);
+      expect(validateVacation('2024-03-09', '2024-03-24', '2024-03-10'))
+        .toEqual(['A vacation cannot start in the past']);
+      expect(validateVacation('2024-03-20', '2024-03-19', '2024-03-10'))
+        .toEqual(['The last day must be on or after the first day']);
+      expect(validateVacation('tomorrow', '2024-03-19', '2024-03-10'))
+        .toEqual(['Please enter dates in YYYY-MM-DD format']);
+    });
+
+    test('should end vacations before a date and keep past days', () => {
+      const past = { start: '2024-03-01', end: '2024-03-03' };
+
+      expect(endVacationsBefore([past, vacation], '2024-03-22')).toEqual([
+        past,
+        { start: '2024-03-20', end: '2024-03-21' }
+      ]);
+      expect(endVacationsBefore([past, vacation], '2024-03-20')).toEqual([past]);
+    });
+  });
+});
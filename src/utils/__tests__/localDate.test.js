@@ -0,0 +1,207 @@
+// Unit tests for local calendar day utilities
+
+const {
+  DEFAULT_ROLLOVER_HOUR,
+  isValidRolloverHour,
+  setDayRolloverHour,
+  getDayRolloverHour,
+  isDateKey,
+  getLocalDateKey,
+  getTodayKey,
+  addDaysToKey,
+  getRecentDateKeys
+} = require('../localDate');
+const { toDateKey, countDueOccurrences } = require('../schedule');
+const { calculateStreak } = require('../progressCalculations');
+
+// Jest can't switch the process time zone, so fake one by controlling the
+// offset Date reports. Offsets follow Date#getTimezoneOffset: minutes behind UTC.
+const useTimezone = (offsetAt) => {
+  jest.spyOn(Date.prototype, 'getTimezoneOffset').mockImplementation(function () {
+    return offsetAt(this.getTime());
+  });
+};
+
+const fixedOffset = (minutes) => () => minutes;
+
+// America/New_York in 2024: EDT from 2024-03-10 07:00Z until 2024-11-03 06:00Z
+const newYork = (time) => (
+  time >= Date.parse('2024-03-10T07:00:00Z') && time < Date.parse('2024-11-03T06:00:00Z') ? 240 : 300
+);
+
+const TIMEZONES = {
+  UTC: fixedOffset(0),
+  Tokyo: fixedOffset(-540),
+  LosAngeles: fixedOffset(480),
+  Kathmandu: fixedOffset(-345),
+  Kiritimati: fixedOffset(-840),
+  BakerIsland: fixedOffset(720)
+};
+
+describe('Local Date Utilities', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    setDayRolloverHour(DEFAULT_ROLLOVER_HOUR);
+  });
+
+  describe('getLocalDateKey', () => {
+    test.each([
+      ['UTC', '2024-03-09T23:30:00Z', '2024-03-09'],
+      ['Tokyo', '2024-03-09T16:30:00Z', '2024-03-10'], // 01:30 on the 10th
+      ['Tokyo', '2024-03-09T14:59:00Z', '2024-03-09'], // 23:59 on the 9th
+      ['LosAngeles', '2024-03-10T05:00:00Z', '2024-03-09'], // 21:00 on the 9th
+      ['LosAngeles', '2024-03-10T08:00:00Z', '2024-03-10'], // midnight
+      ['Kathmandu', '2024-01-01T18:14:00Z', '2024-01-01'], // 23:59
+      ['Kathmandu', '2024-01-01T18:15:00Z', '2024-01-02'], // 00:00
+      ['Kiritimati', '2024-12-31T10:00:00Z', '2025-01-01'],
+      ['BakerIsland', '2025-01-01T11:59:00Z', '2024-12-31']
+    ])('should use the local day in %s at %s', (zone, instant, expected) => {
+      useTimezone(TIMEZONES[zone]);
+      expect(getLocalDateKey(new Date(instant))).toBe(expected);
+    });
+
+    test('should accept ISO strings and timestamps', () => {
+      useTimezone(TIMEZONES.Tokyo);
+      expect(getLocalDateKey('2024-03-09T16:30:00Z')).toBe('2024-03-10');
+      expect(getLocalDateKey(Date.parse('2024-03-09T16:30:00Z'))).toBe('2024-03-10');
+    });
+
+    test('should cross month, year and leap-day boundaries', () => {
+      useTimezone(TIMEZONES.Tokyo);
+      expect(getLocalDateKey(new Date('2024-02-28T15:00:00Z'))).toBe('2024-02-29');
+      expect(getLocalDateKey(new Date('2024-02-29T15:00:00Z'))).toBe('2024-03-01');
+      expect(getLocalDateKey(new Date('2023-12-31T15:00:00Z'))).toBe('2024-01-01');
+    });
+  });
+
+  describe('DST transitions', () => {
+    beforeEach(() => {
+      useTimezone(newYork);
+    });
+
+    test('should keep the spring-forward day intact', () => {
+      expect(getLocalDateKey(new Date('2024-03-10T04:59:00Z'))).toBe('2024-03-09'); // 23:59 EST
+      expect(getLocalDateKey(new Date('2024-03-10T05:00:00Z'))).toBe('2024-03-10'); // 00:00 EST
+      expect(getLocalDateKey(new Date('2024-03-10T07:00:00Z'))).toBe('2024-03-10'); // 03:00 EDT
+      expect(getLocalDateKey(new Date('2024-03-11T03:59:00Z'))).toBe('2024-03-10'); // 23:59 EDT
+      expect(getLocalDateKey(new Date('2024-03-11T04:00:00Z'))).toBe('2024-03-11'); // 00:00 EDT
+    });
+
+    test('should keep the fall-back day intact', () => {
+      expect(getLocalDateKey(new Date('2024-11-03T03:59:00Z'))).toBe('2024-11-02'); // 23:59 EDT
+      expect(getLocalDateKey(new Date('2024-11-03T05:30:00Z'))).toBe('2024-11-03'); // first 01:30
+      expect(getLocalDateKey(new Date('2024-11-03T06:30:00Z'))).toBe('2024-11-03'); // second 01:30
+      expect(getLocalDateKey(new Date('2024-11-04T04:59:00Z'))).toBe('2024-11-03'); // 23:59 EST
+      expect(getLocalDateKey(new Date('2024-11-04T05:00:00Z'))).toBe('2024-11-04'); // 00:00 EST
+    });
+
+    test('should apply the rollover hour across the spring-forward gap', () => {
+      setDayRolloverHour(3);
+
+      expect(getLocalDateKey(new Date('2024-03-10T06:59:00Z'))).toBe('2024-03-09'); // 01:59 EST
+      expect(getLocalDateKey(new Date('2024-03-10T07:00:00Z'))).toBe('2024-03-10'); // 03:00 EDT
+    });
+
+    test('should apply the rollover hour to both fall-back repeats', () => {
+      setDayRolloverHour(3);
+
+      expect(getLocalDateKey(new Date('2024-11-03T05:30:00Z'))).toBe('2024-11-02'); // first 01:30
+      expect(getLocalDateKey(new Date('2024-11-03T06:30:00Z'))).toBe('2024-11-02'); // second 01:30
+      expect(getLocalDateKey(new Date('2024-11-03T08:00:00Z'))).toBe('2024-11-03'); // 03:00 EST
+    });
+  });
+
+  describe('day rollover hour', () => {
+    test('should default to midnight', () => {
+      expect(getDayRolloverHour()).toBe(0);
+    });
+
+    test('should count early-morning check-ins toward the previous day', () => {
+      useTimezone(TIMEZONES.LosAngeles);
+      setDayRolloverHour(3);
+
+      expect(getLocalDateKey(new Date('2024-03-05T10:30:00Z'))).toBe('2024-03-04'); // 02:30
+      expect(getLocalDateKey(new Date('2024-03-05T11:00:00Z'))).toBe('2024-03-05'); // 03:00
+    });
+
+    test('should roll back across a year boundary', () => {
+      useTimezone(TIMEZONES.Tokyo);
+      setDayRolloverHour(3);
+
+      expect(getLocalDateKey(new Date('2024-12-31T17:00:00Z'))).toBe('2024-12-31'); // 02:00 Jan 1
+    });
+
+    test('should allow an explicit rollover hour per call', () => {
+      useTimezone(TIMEZONES.UTC);
+      expect(getLocalDateKey(new Date('2024-03-05T04:00:00Z'), 5)).toBe('2024-03-04');
+      expect(getDayRolloverHour()).toBe(0);
+    });
+
+    test('should reject invalid hours', () => {
+      expect(setDayRolloverHour(24)).toBe(false);
+      expect(setDayRolloverHour(-1)).toBe(false);
+      expect(setDayRolloverHour(2.5)).toBe(false);
+      expect(setDayRolloverHour('3')).toBe(false);
+      expect(getDayRolloverHour()).toBe(0);
+      expect(isValidRolloverHour(23)).toBe(true);
+    });
+  });
+
+  describe('getTodayKey', () => {
+    test('should follow the fake clock and time zone', () => {
+      jest.useFakeTimers().setSystemTime(new Date('2024-06-30T23:30:00Z'));
+      useTimezone(TIMEZONES.Tokyo);
+
+      expect(getTodayKey()).toBe('2024-07-01');
+    });
+  });
+
+  describe('date key arithmetic', () => {
+    test('should add days independent of the time zone', () => {
+      useTimezone(newYork);
+
+      expect(addDaysToKey('2024-03-09', 1)).toBe('2024-03-10');
+      expect(addDaysToKey('2024-03-09', 2)).toBe('2024-03-11');
+      expect(addDaysToKey('2024-11-03', 1)).toBe('2024-11-04');
+      expect(addDaysToKey('2024-03-01', -1)).toBe('2024-02-29');
+      expect(addDaysToKey('2025-01-01', -1)).toBe('2024-12-31');
+    });
+
+    test('should list recent days oldest first', () => {
+      expect(getRecentDateKeys(3, '2024-03-01')).toEqual(['2024-02-28', '2024-02-29', '2024-03-01']);
+      expect(getRecentDateKeys(0, '2024-03-01')).toEqual([]);
+    });
+
+    test('should recognise date keys', () => {
+      expect(isDateKey('2024-03-01')).toBe(true);
+      expect(isDateKey('2024-03-01T00:00:00Z')).toBe(false);
+      expect(isDateKey(null)).toBe(false);
+    });
+  });
+
+  describe('schedule and streak integration', () => {
+    test('should anchor creation dates on the local day', () => {
+      useTimezone(TIMEZONES.Tokyo);
+      const habit = { frequency: 'daily', createdAt: '2024-03-09T16:30:00Z' }; // 01:30 on the 10th
+
+      expect(toDateKey(habit.createdAt)).toBe('2024-03-10');
+      expect(countDueOccurrences(habit, '2024-03-10')).toBe(1);
+    });
+
+    test('should keep a streak alive through a late-night check-in with rollover', () => {
+      jest.useFakeTimers().setSystemTime(new Date('2024-03-06T09:30:00Z')); // 01:30 PST on the 6th
+      useTimezone(TIMEZONES.LosAngeles);
+      setDayRolloverHour(3);
+
+      const history = [
+        { date: '2024-03-04', completed: true },
+        { date: '2024-03-05', completed: true }
+      ];
+      const habit = { frequency: 'daily', createdAt: '2024-03-04T17:00:00Z', completionHistory: history };
+
+      expect(getTodayKey()).toBe('2024-03-05');
+      expect(calculateStreak(history, habit).currentStreak).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+// Unit tests for measurable habit utilities
+
+const {
+  HABIT_TYPES,
+  isMeasurableHabit,
+  normalizeMeasurement,
+  validateMeasurement,
+  getEntryAmount,
+  getEntryProgress,
+  buildMeasuredEntry,
+  formatAmount
+} = require('../measurement');
+
+describe('Measurement Utilities', () => {
+  const waterHabit = {
+    id: 'water',
+    name: 'Drink water',
+    type: HABIT_TYPES.MEASURABLE,
+    targetValue: 8,
+    unit: 'glasses'
+  };
+  const checkHabit = { id: 'read', name: 'Read', type: HABIT_TYPES.CHECK };
+
+  describe('normalizeMeasurement', () => {
+    test('should default to a check habit', () => {
+      expect(normalizeMeasurement()).toEqual({ type: 'check', targetValue: null, unit: null });
+      expect(normalizeMeasurement({ targetValue: 5, unit: 'pages' }))
+        .toEqual({ type: 'check', targetValue: null, unit: null });
+    });
+
+    test('should coerce the target and trim the unit', () => {
+      expect(normalizeMeasurement({ type: 'measurable', targetValue: '2.5', unit: ' km ' }))
+        .toEqual({ type: 'measurable', targetValue: 2.5, unit: 'km' });
+    });
+  });
+
+  describe('validateMeasurement', () => {
+    test('should accept check habits and untyped legacy habits', () => {
+      expect(validateMeasurement('check', null, null)).toEqual([]);
+      expect(validateMeasurement(undefined, null, null)).toEqual([]);
+    });
+
+    test('should reject unknown types', () => {
+      expect(validateMeasurement('timer', 5, 'min')).toEqual(['Type must be one of: check, measurable']);
+    });
+
+    test.each([
+      [0], [-1], [100001], [NaN], ['8'], [null]
+    ])('should reject a target of %p', (targetValue) => {
+      expect(validateMeasurement('measurable', targetValue, 'glasses'))
+        .toContain('Target must be a number greater than 0 and at most 100000');
+    });
+
+    test('should require a short unit', () => {
+      expect(validateMeasurement('measurable', 8, '  ')).toContain('Unit is required for measurable habits');
+      expect(validateMeasurement('measurable', 8, 'x'.repeat(21))).toContain('Unit must be less than 20 characters');
+      expect(validateMeasurement('measurable', 8, 'glasses')).toEqual([]);
+    });
+  });
+
+  describe('entry progress', () => {
+    test('should identify measurable habits', () => {
+      expect(isMeasurableHabit(waterHabit)).toBe(true);
+      expect(isMeasurableHabit(checkHabit)).toBe(false);
+      expect(isMeasurableHabit(null)).toBe(false);
+    });
+
+    test('should read amounts from measured entries', () => {
+      expect(getEntryAmount(waterHabit, { date: '2024-03-01', completed: false, amount: 3 })).toBe(3);
+      expect(getEntryAmount(waterHabit, { date: '2024-03-01', completed: true })).toBe(0);
+      expect(getEntryAmount(waterHabit, undefined)).toBe(0);
+    });
+
+    test('should count a completed check as one', () => {
+      expect(getEntryAmount(checkHabit, { date: '2024-03-01', completed: true })).toBe(1);
+      expect(getEntryProgress(checkHabit, { date: '2024-03-01', completed: false })).toBe(0);
+    });
+
+    test('should cap progress at the target', () => {
+      expect(getEntryProgress(waterHabit, { date: '2024-03-01', completed: false, amount: 2 })).toBe(0.25);
+      expect(getEntryProgress(waterHabit, { date: '2024-03-01', completed: true, amount: 12 })).toBe(1);
+    });
+  });
+
+  describe('buildMeasuredEntry', () => {
+    test('should complete the day at the target', () => {
+      expect(buildMeasuredEntry(waterHabit, '2024-03-01', 7))
+        .toEqual({ date: '2024-03-01', completed: false, amount: 7 });
+      expect(buildMeasuredEntry(waterHabit, '2024-03-01', 8))
+        .toEqual({ date: '2024-03-01', completed: true, amount: 8 });
+    });
+
+    test('should clamp invalid amounts to zero', () => {
+      expect(buildMeasuredEntry(waterHabit, '2024-03-01', -3).amount).toBe(0);
+      expect(buildMeasuredEntry(waterHabit, '2024-03-01', 'abc').amount).toBe(0);
+    });
+  });
+
+  describe('formatAmount', () => {
+    test('should show the amount against the target', () => {
+      expect(formatAmount(waterHabit, 3)).toBe('3 / 8 glasses');
+      expect(formatAmount({ ...waterHabit, targetValue: 2.5, unit: 'km' }, 1 / 3)).toBe('0.33 / 2.5 km');
+    });
+  });
+});
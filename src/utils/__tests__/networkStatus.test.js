@@ -0,0 +1,279 @@
+/**
+ * @jest-environment node
+ */
+// Unit tests for network status, probing a local stub server
+const http = require('http');
+const {
+  NetworkStatusManager,
+  REACHABILITY,
+  PUBLIC_PROBE_ENDPOINTS,
+  DEFAULT_CONNECTIVITY_SETTINGS,
+  validateConnectivitySettings,
+  getProbeEndpoints
+} = require('../networkStatus');
+
+describe('Network status', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let manager;
+
+  // Routes standing in for probe endpoints, a captive portal and an API
+  const routes = {
+    '/generate_204': (response) => {
+      response.writeHead(204);
+      response.end();
+    },
+    '/success.txt': (response) => {
+      response.writeHead(200, { 'Content-Type': 'text/plain' });
+      response.end('success\n');
+    },
+    '/portal': (response) => {
+      response.writeHead(302, { Location: '/login' });
+      response.end();
+    },
+    '/login': (response) => {
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.end('<html><body>Sign in to the hotel Wi-Fi</body></html>');
+    },
+    '/api': (response) => {
+      response.writeHead(404);
+      response.end();
+    },
+    '/broken-api': (response) => {
+      response.writeHead(503);
+      response.end();
+    },
+    '/hang': () => {}
+  };
+
+  // Nothing listens on port 1
+  const closedUrl = 'http://127.0.0.1:1/generate_204';
+
+  const endpoint = (path, extra = {}) => ({ url: `${baseUrl}${path}`, ...extra });
+
+  const probesTo = (path) => requests.filter(item => item === path).length;
+
+  beforeEach(async () => {
+    requests = [];
+    server = http.createServer((request, response) => {
+      requests.push(request.url);
+      routes[request.url](response);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    manager = new NetworkStatusManager();
+    manager.configure({
+      probeEndpoints: [endpoint('/generate_204', { expectedStatus: 204 })],
+      timeoutMs: 500
+    });
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should be online when a probe answers as expected', async () => {
+    expect(await manager.checkReachability()).toBe(REACHABILITY.ONLINE);
+    expect(manager.getState()).toEqual({
+      isOnline: true,
+      reachability: REACHABILITY.ONLINE,
+      checkedAt: expect.any(Number)
+    });
+  });
+
+  test('should try the next endpoint when one fails', async () => {
+    manager.configure({
+      probeEndpoints: [
+        { url: closedUrl, expectedStatus: 204 },
+        endpoint('/success.txt', { expectedBody: 'success' })
+      ]
+    });
+
+    expect(await manager.checkConnection()).toBe(true);
+    expect(requests).toEqual(['/success.txt']);
+  });
+
+  test('should report no network when no endpoint answers', async () => {
+    manager.configure({ probeEndpoints: [{ url: closedUrl }, endpoint('/hang')] });
+
+    expect(await manager.checkReachability()).toBe(REACHABILITY.NO_NETWORK);
+    expect(manager.getStatus()).toBe(false);
+  });
+
+  test('should report a captive portal when endpoints answer with something else', async () => {
+    manager.configure({
+      probeEndpoints: [
+        { url: closedUrl, expectedStatus: 204 },
+        endpoint('/portal', { expectedBody: 'success' })
+      ]
+    });
+
+    expect(await manager.checkReachability()).toBe(REACHABILITY.CAPTIVE_PORTAL);
+    expect(requests).toEqual(['/portal', '/login']);
+    expect(manager.getStatus()).toBe(false);
+  });
+
+  test('should tell an unreachable API apart from being offline', async () => {
+    manager.configure({ apiUrl: `${baseUrl}/api` });
+    expect(await manager.checkReachability()).toBe(REACHABILITY.ONLINE);
+
+    manager.configure({ apiUrl: `${baseUrl}/broken-api` });
+    expect(await manager.checkReachability()).toBe(REACHABILITY.API_UNREACHABLE);
+
+    manager.configure({ apiUrl: 'http://127.0.0.1:1' });
+    expect(await manager.checkReachability()).toBe(REACHABILITY.API_UNREACHABLE);
+    expect(manager.getStatus()).toBe(false);
+  });
+
+  test('should contact nothing by default but the API, when one is set', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const unconfigured = new NetworkStatusManager();
+
+    expect(await unconfigured.checkReachability()).toBe(REACHABILITY.UNKNOWN);
+    expect(fetchSpy).not.toHaveBeenCalled();
+
+    unconfigured.configure({ apiUrl: `${baseUrl}/api` });
+    expect(await unconfigured.checkReachability()).toBe(REACHABILITY.ONLINE);
+    expect(fetchSpy.mock.calls.map(([url]) => url)).toEqual([`${baseUrl}/api`]);
+    fetchSpy.mockRestore();
+  });
+
+  test('should go by failed requests with the default configuration', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const listener = jest.fn();
+    const unconfigured = new NetworkStatusManager();
+    // As the app configures it without a sync server or connectivity settings
+    unconfigured.configure({ apiUrl: null, probeEndpoints: getProbeEndpoints(DEFAULT_CONNECTIVITY_SETTINGS) });
+    unconfigured.subscribe(listener);
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+    // Nothing can be probed, so requests are still worth trying
+    expect(await unconfigured.checkReachability()).toBe(REACHABILITY.UNKNOWN);
+    expect(await unconfigured.checkConnection()).toBe(true);
+
+    expect(await unconfigured.reportNetworkFailure()).toBe(REACHABILITY.NO_NETWORK);
+    expect(unconfigured.getStatus()).toBe(false);
+    expect(listener).toHaveBeenLastCalledWith(false, expect.objectContaining({ reachability: REACHABILITY.NO_NETWORK }));
+    expect(await unconfigured.checkConnection()).toBe(false);
+
+    // Tried again once the result expires
+    now.mockReturnValue(1000000 + 30 * 1000);
+    expect(await unconfigured.checkConnection()).toBe(true);
+    expect(unconfigured.getState().reachability).toBe(REACHABILITY.UNKNOWN);
+    expect(fetchSpy).not.toHaveBeenCalled();
+    now.mockRestore();
+    fetchSpy.mockRestore();
+  });
+
+  test('should probe public endpoints only when turned on', () => {
+    const own = { url: 'https://status.example.com/ping', expectedStatus: 204 };
+
+    expect(getProbeEndpoints()).toEqual([]);
+    expect(getProbeEndpoints({ ...DEFAULT_CONNECTIVITY_SETTINGS, probeEndpoints: [own] })).toEqual([own]);
+    expect(getProbeEndpoints({ usePublicProbes: true, probeEndpoints: [own] }))
+      .toEqual([own, ...PUBLIC_PROBE_ENDPOINTS]);
+    PUBLIC_PROBE_ENDPOINTS.forEach(endpoint => expect(endpoint.url).toMatch(/^https:\/\//));
+  });
+
+  test('should accept only HTTPS probe endpoints in the settings', () => {
+    expect(validateConnectivitySettings(DEFAULT_CONNECTIVITY_SETTINGS)).toEqual([]);
+    expect(validateConnectivitySettings({
+      usePublicProbes: false,
+      probeEndpoints: [{ url: 'http://detectportal.example.com/success.txt' }]
+    })).toEqual(['Probe endpoint must be an HTTPS URL: http://detectportal.example.com/success.txt']);
+    expect(validateConnectivitySettings({
+      usePublicProbes: false,
+      probeEndpoints: [{ url: 'https://status.example.com/ping', expectedStatus: 500 }]
+    })).toHaveLength(1);
+    expect(validateConnectivitySettings({ usePublicProbes: 'yes', probeEndpoints: null })).toHaveLength(2);
+    expect(getProbeEndpoints({ usePublicProbes: true, probeEndpoints: [{ url: 'ftp://example.com' }] })).toEqual([]);
+  });
+
+  test('should probe only the API when there are no connectivity endpoints', async () => {
+    manager.configure({ probeEndpoints: [], apiUrl: `${baseUrl}/api` });
+
+    expect(await manager.checkReachability()).toBe(REACHABILITY.ONLINE);
+    expect(requests).toEqual(['/api']);
+  });
+
+  test('should reuse a recent result and share a running probe', async () => {
+    const [first, second] = await Promise.all([manager.checkConnection(), manager.checkConnection()]);
+    await manager.checkConnection();
+
+    expect([first, second]).toEqual([true, true]);
+    expect(probesTo('/generate_204')).toBe(1);
+
+    // Forced checks still reuse a result from moments ago
+    await manager.checkConnection({ force: true });
+    expect(probesTo('/generate_204')).toBe(1);
+
+    manager.configure({ minIntervalMs: 0 });
+    await manager.checkConnection({ force: true });
+    expect(probesTo('/generate_204')).toBe(2);
+  });
+
+  test('should probe again once the cached result expires', async () => {
+    manager.configure({ cacheMs: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+    await manager.checkConnection();
+    now.mockReturnValue(1000999);
+    await manager.checkConnection();
+    expect(probesTo('/generate_204')).toBe(1);
+
+    now.mockReturnValue(1001000);
+    await manager.checkConnection();
+    expect(probesTo('/generate_204')).toBe(2);
+    now.mockRestore();
+  });
+
+  test('should check again on an interval once initialized', async () => {
+    manager.configure({ recheckMs: 20, cacheMs: 0 });
+    manager.initialize();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    manager.cleanup();
+
+    const probes = probesTo('/generate_204');
+    expect(probes).toBeGreaterThanOrEqual(2);
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(probesTo('/generate_204')).toBe(probes);
+  });
+
+  test('should check again when a request gets no answer, but not moments after a probe', async () => {
+    const listener = jest.fn();
+    manager.subscribe(listener);
+    await manager.checkReachability();
+
+    await manager.reportNetworkFailure();
+    expect(probesTo('/generate_204')).toBe(1);
+
+    // The network went since the last probe
+    manager.options.probeEndpoints = [{ url: closedUrl }];
+    manager.options.minIntervalMs = 0;
+    expect(await manager.reportNetworkFailure()).toBe(REACHABILITY.NO_NETWORK);
+    expect(listener).toHaveBeenCalledWith(false, expect.objectContaining({ reachability: REACHABILITY.NO_NETWORK }));
+  });
+
+  test('should tell listeners when reachability changes', async () => {
+    const listener = jest.fn();
+    manager.subscribe(listener);
+
+    await manager.checkReachability();
+    expect(listener).not.toHaveBeenCalled();
+
+    manager.configure({ probeEndpoints: [endpoint('/login', { expectedBody: 'success' })] });
+    await manager.checkReachability();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(false, expect.objectContaining({
+      isOnline: false,
+      reachability: REACHABILITY.CAPTIVE_PORTAL
+    }));
+
+    manager.setStatus(true);
+    expect(listener).toHaveBeenLastCalledWith(true, expect.objectContaining({ reachability: REACHABILITY.ONLINE }));
+  });
+});
@@ -0,0 +1,239 @@
+// Unit tests for the offline outbox
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+const { Outbox, OUTBOX_RETRY, getRetryDelay, getOutboxBadge } = require('../outbox');
+const { default: networkStatusManager, REACHABILITY } = require('../networkStatus');
+const { STORAGE_KEYS } = require('../types');
+
+describe('Offline outbox', () => {
+  const now = new Date(2024, 2, 10, 6, 0);
+  let store;
+  let box;
+  let sent;
+
+  // Handler that records what it was given
+  const recordingHandler = async (payload, context) => {
+    sent.push({ payload, ...context });
+  };
+
+  const stored = () => JSON.parse(store[STORAGE_KEYS.OUTBOX]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers().setSystemTime(now);
+    store = {};
+    AsyncStorage.getItem.mockImplementation(async (key) => (key in store ? store[key] : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      store[key] = value;
+    });
+    networkStatusManager.setStatus(true);
+    sent = [];
+    box = new Outbox();
+  });
+
+  afterEach(() => {
+    box.stop();
+    jest.useRealTimers();
+  });
+
+  test('should keep operations while offline and send them in order when back online', async () => {
+    box.registerHandler('tip', recordingHandler);
+    await box.start();
+    networkStatusManager.setStatus(false);
+
+    await box.enqueue('tip', { habitId: 'read' });
+    await box.enqueue('tip', { habitId: 'run' });
+    await box.flush();
+
+    expect(sent).toEqual([]);
+    expect(box.getPendingCount()).toBe(2);
+    expect(stored().operations.map(operation => operation.payload.habitId)).toEqual(['read', 'run']);
+
+    networkStatusManager.setStatus(true);
+    await box.flush();
+
+    expect(sent.map(item => item.payload.habitId)).toEqual(['read', 'run']);
+    expect(box.getPendingCount()).toBe(0);
+    expect(stored().operations).toEqual([]);
+  });
+
+  test('should send what was queued after an offline start once a later check finds the network', async () => {
+    const options = { ...networkStatusManager.options };
+    const probe = jest.spyOn(networkStatusManager, 'probe')
+      .mockResolvedValueOnce(REACHABILITY.NO_NETWORK)
+      .mockResolvedValue(REACHABILITY.ONLINE);
+    networkStatusManager.configure({ recheckMs: 1000, cacheMs: 0 });
+    networkStatusManager.initialize();
+    box.registerHandler('tip', recordingHandler);
+
+    expect(await networkStatusManager.checkConnection()).toBe(false);
+    await box.start();
+    await box.enqueue('tip', { habitId: 'read' });
+    expect(sent).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(sent.map(item => item.payload.habitId)).toEqual(['read']);
+
+    networkStatusManager.cleanup();
+    networkStatusManager.configure(options);
+    probe.mockRestore();
+  });
+
+  test('should retry failures with backoff without letting later operations overtake', async () => {
+    const handler = jest.fn(recordingHandler)
+      .mockRejectedValueOnce(new Error('Timed out'))
+      .mockRejectedValueOnce(new Error('Timed out'));
+    box.registerHandler('tip', handler);
+
+    await box.enqueue('tip', 'first');
+    await box.enqueue('tip', 'second');
+    await box.flush();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(box.operations[0]).toMatchObject({
+      payload: 'first',
+      attempts: 1,
+      lastError: 'Timed out',
+      nextAttemptAt: now.getTime() + getRetryDelay(1)
+    });
+
+    await jest.advanceTimersByTimeAsync(getRetryDelay(1));
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(box.operations[0].attempts).toBe(2);
+
+    await jest.advanceTimersByTimeAsync(getRetryDelay(2));
+    await box.flush();
+
+    expect(sent).toEqual([
+      { payload: 'first', idempotencyKey: expect.any(String), attempt: 3 },
+      { payload: 'second', idempotencyKey: expect.any(String), attempt: 1 }
+    ]);
+    expect(box.getPendingCount()).toBe(0);
+  });
+
+  test('should double the retry delay up to the maximum', () => {
+    expect(getRetryDelay(1)).toBe(OUTBOX_RETRY.BASE_DELAY_MS);
+    expect(getRetryDelay(2)).toBe(OUTBOX_RETRY.BASE_DELAY_MS * 2);
+    expect(getRetryDelay(3)).toBe(OUTBOX_RETRY.BASE_DELAY_MS * 4);
+    expect(getRetryDelay(20)).toBe(OUTBOX_RETRY.MAX_DELAY_MS);
+  });
+
+  test('should record an operation once per idempotency key', async () => {
+    networkStatusManager.setStatus(false);
+    box.registerHandler('sync', recordingHandler);
+
+    const first = await box.enqueue('sync', null, { idempotencyKey: 'sync' });
+    const second = await box.enqueue('sync', null, { idempotencyKey: 'sync' });
+
+    expect(second.id).toBe(first.id);
+    expect(box.getPendingCount()).toBe(1);
+
+    networkStatusManager.setStatus(true);
+    await box.flush();
+    expect(sent).toEqual([{ payload: null, idempotencyKey: 'sync', attempt: 1 }]);
+
+    // Once sent, the key can be used again
+    await box.enqueue('sync', null, { idempotencyKey: 'sync' });
+    await box.flush();
+    expect(sent).toHaveLength(2);
+  });
+
+  test('should send operations left over from an earlier run with their idempotency keys', async () => {
+    networkStatusManager.setStatus(false);
+    const operation = await box.enqueue('tip', 'left over');
+
+    const restarted = new Outbox();
+    restarted.registerHandler('tip', recordingHandler);
+    networkStatusManager.setStatus(true);
+    await restarted.start();
+    restarted.stop();
+
+    expect(sent).toEqual([{ payload: 'left over', idempotencyKey: operation.idempotencyKey, attempt: 1 }]);
+    expect(stored().operations).toEqual([]);
+  });
+
+  test('should wait for the handler of an operation type', async () => {
+    await box.enqueue('tip', 'waiting');
+    await box.flush();
+    expect(box.getPendingCount()).toBe(1);
+
+    box.registerHandler('tip', recordingHandler);
+    await box.flush();
+
+    expect(sent.map(item => item.payload)).toEqual(['waiting']);
+  });
+
+  test('should move an operation to the dead letters after the last attempt', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('Server error'));
+    box.registerHandler('tip', handler);
+    await box.enqueue('tip', 'doomed');
+    await box.flush();
+
+    for (let attempts = 1; attempts < OUTBOX_RETRY.MAX_ATTEMPTS; attempts += 1) {
+      await jest.advanceTimersByTimeAsync(getRetryDelay(attempts));
+    }
+    await box.flush();
+
+    expect(handler).toHaveBeenCalledTimes(OUTBOX_RETRY.MAX_ATTEMPTS);
+    expect(box.getPendingCount()).toBe(0);
+    expect(box.getDeadLetters()).toEqual([
+      expect.objectContaining({ payload: 'doomed', attempts: OUTBOX_RETRY.MAX_ATTEMPTS, lastError: 'Server error' })
+    ]);
+    expect(stored().deadLetters).toHaveLength(1);
+  });
+
+  test('should dead-letter a permanent failure at once and carry on with the rest', async () => {
+    box.registerHandler('tip', async (payload, context) => {
+      if (payload === 'rejected') {
+        throw Object.assign(new Error('Invalid request'), { permanent: true });
+      }
+      await recordingHandler(payload, context);
+    });
+
+    await box.enqueue('tip', 'rejected');
+    await box.enqueue('tip', 'fine');
+    await box.flush();
+
+    expect(box.getDeadLetters().map(operation => operation.payload)).toEqual(['rejected']);
+    expect(sent.map(item => item.payload)).toEqual(['fine']);
+  });
+
+  test('should retry or discard dead letters', async () => {
+    let accept = false;
+    box.registerHandler('tip', async (payload, context) => {
+      if (!accept) throw Object.assign(new Error('Invalid request'), { permanent: true });
+      await recordingHandler(payload, context);
+    });
+    await box.enqueue('tip', 'retried');
+    await box.enqueue('tip', 'discarded');
+    await box.flush();
+    const [retried, discarded] = box.getDeadLetters();
+
+    accept = true;
+    expect(await box.retryDeadLetter(retried.id)).toBe(true);
+    await box.flush();
+    expect(sent).toEqual([{ payload: 'retried', idempotencyKey: retried.idempotencyKey, attempt: 1 }]);
+
+    expect(await box.discardDeadLetter(discarded.id)).toBe(true);
+    expect(box.getDeadLetters()).toEqual([]);
+    expect(stored().deadLetters).toEqual([]);
+    expect(await box.retryDeadLetter('missing')).toBe(false);
+    expect(await box.discardDeadLetter('missing')).toBe(false);
+  });
+
+  test('should tell subscribers the pending and dead letter counts', async () => {
+    const listener = jest.fn();
+    box.subscribe(listener);
+    networkStatusManager.setStatus(false);
+
+    await box.enqueue('tip', 'waiting');
+
+    expect(listener).toHaveBeenLastCalledWith({ pendingCount: 1, deadLetterCount: 0 });
+  });
+
+  test('should show a badge only while operations are waiting', () => {
+    expect(getOutboxBadge({ pendingCount: 0, deadLetterCount: 2 })).toBeNull();
+    expect(getOutboxBadge({ pendingCount: 1, deadLetterCount: 0 }))
+      .toEqual({ count: 1, label: '1 item waiting to be sent' });
+    expect(getOutboxBadge({ pendingCount: 3, deadLetterCount: 0 }).label).toBe('3 items waiting to be sent');
+  });
+});
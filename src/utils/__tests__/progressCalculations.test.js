@@ -2,12 +2,17 @@
 
 const {
   calculateCompletionPercentage,
+  calculatePartialCredit,
+  getTodayProgress,
   calculateStreak,
+  calculateCombinedStreak,
   calculateWeeklyCompletionRate,
   getProgressColor,
   calculateConsistencyScore,
   getProgressInsights
 } = require('../progressCalculations');
+const { getTodayKey, addDaysToKey } = require('../localDate');
+const { changeHabitSchedule } = require('../schedule');
 
 describe('Progress Calculations', () => {
   // Mock habit data for testing
@@ -57,9 +62,67 @@ describe('Progress Calculations', () => {
     });
   });
 
+  describe('measurable habits', () => {
+    const daysAgo = (n) => addDaysToKey(getTodayKey(), -n);
+    const waterHabit = {
+      id: 'water',
+      name: 'Drink water',
+      frequency: 'daily',
+      createdAt: daysAgo(3),
+      type: 'measurable',
+      targetValue: 8,
+      unit: 'glasses',
+      completedDays: 1,
+      totalDays: 4,
+      completionHistory: [
+        { date: daysAgo(3), completed: true, amount: 8 },
+        { date: daysAgo(2), completed: false, amount: 4 },
+        { date: daysAgo(1), completed: false, amount: 0 },
+        { date: daysAgo(0), completed: false, amount: 2 }
+      ],
+      isCompleted: false
+    };
+
+    test('should credit partial days toward the completion percentage', () => {
+      expect(calculatePartialCredit(waterHabit)).toBeCloseTo(0.75);
+      expect(calculateCompletionPercentage(waterHabit)).toBe(44); // (1 + 0.5 + 0.25) / 4
+    });
+
+    test('should give check habits no partial credit', () => {
+      expect(calculatePartialCredit(mockHabit)).toBe(0);
+    });
+
+    test('should cap weekly partial credit at the remaining target', () => {
+      const weeklyHabit = {
+        ...waterHabit,
+        frequency: 'times_per_week',
+        schedule: { timesPerWeek: 1 },
+        createdAt: daysAgo(0),
+        completedDays: 1,
+        totalDays: 1,
+        completionHistory: [
+          { date: daysAgo(0), completed: true, amount: 8 }
+        ]
+      };
+
+      expect(calculatePartialCredit(weeklyHabit)).toBe(0);
+      expect(calculateCompletionPercentage(weeklyHabit)).toBe(100);
+    });
+
+    test("should report today's amount and progress", () => {
+      expect(getTodayProgress(waterHabit)).toEqual({ amount: 2, progress: 0.25 });
+      expect(getTodayProgress({ ...waterHabit, completionHistory: [] })).toEqual({ amount: 0, progress: 0 });
+    });
+
+    test('should describe today against the target in insights', () => {
+      const { insights } = getProgressInsights(waterHabit);
+      expect(insights).toContain('Today: 2 / 8 glasses (25% of target).');
+    });
+  });
+
   describe('calculateStreak', () => {
     test('should calculate current streak correctly', () => {
-      const { currentStreak, longestStreak } = calculateStreak(mockHabit.completionHistory);
+      const { currentStreak, longestStreak } = calculateStreak(mockHabit.completionHistory, mockHabit, '2024-01-10');
       expect(currentStreak).toBe(1); // Last entry is completed
       expect(longestStreak).toBe(5); // Days 4-8 (5 consecutive days)
     });
@@ -82,25 +145,294 @@ describe('Progress Calculations', () => {
         { date: '2024-01-02', completed: true },
         { date: '2024-01-03', completed: true }
       ];
-      const { currentStreak, longestStreak } = calculateStreak(allCompletedHistory);
-      expect(currentStreak).toBe(1);
+      const { currentStreak, longestStreak } = calculateStreak(allCompletedHistory, null, '2024-01-03');
+      expect(currentStreak).toBe(3);
       expect(longestStreak).toBe(3);
     });
+
+    describe('date edges', () => {
+      const daily = (history, extra = {}) => ({
+        frequency: 'daily',
+        createdAt: '2024-01-01T08:00:00.000Z',
+        completionHistory: history,
+        ...extra
+      });
+      const done = (...dates) => dates.map(date => ({ date, completed: true }));
+
+      test('should treat a missing date as a miss', () => {
+        const habit = daily(done('2024-01-01', '2024-01-02', '2024-01-04', '2024-01-05'));
+        const result = calculateStreak(habit.completionHistory, habit, '2024-01-05');
+
+        expect(result.currentStreak).toBe(2);
+        expect(result.longestStreak).toBe(2);
+      });
+
+      test('should not break the current streak while today is unchecked', () => {
+        const habit = daily(done('2024-01-01', '2024-01-02', '2024-01-03'));
+
+        expect(calculateStreak(habit.completionHistory, habit, '2024-01-04').currentStreak).toBe(3);
+      });
+
+      test('should reset the current streak once a full day is missed', () => {
+        const habit = daily(done('2024-01-01', '2024-01-02', '2024-01-03'));
+        const result = calculateStreak(habit.completionHistory, habit, '2024-01-05');
+
+        expect(result.currentStreak).toBe(0);
+        expect(result.longestStreak).toBe(3);
+      });
+
+      test('should treat days between creation and the first entry as misses', () => {
+        const habit = daily(done('2024-01-03'), { createdAt: '2024-01-01T08:00:00.000Z' });
+        const result = calculateStreak(habit.completionHistory, habit, '2024-01-03');
+
+        expect(result.currentStreak).toBe(1);
+        expect(result.longestStreak).toBe(1);
+      });
+
+      test('should count streaks across month and year boundaries', () => {
+        const habit = daily(
+          done('2023-12-30', '2023-12-31', '2024-01-01', '2024-01-02'),
+          { createdAt: '2023-12-30T08:00:00.000Z' }
+        );
+
+        expect(calculateStreak(habit.completionHistory, habit, '2024-01-02').currentStreak).toBe(4);
+      });
+
+      test('should count leap days', () => {
+        const habit = daily(
+          done('2024-02-28', '2024-02-29', '2024-03-01'),
+          { createdAt: '2024-02-28T08:00:00.000Z' }
+        );
+        const skipped = daily(
+          done('2024-02-28', '2024-03-01'),
+          { createdAt: '2024-02-28T08:00:00.000Z' }
+        );
+
+        expect(calculateStreak(habit.completionHistory, habit, '2024-03-01').currentStreak).toBe(3);
+        expect(calculateStreak(skipped.completionHistory, skipped, '2024-03-01').currentStreak).toBe(1);
+      });
+
+      test('should ignore entries after the as-of date', () => {
+        const habit = daily(done('2024-01-01', '2024-01-02', '2024-01-10'));
+
+        expect(calculateStreak(habit.completionHistory, habit, '2024-01-02').currentStreak).toBe(2);
+      });
+
+      test('should ignore unsorted and duplicate entries', () => {
+        const history = [
+          { date: '2024-01-03', completed: true },
+          { date: '2024-01-01', completed: true },
+          { date: '2024-01-02', completed: true },
+          { date: '2024-01-02', completed: true }
+        ];
+        const habit = daily(history);
+
+        expect(calculateStreak(history, habit, '2024-01-03').currentStreak).toBe(3);
+      });
+
+      test('should skip days a weekday schedule does not ask for', () => {
+        // Mon/Wed/Fri starting Monday 2024-01-01
+        const habit = daily(
+          done('2024-01-01', '2024-01-03', '2024-01-05', '2024-01-08'),
+          { frequency: 'weekdays', schedule: { weekdays: [1, 3, 5] } }
+        );
+        const result = calculateStreak(habit.completionHistory, habit, '2024-01-09');
+
+        expect(result.currentStreak).toBe(4);
+        expect(result.unit).toBe('day');
+      });
+
+      test('should break a weekday schedule streak on a missed due day', () => {
+        const habit = daily(
+          done('2024-01-01', '2024-01-05'),
+          { frequency: 'weekdays', schedule: { weekdays: [1, 3, 5] } }
+        );
+
+        expect(calculateStreak(habit.completionHistory, habit, '2024-01-05').currentStreak).toBe(1);
+      });
+
+      test('should follow interval schedules', () => {
+        const habit = daily(
+          done('2024-01-01', '2024-01-03', '2024-01-05'),
+          { frequency: 'interval', schedule: { intervalDays: 2 } }
+        );
+
+        expect(calculateStreak(habit.completionHistory, habit, '2024-01-06').currentStreak).toBe(3);
+        expect(calculateStreak(habit.completionHistory, habit, '2024-01-08').currentStreak).toBe(0);
+      });
+
+      test('should count weekly habits per Monday-based week', () => {
+        // Weeks starting 2024-01-01, 01-08, 01-15; Sunday 01-14 belongs to the second week
+        const habit = daily(
+          done('2024-01-03', '2024-01-14', '2024-01-15'),
+          { frequency: 'weekly' }
+        );
+        const result = calculateStreak(habit.completionHistory, habit, '2024-01-17');
+
+        expect(result.unit).toBe('week');
+        expect(result.currentStreak).toBe(3);
+      });
+
+      test('should not break a weekly streak during the current week', () => {
+        const habit = daily(done('2024-01-03', '2024-01-10'), { frequency: 'weekly' });
+
+        expect(calculateStreak(habit.completionHistory, habit, '2024-01-21').currentStreak).toBe(2);
+        expect(calculateStreak(habit.completionHistory, habit, '2024-01-22').currentStreak).toBe(0);
+      });
+
+      test('should require the weekly target for times-per-week habits', () => {
+        const habit = daily(
+          done('2024-01-01', '2024-01-02', '2024-01-08', '2024-01-15', '2024-01-16'),
+          { frequency: 'times_per_week', schedule: { timesPerWeek: 2 } }
+        );
+        const result = calculateStreak(habit.completionHistory, habit, '2024-01-22');
+
+        expect(result.currentStreak).toBe(1);
+        expect(result.longestStreak).toBe(1);
+      });
+
+      test('should handle habits without createdAt', () => {
+        const history = done('2024-01-01', '2024-01-02');
+
+        expect(calculateStreak(history, { frequency: 'daily' }, '2024-01-02').currentStreak).toBe(2);
+      });
+    });
+  });
+
+  describe('streaks across schedule changes', () => {
+    const firstWeek = ['01', '02', '03', '04', '05', '06', '07'].map(day => ({ date: `2024-01-${day}`, completed: true }));
+    const dailyHabit = { frequency: 'daily', schedule: null, createdAt: '2024-01-01T09:00:00.000Z' };
+
+    test('should carry a day streak into a new day-based schedule', () => {
+      const habit = changeHabitSchedule(dailyHabit, 'weekdays', { weekdays: [1, 3, 5] }, '2024-01-08');
+      const history = [
+        ...firstWeek,
+        { date: '2024-01-08', completed: true },
+        { date: '2024-01-10', completed: true }
+      ];
+
+      expect(calculateStreak(history, habit, '2024-01-10')).toEqual({
+        currentStreak: 9,
+        longestStreak: 9,
+        unit: 'day'
+      });
+    });
+
+    test('should restart the streak when switching between days and weeks', () => {
+      const habit = changeHabitSchedule(dailyHabit, 'weekly', null, '2024-01-08');
+      const history = [...firstWeek, { date: '2024-01-09', completed: true }];
+
+      expect(calculateStreak(history, habit, '2024-01-10')).toEqual({
+        currentStreak: 1,
+        longestStreak: 1,
+        unit: 'week'
+      });
+    });
+
+    test('should hold each week to the weekly target in effect', () => {
+      const weeklyHabit = { frequency: 'weekly', schedule: null, createdAt: '2024-01-01T09:00:00.000Z' };
+      const habit = changeHabitSchedule(weeklyHabit, 'times_per_week', { timesPerWeek: 2 }, '2024-01-08');
+      const history = [
+        { date: '2024-01-03', completed: true },
+        { date: '2024-01-09', completed: true },
+        { date: '2024-01-15', completed: true },
+        { date: '2024-01-16', completed: true }
+      ];
+
+      // Week 1 met its single target, week 2 fell short of two, week 3 is met
+      expect(calculateStreak(history, habit, '2024-01-17')).toEqual({
+        currentStreak: 1,
+        longestStreak: 1,
+        unit: 'week'
+      });
+    });
+  });
+
+  describe('streaks across pauses', () => {
+    const habit = {
+      frequency: 'daily',
+      schedule: null,
+      createdAt: '2024-01-01T09:00:00.000Z',
+      pausedRanges: [{ start: '2024-01-04', end: '2024-01-06' }]
+    };
+
+    test('should keep a day streak going over paused days', () => {
+      const history = ['01', '02', '03', '07', '08'].map(day => ({ date: `2024-01-${day}`, completed: true }));
+
+      expect(calculateStreak(history, habit, '2024-01-08')).toEqual({
+        currentStreak: 5,
+        longestStreak: 5,
+        unit: 'day'
+      });
+    });
+
+    test('should keep a week streak going over a paused week', () => {
+      const weeklyHabit = {
+        ...habit,
+        frequency: 'weekly',
+        pausedRanges: [{ start: '2024-01-10', end: '2024-01-10' }]
+      };
+      const history = [
+        { date: '2024-01-02', completed: true },
+        { date: '2024-01-16', completed: true }
+      ];
+
+      expect(calculateStreak(history, weeklyHabit, '2024-01-17')).toEqual({
+        currentStreak: 2,
+        longestStreak: 2,
+        unit: 'week'
+      });
+    });
+  });
+
+  describe('calculateCombinedStreak', () => {
+    test('should count days with at least one completion', () => {
+      const habits = [
+        { frequency: 'daily', completionHistory: [{ date: '2024-01-01', completed: true }, { date: '2024-01-02', completed: false }] },
+        { frequency: 'daily', completionHistory: [{ date: '2024-01-02', completed: true }, { date: '2024-01-03', completed: true }] }
+      ];
+
+      expect(calculateCombinedStreak(habits, '2024-01-03').currentStreak).toBe(3);
+    });
+
+    test('should break on a day with no completions', () => {
+      const habits = [
+        { frequency: 'daily', completionHistory: [{ date: '2024-01-01', completed: true }, { date: '2024-01-03', completed: true }] }
+      ];
+      const result = calculateCombinedStreak(habits, '2024-01-03');
+
+      expect(result.currentStreak).toBe(1);
+      expect(result.longestStreak).toBe(1);
+    });
+
+    test('should not break on days when nothing was due', () => {
+      const habits = [
+        {
+          frequency: 'weekdays',
+          schedule: { weekdays: [1, 3] },
+          createdAt: '2024-01-01T08:00:00.000Z',
+          completionHistory: [{ date: '2024-01-01', completed: true }, { date: '2024-01-03', completed: true }]
+        }
+      ];
+
+      expect(calculateCombinedStreak(habits, '2024-01-03').currentStreak).toBe(2);
+    });
+
+    test('should return zero for no habits', () => {
+      expect(calculateCombinedStreak([]).currentStreak).toBe(0);
+    });
   });
 
   describe('calculateWeeklyCompletionRate', () => {
     test('should calculate weekly rate correctly', () => {
       // Create recent completion history (within current date range)
-      const today = new Date();
-      const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
-      const twoDaysAgo = new Date(today.getTime() - 2 * 24 * 60 * 60 * 1000);
-      const threeDaysAgo = new Date(today.getTime() - 3 * 24 * 60 * 60 * 1000);
+      const today = getTodayKey();
       
       const recentHistory = [
-        { date: today.toISOString().split('T')[0], completed: true },
-        { date: yesterday.toISOString().split('T')[0], completed: true },
-        { date: twoDaysAgo.toISOString().split('T')[0], completed: false },
-        { date: threeDaysAgo.toISOString().split('T')[0], completed: true }
+        { date: today, completed: true },
+        { date: addDaysToKey(today, -1), completed: true },
+        { date: addDaysToKey(today, -2), completed: false },
+        { date: addDaysToKey(today, -3), completed: true }
       ];
       const rate = calculateWeeklyCompletionRate(recentHistory, 4);
       expect(rate).toBe(75); // 3/4 * 100 = 75%
@@ -111,6 +443,17 @@ describe('Progress Calculations', () => {
       expect(rate).toBe(0);
     });
 
+    test('should only count local days inside the lookback window', () => {
+      const today = getTodayKey();
+      const history = [
+        { date: addDaysToKey(today, -7), completed: false },
+        { date: addDaysToKey(today, -6), completed: true },
+        { date: today, completed: true }
+      ];
+
+      expect(calculateWeeklyCompletionRate(history, 1)).toBe(100);
+    });
+
     test('should return 0 for non-array input', () => {
       const rate = calculateWeeklyCompletionRate(null);
       expect(rate).toBe(0);
@@ -210,12 +553,14 @@ describe('Progress Calculations', () => {
     });
 
     test('should mention streak in insights when present', () => {
+      const daysAgo = (n) => addDaysToKey(getTodayKey(), -n);
       const streakHabit = {
         ...mockHabit,
+        createdAt: daysAgo(2),
         completionHistory: [
-          { date: '2024-01-08', completed: true },
-          { date: '2024-01-09', completed: true },
-          { date: '2024-01-10', completed: true }
+          { date: daysAgo(2), completed: true },
+          { date: daysAgo(1), completed: true },
+          { date: daysAgo(0), completed: true }
         ]
       };
       const { insights } = getProgressInsights(streakHabit);
@@ -0,0 +1,263 @@
+// Unit tests for habit reminders
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+const {
+  REMINDER_KINDS,
+  REMINDER_ACTIONS,
+  setReminderScheduler,
+  validateReminderTimes,
+  getReminderTimes,
+  getReminderDate,
+  getUpcomingReminderDates,
+  syncHabitReminders,
+  syncAllReminders,
+  cancelHabitReminders,
+  snoozeReminder
+} = require('../reminders');
+const { createMemoryScheduler } = require('../memoryScheduler');
+const { handleReminderAction } = require('../reminderActions');
+const { setDayRolloverHour } = require('../localDate');
+const { saveHabits, getHabits } = require('../storage');
+
+describe('Habit Reminders', () => {
+  // Sunday 2024-03-10, 06:00 local time
+  const now = new Date(2024, 2, 10, 6, 0);
+  const habit = {
+    id: 'reminder-habit',
+    name: 'Stretch',
+    frequency: 'daily',
+    schedule: null,
+    type: 'check',
+    targetTime: '08:00',
+    reminderTimes: ['20:00'],
+    createdAt: '2024-03-01T12:00:00.000Z',
+    completionHistory: [],
+    archivedAt: null,
+    pausedRanges: []
+  };
+  let scheduler;
+
+  const scheduledDates = async (kind = REMINDER_KINDS.REMINDER) => (await scheduler.getScheduled())
+    .filter(item => item.kind === kind)
+    .map(item => item.date);
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(now);
+    scheduler = createMemoryScheduler();
+    setReminderScheduler(scheduler);
+  });
+
+  afterEach(() => {
+    setReminderScheduler(null);
+    setDayRolloverHour(0);
+    jest.useRealTimers();
+  });
+
+  describe('reminder times', () => {
+    test('should combine the target time with extra times', () => {
+      expect(getReminderTimes({ targetTime: '8:00', reminderTimes: ['20:00', '08:00', '12:30'] }))
+        .toEqual(['08:00', '12:30', '20:00']);
+      expect(getReminderTimes({ targetTime: null })).toEqual([]);
+    });
+
+    test('should validate extra reminder times', () => {
+      expect(validateReminderTimes(['07:00', '9:30'])).toEqual([]);
+      expect(validateReminderTimes(['25:00'])).toEqual(['Reminder times must be in HH:MM format (e.g., 09:30)']);
+      expect(validateReminderTimes(['01:00', '02:00', '03:00', '04:00', '05:00', '06:00']))
+        .toEqual(['A habit can have at most 5 reminder times']);
+    });
+
+    test('should put times before the rollover hour on the next calendar day', () => {
+      setDayRolloverHour(3);
+
+      expect(getReminderDate('2024-03-10', '01:30')).toEqual(new Date(2024, 2, 11, 1, 30));
+      expect(getReminderDate('2024-03-10', '22:00')).toEqual(new Date(2024, 2, 10, 22, 0));
+    });
+  });
+
+  describe('upcoming reminders', () => {
+    test('should remind at every time for a week of due days', () => {
+      const dates = getUpcomingReminderDates(habit, now);
+
+      expect(dates).toHaveLength(14);
+      expect(dates[0]).toEqual(new Date(2024, 2, 10, 8, 0));
+      expect(dates[13]).toEqual(new Date(2024, 2, 16, 20, 0));
+    });
+
+    test('should skip times that already passed today', () => {
+      const dates = getUpcomingReminderDates(habit, new Date(2024, 2, 10, 12, 0));
+
+      expect(dates[0]).toEqual(new Date(2024, 2, 10, 20, 0));
+      expect(dates).toHaveLength(13);
+    });
+
+    test('should skip today once it is completed', () => {
+      const done = { ...habit, completionHistory: [{ date: '2024-03-10', completed: true }] };
+
+      expect(getUpcomingReminderDates(done, now)[0]).toEqual(new Date(2024, 2, 11, 8, 0));
+    });
+
+    test('should only remind on scheduled days', () => {
+      const mondays = { ...habit, frequency: 'weekdays', schedule: { weekdays: [1] }, reminderTimes: [] };
+
+      expect(getUpcomingReminderDates(mondays, now)).toEqual([new Date(2024, 2, 11, 8, 0)]);
+    });
+
+    test('should stop for the week once a weekly target is met', () => {
+      const twiceWeekly = {
+        ...habit,
+        frequency: 'times_per_week',
+        schedule: { timesPerWeek: 2 },
+        reminderTimes: [],
+        completionHistory: [
+          { date: '2024-03-11', completed: true },
+          { date: '2024-03-12', completed: true }
+        ]
+      };
+      jest.setSystemTime(new Date(2024, 2, 13, 6, 0));
+
+      expect(getUpcomingReminderDates(twiceWeekly, new Date(2024, 2, 13, 6, 0))).toEqual([
+        new Date(2024, 2, 18, 8, 0),
+        new Date(2024, 2, 19, 8, 0)
+      ]);
+    });
+
+    test('should skip paused days and archived habits', () => {
+      const paused = { ...habit, pausedRanges: [{ start: '2024-03-10', end: '2024-03-14' }] };
+      const archived = { ...habit, archivedAt: '2024-03-09T12:00:00.000Z' };
+
+      expect(getUpcomingReminderDates(paused, now)).toHaveLength(4);
+      expect(getUpcomingReminderDates(archived, now)).toEqual([]);
+    });
+  });
+
+  describe('scheduling', () => {
+    test('should schedule reminders through the scheduler', async () => {
+      expect(await syncHabitReminders(habit, now)).toBe(true);
+
+      const scheduled = await scheduler.getScheduled();
+      expect(scheduled).toHaveLength(14);
+      expect(scheduled[0]).toMatchObject({
+        habitId: habit.id,
+        kind: REMINDER_KINDS.REMINDER,
+        title: '⏰ Stretch',
+        body: 'Time to check in on your habit'
+      });
+    });
+
+    test('should replace reminders when a habit is rescheduled', async () => {
+      await syncHabitReminders(habit, now);
+      await syncHabitReminders({ ...habit, reminderTimes: [] }, now);
+
+      expect(await scheduledDates()).toHaveLength(7);
+    });
+
+    test('should not double-schedule when syncs overlap', async () => {
+      await Promise.all([syncHabitReminders(habit, now), syncHabitReminders(habit, now)]);
+
+      expect(await scheduledDates()).toHaveLength(14);
+    });
+
+    test('should sync every habit', async () => {
+      const other = { ...habit, id: 'other', reminderTimes: [] };
+
+      expect(await syncAllReminders([habit, other], now)).toBe(true);
+      expect(await scheduler.getScheduled()).toHaveLength(21);
+    });
+
+    test('should cancel only the given habit', async () => {
+      const other = { ...habit, id: 'other', reminderTimes: [] };
+      await syncAllReminders([habit, other], now);
+      await snoozeReminder(habit, 10, now);
+
+      expect(await cancelHabitReminders(habit.id)).toBe(true);
+      const scheduled = await scheduler.getScheduled();
+      expect(scheduled).toHaveLength(7);
+      expect(scheduled.every(item => item.habitId === 'other')).toBe(true);
+    });
+
+    test('should do nothing without a scheduler', async () => {
+      setReminderScheduler(null);
+
+      expect(await syncHabitReminders(habit, now)).toBe(true);
+      expect(await cancelHabitReminders(habit.id)).toBe(true);
+      expect(await snoozeReminder(habit, 10, now)).toBe(false);
+    });
+
+    test('should schedule nothing when notifications are not allowed', async () => {
+      scheduler = createMemoryScheduler({ granted: false });
+      setReminderScheduler(scheduler);
+
+      expect(await syncHabitReminders(habit, now)).toBe(true);
+      expect(await scheduler.getScheduled()).toEqual([]);
+      expect(await snoozeReminder(habit, 10, now)).toBe(false);
+    });
+
+    test('should report scheduler failures without throwing', async () => {
+      setReminderScheduler({
+        ...scheduler,
+        getScheduled: jest.fn().mockRejectedValue(new Error('Scheduler unavailable'))
+      });
+
+      expect(await syncHabitReminders(habit, now)).toBe(false);
+      expect(console.error).toHaveBeenCalledWith('Error scheduling reminders:', expect.any(Error));
+    });
+  });
+
+  describe('snooze', () => {
+    test('should remind again after the snooze length', async () => {
+      expect(await snoozeReminder(habit, 15, now)).toBe(true);
+
+      expect(await scheduledDates(REMINDER_KINDS.SNOOZE)).toEqual([new Date(2024, 2, 10, 6, 15)]);
+    });
+
+    test('should reject an invalid snooze length', async () => {
+      expect(await snoozeReminder(habit, 0, now)).toBe(false);
+      expect(await scheduler.getScheduled()).toEqual([]);
+    });
+
+    test('should keep a snooze while today is still due', async () => {
+      await snoozeReminder(habit, 10, now);
+      await syncHabitReminders(habit, now);
+
+      expect(await scheduledDates(REMINDER_KINDS.SNOOZE)).toHaveLength(1);
+    });
+
+    test('should drop a snooze once today is done', async () => {
+      await snoozeReminder(habit, 10, now);
+      await syncHabitReminders({ ...habit, completionHistory: [{ date: '2024-03-10', completed: true }] }, now);
+
+      expect(await scheduledDates(REMINDER_KINDS.SNOOZE)).toEqual([]);
+    });
+  });
+
+  describe('reminder actions', () => {
+    beforeEach(async () => {
+      jest.clearAllMocks();
+      const store = {};
+      AsyncStorage.getItem.mockImplementation(async (key) => (key in store ? store[key] : null));
+      AsyncStorage.setItem.mockImplementation(async (key, value) => {
+        store[key] = value;
+      });
+      await saveHabits([{ ...habit, completedDays: 0, totalDays: 9, isCompleted: false }]);
+      AsyncStorage.setItem.mockClear();
+    });
+
+    test('should mark the habit done and stop today\'s reminders', async () => {
+      await syncHabitReminders(habit);
+
+      expect(await handleReminderAction({ habitId: habit.id, action: REMINDER_ACTIONS.COMPLETE })).toBe(true);
+      expect((await getHabits())[0].isCompleted).toBe(true);
+      expect((await scheduledDates())[0]).toEqual(new Date(2024, 2, 11, 8, 0));
+    });
+
+    test('should snooze the reminder', async () => {
+      expect(await handleReminderAction({ habitId: habit.id, action: REMINDER_ACTIONS.SNOOZE })).toBe(false);
+      expect(await scheduledDates(REMINDER_KINDS.SNOOZE)).toEqual([new Date(2024, 2, 10, 6, 10)]);
+    });
+
+    test('should ignore reminders for deleted habits', async () => {
+      expect(await handleReminderAction({ habitId: 'deleted', action: REMINDER_ACTIONS.COMPLETE })).toBe(false);
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,335 @@
+// Unit tests for habit schedule utilities
+
+const {
+  FREQUENCY_TYPES,
+  toDateKey,
+  getWeekday,
+  getWeekNumber,
+  normalizeSchedule,
+  validateSchedule,
+  isDueOnDate,
+  countDueOccurrences,
+  countCompletedOccurrences,
+  getScheduleOnDate,
+  changeHabitSchedule,
+  getEditableDateRange,
+  isDateEditable,
+  getScheduleText,
+  isWeekPaused
+} = require('../schedule');
+const { setVacationRanges } = require('../habitStatus');
+
+describe('Schedule Utilities', () => {
+  // 2024-01-01 is a Monday
+  const baseHabit = {
+    id: 'schedule-habit',
+    name: 'Schedule Habit',
+    createdAt: '2024-01-01T09:00:00.000Z',
+    completionHistory: []
+  };
+
+  describe('date helpers', () => {
+    test('should keep date keys unchanged', () => {
+      expect(toDateKey('2024-03-10')).toBe('2024-03-10');
+    });
+
+    test('should convert ISO timestamps to local date keys', () => {
+      const offset = jest.spyOn(Date.prototype, 'getTimezoneOffset');
+
+      offset.mockReturnValue(0);
+      expect(toDateKey('2024-03-10T22:15:00.000Z')).toBe('2024-03-10');
+      offset.mockReturnValue(-120); // UTC+2
+      expect(toDateKey('2024-03-10T22:15:00.000Z')).toBe('2024-03-11');
+
+      offset.mockRestore();
+    });
+
+    test('should compute weekdays', () => {
+      expect(getWeekday('2024-01-01')).toBe(1); // Monday
+      expect(getWeekday('2024-01-07')).toBe(0); // Sunday
+      expect(getWeekday('1969-12-31')).toBe(3); // Wednesday, before the epoch
+    });
+
+    test('should group Monday to Sunday into one week', () => {
+      expect(getWeekNumber('2024-01-01')).toBe(getWeekNumber('2024-01-07'));
+      expect(getWeekNumber('2024-01-08')).toBe(getWeekNumber('2024-01-07') + 1);
+    });
+  });
+
+  describe('normalizeSchedule', () => {
+    test('should return null for daily and weekly habits', () => {
+      expect(normalizeSchedule('daily', { weekdays: [1] })).toBeNull();
+      expect(normalizeSchedule('weekly')).toBeNull();
+    });
+
+    test('should sort and dedupe weekdays', () => {
+      expect(normalizeSchedule('weekdays', { weekdays: [5, '1', 3, 5] })).toEqual({ weekdays: [1, 3, 5] });
+    });
+
+    test('should keep only the field for the frequency', () => {
+      expect(normalizeSchedule('interval', { intervalDays: '3', weekdays: [1] })).toEqual({ intervalDays: 3 });
+    });
+  });
+
+  describe('validateSchedule', () => {
+    test('should accept valid schedules', () => {
+      expect(validateSchedule('weekdays', { weekdays: [0, 6] })).toEqual([]);
+      expect(validateSchedule('times_per_week', { timesPerWeek: 3 })).toEqual([]);
+      expect(validateSchedule('interval', { intervalDays: 2 })).toEqual([]);
+      expect(validateSchedule('daily', null)).toEqual([]);
+    });
+
+    test('should reject empty or out of range weekdays', () => {
+      expect(validateSchedule('weekdays', { weekdays: [] })).toHaveLength(1);
+      expect(validateSchedule('weekdays', { weekdays: [7] })).toHaveLength(1);
+    });
+
+    test('should reject invalid counts and intervals', () => {
+      expect(validateSchedule('times_per_week', { timesPerWeek: 0 })).toHaveLength(1);
+      expect(validateSchedule('times_per_week', null)).toHaveLength(1);
+      expect(validateSchedule('interval', { intervalDays: 1.5 })).toHaveLength(1);
+    });
+  });
+
+  describe('isDueOnDate', () => {
+    test('should treat every day as due for daily habits', () => {
+      const habit = { ...baseHabit, frequency: FREQUENCY_TYPES.DAILY };
+      expect(isDueOnDate(habit, '2024-01-02')).toBe(true);
+    });
+
+    test('should follow the weekday set', () => {
+      const habit = { ...baseHabit, frequency: 'weekdays', schedule: { weekdays: [1, 3, 5] } };
+
+      expect(isDueOnDate(habit, '2024-01-01')).toBe(true); // Monday
+      expect(isDueOnDate(habit, '2024-01-02')).toBe(false); // Tuesday
+      expect(isDueOnDate(habit, '2024-01-05')).toBe(true); // Friday
+    });
+
+    test('should count intervals from the creation date', () => {
+      const habit = { ...baseHabit, frequency: 'interval', schedule: { intervalDays: 2 } };
+
+      expect(isDueOnDate(habit, '2024-01-01')).toBe(true);
+      expect(isDueOnDate(habit, '2024-01-02')).toBe(false);
+      expect(isDueOnDate(habit, '2024-01-03')).toBe(true);
+    });
+
+    test('should treat every day as eligible for periodic habits', () => {
+      const habit = { ...baseHabit, frequency: 'times_per_week', schedule: { timesPerWeek: 3 } };
+      expect(isDueOnDate(habit, '2024-01-06')).toBe(true);
+    });
+  });
+
+  describe('countDueOccurrences', () => {
+    test('should count days for daily habits', () => {
+      const habit = { ...baseHabit, frequency: 'daily' };
+      expect(countDueOccurrences(habit, '2024-01-10')).toBe(10);
+    });
+
+    test('should count matching weekdays', () => {
+      const habit = { ...baseHabit, frequency: 'weekdays', schedule: { weekdays: [1, 3, 5] } };
+      expect(countDueOccurrences(habit, '2024-01-14')).toBe(6);
+    });
+
+    test('should count interval due dates', () => {
+      const habit = { ...baseHabit, frequency: 'interval', schedule: { intervalDays: 3 } };
+      expect(countDueOccurrences(habit, '2024-01-10')).toBe(4); // 1st, 4th, 7th, 10th
+    });
+
+    test('should count weekly targets per week touched', () => {
+      const weekly = { ...baseHabit, frequency: 'weekly' };
+      const threeTimes = { ...baseHabit, frequency: 'times_per_week', schedule: { timesPerWeek: 3 } };
+
+      expect(countDueOccurrences(weekly, '2024-01-08')).toBe(2);
+      expect(countDueOccurrences(threeTimes, '2024-01-14')).toBe(6);
+    });
+
+    test('should return 0 before the creation date', () => {
+      const habit = { ...baseHabit, frequency: 'daily' };
+      expect(countDueOccurrences(habit, '2023-12-31')).toBe(0);
+    });
+  });
+
+  describe('countCompletedOccurrences', () => {
+    test('should ignore completions on days that were not due', () => {
+      const habit = {
+        ...baseHabit,
+        frequency: 'weekdays',
+        schedule: { weekdays: [1] },
+        completionHistory: [
+          { date: '2024-01-01', completed: true },
+          { date: '2024-01-02', completed: true },
+          { date: '2024-01-08', completed: false }
+        ]
+      };
+
+      expect(countCompletedOccurrences(habit)).toBe(1);
+    });
+
+    test('should cap periodic completions at the weekly target', () => {
+      const habit = {
+        ...baseHabit,
+        frequency: 'times_per_week',
+        schedule: { timesPerWeek: 2 },
+        completionHistory: [
+          { date: '2024-01-01', completed: true },
+          { date: '2024-01-02', completed: true },
+          { date: '2024-01-03', completed: true },
+          { date: '2024-01-08', completed: true }
+        ]
+      };
+
+      expect(countCompletedOccurrences(habit)).toBe(3);
+    });
+  });
+
+  describe('schedule changes', () => {
+    const dailyHabit = { ...baseHabit, frequency: 'daily', schedule: null };
+    // Daily for the first week, then Mondays only from 2024-01-08
+    const changedHabit = changeHabitSchedule(dailyHabit, 'weekdays', { weekdays: [1] }, '2024-01-08');
+
+    test('should keep the old schedule up to the day before the change', () => {
+      expect(changedHabit.frequency).toBe('weekdays');
+      expect(changedHabit.schedule).toEqual({ weekdays: [1] });
+      expect(changedHabit.scheduleHistory).toEqual([
+        { frequency: 'daily', schedule: null, until: '2024-01-07' }
+      ]);
+    });
+
+    test('should replace a schedule that never applied to any day', () => {
+      const changedTwice = changeHabitSchedule(changedHabit, 'interval', { intervalDays: 2 }, '2024-01-08');
+      expect(changedTwice.scheduleHistory).toHaveLength(1);
+      expect(changedTwice.frequency).toBe('interval');
+
+      const changedOnCreation = changeHabitSchedule(dailyHabit, 'weekly', null, '2024-01-01');
+      expect(changedOnCreation.scheduleHistory).toEqual([]);
+    });
+
+    test('should return the habit unchanged when the schedule is the same', () => {
+      expect(changeHabitSchedule(changedHabit, 'weekdays', { weekdays: [1] }, '2024-01-20')).toBe(changedHabit);
+    });
+
+    test('should judge each date by the schedule in effect', () => {
+      expect(isDueOnDate(changedHabit, '2024-01-03')).toBe(true);
+      expect(isDueOnDate(changedHabit, '2024-01-10')).toBe(false);
+      expect(isDueOnDate(changedHabit, '2024-01-15')).toBe(true);
+      expect(getScheduleOnDate(changedHabit, '2024-01-07').frequency).toBe('daily');
+      expect(getScheduleOnDate(changedHabit, '2024-01-08').frequency).toBe('weekdays');
+    });
+
+    test('should add up due and completed occurrences across schedules', () => {
+      const habit = {
+        ...changedHabit,
+        completionHistory: [
+          { date: '2024-01-02', completed: true },
+          { date: '2024-01-03', completed: true },
+          { date: '2024-01-08', completed: true },
+          { date: '2024-01-09', completed: true }
+        ]
+      };
+
+      expect(countDueOccurrences(habit, '2024-01-14')).toBe(8); // 7 daily + Monday the 8th
+      expect(countCompletedOccurrences(habit)).toBe(3); // Tuesday the 9th is no longer due
+    });
+
+    test('should anchor a new interval on the day it took effect', () => {
+      const habit = changeHabitSchedule(dailyHabit, 'interval', { intervalDays: 3 }, '2024-01-05');
+
+      expect(isDueOnDate(habit, '2024-01-05')).toBe(true);
+      expect(isDueOnDate(habit, '2024-01-07')).toBe(false);
+      expect(isDueOnDate(habit, '2024-01-08')).toBe(true);
+    });
+  });
+
+  describe('paused days', () => {
+    // Paused Wednesday 2024-01-03 through Tuesday 2024-01-09
+    const pausedRanges = [{ start: '2024-01-03', end: '2024-01-09' }];
+
+    afterEach(() => {
+      setVacationRanges([]);
+    });
+
+    test('should not make paused days due', () => {
+      const habit = { ...baseHabit, frequency: 'daily', pausedRanges };
+
+      expect(isDueOnDate(habit, '2024-01-02')).toBe(true);
+      expect(isDueOnDate(habit, '2024-01-05')).toBe(false);
+      expect(countDueOccurrences(habit, '2024-01-14')).toBe(7);
+    });
+
+    test('should skip paused weekdays and interval days', () => {
+      const weekdays = { ...baseHabit, frequency: 'weekdays', schedule: { weekdays: [1, 3, 5] }, pausedRanges };
+      const interval = { ...baseHabit, frequency: 'interval', schedule: { intervalDays: 3 }, pausedRanges };
+
+      expect(countDueOccurrences(weekdays, '2024-01-14')).toBe(3); // 1st, 10th, 12th
+      expect(countDueOccurrences(interval, '2024-01-10')).toBe(2); // 1st, 10th
+    });
+
+    test('should waive weeks with any paused day for weekly targets', () => {
+      const habit = {
+        ...baseHabit,
+        frequency: 'times_per_week',
+        schedule: { timesPerWeek: 2 },
+        pausedRanges: [{ start: '2024-01-12', end: '2024-01-12' }],
+        completionHistory: [
+          { date: '2024-01-02', completed: true },
+          { date: '2024-01-03', completed: true },
+          { date: '2024-01-08', completed: true },
+          { date: '2024-01-15', completed: true }
+        ]
+      };
+
+      expect(isWeekPaused(habit, getWeekNumber('2024-01-10'))).toBe(true);
+      expect(isWeekPaused(habit, getWeekNumber('2024-01-03'))).toBe(false);
+      expect(countDueOccurrences(habit, '2024-01-21')).toBe(4);
+      expect(countCompletedOccurrences(habit)).toBe(3);
+    });
+
+    test('should pause every habit during a vacation', () => {
+      const habit = { ...baseHabit, frequency: 'daily' };
+      setVacationRanges([{ start: '2024-01-06', end: '2024-01-07' }]);
+
+      expect(isDueOnDate(habit, '2024-01-06')).toBe(false);
+      expect(countDueOccurrences(habit, '2024-01-10')).toBe(8);
+    });
+  });
+
+  describe('editable date range', () => {
+    const habit = { ...baseHabit, frequency: 'daily' };
+
+    test('should start at creation when there is no limit', () => {
+      expect(getEditableDateRange(habit, null, '2024-03-01')).toEqual({
+        firstKey: '2024-01-01',
+        lastKey: '2024-03-01'
+      });
+    });
+
+    test('should apply the days-back limit', () => {
+      expect(getEditableDateRange(habit, 7, '2024-03-01').firstKey).toBe('2024-02-23');
+      expect(getEditableDateRange(habit, 0, '2024-03-01').firstKey).toBe('2024-03-01');
+    });
+
+    test('should never start before creation', () => {
+      expect(getEditableDateRange(habit, 30, '2024-01-05').firstKey).toBe('2024-01-01');
+    });
+
+    test('should check individual dates', () => {
+      expect(isDateEditable(habit, '2024-02-23', 7, '2024-03-01')).toBe(true);
+      expect(isDateEditable(habit, '2024-02-22', 7, '2024-03-01')).toBe(false);
+      expect(isDateEditable(habit, '2024-03-02', 7, '2024-03-01')).toBe(false); // future
+      expect(isDateEditable(habit, '2023-12-31', null, '2024-03-01')).toBe(false); // before creation
+      expect(isDateEditable(habit, 'yesterday', null, '2024-03-01')).toBe(false);
+    });
+  });
+
+  describe('getScheduleText', () => {
+    test('should describe every frequency', () => {
+      expect(getScheduleText({ frequency: 'daily' })).toBe('Daily');
+      expect(getScheduleText({ frequency: 'weekly' })).toBe('Weekly');
+      expect(getScheduleText({ frequency: 'weekdays', schedule: { weekdays: [1, 3, 5] } })).toBe('Mon, Wed, Fri');
+      expect(getScheduleText({ frequency: 'weekdays', schedule: { weekdays: [1, 2, 3, 4, 5] } })).toBe('Weekdays');
+      expect(getScheduleText({ frequency: 'times_per_week', schedule: { timesPerWeek: 3 } })).toBe('3× per week');
+      expect(getScheduleText({ frequency: 'interval', schedule: { intervalDays: 2 } })).toBe('Every other day');
+      expect(getScheduleText({ frequency: 'interval', schedule: { intervalDays: 4 } })).toBe('Every 4 days');
+    });
+  });
+});
@@ -1,40 +1,299 @@
-// Unit tests for storage utilities
+/**
+ * @jest-environment node
+ */
+// Unit tests for storage utilities, run against every storage adapter
 const AsyncStorage = require('@react-native-async-storage/async-storage');
+const initSqlJs = require('sql.js');
 const {
+  setStorageAdapter,
   getStorageData,
   setStorageData,
   updateStorageData,
   deleteStorageData,
   getHabits,
+  getHabit,
+  getHabitSummaries,
+  getHabitHistory,
   saveHabits,
+  updateHabits,
   addHabit,
   updateHabit,
+  editHabit,
   updateHabitCompletion,
+  setHabitCompletionForDate,
+  updateHabitAmount,
+  setHabitAmountForDate,
   deleteHabit,
-  clearAllHabits
+  pauseHabit,
+  resumeHabit,
+  archiveHabit,
+  restoreHabit,
+  recalculateHabitProgress,
+  clearAllHabits,
+  getUserPreferences,
+  saveUserPreferences,
+  getAIProviderSettings,
+  applyUserPreferences,
+  startVacation,
+  endVacation,
+  unlockAchievement,
+  getUserAchievements,
+  applyEncryptionSettings,
+  getEncryptionStatus,
+  unlockStorage,
+  enableEncryption,
+  changePasscode,
+  disableEncryption,
+  migrateStoredData,
+  compareVersions,
+  MIGRATIONS,
+  BACKUP_RETENTION,
+  selectBackupsToKeep,
+  listBackups,
+  backupHabits,
+  getBackup,
+  restoreBackup,
+  deleteBackup
 } = require('../storage');
-const { STORAGE_KEYS, DEFAULT_VALUES } = require('../types');
+const { STORAGE_KEYS, DEFAULT_VALUES, validateStoredData } = require('../types');
+const { getDayRolloverHour, setDayRolloverHour, addDaysToKey } = require('../localDate');
+const { getVacationRanges, setVacationRanges } = require('../habitStatus');
+const { setReminderScheduler } = require('../reminders');
+const { createMemoryScheduler } = require('../memoryScheduler');
+const { getHabitKey, getHistoryChunkKey, splitHabit, joinHabit } = require('../habitLayout');
+const { createAsyncStorageAdapter } = require('../asyncStorageAdapter');
+const { createMemoryStorageAdapter } = require('../memoryStorageAdapter');
+const { SQLITE_STORAGE_TABLE, createSqliteStorageAdapter } = require('../sqliteStorageAdapter');
+const { isEncryptedValue, getValueKeyId } = require('../encryption');
+const fs = require('fs');
+const path = require('path');
 
-describe('Storage Utilities', () => {
-  beforeEach(() => {
+// Keep key derivation fast; the iteration count is stored with the settings
+jest.mock('../encryption', () => ({
+  ...jest.requireActual('../encryption'),
+  KEY_DERIVATION_ITERATIONS: 1000
+}));
+
+// Stored blobs as written by every schema version the app has shipped
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const loadStorageFixtures = () => fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.startsWith('storage-') && file.endsWith('.json'))
+  .map(file => ({
+    name: file,
+    data: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'))
+  }));
+
+let SQL;
+
+// sql.js database with the async methods of an expo-sqlite database, plus
+// its entries as an object to seed and inspect synchronously
+const openSqlJsDatabase = () => {
+  const db = new SQL.Database();
+  db.run(`CREATE TABLE IF NOT EXISTS ${SQLITE_STORAGE_TABLE} (key TEXT PRIMARY KEY NOT NULL, value TEXT NOT NULL)`);
+  const select = (source, params = []) => {
+    const statement = db.prepare(source);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return rows;
+    } finally {
+      statement.free();
+    }
+  };
+  const valueOf = (key) => {
+    const [row] = select(`SELECT value FROM ${SQLITE_STORAGE_TABLE} WHERE key = ?`, [key]);
+    return row ? row.value : undefined;
+  };
+
+  const entries = new Proxy({}, {
+    get: (target, key) => valueOf(key),
+    has: (target, key) => valueOf(key) !== undefined,
+    set: (target, key, value) => {
+      db.run(`INSERT OR REPLACE INTO ${SQLITE_STORAGE_TABLE} (key, value) VALUES (?, ?)`, [key, value]);
+      return true;
+    },
+    deleteProperty: (target, key) => {
+      db.run(`DELETE FROM ${SQLITE_STORAGE_TABLE} WHERE key = ?`, [key]);
+      return true;
+    },
+    ownKeys: () => select(`SELECT key FROM ${SQLITE_STORAGE_TABLE}`).map(row => row.key),
+    getOwnPropertyDescriptor: (target, key) => {
+      const value = valueOf(key);
+      return value === undefined ? undefined : { value, enumerable: true, configurable: true, writable: true };
+    }
+  });
+
+  return {
+    database: {
+      execAsync: async (source) => {
+        db.exec(source);
+      },
+      runAsync: async (source, params) => {
+        db.run(source, params);
+      },
+      getFirstAsync: async (source, params) => select(source, params)[0] || null,
+      getAllAsync: async (source, params) => select(source, params),
+      withTransactionAsync: async (task) => {
+        db.exec('BEGIN');
+        try {
+          await task();
+          db.exec('COMMIT');
+        } catch (error) {
+          db.exec('ROLLBACK');
+          throw error;
+        }
+      }
+    },
+    entries
+  };
+};
+
+// Backends the suite runs against: each returns an adapter and its entries,
+// which tests may read and write directly
+const STORAGE_BACKENDS = [
+  ['AsyncStorage', () => {
+    const entries = {};
+    AsyncStorage.getItem.mockImplementation(async (key) => (key in entries ? entries[key] : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      entries[key] = value;
+    });
+    AsyncStorage.removeItem.mockImplementation(async (key) => {
+      delete entries[key];
+    });
+    AsyncStorage.getAllKeys.mockImplementation(async () => Object.keys(entries));
+    return { adapter: createAsyncStorageAdapter(), entries };
+  }],
+  ['in-memory', () => {
+    const entries = {};
+    return { adapter: createMemoryStorageAdapter(entries), entries };
+  }],
+  ['SQLite', () => {
+    const { database, entries } = openSqlJsDatabase();
+    return { adapter: createSqliteStorageAdapter(database), entries };
+  }]
+];
+
+// Spies in front of the backend under test, so tests can watch or override each call
+const backend = {
+  getItem: jest.fn(),
+  setItem: jest.fn(),
+  multiSet: jest.fn(),
+  removeItem: jest.fn(),
+  getAllKeys: jest.fn()
+};
+let createBackend;
+let adapter;
+
+// Every [key, value] written through the spies, in order, one at a time or in batches
+const writtenEntries = () => [
+  ...backend.setItem.mock.calls.map((call, i) => [backend.setItem.mock.invocationCallOrder[i], [call]]),
+  ...backend.multiSet.mock.calls.map(([entries], i) => [backend.multiSet.mock.invocationCallOrder[i], entries])
+].sort(([a], [b]) => a - b).flatMap(([, entries]) => entries);
+
+// Start the test from an empty backend and return its entries
+const useStore = () => {
+  const created = createBackend();
+  adapter = created.adapter;
+  backend.getItem.mockReset().mockImplementation(key => adapter.getItem(key));
+  backend.setItem.mockReset().mockImplementation((key, value) => adapter.setItem(key, value));
+  backend.multiSet.mockReset().mockImplementation(entries => adapter.multiSet(entries));
+  backend.removeItem.mockReset().mockImplementation(key => adapter.removeItem(key));
+  backend.getAllKeys.mockReset().mockImplementation(() => adapter.getAllKeys());
+  return created.entries;
+};
+
+// Fill an empty backend with habits in the per-habit layout
+const mockHabitStore = (habits, extra = {}) => {
+  const store = Object.assign(useStore(), extra);
+  store[STORAGE_KEYS.HABITS] = JSON.stringify({
+    habitIds: habits.map(habit => habit.id),
+    lastUpdated: '2024-03-10T12:00:00.000Z',
+    version: DEFAULT_VALUES.VERSION
+  });
+  habits.forEach(habit => {
+    const { record, chunks } = splitHabit(habit);
+    store[getHabitKey(habit.id)] = JSON.stringify(record);
+    Object.keys(chunks).forEach(month => {
+      store[getHistoryChunkKey(habit.id, month)] = JSON.stringify(chunks[month]);
+    });
+  });
+  return store;
+};
+
+// Habits as saved in the per-habit layout
+const readSavedHabits = (store) => JSON.parse(store[STORAGE_KEYS.HABITS]).habitIds.map(habitId => {
+  const record = JSON.parse(store[getHabitKey(habitId)]);
+  const chunks = {};
+  record.historyMonths.forEach(month => {
+    chunks[month] = JSON.parse(store[getHistoryChunkKey(habitId, month)]);
+  });
+  return joinHabit(record, chunks);
+});
+
+beforeAll(async () => {
+  SQL = await initSqlJs();
+});
+
+describe.each(STORAGE_BACKENDS)('Storage Utilities (%s)', (name, create) => {
+  beforeEach(async () => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+    createBackend = create;
+    useStore();
+    setStorageAdapter(backend);
+    await applyEncryptionSettings();
+  });
+
+  describe('Storage adapter', () => {
+    it('should store, replace and remove string values', async () => {
+      expect(await adapter.getItem('key')).toBeNull();
+
+      await adapter.setItem('key', '{"a":1}');
+      await adapter.setItem('other', 'value');
+      await adapter.setItem('key', '{"a":2}');
+      expect(await adapter.getItem('key')).toBe('{"a":2}');
+
+      await adapter.removeItem('key');
+      await adapter.removeItem('missing');
+      expect(await adapter.getItem('key')).toBeNull();
+      expect(await adapter.getItem('other')).toBe('value');
+      expect(await adapter.getAllKeys()).toEqual(['other']);
+    });
+
+    it('should store several values in one batch', async () => {
+      await adapter.setItem('a', 'old');
+
+      await adapter.multiSet([['a', '1'], ['b', '2']]);
+
+      expect(await adapter.getItem('a')).toBe('1');
+      expect(await adapter.getItem('b')).toBe('2');
+    });
+
+    it('should round-trip data through the storage helpers', async () => {
+      const data = { text: 'Übung 🏃', list: [1, null, true], nested: { empty: '' } };
+
+      expect(await setStorageData('data', data)).toBe(true);
+      expect(await getStorageData('data')).toEqual(data);
+      expect(await deleteStorageData('data')).toBe(true);
+      expect(await getStorageData('data', 'default')).toBe('default');
+    });
   });
 
   describe('Generic Storage Functions', () => {
     describe('getStorageData', () => {
       it('should return parsed data when key exists', async () => {
         const testData = { test: 'value' };
-        AsyncStorage.getItem.mockResolvedValue(JSON.stringify(testData));
+        backend.getItem.mockResolvedValue(JSON.stringify(testData));
 
         const result = await getStorageData('test-key');
         
-        expect(AsyncStorage.getItem).toHaveBeenCalledWith('test-key');
+        expect(backend.getItem).toHaveBeenCalledWith('test-key');
         expect(result).toEqual(testData);
       });
 
       it('should return default value when key does not exist', async () => {
-        AsyncStorage.getItem.mockResolvedValue(null);
+        backend.getItem.mockResolvedValue(null);
         const defaultValue = { default: 'value' };
 
         const result = await getStorageData('test-key', defaultValue);
@@ -43,7 +302,7 @@ describe('Storage Utilities', () => {
       });
 
       it('should return default value on error', async () => {
-        AsyncStorage.getItem.mockRejectedValue(new Error('Storage error'));
+        backend.getItem.mockRejectedValue(new Error('Storage error'));
         const defaultValue = { default: 'value' };
 
         const result = await getStorageData('test-key', defaultValue);
@@ -54,17 +313,17 @@ describe('Storage Utilities', () => {
 
     describe('setStorageData', () => {
       it('should store data successfully', async () => {
-        AsyncStorage.setItem.mockResolvedValue();
+        backend.setItem.mockResolvedValue();
         const testData = { test: 'value' };
 
         const result = await setStorageData('test-key', testData);
         
-        expect(AsyncStorage.setItem).toHaveBeenCalledWith('test-key', JSON.stringify(testData));
+        expect(backend.setItem).toHaveBeenCalledWith('test-key', JSON.stringify(testData));
         expect(result).toBe(true);
       });
 
       it('should return false on error', async () => {
-        AsyncStorage.setItem.mockRejectedValue(new Error('Storage error'));
+        backend.setItem.mockRejectedValue(new Error('Storage error'));
         const testData = { test: 'value' };
 
         const result = await setStorageData('test-key', testData);
@@ -78,29 +337,29 @@ describe('Storage Utilities', () => {
         const existingData = { count: 1 };
         const updatedData = { count: 2 };
         
-        AsyncStorage.getItem.mockResolvedValue(JSON.stringify(existingData));
-        AsyncStorage.setItem.mockResolvedValue();
+        backend.getItem.mockResolvedValue(JSON.stringify(existingData));
+        backend.setItem.mockResolvedValue();
 
         const updateFunction = (data) => ({ ...data, count: data.count + 1 });
         const result = await updateStorageData('test-key', updateFunction);
         
-        expect(AsyncStorage.setItem).toHaveBeenCalledWith('test-key', JSON.stringify(updatedData));
+        expect(backend.setItem).toHaveBeenCalledWith('test-key', JSON.stringify(updatedData));
         expect(result).toBe(true);
       });
     });
 
     describe('deleteStorageData', () => {
       it('should delete data successfully', async () => {
-        AsyncStorage.removeItem.mockResolvedValue();
+        backend.removeItem.mockResolvedValue();
 
         const result = await deleteStorageData('test-key');
         
-        expect(AsyncStorage.removeItem).toHaveBeenCalledWith('test-key');
+        expect(backend.removeItem).toHaveBeenCalledWith('test-key');
         expect(result).toBe(true);
       });
 
       it('should return false on error', async () => {
-        AsyncStorage.removeItem.mockRejectedValue(new Error('Storage error'));
+        backend.removeItem.mockRejectedValue(new Error('Storage error'));
 
         const result = await deleteStorageData('test-key');
         
@@ -127,10 +386,10 @@ describe('Storage Utilities', () => {
             }
           ],
           lastUpdated: new Date().toISOString(),
-          version: '1.0.0'
+          version: DEFAULT_VALUES.VERSION
         };
         
-        AsyncStorage.getItem.mockResolvedValue(JSON.stringify(storedData));
+        backend.getItem.mockResolvedValue(JSON.stringify(storedData));
 
         const result = await getHabits();
         
@@ -138,7 +397,7 @@ describe('Storage Utilities', () => {
       });
 
       it('should return empty array when no data exists', async () => {
-        AsyncStorage.getItem.mockResolvedValue(null);
+        backend.getItem.mockResolvedValue(null);
 
         const result = await getHabits();
         
@@ -146,7 +405,7 @@ describe('Storage Utilities', () => {
       });
 
       it('should return empty array on error', async () => {
-        AsyncStorage.getItem.mockRejectedValue(new Error('Storage error'));
+        backend.getItem.mockRejectedValue(new Error('Storage error'));
 
         const result = await getHabits();
         
@@ -156,7 +415,7 @@ describe('Storage Utilities', () => {
 
     describe('saveHabits', () => {
       it('should save habits successfully', async () => {
-        AsyncStorage.setItem.mockResolvedValue();
+        backend.setItem.mockResolvedValue();
         const habits = [
           {
             id: '1',
@@ -173,10 +432,10 @@ describe('Storage Utilities', () => {
 
         const result = await saveHabits(habits);
         
-        expect(AsyncStorage.setItem).toHaveBeenCalledWith(
+        expect(writtenEntries()).toContainEqual([
           STORAGE_KEYS.HABITS,
-          expect.stringContaining('"habits"')
-        );
+          expect.stringContaining('"habitIds":["1"]')
+        ]);
         expect(result).toBe(true);
       });
 
@@ -191,12 +450,12 @@ describe('Storage Utilities', () => {
 
     describe('addHabit', () => {
       it('should add new habit successfully', async () => {
-        AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
+        backend.getItem.mockResolvedValue(JSON.stringify({
           habits: [],
           lastUpdated: new Date().toISOString(),
-          version: '1.0.0'
+          version: DEFAULT_VALUES.VERSION
         }));
-        AsyncStorage.setItem.mockResolvedValue();
+        backend.setItem.mockResolvedValue();
 
         const habitData = {
           name: 'New Habit',
@@ -214,8 +473,9 @@ describe('Storage Utilities', () => {
       });
 
       it('should return null on error', async () => {
-        AsyncStorage.getItem.mockRejectedValue(new Error('Storage error'));
-        AsyncStorage.setItem.mockRejectedValue(new Error('Storage error'));
+        backend.getItem.mockRejectedValue(new Error('Storage error'));
+        backend.setItem.mockRejectedValue(new Error('Storage error'));
+        backend.multiSet.mockRejectedValue(new Error('Storage error'));
 
         const result = await addHabit({ name: 'Test', frequency: 'daily' });
         
@@ -239,12 +499,12 @@ describe('Storage Utilities', () => {
           }
         ];
         
-        AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
+        backend.getItem.mockResolvedValue(JSON.stringify({
           habits: existingHabits,
           lastUpdated: new Date().toISOString(),
-          version: '1.0.0'
+          version: DEFAULT_VALUES.VERSION
         }));
-        AsyncStorage.setItem.mockResolvedValue();
+        backend.setItem.mockResolvedValue();
 
         const result = await updateHabit('1', { name: 'New Name' });
         
@@ -252,10 +512,10 @@ describe('Storage Utilities', () => {
       });
 
       it('should return false for non-existent habit', async () => {
-        AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
+        backend.getItem.mockResolvedValue(JSON.stringify({
           habits: [],
           lastUpdated: new Date().toISOString(),
-          version: '1.0.0'
+          version: DEFAULT_VALUES.VERSION
         }));
 
         const result = await updateHabit('non-existent', { name: 'New Name' });
@@ -264,6 +524,106 @@ describe('Storage Utilities', () => {
       });
     });
 
+    describe('editHabit', () => {
+      const firstDays = ['01', '02', '03', '04', '05', '06', '07', '08', '09']
+        .map(day => ({ date: `2024-03-${day}`, completed: true }));
+      const storedHabit = {
+        id: '1',
+        name: 'Read',
+        frequency: 'daily',
+        schedule: null,
+        type: 'check',
+        targetValue: null,
+        unit: null,
+        targetTime: null,
+        createdAt: '2024-03-01T12:00:00.000Z',
+        completedDays: 9,
+        totalDays: 10,
+        completionHistory: firstDays,
+        isCompleted: false
+      };
+
+      let store;
+
+      const mockStoredHabit = (habit) => {
+        store = mockHabitStore([habit]);
+      };
+
+      const savedHabit = () => readSavedHabits(store)[0];
+
+      beforeEach(() => {
+        jest.useFakeTimers().setSystemTime(new Date('2024-03-10T12:00:00Z')); // a Sunday
+        jest.spyOn(Date.prototype, 'getTimezoneOffset').mockReturnValue(0);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+      });
+
+      it('should rename a habit and keep its history', async () => {
+        mockStoredHabit(storedHabit);
+
+        expect(await editHabit('1', { name: ' Read more ', targetTime: '08:00' })).toBe(true);
+        expect(savedHabit()).toMatchObject({
+          name: 'Read more',
+          targetTime: '08:00',
+          completionHistory: firstDays,
+          completedDays: 9,
+          totalDays: 10
+        });
+      });
+
+      it('should apply a new frequency from today without changing past totals', async () => {
+        mockStoredHabit(storedHabit);
+
+        await editHabit('1', { frequency: 'weekdays', schedule: { weekdays: [1] } });
+
+        expect(savedHabit().scheduleHistory).toEqual([
+          { frequency: 'daily', schedule: null, until: '2024-03-09' }
+        ]);
+        expect(savedHabit().completionHistory).toEqual(firstDays);
+        expect(savedHabit().completedDays).toBe(9);
+        expect(savedHabit().totalDays).toBe(9); // Sunday the 10th is not due on the Monday schedule
+      });
+
+      it('should re-judge only today against a new target', async () => {
+        mockStoredHabit({
+          ...storedHabit,
+          type: 'measurable',
+          targetValue: 8,
+          unit: 'glasses',
+          completedDays: 1,
+          completionHistory: [
+            { date: '2024-03-08', completed: false, amount: 6 },
+            { date: '2024-03-09', completed: true, amount: 8 },
+            { date: '2024-03-10', completed: false, amount: 6 }
+          ]
+        });
+
+        await editHabit('1', { type: 'measurable', targetValue: 6, unit: 'cups' });
+
+        expect(savedHabit().unit).toBe('cups');
+        expect(savedHabit().completionHistory).toEqual([
+          { date: '2024-03-08', completed: false, amount: 6 },
+          { date: '2024-03-09', completed: true, amount: 8 },
+          { date: '2024-03-10', completed: true, amount: 6, completedAt: '2024-03-10T12:00:00.000Z' }
+        ]);
+        expect(savedHabit().isCompleted).toBe(true);
+      });
+
+      it('should reject type changes and invalid edits', async () => {
+        mockStoredHabit(storedHabit);
+
+        expect(await editHabit('1', { type: 'measurable', targetValue: 5, unit: 'pages' })).toBe(false);
+        expect(await editHabit('1', { name: '   ' })).toBe(false);
+        expect(await editHabit('1', { frequency: 'times_per_week', schedule: { timesPerWeek: 9 } })).toBe(false);
+        expect(await editHabit('missing', { name: 'Other' })).toBe(false);
+        expect(backend.setItem).not.toHaveBeenCalled();
+      });
+    });
+
     describe('updateHabitCompletion', () => {
       it('should update habit completion status', async () => {
         const existingHabits = [
@@ -280,17 +640,384 @@ describe('Storage Utilities', () => {
           }
         ];
         
-        AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
+        backend.getItem.mockResolvedValue(JSON.stringify({
           habits: existingHabits,
           lastUpdated: new Date().toISOString(),
-          version: '1.0.0'
+          version: DEFAULT_VALUES.VERSION
         }));
-        AsyncStorage.setItem.mockResolvedValue();
+        backend.setItem.mockResolvedValue();
 
         const result = await updateHabitCompletion('1', true);
         
         expect(result).toBe(true);
       });
+
+      it('should record the completion on the local day', async () => {
+        jest.useFakeTimers().setSystemTime(new Date('2024-03-09T16:30:00Z'));
+        jest.spyOn(Date.prototype, 'getTimezoneOffset').mockReturnValue(-540); // 01:30 in Tokyo
+
+        const store = mockHabitStore([{
+          id: '1',
+          name: 'Test Habit',
+          frequency: 'daily',
+          targetTime: null,
+          createdAt: '2024-03-08T00:00:00.000Z',
+          completedDays: 0,
+          totalDays: 0,
+          completionHistory: [],
+          isCompleted: false
+        }]);
+
+        try {
+          await updateHabitCompletion('1', true);
+        } finally {
+          jest.restoreAllMocks();
+          jest.useRealTimers();
+        }
+
+        const [saved] = readSavedHabits(store);
+        expect(saved.completionHistory).toEqual([
+          { date: '2024-03-10', completed: true, completedAt: '2024-03-09T16:30:00.000Z' }
+        ]);
+        expect(saved.totalDays).toBe(3);
+      });
+    });
+
+    describe('setHabitCompletionForDate', () => {
+      const storedHabit = {
+        id: '1',
+        name: 'Test Habit',
+        frequency: 'daily',
+        targetTime: null,
+        createdAt: '2024-03-01T12:00:00.000Z',
+        completedDays: 1,
+        totalDays: 10,
+        completionHistory: [{ date: '2024-03-10', completed: true }],
+        isCompleted: true
+      };
+
+      let store;
+
+      const mockStoredHabits = (preferences = null) => {
+        store = mockHabitStore([storedHabit], preferences
+          ? { [STORAGE_KEYS.USER_PREFERENCES]: JSON.stringify(preferences) }
+          : {});
+      };
+
+      const savedHabit = () => readSavedHabits(store)[0];
+
+      beforeEach(() => {
+        jest.useFakeTimers().setSystemTime(new Date('2024-03-10T12:00:00Z'));
+        jest.spyOn(Date.prototype, 'getTimezoneOffset').mockReturnValue(0);
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+      });
+
+      it('should backfill a past date and recalculate progress', async () => {
+        mockStoredHabits();
+
+        const result = await setHabitCompletionForDate('1', '2024-03-09', true);
+
+        expect(result).toBe(true);
+        // Backfilled days have no known completion time
+        expect(savedHabit().completionHistory).toEqual([
+          { date: '2024-03-09', completed: true, completedAt: null },
+          { date: '2024-03-10', completed: true }
+        ]);
+        expect(savedHabit().completedDays).toBe(2);
+        expect(savedHabit().totalDays).toBe(10);
+        expect(savedHabit().isCompleted).toBe(true);
+      });
+
+      it('should clear a past completion without touching today', async () => {
+        mockStoredHabits();
+
+        await setHabitCompletionForDate('1', '2024-03-10', false);
+
+        expect(savedHabit().completedDays).toBe(0);
+        expect(savedHabit().isCompleted).toBe(false);
+      });
+
+      it('should reject dates beyond the default backfill limit', async () => {
+        mockStoredHabits();
+
+        expect(await setHabitCompletionForDate('1', '2024-03-03', true)).toBe(true);
+        backend.setItem.mockClear();
+        expect(await setHabitCompletionForDate('1', '2024-03-02', true)).toBe(false);
+        expect(backend.setItem).not.toHaveBeenCalled();
+      });
+
+      it('should use the stored backfill limit', async () => {
+        mockStoredHabits({ maxBackfillDays: 1 });
+
+        expect(await setHabitCompletionForDate('1', '2024-03-08', true)).toBe(false);
+        expect(await setHabitCompletionForDate('1', '2024-03-09', true)).toBe(true);
+      });
+
+      it('should allow any date since creation with no limit', async () => {
+        mockStoredHabits();
+
+        expect(await setHabitCompletionForDate('1', '2024-03-01', true, { maxDaysBack: null })).toBe(true);
+        expect(await setHabitCompletionForDate('1', '2024-02-29', true, { maxDaysBack: null })).toBe(false);
+      });
+
+      it('should reject future dates and unknown habits', async () => {
+        mockStoredHabits();
+
+        expect(await setHabitCompletionForDate('1', '2024-03-11', true)).toBe(false);
+        expect(await setHabitCompletionForDate('missing', '2024-03-09', true)).toBe(false);
+      });
+    });
+
+    describe('measurable habit amounts', () => {
+      const waterHabit = {
+        id: 'water',
+        name: 'Drink water',
+        frequency: 'daily',
+        targetTime: null,
+        createdAt: '2024-03-01T12:00:00.000Z',
+        completedDays: 0,
+        totalDays: 10,
+        completionHistory: [],
+        isCompleted: false,
+        type: 'measurable',
+        targetValue: 8,
+        unit: 'glasses'
+      };
+
+      let store;
+
+      const mockStoredHabit = (habit) => {
+        store = mockHabitStore([habit]);
+      };
+
+      const savedHabit = () => readSavedHabits(store)[0];
+
+      beforeEach(() => {
+        jest.useFakeTimers().setSystemTime(new Date('2024-03-10T12:00:00Z'));
+        jest.spyOn(Date.prototype, 'getTimezoneOffset').mockReturnValue(0);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+      });
+
+      it('should log a partial amount without completing the day', async () => {
+        mockStoredHabit(waterHabit);
+
+        expect(await updateHabitAmount('water', 3)).toBe(true);
+        expect(savedHabit().completionHistory).toEqual([
+          { date: '2024-03-10', completed: false, amount: 3 }
+        ]);
+        expect(savedHabit().completedDays).toBe(0);
+        expect(savedHabit().isCompleted).toBe(false);
+      });
+
+      it('should complete the day once the target is reached', async () => {
+        mockStoredHabit(waterHabit);
+
+        await updateHabitAmount('water', 9);
+
+        expect(savedHabit().completionHistory[0]).toEqual({
+          date: '2024-03-10',
+          completed: true,
+          amount: 9,
+          completedAt: '2024-03-10T12:00:00.000Z'
+        });
+        expect(savedHabit().completedDays).toBe(1);
+        expect(savedHabit().isCompleted).toBe(true);
+      });
+
+      it('should fill or clear the target when toggled as a check', async () => {
+        mockStoredHabit(waterHabit);
+
+        await updateHabitCompletion('water', true);
+        expect(savedHabit().completionHistory[0]).toEqual({
+          date: '2024-03-10',
+          completed: true,
+          amount: 8,
+          completedAt: '2024-03-10T12:00:00.000Z'
+        });
+
+        backend.setItem.mockClear();
+        await updateHabitCompletion('water', false);
+        expect(savedHabit().completionHistory[0]).toEqual({ date: '2024-03-10', completed: false, amount: 0 });
+      });
+
+      it('should set amounts for past dates within the backfill limit', async () => {
+        mockStoredHabit(waterHabit);
+
+        expect(await setHabitAmountForDate('water', '2024-03-08', 4)).toBe(true);
+        expect(savedHabit().completionHistory).toEqual([
+          { date: '2024-03-08', completed: false, amount: 4 }
+        ]);
+        expect(await setHabitAmountForDate('water', '2024-03-02', 4)).toBe(false);
+      });
+
+      it('should reject negative amounts and check habits', async () => {
+        mockStoredHabit(waterHabit);
+        expect(await updateHabitAmount('water', -1)).toBe(false);
+        expect(await updateHabitAmount('water', NaN)).toBe(false);
+
+        mockStoredHabit({ ...waterHabit, type: 'check', targetValue: null, unit: null });
+        expect(await updateHabitAmount('water', 2)).toBe(false);
+        expect(backend.setItem).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('pause and archive', () => {
+      const storedHabit = {
+        id: '1',
+        name: 'Read',
+        frequency: 'daily',
+        schedule: null,
+        type: 'check',
+        targetValue: null,
+        unit: null,
+        targetTime: null,
+        createdAt: '2024-03-01T12:00:00.000Z',
+        completedDays: 9,
+        totalDays: 10,
+        completionHistory: ['01', '02', '03', '04', '05', '06', '07', '08', '09']
+          .map(day => ({ date: `2024-03-${day}`, completed: true })),
+        isCompleted: false,
+        archivedAt: null,
+        pausedRanges: []
+      };
+
+      let store;
+
+      const mockStoredHabit = (habit) => {
+        store = mockHabitStore([habit]);
+      };
+
+      const savedHabit = () => readSavedHabits(store)[0];
+
+      beforeEach(() => {
+        jest.useFakeTimers().setSystemTime(new Date('2024-03-10T12:00:00Z'));
+        jest.spyOn(Date.prototype, 'getTimezoneOffset').mockReturnValue(0);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+      });
+
+      it('should pause a habit from today and stop counting today', async () => {
+        mockStoredHabit(storedHabit);
+
+        expect(await pauseHabit('1')).toBe(true);
+        expect(savedHabit()).toMatchObject({
+          pausedRanges: [{ start: '2024-03-10', end: null }],
+          completedDays: 9,
+          totalDays: 9
+        });
+      });
+
+      it('should resume a paused habit from today', async () => {
+        mockStoredHabit({ ...storedHabit, pausedRanges: [{ start: '2024-03-05', end: null }] });
+
+        expect(await resumeHabit('1')).toBe(true);
+        expect(savedHabit()).toMatchObject({
+          pausedRanges: [{ start: '2024-03-05', end: '2024-03-09' }],
+          completedDays: 4,
+          totalDays: 5
+        });
+      });
+
+      it('should archive a habit and keep its history', async () => {
+        mockStoredHabit(storedHabit);
+
+        expect(await archiveHabit('1')).toBe(true);
+        expect(savedHabit()).toMatchObject({
+          archivedAt: '2024-03-10T12:00:00.000Z',
+          pausedRanges: [{ start: '2024-03-10', end: null }],
+          completionHistory: storedHabit.completionHistory
+        });
+      });
+
+      it('should restore an archived habit from today', async () => {
+        mockStoredHabit({
+          ...storedHabit,
+          archivedAt: '2024-03-07T12:00:00.000Z',
+          pausedRanges: [{ start: '2024-03-07', end: null }]
+        });
+
+        expect(await restoreHabit('1')).toBe(true);
+        expect(savedHabit()).toMatchObject({
+          archivedAt: null,
+          pausedRanges: [{ start: '2024-03-07', end: '2024-03-09' }],
+          totalDays: 7
+        });
+      });
+
+      it('should return false for a missing habit', async () => {
+        mockStoredHabit(storedHabit);
+
+        expect(await archiveHabit('missing')).toBe(false);
+        expect(backend.setItem).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('reminders', () => {
+      let scheduler;
+
+      beforeEach(() => {
+        jest.useFakeTimers().setSystemTime(new Date(2024, 2, 10, 6, 0));
+        scheduler = createMemoryScheduler();
+        setReminderScheduler(scheduler);
+        mockHabitStore([]);
+      });
+
+      afterEach(() => {
+        setReminderScheduler(null);
+        jest.useRealTimers();
+      });
+
+      it('should schedule reminders for a new habit and cancel them on delete', async () => {
+        const habit = await addHabit({ name: 'Stretch', frequency: 'daily', targetTime: '08:00', reminderTimes: ['20:00'] });
+
+        expect(habit.reminderTimes).toEqual(['20:00']);
+        expect(await scheduler.getScheduled()).toHaveLength(14);
+
+        expect(await deleteHabit(habit.id)).toBe(true);
+        expect(await scheduler.getScheduled()).toEqual([]);
+      });
+
+      it('should reschedule reminders when a habit is edited', async () => {
+        const habit = await addHabit({ name: 'Stretch', frequency: 'daily', targetTime: '08:00' });
+
+        expect(await editHabit(habit.id, { reminderTimes: ['12:00', '20:00'] })).toBe(true);
+        expect(await scheduler.getScheduled()).toHaveLength(21);
+      });
+
+      it('should not hold up other writes while reminders wait for permission', async () => {
+        let answerPrompt;
+        const prompt = new Promise(resolve => {
+          answerPrompt = resolve;
+        });
+        setReminderScheduler({
+          ...scheduler,
+          schedule: async (request) => {
+            await prompt;
+            return scheduler.schedule(request);
+          }
+        });
+
+        const adding = addHabit({ name: 'Stretch', frequency: 'daily', targetTime: '08:00' });
+        expect(await updateHabits(habits => habits.map(habit => ({ ...habit, name: 'Yoga' })))).toBe(true);
+        expect((await getHabits())[0].name).toBe('Yoga');
+
+        answerPrompt();
+        expect(await adding).toMatchObject({ name: 'Stretch' });
+        expect(await scheduler.getScheduled()).toHaveLength(7);
+      });
     });
 
     describe('deleteHabit', () => {
@@ -309,12 +1036,12 @@ describe('Storage Utilities', () => {
           }
         ];
         
-        AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
+        backend.getItem.mockResolvedValue(JSON.stringify({
           habits: existingHabits,
           lastUpdated: new Date().toISOString(),
-          version: '1.0.0'
+          version: DEFAULT_VALUES.VERSION
         }));
-        AsyncStorage.setItem.mockResolvedValue();
+        backend.setItem.mockResolvedValue();
 
         const result = await deleteHabit('1');
         
@@ -322,10 +1049,10 @@ describe('Storage Utilities', () => {
       });
 
       it('should return false for non-existent habit', async () => {
-        AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
+        backend.getItem.mockResolvedValue(JSON.stringify({
           habits: [],
           lastUpdated: new Date().toISOString(),
-          version: '1.0.0'
+          version: DEFAULT_VALUES.VERSION
         }));
 
         const result = await deleteHabit('non-existent');
@@ -336,16 +1063,961 @@ describe('Storage Utilities', () => {
 
     describe('clearAllHabits', () => {
       it('should clear all habits successfully', async () => {
-        AsyncStorage.setItem.mockResolvedValue();
+        backend.setItem.mockResolvedValue();
 
         const result = await clearAllHabits();
         
         expect(result).toBe(true);
-        expect(AsyncStorage.setItem).toHaveBeenCalledWith(
+        expect(writtenEntries()).toContainEqual([
           STORAGE_KEYS.HABITS,
           expect.stringContaining('[]')
-        );
+        ]);
       });
     });
   });
-});
\ No newline at end of file
+  describe('User Preferences', () => {
+    afterEach(() => {
+      setDayRolloverHour(0);
+    });
+
+    it('should fill in defaults for missing preferences', async () => {
+      backend.getItem.mockResolvedValue(null);
+
+      expect(await getUserPreferences()).toEqual(DEFAULT_VALUES.USER_PREFERENCES);
+    });
+
+    it('should save a new rollover hour and apply it', async () => {
+      backend.getItem.mockResolvedValue(JSON.stringify({ dayRolloverHour: 0 }));
+      backend.setItem.mockResolvedValue();
+
+      const result = await saveUserPreferences({ dayRolloverHour: 3 });
+
+      expect(result).toBe(true);
+      expect(getDayRolloverHour()).toBe(3);
+      expect(JSON.parse(backend.setItem.mock.calls[0][1])).toEqual({
+        ...DEFAULT_VALUES.USER_PREFERENCES,
+        dayRolloverHour: 3
+      });
+    });
+
+    it('should reject an invalid backfill limit', async () => {
+      expect(await saveUserPreferences({ maxBackfillDays: -2 })).toBe(false);
+      expect(backend.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should reject connection checks over plain HTTP', async () => {
+      const connectivity = { usePublicProbes: false, probeEndpoints: [{ url: 'http://detectportal.example.com/' }] };
+
+      expect(await saveUserPreferences({ connectivity })).toBe(false);
+      expect(backend.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid rollover hour', async () => {
+      const result = await saveUserPreferences({ dayRolloverHour: 27 });
+
+      expect(result).toBe(false);
+      expect(backend.setItem).not.toHaveBeenCalled();
+      expect(getDayRolloverHour()).toBe(0);
+    });
+
+    it('should apply stored preferences on startup', async () => {
+      backend.getItem.mockResolvedValue(JSON.stringify({ dayRolloverHour: 4 }));
+
+      await applyUserPreferences();
+
+      expect(getDayRolloverHour()).toBe(4);
+    });
+
+    it('should reject vacations without an end date', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(await saveUserPreferences({ vacations: [{ start: '2024-03-10', end: null }] })).toBe(false);
+      expect(backend.setItem).not.toHaveBeenCalled();
+      jest.restoreAllMocks();
+    });
+
+    describe('vacations', () => {
+      const pastVacation = { start: '2024-02-01', end: '2024-02-03' };
+      let storedPreferences;
+
+      beforeEach(() => {
+        jest.useFakeTimers().setSystemTime(new Date('2024-03-10T12:00:00Z'));
+        jest.spyOn(Date.prototype, 'getTimezoneOffset').mockReturnValue(0);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        storedPreferences = { ...DEFAULT_VALUES.USER_PREFERENCES, vacations: [pastVacation] };
+        backend.getItem.mockImplementation(async (key) => (
+          key === STORAGE_KEYS.USER_PREFERENCES
+            ? JSON.stringify(storedPreferences)
+            : JSON.stringify({ habits: [], lastUpdated: '2024-03-10T12:00:00.000Z', version: DEFAULT_VALUES.VERSION })
+        ));
+        backend.setItem.mockImplementation(async (key, value) => {
+          if (key === STORAGE_KEYS.USER_PREFERENCES) storedPreferences = JSON.parse(value);
+        });
+      });
+
+      afterEach(() => {
+        setVacationRanges([]);
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+      });
+
+      it('should save and apply a new vacation', async () => {
+        expect(await startVacation('2024-03-12', '2024-03-16')).toBe(true);
+        expect(storedPreferences.vacations).toEqual([
+          pastVacation,
+          { start: '2024-03-12', end: '2024-03-16' }
+        ]);
+        expect(getVacationRanges()).toEqual(storedPreferences.vacations);
+        expect(writtenEntries()).toContainEqual([STORAGE_KEYS.HABITS, expect.any(String)]);
+      });
+
+      it('should replace an upcoming vacation', async () => {
+        await startVacation('2024-03-12', '2024-03-16');
+        expect(await startVacation('2024-03-20', '2024-03-22')).toBe(true);
+
+        expect(storedPreferences.vacations).toEqual([
+          pastVacation,
+          { start: '2024-03-20', end: '2024-03-22' }
+        ]);
+      });
+
+      it('should reject a vacation that starts in the past', async () => {
+        expect(await startVacation('2024-03-09', '2024-03-16')).toBe(false);
+        expect(backend.setItem).not.toHaveBeenCalled();
+      });
+
+      it('should end a current vacation so today is tracked again', async () => {
+        storedPreferences.vacations = [pastVacation, { start: '2024-03-08', end: '2024-03-16' }];
+
+        expect(await endVacation()).toBe(true);
+        expect(storedPreferences.vacations).toEqual([
+          pastVacation,
+          { start: '2024-03-08', end: '2024-03-09' }
+        ]);
+      });
+
+      it('should not lose a preferences change saved while a vacation starts', async () => {
+        await Promise.all([
+          saveUserPreferences({ vacations: [] }),
+          startVacation('2024-03-12', '2024-03-16')
+        ]);
+
+        expect(storedPreferences.vacations).toEqual([{ start: '2024-03-12', end: '2024-03-16' }]);
+      });
+
+      it('should apply stored vacations on startup', async () => {
+        await applyUserPreferences();
+
+        expect(getVacationRanges()).toEqual([pastVacation]);
+      });
+    });
+  });
+
+  describe('Schema Migrations', () => {
+    const fixtures = loadStorageFixtures();
+
+    it('should have a fixture for every migration version', () => {
+      const fixtureNames = fixtures.map(fixture => fixture.name);
+
+      MIGRATIONS.forEach(migration => {
+        expect(fixtureNames).toContain(`storage-v${migration.version}.json`);
+      });
+      expect(fixtureNames).toContain('storage-unversioned.json');
+    });
+
+    it('should keep migrations in ascending version order', () => {
+      for (let i = 1; i < MIGRATIONS.length; i++) {
+        expect(compareVersions(MIGRATIONS[i].version, MIGRATIONS[i - 1].version)).toBeGreaterThan(0);
+      }
+      expect(MIGRATIONS[MIGRATIONS.length - 1].version).toBe(DEFAULT_VALUES.VERSION);
+    });
+
+    it.each(fixtures.map(fixture => [fixture.name, fixture.data]))(
+      'should migrate %s to valid current data',
+      (name, data) => {
+        const { data: migrated } = migrateStoredData(data);
+
+        expect(migrated.version).toBe(DEFAULT_VALUES.VERSION);
+        expect(validateStoredData(migrated).isValid).toBe(true);
+        expect(migrated.habits.map(h => h.id)).toEqual(data.habits.map(h => h.id));
+
+        migrated.habits.forEach(habit => {
+          const dates = habit.completionHistory.map(entry => entry.date);
+          expect(dates).toEqual([...new Set(dates)].sort());
+          habit.completionHistory.forEach(entry => {
+            expect(typeof entry.completed).toBe('boolean');
+          });
+        });
+      }
+    );
+
+    it('should default habits from earlier versions to check habits', () => {
+      const { data } = fixtures.find(fixture => fixture.name === 'storage-v1.2.0.json');
+
+      const { data: migrated } = migrateStoredData(data);
+
+      migrated.habits.forEach(habit => {
+        expect(habit).toMatchObject({ type: 'check', targetValue: null, unit: null });
+      });
+    });
+
+    it('should be a no-op for data at the current version', () => {
+      const current = { habits: [], lastUpdated: new Date().toISOString(), version: DEFAULT_VALUES.VERSION };
+
+      const result = migrateStoredData(current);
+
+      expect(result.migrated).toBe(false);
+      expect(result.data).toBe(current);
+    });
+
+    it('should leave data from a newer app version untouched', () => {
+      const newer = { habits: [], lastUpdated: new Date().toISOString(), version: '99.0.0' };
+
+      const result = migrateStoredData(newer);
+
+      expect(result.migrated).toBe(false);
+      expect(result.data.version).toBe('99.0.0');
+    });
+
+    it('should collapse duplicate dates keeping the last entry', () => {
+      const { data } = fixtures.find(fixture => fixture.name === 'storage-v1.0.0.json');
+
+      const result = migrateStoredData(data);
+      const history = result.data.habits[0].completionHistory;
+
+      expect(result.fromVersion).toBe('1.0.0');
+      expect(history).toEqual([
+        { date: '2024-02-01', completed: true, completedAt: null },
+        { date: '2024-02-02', completed: false },
+        { date: '2024-02-03', completed: true, completedAt: null }
+      ]);
+    });
+
+    it('should back up the original blob before persisting migrated data', async () => {
+      const { data } = fixtures.find(fixture => fixture.name === 'storage-unversioned.json');
+      const store = mockHabitStore([]);
+      store[STORAGE_KEYS.HABITS] = JSON.stringify(data);
+
+      const habits = await getHabits();
+
+      expect(habits).toHaveLength(1);
+      const writtenKeys = writtenEntries().map(([key]) => key);
+      expect(writtenKeys[0]).toBe(STORAGE_KEYS.HABITS_BACKUP);
+      // The index comes last, followed only by the first rotating backup
+      const indexWrite = writtenKeys.lastIndexOf(STORAGE_KEYS.HABITS);
+      expect(writtenKeys.slice(indexWrite + 1).every(key => key.startsWith(STORAGE_KEYS.BACKUPS))).toBe(true);
+
+      const backup = JSON.parse(backend.setItem.mock.calls[0][1]);
+      expect(backup.version).toBe('1.0.0');
+      expect(backup.data).toEqual(data);
+
+      expect(JSON.parse(store[STORAGE_KEYS.HABITS]).version).toBe(DEFAULT_VALUES.VERSION);
+      expect(readSavedHabits(store)).toEqual(habits);
+    });
+
+    it('should not overwrite stored data when the backup fails', async () => {
+      const { data } = fixtures.find(fixture => fixture.name === 'storage-v1.0.0.json');
+      backend.getItem.mockResolvedValue(JSON.stringify(data));
+      backend.setItem.mockRejectedValue(new Error('Storage error'));
+
+      const habits = await getHabits();
+
+      expect(habits).toHaveLength(2);
+      expect(backend.setItem).toHaveBeenCalledTimes(1);
+      expect(backend.setItem).toHaveBeenCalledWith(STORAGE_KEYS.HABITS_BACKUP, expect.any(String));
+    });
+  });
+
+  describe('Backups', () => {
+    let store;
+
+    const habit = (id, name) => ({
+      id,
+      name,
+      frequency: 'daily',
+      targetTime: null,
+      createdAt: '2024-03-01T08:00:00.000Z',
+      completedDays: 0,
+      totalDays: 0,
+      completionHistory: [],
+      isCompleted: false
+    });
+
+    const backupKeys = () => Object.keys(store).filter(key => key.startsWith(`${STORAGE_KEYS.BACKUPS}/`));
+
+    beforeEach(() => {
+      jest.useFakeTimers().setSystemTime(new Date(2024, 2, 10, 12, 0));
+      store = useStore();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should keep the latest backups and the last backup of each recent day', () => {
+      // Three backups a day for 10 days
+      const backups = [];
+      for (let day = 1; day <= 10; day++) {
+        [9, 13, 18].forEach(hour => {
+          backups.push({ id: `${day}-${hour}`, createdAt: new Date(2024, 2, day, hour).toISOString(), habitCount: 1 });
+        });
+      }
+
+      const kept = selectBackupsToKeep(backups).map(backup => backup.id);
+
+      expect(kept).toEqual([
+        '10-18', '10-13', '10-9', '9-18', '9-13', '9-9', '8-18', '8-13', '8-9', '7-18',
+        '6-18', '5-18', '4-18'
+      ]);
+    });
+
+    it('should back up saves an interval apart and prune old snapshots', async () => {
+      for (let hour = 1; hour <= 12; hour++) {
+        jest.setSystemTime(new Date(2024, 2, 10, hour, 0));
+        await saveHabits([habit('1', `Habit v${hour}`)]);
+        expect(await backupHabits()).toBe(true);
+      }
+
+      const backups = await listBackups();
+
+      expect(backups).toHaveLength(BACKUP_RETENTION.RECENT_WRITES);
+      expect(backups[0]).toMatchObject({
+        createdAt: new Date(2024, 2, 10, 12, 0).toISOString(),
+        lastUpdated: new Date(2024, 2, 10, 12, 0).toISOString(),
+        writeCount: 12,
+        habitCount: 1,
+        version: DEFAULT_VALUES.VERSION
+      });
+      expect(backupKeys()).toHaveLength(BACKUP_RETENTION.RECENT_WRITES);
+    });
+
+    it('should back up every few saves, and fewer once an interval', async () => {
+      const toggle = (write) => updateHabitCompletion('1', write % 2 === 1);
+      await saveHabits([habit('1', 'Read')]);
+      expect(await listBackups()).toHaveLength(1);
+
+      // Nothing changed: only the indexes are read
+      jest.clearAllMocks();
+      expect(await backupHabits()).toBe(true);
+      expect(backend.getItem.mock.calls.map(([key]) => key)).toEqual([STORAGE_KEYS.HABITS, STORAGE_KEYS.BACKUPS]);
+      expect(backend.setItem).not.toHaveBeenCalled();
+
+      jest.setSystemTime(new Date(2024, 2, 10, 12, 30));
+      for (let write = 1; write < BACKUP_RETENTION.WRITES_PER_BACKUP; write++) {
+        await toggle(write);
+      }
+      expect(await backupHabits()).toBe(false);
+      expect(await listBackups()).toHaveLength(1);
+      await toggle(BACKUP_RETENTION.WRITES_PER_BACKUP);
+      expect(await listBackups()).toHaveLength(2);
+
+      await toggle(1);
+      expect(await backupHabits()).toBe(false);
+      jest.setSystemTime(new Date(2024, 2, 10, 13, 30));
+      expect(await backupHabits()).toBe(true);
+      expect(await listBackups()).toHaveLength(3);
+
+      // The snapshot time is when it was taken, not when the habits were saved
+      const [latest] = await listBackups();
+      expect(latest.createdAt).toBe(new Date(2024, 2, 10, 13, 30).toISOString());
+      expect(latest.lastUpdated).toBe(new Date(2024, 2, 10, 12, 30).toISOString());
+
+      await toggle(2);
+      expect(await backupHabits()).toBe(false);
+      expect(await backupHabits({ force: true })).toBe(true);
+      expect(await listBackups()).toHaveLength(4);
+    });
+
+    it('should back up before clearing, deleting or replacing habits', async () => {
+      await saveHabits([habit('1', 'Read'), habit('2', 'Run')]);
+      const backupNames = async () => {
+        const [latest] = await listBackups();
+        return (await getBackup(latest.id)).habits.map(item => item.name);
+      };
+
+      await updateHabits(habits => [...habits, habit('3', 'Write')]);
+      expect(await deleteHabit('2')).toBe(true);
+      expect(await backupNames()).toEqual(['Read', 'Run', 'Write']);
+
+      expect(await updateHabits(() => [habit('4', 'Swim')], { backup: true })).toBe(true);
+      expect(await backupNames()).toEqual(['Read', 'Write']);
+
+      expect(await clearAllHabits()).toBe(true);
+      expect(await backupNames()).toEqual(['Swim']);
+      expect(await getHabits()).toEqual([]);
+    });
+
+    it('should not replace habits that cannot be backed up first', async () => {
+      await saveHabits([habit('1', 'Read')]);
+      await updateHabits(habits => [...habits, habit('2', 'Run')]);
+      backend.setItem.mockImplementation(async (key, value) => {
+        if (key.startsWith(STORAGE_KEYS.BACKUPS)) throw new Error('Storage full');
+        return adapter.setItem(key, value);
+      });
+
+      expect(await clearAllHabits()).toBe(false);
+      expect(await updateHabits(() => [], { backup: true })).toBe(false);
+
+      expect((await getHabits()).map(item => item.name)).toEqual(['Read', 'Run']);
+    });
+
+    it('should load a backup for preview', async () => {
+      await saveHabits([habit('1', 'Read'), habit('2', 'Run')]);
+      await backupHabits();
+      const [latest] = await listBackups();
+
+      const backup = await getBackup(latest.id);
+
+      expect(backup).toMatchObject({ id: latest.id, habitCount: 2 });
+      expect(backup.habits.map(item => item.name)).toEqual(['Read', 'Run']);
+      expect(await getBackup('missing')).toBeNull();
+    });
+
+    it('should restore a backup and keep the replaced habits as a backup', async () => {
+      await saveHabits([habit('1', 'Read')]);
+      await backupHabits();
+      const [first] = await listBackups();
+      jest.setSystemTime(new Date(2024, 2, 10, 13, 0));
+      await saveHabits([habit('1', 'Read'), habit('2', 'Run')]);
+      await backupHabits();
+      jest.setSystemTime(new Date(2024, 2, 10, 14, 0));
+
+      expect(await restoreBackup(first.id)).toBe(true);
+
+      expect((await getHabits()).map(item => item.name)).toEqual(['Read']);
+      // The restore is a save an interval later, so it's backed up in turn
+      expect((await listBackups()).map(backup => backup.habitCount)).toEqual([1, 2, 1]);
+    });
+
+    it('should back up habits changed since the last backup before restoring over them', async () => {
+      await saveHabits([habit('1', 'Read')]);
+      await backupHabits();
+      const [first] = await listBackups();
+      jest.setSystemTime(new Date(2024, 2, 10, 12, 30));
+      await saveHabits([habit('2', 'Run')]);
+      jest.setSystemTime(new Date(2024, 2, 10, 14, 0));
+
+      expect(await restoreBackup(first.id)).toBe(true);
+
+      const backups = await listBackups();
+      expect(backups).toHaveLength(2);
+      expect((await getBackup(backups[0].id)).habits.map(item => item.name)).toEqual(['Run']);
+    });
+
+    it('should delete a backup', async () => {
+      await saveHabits([habit('1', 'Read')]);
+      await backupHabits();
+      const [latest] = await listBackups();
+
+      expect(await deleteBackup(latest.id)).toBe(true);
+
+      expect(await listBackups()).toEqual([]);
+      expect(backupKeys()).toEqual([]);
+      expect(await deleteBackup(latest.id)).toBe(false);
+    });
+
+    it('should report a backup that cannot be written and keep the habits', async () => {
+      backend.setItem.mockImplementation(async (key, value) => {
+        if (key.startsWith(STORAGE_KEYS.BACKUPS)) throw new Error('Storage full');
+        return adapter.setItem(key, value);
+      });
+
+      expect(await saveHabits([habit('1', 'Read')])).toBe(true);
+      expect(await backupHabits()).toBe(false);
+
+      expect((await getHabits()).map(item => item.name)).toEqual(['Read']);
+      expect(await listBackups()).toEqual([]);
+    });
+  });
+
+  describe('Serialized writes', () => {
+    let store;
+
+    const habit = (id, name) => ({
+      id,
+      name,
+      frequency: 'daily',
+      targetTime: null,
+      createdAt: '2024-03-01T08:00:00.000Z',
+      completedDays: 0,
+      totalDays: 0,
+      completionHistory: [],
+      isCompleted: false
+    });
+
+    // Every read and write yields, so operations fired together interleave
+    const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+    const habitWrites = () => writtenEntries().filter(([key]) => key === STORAGE_KEYS.HABITS);
+
+    beforeEach(async () => {
+      store = useStore();
+      backend.getItem.mockImplementation(async (key) => {
+        await tick();
+        return adapter.getItem(key);
+      });
+      backend.setItem.mockImplementation(async (key, value) => {
+        await tick();
+        return adapter.setItem(key, value);
+      });
+      backend.removeItem.mockImplementation(async (key) => {
+        await tick();
+        return adapter.removeItem(key);
+      });
+      await saveHabits([habit('1', 'Read'), habit('2', 'Run'), habit('3', 'Stretch')]);
+      jest.clearAllMocks();
+    });
+
+    it('should keep both of two quick completion toggles', async () => {
+      const results = await Promise.all([
+        updateHabitCompletion('1', true),
+        updateHabitCompletion('2', true)
+      ]);
+
+      expect(results).toEqual([true, true]);
+      expect((await getHabits()).map(item => item.isCompleted)).toEqual([true, true, false]);
+    });
+
+    it('should apply interleaved changes of different kinds in order', async () => {
+      const [added] = await Promise.all([
+        addHabit({ name: 'Journal', frequency: 'daily' }),
+        editHabit('2', { name: 'Run 5k' }),
+        updateHabitCompletion('3', true),
+        deleteHabit('1'),
+        updateHabitCompletion('3', false),
+        unlockAchievement('first_step'),
+        unlockAchievement('week_warrior')
+      ]);
+
+      const habits = await getHabits();
+      expect(habits.map(item => item.name)).toEqual(['Run 5k', 'Stretch', 'Journal']);
+      expect(habits[2].id).toBe(added.id);
+      expect(habits[1].isCompleted).toBe(false);
+      expect(JSON.parse(store[STORAGE_KEYS.ACHIEVEMENTS])).toEqual(['first_step', 'week_warrior']);
+    });
+
+    it('should not lose habits added at the same time', async () => {
+      await Promise.all(['A', 'B', 'C', 'D'].map(name => addHabit({ name, frequency: 'daily' })));
+
+      expect((await getHabits()).map(item => item.name)).toEqual(['Read', 'Run', 'Stretch', 'A', 'B', 'C', 'D']);
+    });
+
+    it('should save a batch of changes to several habits in one write', async () => {
+      const [batched] = await Promise.all([
+        updateHabits(habits => habits.map(item => ({ ...item, name: item.name.toUpperCase() }))),
+        updateHabitCompletion('2', true)
+      ]);
+
+      expect(batched).toBe(true);
+      const habits = await getHabits();
+      expect(habits.map(item => item.name)).toEqual(['READ', 'RUN', 'STRETCH']);
+      expect(habits[1].isCompleted).toBe(true);
+      expect(habitWrites()).toHaveLength(2);
+    });
+
+    it('should save nothing when a transaction returns null', async () => {
+      expect(await updateHabits(() => null)).toBe(false);
+
+      expect(habitWrites()).toEqual([]);
+    });
+
+    it('should keep going after a change fails', async () => {
+      const results = await Promise.all([
+        updateHabits(() => {
+          throw new Error('Bad transform');
+        }),
+        updateHabitCompletion('1', true)
+      ]);
+
+      expect(results).toEqual([false, true]);
+      expect((await getHabits())[0].isCompleted).toBe(true);
+    });
+  });
+
+  describe('Per-habit layout', () => {
+    let store;
+
+    // Daily habit checked off every day for the given number of days up to yesterday
+    const habitWithHistory = (id, days) => recalculateHabitProgress({
+      id,
+      name: `Habit ${id}`,
+      frequency: 'daily',
+      targetTime: null,
+      createdAt: `${addDaysToKey('2024-03-10', -days)}T08:00:00.000Z`,
+      completedDays: 0,
+      totalDays: 0,
+      completionHistory: Array.from({ length: days }, (_, i) => ({
+        date: addDaysToKey('2024-03-10', i - days),
+        completed: true
+      })),
+      isCompleted: false
+    });
+
+    const habitKeys = () => Object.keys(store).filter(key => key.startsWith(`${STORAGE_KEYS.HABITS}/`)).sort();
+    const bytesOf = (values) => values.reduce((sum, value) => sum + (value ? value.length : 0), 0);
+
+    // Storage traffic of the first toggle of the day, with no backup due
+    const measureToggle = async (days) => {
+      store = mockHabitStore([habitWithHistory('1', days)]);
+      await backupHabits();
+      jest.clearAllMocks();
+
+      expect(await updateHabitCompletion('1', true)).toBe(true);
+
+      const readKeys = backend.getItem.mock.calls.map(([key]) => key);
+      const written = writtenEntries();
+      return {
+        reads: readKeys.length,
+        writes: written.length,
+        bytesRead: bytesOf(readKeys.map(key => store[key])),
+        bytesWritten: bytesOf(written.map(([, value]) => value)),
+        bytesStored: bytesOf(Object.values(store))
+      };
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers().setSystemTime(new Date(2024, 2, 10, 12, 0));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should move a single blob into per-habit keys, backing it up first', async () => {
+      const habits = [habitWithHistory('1', 40), habitWithHistory('2', 3)];
+      const blob = { habits, lastUpdated: '2024-03-09T12:00:00.000Z', version: DEFAULT_VALUES.VERSION };
+      store = mockHabitStore([]);
+      store[STORAGE_KEYS.HABITS] = JSON.stringify(blob);
+
+      expect(await getHabits()).toEqual(habits);
+
+      expect(JSON.parse(store[STORAGE_KEYS.HABITS_BACKUP]).data).toEqual(blob);
+      expect(JSON.parse(store[STORAGE_KEYS.HABITS])).toEqual({
+        habitIds: ['1', '2'],
+        lastUpdated: blob.lastUpdated,
+        version: DEFAULT_VALUES.VERSION,
+        writeCount: 1
+      });
+      expect(habitKeys()).toEqual([
+        '@habits/1',
+        '@habits/1/history/2024-01',
+        '@habits/1/history/2024-02',
+        '@habits/1/history/2024-03',
+        '@habits/2',
+        '@habits/2/history/2024-03'
+      ]);
+
+      // Already migrated: reading again writes nothing
+      jest.clearAllMocks();
+      expect(await getHabits()).toEqual(habits);
+      expect(backend.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should not let the migration on a read overwrite a change queued with it', async () => {
+      const blob = { habits: [habitWithHistory('1', 3)], lastUpdated: '2024-03-09T12:00:00.000Z', version: DEFAULT_VALUES.VERSION };
+      store = mockHabitStore([]);
+      store[STORAGE_KEYS.HABITS] = JSON.stringify(blob);
+      // The read backs up first, and slowly: time for the toggle to finish before its migration is written
+      jest.useFakeTimers({ advanceTimers: true }).setSystemTime(new Date(2024, 2, 10, 12, 0));
+      const setItem = backend.setItem.getMockImplementation();
+      let slowed = false;
+      backend.setItem.mockImplementation(async (key, value) => {
+        if (key === STORAGE_KEYS.HABITS_BACKUP && !slowed) {
+          slowed = true;
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return setItem(key, value);
+      });
+
+      const [read, toggled] = await Promise.all([getHabits(), updateHabitCompletion('1', true)]);
+
+      expect(read).toHaveLength(1);
+      expect(toggled).toBe(true);
+      const [habit] = await getHabits();
+      expect(habit.completionHistory).toHaveLength(4);
+      expect(habit.isCompleted).toBe(true);
+    });
+
+    it('should toggle at the same cost whatever the length of the history', async () => {
+      const short = await measureToggle(30);
+      const long = await measureToggle(3 * 365);
+
+      // 36 times the history...
+      expect(long.bytesStored).toBeGreaterThan(short.bytesStored * 20);
+      // ...takes the same reads and writes
+      expect(long.reads).toBe(short.reads);
+      expect(long.writes).toBe(short.writes);
+      // The habit record lists its months (about 10 bytes each); nothing else grows
+      expect(long.bytesRead - short.bytesRead).toBeLessThan(400);
+      expect(long.bytesWritten - short.bytesWritten).toBeLessThan(400);
+    });
+
+    it('should keep counts equal to a full recalculation when editing across weeks and months', async () => {
+      // Twice a week; the week of 2024-02-26 spans February and March
+      const habit = recalculateHabitProgress({
+        ...habitWithHistory('1', 0),
+        frequency: 'times_per_week',
+        schedule: { timesPerWeek: 2 },
+        createdAt: '2024-01-01T08:00:00.000Z',
+        completionHistory: ['2024-01-30', '2024-02-27', '2024-02-28', '2024-03-05']
+          .map(date => ({ date, completed: true }))
+      });
+      store = mockHabitStore([habit]);
+
+      const edits = [
+        ['2024-03-01', true],
+        ['2024-02-27', false],
+        ['2024-02-28', false],
+        ['2024-03-10', true],
+        ['2024-01-29', true]
+      ];
+      for (const [date, completed] of edits) {
+        expect(await setHabitCompletionForDate('1', date, completed, { maxDaysBack: null })).toBe(true);
+
+        const [saved] = readSavedHabits(store);
+        const recalculated = recalculateHabitProgress(saved);
+        expect([saved.completedDays, saved.totalDays, saved.isCompleted])
+          .toEqual([recalculated.completedDays, recalculated.totalDays, recalculated.isCompleted]);
+      }
+      expect(readSavedHabits(store)[0].completedDays).toBe(5);
+    });
+
+    it('should rewrite only what changed on a full write', async () => {
+      store = mockHabitStore([habitWithHistory('1', 400), habitWithHistory('2', 400)]);
+
+      expect(await editHabit('2', { name: 'Walk' })).toBe(true);
+
+      const habitWritesAfterEdit = writtenEntries()
+        .map(([key]) => key)
+        .filter(key => key.startsWith(STORAGE_KEYS.HABITS));
+      expect(habitWritesAfterEdit).toEqual(['@habits/2', STORAGE_KEYS.HABITS]);
+    });
+
+    it('should change nothing when a batch fails', async () => {
+      store = mockHabitStore([habitWithHistory('1', 40), habitWithHistory('2', 40)]);
+      const before = { ...store };
+      backend.multiSet.mockRejectedValueOnce(new Error('Storage full'));
+
+      expect(await updateHabits(habits => habits.map(habit => ({ ...habit, name: 'Renamed', isCompleted: true })))).toBe(false);
+
+      expect({ ...store }).toEqual(before);
+    });
+
+    it('should remove a deleted habit\'s keys', async () => {
+      store = mockHabitStore([habitWithHistory('1', 60), habitWithHistory('2', 5)]);
+
+      expect(await deleteHabit('1')).toBe(true);
+
+      expect(habitKeys()).toEqual(['@habits/2', '@habits/2/history/2024-03']);
+    });
+
+    it('should load history lazily', async () => {
+      store = mockHabitStore([habitWithHistory('1', 400)]);
+
+      const summaries = await getHabitSummaries();
+      expect(summaries[0]).toMatchObject({ id: '1', completedDays: 400, completionHistory: [] });
+      expect(backend.getItem.mock.calls.map(([key]) => key)).toEqual([STORAGE_KEYS.HABITS, '@habits/1']);
+
+      jest.clearAllMocks();
+      const history = await getHabitHistory('1', { from: '2024-02-25', to: '2024-03-02' });
+      expect(history.map(entry => entry.date)).toEqual([
+        '2024-02-25', '2024-02-26', '2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02'
+      ]);
+      expect(backend.getItem.mock.calls.map(([key]) => key)).toEqual([
+        STORAGE_KEYS.HABITS,
+        '@habits/1',
+        '@habits/1/history/2024-02',
+        '@habits/1/history/2024-03'
+      ]);
+
+      expect((await getHabit('1')).completionHistory).toHaveLength(400);
+      expect(await getHabit('missing')).toBeNull();
+    });
+  });
+
+  describe('Encryption at rest', () => {
+    let store;
+
+    const habit = {
+      id: '1',
+      name: 'Take medication',
+      frequency: 'daily',
+      targetTime: null,
+      createdAt: '2024-03-01T08:00:00.000Z',
+      completedDays: 1,
+      totalDays: 1,
+      completionHistory: [{ date: '2024-03-09', completed: true }],
+      isCompleted: false
+    };
+
+    const protectedKeys = () => Object.keys(store)
+      .filter(key => key !== STORAGE_KEYS.USER_PREFERENCES && key !== STORAGE_KEYS.ENCRYPTION);
+    const keyIdsInUse = () => new Set(protectedKeys().map(key => getValueKeyId(store[key])));
+    const storedSettings = () => JSON.parse(store[STORAGE_KEYS.ENCRYPTION]);
+
+    // Stored habits and achievements, as after some use of the app
+    const seedStore = async () => {
+      store = useStore();
+      await saveHabits([habit]);
+      await backupHabits();
+      await unlockAchievement('first_step');
+      await saveUserPreferences({ maxBackfillDays: 7 });
+    };
+
+    // Forget the keys in memory, as when the app restarts
+    const restart = () => applyEncryptionSettings();
+
+    beforeEach(async () => {
+      await seedStore();
+    });
+
+    it('should encrypt habits, history, backups and achievements', async () => {
+      expect(await enableEncryption('2468')).toBe(true);
+
+      expect(protectedKeys()).toEqual(expect.arrayContaining([
+        STORAGE_KEYS.HABITS,
+        '@habits/1',
+        '@habits/1/history/2024-03',
+        STORAGE_KEYS.BACKUPS,
+        STORAGE_KEYS.ACHIEVEMENTS
+      ]));
+      protectedKeys().forEach(key => expect(isEncryptedValue(store[key])).toBe(true));
+      expect(Object.values(store).join()).not.toContain('medication');
+      expect(JSON.parse(store[STORAGE_KEYS.USER_PREFERENCES]).maxBackfillDays).toBe(7);
+      expect(storedSettings()).toMatchObject({ kdf: 'pbkdf2-sha256', iterations: 1000, rekeying: false });
+
+      expect(await getHabits()).toEqual([habit]);
+      expect(await getUserAchievements()).toEqual(['first_step']);
+      expect(getEncryptionStatus()).toEqual({ enabled: true, locked: false });
+    });
+
+    it('should never write the AI provider API key in plaintext', async () => {
+      const aiProvider = { type: 'openai_compatible', baseUrl: 'https://api.example.com/v1', model: 'gpt-4o-mini', apiKey: 'secret-key-123' };
+      await enableEncryption('2468');
+      jest.clearAllMocks();
+
+      expect(await saveUserPreferences({ aiProvider })).toBe(true);
+      expect(await saveUserPreferences({ maxBackfillDays: 14 })).toBe(true);
+
+      writtenEntries().forEach(([, value]) => expect(value).not.toContain('secret-key-123'));
+      expect(Object.values(store).join()).not.toContain('secret-key-123');
+      expect(isEncryptedValue(store[STORAGE_KEYS.AI_CREDENTIALS])).toBe(true);
+      expect((await getUserPreferences()).aiProvider).toEqual({ ...aiProvider, apiKey: undefined });
+      expect(await getAIProviderSettings()).toEqual(aiProvider);
+
+      await restart();
+      await unlockStorage('2468');
+      expect(await getAIProviderSettings()).toEqual(aiProvider);
+    });
+
+    it('should move an API key saved with the preferences when a passcode is set', async () => {
+      const aiProvider = { type: 'openai_compatible', baseUrl: 'http://localhost:11434/v1', model: 'llama3', apiKey: 'legacy-key-456' };
+      store[STORAGE_KEYS.USER_PREFERENCES] = JSON.stringify({
+        ...JSON.parse(store[STORAGE_KEYS.USER_PREFERENCES]),
+        aiProvider
+      });
+      expect(await getAIProviderSettings()).toEqual(aiProvider);
+
+      expect(await enableEncryption('2468')).toBe(true);
+
+      expect(Object.values(store).join()).not.toContain('legacy-key-456');
+      expect(JSON.parse(store[STORAGE_KEYS.USER_PREFERENCES]).maxBackfillDays).toBe(7);
+      expect(await getAIProviderSettings()).toEqual(aiProvider);
+
+      // Cleared with the rest of the provider settings
+      expect(await saveUserPreferences({ aiProvider: { ...aiProvider, apiKey: null } })).toBe(true);
+      expect(await getAIProviderSettings()).toEqual({ ...aiProvider, apiKey: null });
+    });
+
+    it('should start locked and refuse a wrong passcode', async () => {
+      await enableEncryption('2468');
+      const encrypted = { ...store };
+
+      expect(await restart()).toEqual({ enabled: true, locked: true });
+      expect(await getHabits()).toEqual([]);
+      expect(await unlockAchievement('week_warrior')).toBe(false);
+      expect({ ...store }).toEqual(encrypted);
+
+      expect(await unlockStorage('1357')).toBe(false);
+      expect(getEncryptionStatus().locked).toBe(true);
+
+      expect(await unlockStorage('2468')).toBe(true);
+      expect(getEncryptionStatus().locked).toBe(false);
+      expect(await getHabits()).toEqual([habit]);
+    });
+
+    it('should re-encrypt everything when the passcode changes', async () => {
+      await enableEncryption('2468');
+      const [oldKeyId] = keyIdsInUse();
+
+      expect(await changePasscode('1357', '9999')).toBe(false);
+      expect(await changePasscode('2468', '9999')).toBe(true);
+
+      expect(keyIdsInUse()).toEqual(new Set([storedSettings().currentKeyId]));
+      expect(storedSettings().currentKeyId).not.toBe(oldKeyId);
+      expect(Object.keys(storedSettings().keys)).toEqual([storedSettings().currentKeyId]);
+
+      await restart();
+      expect(await unlockStorage('2468')).toBe(false);
+      expect(await unlockStorage('9999')).toBe(true);
+      expect(await getHabits()).toEqual([habit]);
+    });
+
+    it('should finish an interrupted passcode change on the next unlock', async () => {
+      await enableEncryption('2468');
+      // Fail after the new settings and one re-encrypted value are written
+      let writes = 0;
+      backend.setItem.mockImplementation(async (key, value) => {
+        writes += 1;
+        if (writes > 2) throw new Error('Disk full');
+        return adapter.setItem(key, value);
+      });
+
+      expect(await changePasscode('2468', '9999')).toBe(false);
+      expect(keyIdsInUse().size).toBe(2);
+
+      backend.setItem.mockImplementation((key, value) => adapter.setItem(key, value));
+      await restart();
+      expect(await unlockStorage('9999')).toBe(true);
+
+      expect(keyIdsInUse()).toEqual(new Set([storedSettings().currentKeyId]));
+      expect(storedSettings().rekeying).toBe(false);
+      expect(await getHabits()).toEqual([habit]);
+    });
+
+    it('should store everything unencrypted again when turned off', async () => {
+      await enableEncryption('2468');
+
+      expect(await disableEncryption('1357')).toBe(false);
+      expect(await disableEncryption('2468')).toBe(true);
+
+      expect(store[STORAGE_KEYS.ENCRYPTION]).toBeUndefined();
+      protectedKeys().forEach(key => expect(isEncryptedValue(store[key])).toBe(false));
+      expect(readSavedHabits(store)).toEqual([habit]);
+      expect(await restart()).toEqual({ enabled: false, locked: false });
+      expect(await getHabits()).toEqual([habit]);
+    });
+
+    it('should reject short passcodes and a second passcode', async () => {
+      expect(await enableEncryption('12')).toBe(false);
+      expect(store[STORAGE_KEYS.ENCRYPTION]).toBeUndefined();
+
+      expect(await enableEncryption('2468')).toBe(true);
+      expect(await enableEncryption('1357')).toBe(false);
+      expect(await changePasscode('2468', '1')).toBe(false);
+    });
+  });
+});
+
+describe('SQLite storage adapter', () => {
+  it('should roll back a batch that fails part way', async () => {
+    const { database, entries } = openSqlJsDatabase();
+    const sqliteAdapter = createSqliteStorageAdapter(database);
+    await sqliteAdapter.setItem('a', 'old');
+
+    // The second row breaks the NOT NULL key constraint
+    await expect(sqliteAdapter.multiSet([['a', 'new'], [null, 'value'], ['b', 'new']])).rejects.toThrow();
+
+    expect({ ...entries }).toEqual({ a: 'old' });
+  });
+});
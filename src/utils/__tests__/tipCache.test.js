@@ -0,0 +1,200 @@
+// Unit tests for the AI tip cache
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+const aiTips = require('../aiTips');
+const {
+  AI_TIP_CACHE,
+  AI_TIP_OPERATION,
+  getAnalysisFingerprint,
+  getTipHistory,
+  cacheTip,
+  clearTipHistory,
+  sendQueuedTipRequest,
+  getCachedAITip
+} = require('../tipCache');
+const { saveUserPreferences, saveHabits } = require('../storage');
+const networkStatusManager = require('../networkStatus').default;
+const outbox = require('../outbox').default;
+const { AI_PROVIDER_TYPES } = require('../aiProviders');
+const { STORAGE_KEYS } = require('../types');
+
+describe('AI tip cache', () => {
+  // Sunday 2024-03-10, 06:00 local time
+  const now = new Date(2024, 2, 10, 6, 0);
+  let store;
+  let generate;
+
+  const habit = (id, name) => ({
+    id,
+    name,
+    frequency: 'daily',
+    schedule: null,
+    type: 'check',
+    createdAt: '2024-03-01T12:00:00.000Z',
+    completedDays: 1,
+    totalDays: 9,
+    completionHistory: [{ date: '2024-03-09', completed: true }],
+    isCompleted: false,
+    archivedAt: null,
+    pausedRanges: []
+  });
+
+  const habits = [habit('read', 'Read')];
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ advanceTimers: true }).setSystemTime(now);
+    store = {};
+    AsyncStorage.getItem.mockImplementation(async (key) => (key in store ? store[key] : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      store[key] = value;
+    });
+    networkStatusManager.setStatus(true);
+    await saveUserPreferences({
+      aiProvider: { type: AI_PROVIDER_TYPES.MOCK, baseUrl: null, model: null, apiKey: null }
+    });
+    generate = jest.spyOn(aiTips, 'generateEnhancedAITip');
+  });
+
+  afterEach(() => {
+    generate.mockRestore();
+    jest.useRealTimers();
+  });
+
+  test('should reuse a fresh tip while the analysis is unchanged', async () => {
+    const first = await getCachedAITip(habits);
+    const second = await getCachedAITip(habits);
+
+    expect(first).toMatchObject({ success: true, source: AI_PROVIDER_TYPES.MOCK, cached: false });
+    expect(second).toMatchObject({ tip: first.tip, analysis: first.analysis, cached: true, stale: false });
+    expect(generate).toHaveBeenCalledTimes(1);
+
+    const [stored] = JSON.parse(store[STORAGE_KEYS.AI_CACHE]).tips;
+    expect(stored.fingerprint).toBe(getAnalysisFingerprint(aiTips.analyzeHabitData(habits), { type: AI_PROVIDER_TYPES.MOCK }));
+  });
+
+  test('should ask again when the provider, server or model changes', async () => {
+    const useProvider = (type, model, baseUrl = 'https://llm.example.com/v1') => saveUserPreferences({
+      aiProvider: { type, baseUrl, model, apiKey: null }
+    });
+
+    await getCachedAITip(habits);
+    await useProvider(AI_PROVIDER_TYPES.MOCK, 'small');
+    expect(await getCachedAITip(habits)).toMatchObject({ cached: false });
+    await useProvider(AI_PROVIDER_TYPES.MOCK, 'large');
+    expect(await getCachedAITip(habits)).toMatchObject({ cached: false });
+    await useProvider(AI_PROVIDER_TYPES.MOCK, 'small', 'https://other.example.com/v1');
+    expect(await getCachedAITip(habits)).toMatchObject({ cached: false });
+    await useProvider(AI_PROVIDER_TYPES.MOCK, 'small');
+    expect(await getCachedAITip(habits)).toMatchObject({ cached: true });
+
+    expect(generate).toHaveBeenCalledTimes(4);
+    expect(new Set((await getTipHistory()).map(entry => entry.fingerprint)).size).toBe(4);
+    expect(getAnalysisFingerprint({}, { type: 'gemini', model: 'a' }))
+      .not.toBe(getAnalysisFingerprint({}, { type: 'openai_compatible', model: 'a' }));
+  });
+
+  test('should ask again when the analysis changes', async () => {
+    await getCachedAITip(habits);
+    await getCachedAITip([...habits, habit('run', 'Run')]);
+
+    expect(generate).toHaveBeenCalledTimes(2);
+    expect(await getTipHistory()).toHaveLength(2);
+  });
+
+  test('should ask again once the tip is past its TTL', async () => {
+    await getCachedAITip(habits);
+
+    jest.setSystemTime(now.getTime() + AI_TIP_CACHE.TTL_MS - 1);
+    await getCachedAITip(habits);
+    expect(generate).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(now.getTime() + AI_TIP_CACHE.TTL_MS);
+    expect(await getCachedAITip(habits)).toMatchObject({ cached: false });
+    expect(generate).toHaveBeenCalledTimes(2);
+  });
+
+  test('should ask again when forced and keep the earlier tip in the history', async () => {
+    await getCachedAITip(habits);
+    jest.setSystemTime(now.getTime() + 1000);
+    await getCachedAITip(habits, { forceRefresh: true });
+
+    const history = await getTipHistory();
+    expect(generate).toHaveBeenCalledTimes(2);
+    expect(history.map(entry => entry.createdAt)).toEqual([
+      new Date(now.getTime() + 1000).toISOString(),
+      now.toISOString()
+    ]);
+  });
+
+  test('should serve a cached tip offline however old it is', async () => {
+    await getCachedAITip(habits);
+    jest.setSystemTime(now.getTime() + AI_TIP_CACHE.TTL_MS + 1);
+    networkStatusManager.setStatus(false);
+
+    const result = await getCachedAITip(habits, { forceRefresh: true });
+
+    expect(result).toMatchObject({ cached: true, stale: true, source: AI_PROVIDER_TYPES.MOCK });
+    expect(generate).toHaveBeenCalledTimes(1);
+  });
+
+  test('should prefer a stale cached tip to a built-in one when the provider fails', async () => {
+    const first = await getCachedAITip(habits);
+    jest.setSystemTime(now.getTime() + AI_TIP_CACHE.TTL_MS);
+    generate.mockResolvedValueOnce({ success: true, tip: 'Built-in tip', analysis: first.analysis, source: 'fallback' });
+
+    expect(await getCachedAITip(habits)).toMatchObject({ tip: first.tip, cached: true, stale: true });
+  });
+
+  test('should not cache built-in tips', async () => {
+    networkStatusManager.setStatus(false);
+
+    const result = await getCachedAITip(habits);
+
+    expect(generate).toHaveBeenCalledWith(habits, false);
+    expect(result).toMatchObject({ source: 'fallback', cached: false });
+    expect(await getTipHistory()).toEqual([]);
+  });
+
+  test('should fetch a tip asked for offline once back online', async () => {
+    await saveHabits(habits);
+    networkStatusManager.setStatus(false);
+    outbox.registerHandler(AI_TIP_OPERATION, sendQueuedTipRequest);
+    await outbox.start();
+
+    expect(await getCachedAITip(habits)).toMatchObject({ source: 'fallback', queued: true });
+    await getCachedAITip(habits);
+    expect(outbox.getPendingCount()).toBe(1);
+
+    networkStatusManager.setStatus(true);
+    await outbox.flush();
+    outbox.stop();
+
+    expect(outbox.getPendingCount()).toBe(0);
+    expect(await getCachedAITip(habits)).toMatchObject({ source: AI_PROVIDER_TYPES.MOCK, cached: true, stale: false });
+    expect(generate).toHaveBeenCalledTimes(3);
+  });
+
+  test('should keep only the newest tips', async () => {
+    for (let index = 0; index < AI_TIP_CACHE.HISTORY_LIMIT + 2; index += 1) {
+      await cacheTip({ fingerprint: `print-${index}`, tip: `Tip ${index}`, source: 'mock', analysis: {} });
+    }
+
+    const history = await getTipHistory();
+    expect(history).toHaveLength(AI_TIP_CACHE.HISTORY_LIMIT);
+    expect(history[0].tip).toBe(`Tip ${AI_TIP_CACHE.HISTORY_LIMIT + 1}`);
+
+    expect(await clearTipHistory()).toBe(true);
+    expect(await getTipHistory()).toEqual([]);
+  });
+
+  test('should not bring cleared tips back when a tip is being saved', async () => {
+    await cacheTip({ fingerprint: 'old', tip: 'Old tip', source: 'mock', analysis: {} });
+
+    const results = await Promise.all([
+      cacheTip({ fingerprint: 'new', tip: 'New tip', source: 'mock', analysis: {} }),
+      clearTipHistory()
+    ]);
+
+    expect(results[1]).toBe(true);
+    expect(await getTipHistory()).toEqual([]);
+  });
+});
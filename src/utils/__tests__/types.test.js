@@ -38,6 +38,9 @@ describe('Types and Validation', () => {
       expect(habit).toHaveProperty('totalDays', 0);
       expect(habit).toHaveProperty('completionHistory', []);
       expect(habit).toHaveProperty('isCompleted', false);
+      expect(habit).toHaveProperty('archivedAt', null);
+      expect(habit).toHaveProperty('pausedRanges', []);
+      expect(habit).toHaveProperty('reminderTimes', []);
     });
 
     it('should create a habit with target time', () => {
@@ -50,6 +53,13 @@ describe('Types and Validation', () => {
       const habit = createDefaultHabit('Test Habit');
       
       expect(habit.frequency).toBe('daily');
+      expect(habit.schedule).toBeNull();
+    });
+
+    it('should normalize the schedule for custom frequencies', () => {
+      const habit = createDefaultHabit('Gym', 'weekdays', null, { weekdays: [5, 1, 3, 1] });
+
+      expect(habit.schedule).toEqual({ weekdays: [1, 3, 5] });
     });
   });
 
@@ -86,7 +96,60 @@ describe('Types and Validation', () => {
       const result = validateHabit(invalidHabit);
       
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Frequency must be either "daily" or "weekly"');
+      expect(result.errors).toContain('Frequency must be one of: daily, weekly, weekdays, times_per_week, interval');
+    });
+
+    it('should validate a habit with a custom schedule', () => {
+      const customHabit = { ...validHabit, frequency: 'interval', schedule: { intervalDays: 2 } };
+      const result = validateHabit(customHabit);
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should reject a custom frequency without a schedule', () => {
+      const invalidHabit = { ...validHabit, frequency: 'weekdays', schedule: null };
+      const result = validateHabit(invalidHabit);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Select at least one day of the week');
+    });
+
+    it('should validate past schedules', () => {
+      const editedHabit = {
+        ...validHabit,
+        scheduleHistory: [{ frequency: 'daily', schedule: null, until: '2024-01-07' }]
+      };
+      expect(validateHabit(editedHabit).isValid).toBe(true);
+
+      const result = validateHabit({ ...validHabit, scheduleHistory: [{ frequency: 'daily' }] });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Schedule history must be a list of past frequencies with end dates');
+    });
+
+    it('should validate archive and pause state', () => {
+      const pausedHabit = {
+        ...validHabit,
+        archivedAt: '2024-01-10T08:00:00.000Z',
+        pausedRanges: [{ start: '2024-01-03', end: '2024-01-04' }, { start: '2024-01-10', end: null }]
+      };
+      expect(validateHabit(pausedHabit).isValid).toBe(true);
+
+      const result = validateHabit({
+        ...validHabit,
+        archivedAt: 'yesterday',
+        pausedRanges: [{ start: '2024-01-05', end: '2024-01-04' }]
+      });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Archived date must be an ISO date string if provided');
+      expect(result.errors).toContain('Paused ranges must have a start date and an end date on or after it (or null)');
+    });
+
+    it('should validate extra reminder times', () => {
+      expect(validateHabit({ ...validHabit, reminderTimes: ['07:30', '21:00'] }).isValid).toBe(true);
+
+      const result = validateHabit({ ...validHabit, reminderTimes: ['7pm'] });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Reminder times must be in HH:MM format (e.g., 09:30)');
     });
 
     it('should reject habit with negative completed days', () => {
@@ -215,6 +278,44 @@ describe('Types and Validation', () => {
       expect(result.errors).toContain('Habit name is required');
     });
 
+    it('should reject habit creation with an out of range weekly count', () => {
+      const habitData = {
+        name: 'Swim',
+        frequency: 'times_per_week',
+        schedule: { timesPerWeek: 9 }
+      };
+      const result = validateHabitCreation(habitData);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Times per week must be a whole number from 1 to 7');
+    });
+
+    it('should accept a measurable habit with a target and unit', () => {
+      const result = validateHabitCreation({
+        name: 'Drink water',
+        frequency: 'daily',
+        type: 'measurable',
+        targetValue: 8,
+        unit: ' glasses '
+      });
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should reject a measurable habit without a valid target or unit', () => {
+      const result = validateHabitCreation({
+        name: 'Drink water',
+        frequency: 'daily',
+        type: 'measurable',
+        targetValue: 0,
+        unit: ''
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Target must be a number greater than 0 and at most 100000');
+      expect(result.errors).toContain('Unit is required for measurable habits');
+    });
+
     it('should reject habit creation with empty name', () => {
       const habitData = {
         name: '   ',
@@ -233,7 +334,7 @@ describe('Types and Validation', () => {
       const result = validateHabitCreation(habitData);
       
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Valid frequency is required (daily or weekly)');
+      expect(result.errors).toContain('Valid frequency is required (daily, weekly, weekdays, times_per_week, interval)');
     });
 
     it('should reject habit creation with invalid frequency', () => {
@@ -244,7 +345,7 @@ describe('Types and Validation', () => {
       const result = validateHabitCreation(habitData);
       
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Valid frequency is required (daily or weekly)');
+      expect(result.errors).toContain('Valid frequency is required (daily, weekly, weekdays, times_per_week, interval)');
     });
   });
 
@@ -253,15 +354,31 @@ describe('Types and Validation', () => {
       expect(STORAGE_KEYS).toEqual({
         HABITS: '@habits',
         USER_PREFERENCES: '@user_preferences',
-        AI_CACHE: '@ai_cache'
+        AI_CACHE: '@ai_cache',
+        ACHIEVEMENTS: '@achievements',
+        HABITS_BACKUP: '@habits_backup',
+        BACKUPS: '@backups',
+        UNDO_HISTORY: '@undo_history',
+        ENCRYPTION: '@encryption',
+        SYNC_STATE: '@sync_state',
+        OUTBOX: '@outbox',
+        COACH_CONVERSATION: '@coach_conversation',
+        AI_CREDENTIALS: '@ai_credentials'
       });
     });
 
     it('should have correct default values', () => {
       expect(DEFAULT_VALUES).toEqual({
         HABITS: [],
-        VERSION: '1.0.0',
-        FREQUENCY_OPTIONS: ['daily', 'weekly']
+        VERSION: '1.6.0',
+        FREQUENCY_OPTIONS: ['daily', 'weekly', 'weekdays', 'times_per_week', 'interval'],
+        USER_PREFERENCES: {
+          dayRolloverHour: 0,
+          maxBackfillDays: 7,
+          vacations: [],
+          aiProvider: { type: 'gemini', baseUrl: null, model: null },
+          connectivity: { usePublicProbes: false, probeEndpoints: [] }
+        }
       });
     });
   });
@@ -1,5 +1,7 @@
 // Achievement and Badge System for AI Habit Tracker
 import { calculateStreak, calculateCompletionPercentage } from './progressCalculations';
+import { getActiveHabits } from './habitStatus';
+import { countTimedCompletions } from './completionTimes';
 
 /**
  * Achievement definitions with unlock conditions
@@ -97,12 +99,14 @@ export const ACHIEVEMENTS = {
 };
 
 /**
- * Calculate user statistics from habits data
- * @param {Array} habits - Array of habit objects
+ * Calculate user statistics from habits data. Archived habits are left out;
+ * paused days are already excluded from each habit's totals and streaks.
+ * @param {Array} allHabits - Array of habit objects
  * @returns {Object} User statistics for achievement checking
  */
-export const calculateUserStats = (habits) => {
-  if (!habits || habits.length === 0) {
+export const calculateUserStats = (allHabits) => {
+  const habits = getActiveHabits(allHabits);
+  if (habits.length === 0) {
     return {
       totalHabits: 0,
       totalCompletions: 0,
@@ -120,18 +124,19 @@ export const calculateUserStats = (habits) => {
   let currentStreak = 0;
   let totalDays = 0;
   let perfectWeeks = 0;
-  let earlyCompletions = 0;
-  let lateCompletions = 0;
 
   habits.forEach(habit => {
     // Basic stats
     totalCompletions += habit.completedDays || 0;
     totalDays += habit.totalDays || 0;
 
-    // Streak calculations
-    const streakData = calculateStreak(habit.completionHistory || []);
-    longestStreak = Math.max(longestStreak, streakData.longestStreak);
-    currentStreak = Math.max(currentStreak, streakData.currentStreak);
+    // Streak calculations - streak badges are measured in days, so weekly
+    // habits (whose streaks count weeks) don't feed them
+    const streakData = calculateStreak(habit.completionHistory || [], habit);
+    if (streakData.unit === 'day') {
+      longestStreak = Math.max(longestStreak, streakData.longestStreak);
+      currentStreak = Math.max(currentStreak, streakData.currentStreak);
+    }
 
     // Perfect weeks calculation (simplified)
     if (habit.completionHistory && habit.completionHistory.length >= 7) {
@@ -140,18 +145,11 @@ export const calculateUserStats = (habits) => {
         perfectWeeks++;
       }
     }
-
-    // Time-based completions (simplified - would need actual completion times)
-    if (habit.targetTime) {
-      const hour = parseInt(habit.targetTime.split(':')[0]);
-      if (hour < 9) {
-        earlyCompletions += habit.completedDays || 0;
-      } else if (hour >= 20) {
-        lateCompletions += habit.completedDays || 0;
-      }
-    }
   });
 
+  // Time-based completions, from the time each day was actually checked off
+  const { early: earlyCompletions, late: lateCompletions } = countTimedCompletions(habits);
+
   const overallCompletionRate = totalDays > 0 ? Math.round((totalCompletions / totalDays) * 100) : 0;
 
   return {
@@ -0,0 +1,336 @@
+// AI providers for generated tips and the coach
+// A provider turns a prompt, or a conversation, into text. Built in are
+// Gemini, any server that speaks the OpenAI chat completions API (OpenAI
+// itself, or a local Ollama or llama.cpp server), and a mock that answers
+// without a network. Which one is used is a user preference (see aiTips.js).
+
+import networkStatusManager from './networkStatus';
+
+const AI_PROVIDER_TYPES = {
+  GEMINI: 'gemini',
+  OPENAI_COMPATIBLE: 'openai_compatible',
+  MOCK: 'mock'
+};
+
+/**
+ * Provider as chosen in the user preferences
+ * @typedef {Object} AIProviderSettings
+ * @property {string} type - One of AI_PROVIDER_TYPES
+ * @property {string|null} baseUrl - API base URL; null for the provider's default
+ * @property {string|null} model - Model name; null for the provider's default
+ * @property {string|null} [apiKey] - API key, if the server needs one; kept
+ *   under STORAGE_KEYS.AI_CREDENTIALS rather than with the preferences
+ */
+
+const DEFAULT_AI_PROVIDER_SETTINGS = {
+  type: AI_PROVIDER_TYPES.GEMINI,
+  baseUrl: null,
+  model: null
+};
+
+const GEMINI_DEFAULTS = {
+  BASE_URL: 'https://generativelanguage.googleapis.com/v1beta',
+  MODEL: 'gemini-pro'
+};
+
+// Timeout and retries for every HTTP provider; tests pass shorter ones
+const DEFAULT_REQUEST_OPTIONS = {
+  timeoutMs: 10000,
+  maxRetries: 2,
+  retryDelayMs: 1000
+};
+
+// Length of a tip, as for the original Gemini requests
+const DEFAULT_GENERATION = {
+  temperature: 0.7,
+  maxTokens: 200
+};
+
+/**
+ * Message in a conversation
+ * @typedef {Object} ChatMessage
+ * @property {'system'|'user'|'assistant'} role - Who wrote it; system messages hold instructions
+ * @property {string} content - Message text
+ */
+
+/**
+ * Text provider
+ * @typedef {Object} AIProvider
+ * @property {string} type - One of AI_PROVIDER_TYPES
+ * @property {string} label - Name to show, e.g. in error messages
+ * @property {Function} validate - Returns configuration errors; empty when it can be used
+ * @property {Function} chat - async (ChatMessage[], {temperature, maxTokens}) => {content, usage}
+ *   for the next assistant message; throws when no text comes back
+ * @property {Function} generate - async (prompt, {temperature, maxTokens}) => {content, usage};
+ *   a conversation of one user message
+ */
+
+/**
+ * Check that a value is an http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for http and https URLs
+ */
+const isHttpUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate provider settings
+ * @param {*} settings - Settings to check
+ * @returns {string[]} - Error messages; empty when the settings are valid
+ */
+const validateAIProviderSettings = (settings) => {
+  if (!settings || typeof settings !== 'object') return ['Invalid AI provider settings'];
+
+  const errors = [];
+  if (!Object.values(AI_PROVIDER_TYPES).includes(settings.type)) {
+    errors.push(`Unknown AI provider: ${settings.type}`);
+  }
+  if (settings.baseUrl !== null && settings.baseUrl !== undefined && !isHttpUrl(settings.baseUrl)) {
+    errors.push(`Invalid AI provider URL: ${settings.baseUrl}`);
+  }
+  ['model', 'apiKey'].forEach(field => {
+    if (settings[field] !== null && settings[field] !== undefined && typeof settings[field] !== 'string') {
+      errors.push(`Invalid AI provider ${field}`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * POST JSON and parse the JSON answer, with a timeout, retrying timeouts,
+ * network errors and server errors
+ * @param {string} label - Provider name for error messages
+ * @param {string} url - Request URL
+ * @param {Object} headers - Extra request headers
+ * @param {Object} body - Request body
+ * @param {Object} options - Request options, as DEFAULT_REQUEST_OPTIONS
+ * @param {number} retryCount - Current retry attempt
+ * @returns {Promise<Object>} - Response body
+ */
+const postJson = async (label, url, headers, body, options, retryCount = 0) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), options.timeoutMs);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      networkStatusManager.reportNetworkFailure();
+      throw Object.assign(
+        new Error(error.name === 'AbortError'
+          ? `Request timeout - ${label} API took too long to respond`
+          : `Network error - Unable to connect to ${label} API`),
+        { retryable: true }
+      );
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw Object.assign(
+        new Error(`${label} API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`),
+        { retryable: response.status >= 500 }
+      );
+    }
+
+    return await response.json().catch(() => {
+      throw new Error(`Invalid response from ${label} API`);
+    });
+  } catch (error) {
+    if (error.retryable && retryCount < options.maxRetries) {
+      console.warn(`${label} API request failed, retrying... (${retryCount + 1}/${options.maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, options.retryDelayMs * (retryCount + 1)));
+      return postJson(label, url, headers, body, options, retryCount + 1);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Remove trailing slashes from a base URL
+ * @param {string} url - Base URL
+ * @returns {string} - URL without trailing slashes
+ */
+const trimBaseUrl = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Give a provider a generate method that sends a single user message
+ * @param {Object} provider - Provider with a chat method
+ * @returns {AIProvider} - Provider
+ */
+const withGenerate = (provider) => ({
+  ...provider,
+  generate: (prompt, generation) => provider.chat([{ role: 'user', content: prompt }], generation)
+});
+
+/**
+ * Create a Gemini provider. The key defaults to GEMINI_API_KEY from the
+ * environment.
+ * @param {Object} [settings] - Provider settings (baseUrl, model, apiKey)
+ * @param {Object} [requestOptions] - Overrides for DEFAULT_REQUEST_OPTIONS
+ * @returns {AIProvider} - Provider
+ */
+const createGeminiProvider = (settings = {}, requestOptions = {}) => {
+  const apiKey = settings.apiKey || process.env.GEMINI_API_KEY || null;
+  const baseUrl = trimBaseUrl(settings.baseUrl || GEMINI_DEFAULTS.BASE_URL);
+  const model = settings.model || GEMINI_DEFAULTS.MODEL;
+  const options = { ...DEFAULT_REQUEST_OPTIONS, ...requestOptions };
+
+  return withGenerate({
+    type: AI_PROVIDER_TYPES.GEMINI,
+    label: 'Gemini',
+
+    validate: () => (apiKey ? [] : ['Gemini API key is not configured']),
+
+    chat: async (messages, generation = {}) => {
+      const { temperature, maxTokens } = { ...DEFAULT_GENERATION, ...generation };
+      // Gemini takes instructions apart from the turns, and calls the assistant 'model'
+      const instructions = messages.filter(message => message.role === 'system');
+      const body = {
+        contents: messages
+          .filter(message => message.role !== 'system')
+          .map(message => ({
+            role: message.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: message.content }]
+          })),
+        generationConfig: {
+          temperature,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens: maxTokens
+        }
+      };
+      if (instructions.length > 0) {
+        body.systemInstruction = { parts: instructions.map(message => ({ text: message.content })) };
+      }
+
+      const data = await postJson('Gemini', `${baseUrl}/models/${model}:generateContent`, {
+        'x-goog-api-key': apiKey
+      }, body, options);
+
+      const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (typeof text !== 'string') {
+        throw new Error('Invalid response structure from Gemini API');
+      }
+      return { content: text, usage: data.usageMetadata || null };
+    }
+  });
+};
+
+/**
+ * Create a provider for a server with the OpenAI chat completions API, such
+ * as OpenAI, Ollama ('http://localhost:11434/v1') or llama.cpp's server
+ * ('http://localhost:8080/v1'). A key is only sent when one is set.
+ * @param {Object} settings - Provider settings (baseUrl, model, apiKey)
+ * @param {Object} [requestOptions] - Overrides for DEFAULT_REQUEST_OPTIONS
+ * @returns {AIProvider} - Provider
+ */
+const createOpenAICompatibleProvider = (settings = {}, requestOptions = {}) => {
+  const { apiKey = null, model = null } = settings;
+  const baseUrl = settings.baseUrl ? trimBaseUrl(settings.baseUrl) : null;
+  const options = { ...DEFAULT_REQUEST_OPTIONS, ...requestOptions };
+
+  return withGenerate({
+    type: AI_PROVIDER_TYPES.OPENAI_COMPATIBLE,
+    label: 'OpenAI-compatible',
+
+    validate: () => [
+      ...(baseUrl ? [] : ['AI provider URL is not configured']),
+      ...(model ? [] : ['AI provider model is not configured'])
+    ],
+
+    chat: async (messages, generation = {}) => {
+      const { temperature, maxTokens } = { ...DEFAULT_GENERATION, ...generation };
+      const data = await postJson('OpenAI-compatible', `${baseUrl}/chat/completions`,
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        {
+          model,
+          messages: messages.map(({ role, content }) => ({ role, content })),
+          temperature,
+          max_tokens: maxTokens
+        },
+        options);
+
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error('Invalid response structure from OpenAI-compatible API');
+      }
+      return { content: text, usage: data.usage || null };
+    }
+  });
+};
+
+const MOCK_TIP = 'Small steps every day add up. Pick one habit to focus on today and make it easy to start.';
+
+/**
+ * Default mock answer: the tip for a single prompt, and a note that names the
+ * question in a conversation with instructions (the coach)
+ * @param {string} prompt - Last user message
+ * @param {ChatMessage[]} messages - Whole conversation
+ * @returns {string} - Answer
+ */
+const mockResponse = (prompt, messages) => (messages.some(message => message.role === 'system')
+  ? `You asked: "${prompt}". This is the offline demo, so there's no real answer here - choose an AI provider in the Insights settings to talk it through. Meanwhile: ${MOCK_TIP}`
+  : MOCK_TIP);
+
+/**
+ * Create a provider that answers without a network. The same conversation
+ * always gets the same answer.
+ * @param {Object} [options] - Mock options
+ * @param {string|Function} [options.response] - Answer, or a function from the
+ *   last user message and the whole conversation to the answer
+ * @returns {AIProvider} - Provider
+ */
+const createMockProvider = ({ response = mockResponse } = {}) => withGenerate({
+  type: AI_PROVIDER_TYPES.MOCK,
+  label: 'Mock',
+  validate: () => [],
+  chat: async (messages) => {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = lastUser ? lastUser.content : '';
+    return {
+      content: typeof response === 'function' ? response(prompt, messages) : response,
+      usage: null
+    };
+  }
+});
+
+/**
+ * Create the provider the settings choose
+ * @param {AIProviderSettings} [settings] - Provider settings; Gemini by default
+ * @param {Object} [requestOptions] - Overrides for DEFAULT_REQUEST_OPTIONS
+ * @returns {AIProvider} - Provider
+ */
+const createAIProvider = (settings = DEFAULT_AI_PROVIDER_SETTINGS, requestOptions = {}) => {
+  switch (settings && settings.type) {
+    case AI_PROVIDER_TYPES.OPENAI_COMPATIBLE:
+      return createOpenAICompatibleProvider(settings, requestOptions);
+    case AI_PROVIDER_TYPES.MOCK:
+      return createMockProvider();
+    default:
+      return createGeminiProvider(settings || {}, requestOptions);
+  }
+};
+
+export {
+  AI_PROVIDER_TYPES,
+  DEFAULT_AI_PROVIDER_SETTINGS,
+  validateAIProviderSettings,
+  createGeminiProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  createAIProvider
+};
@@ -1,5 +1,16 @@
 // AI tips utility for generating motivational content
 
+import { isDueOnDate } from './schedule';
+import {
+  calculateCombinedStreak,
+  calculateCompletionPercentage,
+  getTodayProgress
+} from './progressCalculations';
+import { getRecentDateKeys } from './localDate';
+import { getActiveHabits, getHabitsTrackedOn } from './habitStatus';
+import { getAIProviderSettings } from './storage';
+import { createAIProvider } from './aiProviders';
+
 /**
  * Fallback motivational messages categorized by completion status
  */
@@ -32,6 +43,11 @@ const MOTIVATIONAL_MESSAGES = {
     "Progress isn't always linear. Focus on today and move forward.",
     "You can do this! Start with just one habit and build from there."
   ],
+  onBreak: [
+    "Enjoy your break! Your streaks and progress are safe while you're away.",
+    "Rest is part of the process. Your habits will be ready when you return.",
+    "Taking time off is healthy. Come back refreshed and pick up where you left off."
+  ],
   noData: [
     "Welcome to your habit journey! Start small and build consistency.",
     "Every journey begins with a single step. You've got this!",
@@ -42,17 +58,21 @@ const MOTIVATIONAL_MESSAGES = {
 };
 
 /**
- * Analyzes habit completion data to determine overall performance
- * @param {Array} habits - Array of habit objects
+ * Analyzes habit completion data to determine overall performance.
+ * Archived habits are left out, and habits paused today don't count toward today's rate.
+ * @param {Array} allHabits - Array of habit objects
  * @returns {Object} Analysis results with completion rate and category
  */
-const analyzeHabitData = (habits) => {
-  if (!habits || habits.length === 0) {
+export const analyzeHabitData = (allHabits) => {
+  const habits = getActiveHabits(allHabits);
+  if (habits.length === 0) {
     return {
       completionRate: 0,
       category: 'noData',
       totalHabits: 0,
       completedToday: 0,
+      inProgressToday: 0,
+      pausedToday: 0,
       streak: 0,
       insights: {
         mostConsistent: null,
@@ -63,12 +83,22 @@ const analyzeHabitData = (habits) => {
   }
 
   const totalHabits = habits.length;
-  const completedToday = habits.filter(habit => habit.isCompleted).length;
-  const completionRate = totalHabits > 0 ? (completedToday / totalHabits) * 100 : 0;
+  const trackedToday = getHabitsTrackedOn(habits);
+  const pausedToday = totalHabits - trackedToday.length;
+  const completedToday = trackedToday.filter(habit => habit.isCompleted).length;
+  const completionRate = trackedToday.length > 0 ? (completedToday / trackedToday.length) * 100 : 0;
+
+  // Measurable habits with some, but not all, of today's target logged
+  const inProgressToday = trackedToday.filter(habit => {
+    if (habit.isCompleted) return false;
+    return getTodayProgress(habit).progress > 0;
+  }).length;
 
   // Calculate category based on completion rate
   let category;
-  if (completionRate >= 90) {
+  if (trackedToday.length === 0) {
+    category = 'onBreak';
+  } else if (completionRate >= 90) {
     category = 'excellent';
   } else if (completionRate >= 70) {
     category = 'good';
@@ -81,10 +111,10 @@ const analyzeHabitData = (habits) => {
   // Calculate streak (consecutive days with at least one habit completed)
   const streak = calculateCurrentStreak(habits);
 
-  // Find most consistent and least consistent habits
+  // Find most consistent and least consistent habits (partial amounts count toward the rate)
   const habitStats = habits.map(habit => ({
     name: habit.name,
-    rate: habit.totalDays > 0 ? (habit.completedDays / habit.totalDays) * 100 : 0,
+    rate: calculateCompletionPercentage(habit),
     habit
   }));
 
@@ -104,6 +134,8 @@ const analyzeHabitData = (habits) => {
     category,
     totalHabits,
     completedToday,
+    inProgressToday,
+    pausedToday,
     streak,
     insights: {
       mostConsistent: mostConsistent ? {
@@ -127,45 +159,7 @@ const analyzeHabitData = (habits) => {
 const calculateCurrentStreak = (habits) => {
   if (!habits || habits.length === 0) return 0;
 
-  // Get all unique dates from completion history
-  const allDates = new Set();
-  habits.forEach(habit => {
-    if (habit.completionHistory) {
-      habit.completionHistory.forEach(entry => {
-        if (entry.completed) {
-          allDates.add(entry.date);
-        }
-      });
-    }
-  });
-
-  if (allDates.size === 0) return 0;
-
-  // Sort dates in descending order
-  const sortedDates = Array.from(allDates).sort((a, b) => new Date(b) - new Date(a));
-  
-  let streak = 0;
-  const today = new Date().toISOString().split('T')[0];
-  
-  // Check if today has any completions
-  if (sortedDates.includes(today)) {
-    streak = 1;
-    
-    // Count consecutive days backwards
-    for (let i = 1; i < sortedDates.length; i++) {
-      const currentDate = new Date(sortedDates[i-1]);
-      const previousDate = new Date(sortedDates[i]);
-      const dayDifference = (currentDate - previousDate) / (1000 * 60 * 60 * 24);
-      
-      if (dayDifference === 1) {
-        streak++;
-      } else {
-        break;
-      }
-    }
-  }
-  
-  return streak;
+  return calculateCombinedStreak(habits).currentStreak;
 };
 
 /**
@@ -176,25 +170,18 @@ const calculateCurrentStreak = (habits) => {
 const analyzeRecentTrend = (habits) => {
   if (!habits || habits.length === 0) return 'stable';
 
-  const last7Days = [];
-  const today = new Date();
-  
-  // Generate last 7 days
-  for (let i = 6; i >= 0; i--) {
-    const date = new Date(today);
-    date.setDate(date.getDate() - i);
-    last7Days.push(date.toISOString().split('T')[0]);
-  }
+  // Last 7 local days, oldest first
+  const last7Days = getRecentDateKeys(7);
 
-  // Calculate completion rates for each day
+  // Calculate completion rates for each day, counting only habits due that day
   const dailyRates = last7Days.map(date => {
-    const totalHabits = habits.length;
-    const completedHabits = habits.filter(habit => {
+    const dueHabits = habits.filter(habit => isDueOnDate(habit, date));
+    const completedHabits = dueHabits.filter(habit => {
       return habit.completionHistory && 
              habit.completionHistory.some(entry => entry.date === date && entry.completed);
     }).length;
     
-    return totalHabits > 0 ? (completedHabits / totalHabits) * 100 : 0;
+    return dueHabits.length > 0 ? (completedHabits / dueHabits.length) * 100 : 0;
   });
 
   // Compare first half vs second half of the week
@@ -288,22 +275,11 @@ export const generateAITip = async (habitData) => {
 };
 
 /**
- * Configuration for Gemini API
- */
-const GEMINI_CONFIG = {
-  API_KEY: process.env.GEMINI_API_KEY || 'your-gemini-api-key-here',
-  BASE_URL: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent',
-  TIMEOUT: 10000, // 10 seconds
-  MAX_RETRIES: 2,
-  RETRY_DELAY: 1000 // 1 second
-};
-
-/**
- * Creates a prompt for Gemini API based on habit analysis
+ * Creates a prompt for the AI provider based on habit analysis
  * @param {Object} analysis - Habit analysis results
  * @returns {string} Formatted prompt for AI
  */
-const createGeminiPrompt = (analysis) => {
+const createTipPrompt = (analysis) => {
   const { completionRate, category, totalHabits, completedToday, streak, insights } = analysis;
   
   let prompt = `You are a motivational habit coach. Based on the following habit data, provide a personalized, encouraging tip (max 150 words):
@@ -334,154 +310,50 @@ Please provide a motivational tip that:
 };
 
 /**
- * Makes HTTP request to Gemini API with timeout and retry logic
- * @param {string} prompt - The prompt to send to Gemini
- * @param {number} retryCount - Current retry attempt
- * @returns {Promise<Object>} API response
+ * Provider chosen in the user preferences
+ * @returns {Promise<Object>} AI provider (see aiProviders.js)
  */
-const makeGeminiRequest = async (prompt, retryCount = 0) => {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), GEMINI_CONFIG.TIMEOUT);
-
-  try {
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 200,
-      }
-    };
-
-    const response = await fetch(
-      `${GEMINI_CONFIG.BASE_URL}?key=${GEMINI_CONFIG.API_KEY}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      }
-    );
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-    }
-
-    const data = await response.json();
-    
-    // Validate response structure
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('Invalid response structure from Gemini API');
-    }
-
-    return {
-      success: true,
-      content: data.candidates[0].content.parts[0].text,
-      usage: data.usageMetadata || null
-    };
-
-  } catch (error) {
-    clearTimeout(timeoutId);
-    
-    // Handle specific error types
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout - Gemini API took too long to respond');
-    }
-    
-    if (error.message.includes('fetch')) {
-      throw new Error('Network error - Unable to connect to Gemini API');
-    }
-    
-    // Retry logic for transient errors
-    if (retryCount < GEMINI_CONFIG.MAX_RETRIES && 
-        (error.message.includes('timeout') || 
-         error.message.includes('network') || 
-         error.message.includes('500') || 
-         error.message.includes('502') || 
-         error.message.includes('503'))) {
-      
-      console.warn(`Gemini API request failed, retrying... (${retryCount + 1}/${GEMINI_CONFIG.MAX_RETRIES})`);
-      await new Promise(resolve => setTimeout(resolve, GEMINI_CONFIG.RETRY_DELAY * (retryCount + 1)));
-      return makeGeminiRequest(prompt, retryCount + 1);
-    }
-    
-    throw error;
-  }
-};
-
-/**
- * Validates Gemini API configuration
- * @returns {Object} Validation result
- */
-const validateGeminiConfig = () => {
-  const errors = [];
-  
-  if (!GEMINI_CONFIG.API_KEY || GEMINI_CONFIG.API_KEY === 'your-gemini-api-key-here') {
-    errors.push('Gemini API key is not configured');
-  }
-  
-  if (!GEMINI_CONFIG.BASE_URL) {
-    errors.push('Gemini API base URL is not configured');
-  }
-  
-  if (typeof GEMINI_CONFIG.TIMEOUT !== 'number' || GEMINI_CONFIG.TIMEOUT <= 0) {
-    errors.push('Invalid timeout configuration');
-  }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-};
+export const getAIProvider = async () => createAIProvider(await getAIProviderSettings());
 
 /**
- * Calls Gemini API to generate personalized habit tips
- * @param {string} prompt - The prompt to send to Gemini API
+ * Calls an AI provider to generate text for a prompt
+ * @param {string} prompt - The prompt to send
+ * @param {Object} [provider] - Provider to use; the one in the user preferences by default
  * @returns {Promise<Object>} API response with tip content
  */
-export const callGeminiAPI = async (prompt) => {
+export const callAIProvider = async (prompt, provider = null) => {
+  const selected = provider || await getAIProvider();
   try {
     // Validate configuration
-    const configValidation = validateGeminiConfig();
-    if (!configValidation.isValid) {
-      throw new Error(`Configuration error: ${configValidation.errors.join(', ')}`);
+    const configErrors = selected.validate();
+    if (configErrors.length > 0) {
+      throw new Error(`Configuration error: ${configErrors.join(', ')}`);
     }
 
-    // Make API request
-    const result = await makeGeminiRequest(prompt);
+    const result = await selected.generate(prompt);
     
     return {
       success: true,
       content: result.content.trim(),
-      source: 'gemini',
+      source: selected.type,
       usage: result.usage,
       timestamp: new Date().toISOString()
     };
 
   } catch (error) {
-    console.error('Gemini API call failed:', error);
+    console.error(`${selected.label} API call failed:`, error);
     
     return {
       success: false,
       error: error.message,
-      source: 'gemini',
+      source: selected.type,
       timestamp: new Date().toISOString()
     };
   }
 };
 
 /**
- * Enhanced AI tip generation with Gemini API integration
+ * Enhanced AI tip generation with the AI provider from the user preferences
  * @param {Array} habitData - Array of habit objects
  * @param {boolean} useAPI - Whether to attempt API call (default: true)
  * @returns {Promise<Object>} AI tip response
@@ -491,22 +363,22 @@ export const generateEnhancedAITip = async (habitData, useAPI = true) => {
     // Analyze habit data first
     const analysis = analyzeHabitData(habitData);
     
-    // Try Gemini API if enabled and configured
+    // Try the AI provider if enabled and configured
     if (useAPI) {
-      const prompt = createGeminiPrompt(analysis);
-      const apiResult = await callGeminiAPI(prompt);
+      const prompt = createTipPrompt(analysis);
+      const apiResult = await callAIProvider(prompt);
       
       if (apiResult.success) {
         return {
           success: true,
           tip: apiResult.content,
           analysis,
-          source: 'gemini',
+          source: apiResult.source,
           usage: apiResult.usage,
           timestamp: apiResult.timestamp
         };
       } else {
-        console.warn('Gemini API failed, falling back to dummy logic:', apiResult.error);
+        console.warn('AI provider failed, falling back to dummy logic:', apiResult.error);
       }
     }
     
@@ -533,26 +405,28 @@ export const generateEnhancedAITip = async (habitData, useAPI = true) => {
 };
 
 /**
- * Utility function to test Gemini API connection
+ * Utility function to test an AI provider connection
+ * @param {Object} [settings] - Provider settings to test; the saved ones by default
  * @returns {Promise<Object>} Connection test result
  */
-export const testGeminiConnection = async () => {
+export const testAIConnection = async (settings = null) => {
   try {
+    const provider = settings ? createAIProvider(settings) : await getAIProvider();
     const testPrompt = "Respond with 'Connection successful' if you receive this message.";
-    const result = await callGeminiAPI(testPrompt);
+    const result = await callAIProvider(testPrompt, provider);
     
     return {
       success: result.success,
-      message: result.success ? 'Gemini API connection successful' : 'Gemini API connection failed',
+      message: result.success ? `${provider.label} connection successful` : `${provider.label} connection failed`,
       error: result.error || null,
       timestamp: new Date().toISOString()
     };
   } catch (error) {
     return {
       success: false,
-      message: 'Gemini API connection test failed',
+      message: 'AI provider connection test failed',
       error: error.message,
       timestamp: new Date().toISOString()
     };
   }
-};
\ No newline at end of file
+};
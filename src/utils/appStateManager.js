@@ -2,20 +2,177 @@
 
 import React from 'react';
 import { Alert } from 'react-native';
-import { getHabits, saveHabits, recalculateAllHabitsProgress } from './storage';
+import {
+  getHabits,
+  saveHabits,
+  updateHabits,
+  recalculateAllHabitsProgress,
+  recalculateHabitProgress,
+  getStorageData,
+  setStorageData
+} from './storage';
+import { getActiveHabits, getHabitsTrackedOn } from './habitStatus';
+import { cancelHabitReminders, syncAllReminders } from './reminders';
+import { STORAGE_KEYS, generateUUID } from './types';
+
+// Undo history
+// Every undoable action is recorded as a command holding what it changed on
+// each habit, in both directions, plus the habit order before and after.
+// Undo and redo patch the current habits instead of restoring a snapshot, so
+// progress recalculated in the meantime (e.g. on a new day) is kept.
+
+export const UNDO_HISTORY_LIMIT = 10;
+
+export const UNDOABLE_ACTIONS = {
+  ADD: 'add',
+  EDIT: 'edit',
+  DELETE: 'delete',
+  TOGGLE: 'toggle',
+  REORDER: 'reorder'
+};
+
+// Recalculated from the rest of the habit whenever a command is applied
+const DERIVED_HABIT_FIELDS = ['completionHistory', 'completedDays', 'totalDays', 'isCompleted', 'lastUpdated'];
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Describe how to turn one version of a habit into another
+ * @param {Object} from - Habit before the change
+ * @param {Object} to - Habit after the change
+ * @returns {Object|null} - Changed fields and history entries (null entries are removed), or null if nothing changed
+ */
+const diffHabit = (from, to) => {
+  const fields = {};
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+    if (!DERIVED_HABIT_FIELDS.includes(key) && !isSameValue(from[key], to[key])) {
+      fields[key] = to[key] === undefined ? null : to[key];
+    }
+  });
+
+  const fromEntries = new Map((from.completionHistory || []).map(entry => [entry.date, entry]));
+  const toEntries = new Map((to.completionHistory || []).map(entry => [entry.date, entry]));
+  const entries = [];
+  new Set([...fromEntries.keys(), ...toEntries.keys()]).forEach(date => {
+    if (!isSameValue(fromEntries.get(date), toEntries.get(date))) {
+      entries.push({ date, entry: toEntries.get(date) || null });
+    }
+  });
+
+  return Object.keys(fields).length > 0 || entries.length > 0 ? { fields, entries } : null;
+};
+
+/**
+ * Apply a diff from diffHabit and recalculate the habit's progress
+ * @param {Object} habit - Current habit
+ * @param {Object} diff - Fields and history entries to set
+ * @returns {Object} - Updated habit
+ */
+const patchHabit = (habit, { fields, entries }) => {
+  const dates = new Set(entries.map(item => item.date));
+  const completionHistory = (habit.completionHistory || [])
+    .filter(entry => !dates.has(entry.date))
+    .concat(entries.filter(item => item.entry).map(item => item.entry))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return recalculateHabitProgress({ ...habit, ...fields }, completionHistory);
+};
+
+/**
+ * Build an undoable command from what an action changed. Added and deleted
+ * habits are kept whole; changed habits keep only the diff.
+ * @param {string} type - One of UNDOABLE_ACTIONS
+ * @param {string} label - What the action did, e.g. 'Delete "Read"'
+ * @param {Object} change - HabitChange reported by storage (see storage.js)
+ * @returns {Object|null} - Command, or null if the action changed nothing
+ */
+const createCommand = (type, label, { before, after, beforeOrder, afterOrder }) => {
+  const beforeById = new Map(before.map(habit => [habit.id, habit]));
+  const afterById = new Map(after.map(habit => [habit.id, habit]));
+  const changes = [];
+
+  new Set([...beforeById.keys(), ...afterById.keys()]).forEach(id => {
+    const previous = beforeById.get(id);
+    const next = afterById.get(id);
+    if (!previous || !next) {
+      changes.push({ id, undo: { habit: previous || null }, redo: { habit: next || null } });
+      return;
+    }
+    const redo = diffHabit(previous, next);
+    if (redo) changes.push({ id, undo: diffHabit(next, previous), redo });
+  });
+
+  const undoOrder = beforeOrder;
+  const redoOrder = afterOrder;
+  if (changes.length === 0 && isSameValue(undoOrder, redoOrder)) return null;
+
+  return {
+    id: generateUUID(),
+    type,
+    label,
+    createdAt: new Date().toISOString(),
+    changes,
+    undoOrder,
+    redoOrder
+  };
+};
+
+/**
+ * Apply one side of a command to the current habits
+ * @param {Array} habits - Current habits
+ * @param {Object} command - Command from createCommand
+ * @param {string} side - 'undo' or 'redo'
+ * @returns {Array|null} - Updated habits, or null if a habit the command changes no longer exists
+ */
+const applyCommand = (habits, command, side) => {
+  const updated = [...habits];
+
+  for (const change of command.changes) {
+    const patch = change[side];
+    const index = updated.findIndex(habit => habit.id === change.id);
+    if ('habit' in patch) {
+      if (index !== -1) updated.splice(index, 1);
+      if (patch.habit) updated.push(recalculateHabitProgress(patch.habit));
+    } else if (index === -1) {
+      return null;
+    } else {
+      updated[index] = patchHabit(updated[index], patch);
+    }
+  }
+
+  // Habits the command doesn't know about (added since) stay at the end
+  const order = side === 'undo' ? command.undoOrder : command.redoOrder;
+  const position = (habit) => (order.includes(habit.id) ? order.indexOf(habit.id) : order.length);
+  return updated.sort((a, b) => position(a) - position(b));
+};
+
+/**
+ * Quote a habit's name for a command label
+ * @param {Array} habits - Habits the action touched, before it
+ * @param {string} habitId - Habit ID
+ * @returns {string} - '"Read"', or 'habit' if it isn't among them
+ */
+const habitLabel = (habits, habitId) => {
+  const habit = habits.find(h => h.id === habitId);
+  return habit ? `"${habit.name}"` : 'habit';
+};
 
 /**
  * App state management class for centralized state handling
  */
-class AppStateManager {
+export class AppStateManager {
   constructor() {
     this.listeners = new Set();
+    this.undoStack = [];
+    this.redoStack = [];
+    this.undoHistoryLoading = null;
     this.state = {
       habits: [],
       loading: false,
       error: null,
       lastUpdated: null,
-      isOnline: true
+      isOnline: true,
+      undoLabel: null,
+      redoLabel: null
     };
   }
 
@@ -187,13 +344,12 @@ class AppStateManager {
         this.setState({ habits: updatedHabits });
       }
 
-      // Save to storage
-      const updatedHabits = [...this.state.habits];
-      updatedHabits[habitIndex] = { ...updatedHabits[habitIndex], ...updates };
-      
-      const success = await this.saveHabits(updatedHabits, { 
-        optimistic: false, 
-        silent: true 
+      // Save to storage, applying the updates to the stored habits rather than
+      // this copy, which may miss changes saved since it was loaded
+      let savedHabits;
+      const success = await updateHabits(habits => {
+        savedHabits = habits.map(h => (h.id === habitId ? { ...h, ...updates } : h));
+        return savedHabits;
       });
 
       if (!success) {
@@ -204,6 +360,11 @@ class AppStateManager {
         return false;
       }
 
+      this.setState({
+        habits: savedHabits,
+        error: null,
+        lastUpdated: new Date().toISOString()
+      });
       return true;
     } catch (error) {
       console.error('Error updating habit:', error);
@@ -225,19 +386,13 @@ class AppStateManager {
   async addHabit(habitData) {
     try {
       const { addHabit } = require('./storage');
-      const newHabit = await addHabit(habitData);
-
-      if (newHabit) {
-        // Update state with new habit
-        const updatedHabits = [...this.state.habits, newHabit];
-        this.setState({
-          habits: updatedHabits,
-          lastUpdated: new Date().toISOString()
-        });
-        return newHabit;
-      }
+      const newHabit = await this.runUndoable(
+        UNDOABLE_ACTIONS.ADD,
+        options => addHabit(habitData, options),
+        () => `Add "${habitData.name}"`
+      );
 
-      return null;
+      return newHabit || null;
     } catch (error) {
       console.error('Error adding habit:', error);
       this.showErrorAlert('Failed to Add Habit', this.getErrorMessage(error));
@@ -248,9 +403,11 @@ class AppStateManager {
   /**
    * Delete a habit with optimistic updates
    * @param {string} habitId - ID of habit to delete
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onRecorded] - Receives the undo command recorded for the deletion
    * @returns {Promise<boolean>} Success status
    */
-  async deleteHabit(habitId) {
+  async deleteHabit(habitId, { onRecorded } = {}) {
     const previousHabits = [...this.state.habits];
 
     try {
@@ -259,7 +416,12 @@ class AppStateManager {
       this.setState({ habits: updatedHabits });
 
       const { deleteHabit } = require('./storage');
-      const success = await deleteHabit(habitId);
+      const success = await this.runUndoable(
+        UNDOABLE_ACTIONS.DELETE,
+        options => deleteHabit(habitId, options),
+        before => `Delete ${habitLabel(before, habitId)}`,
+        onRecorded
+      );
 
       if (!success) {
         // Revert optimistic update on failure
@@ -279,6 +441,248 @@ class AppStateManager {
     }
   }
 
+  /**
+   * Edit a habit's details; see storage.editHabit for what can change
+   * @param {string} habitId - ID of habit to edit
+   * @param {Object} changes - New habit details
+   * @returns {Promise<boolean>} Success status
+   */
+  async editHabit(habitId, changes) {
+    try {
+      const { editHabit } = require('./storage');
+      return await this.runUndoable(
+        UNDOABLE_ACTIONS.EDIT,
+        options => editHabit(habitId, changes, options),
+        before => `Edit ${habitLabel(before, habitId)}`
+      );
+    } catch (error) {
+      console.error('Error editing habit:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check off a habit for today, or clear today's check-in
+   * @param {string} habitId - ID of habit to update
+   * @param {boolean} isCompleted - New completion status
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onRecorded] - Receives the undo command recorded for the change
+   * @returns {Promise<boolean>} Success status
+   */
+  async toggleHabitCompletion(habitId, isCompleted, { onRecorded } = {}) {
+    try {
+      const { updateHabitCompletion } = require('./storage');
+      return await this.runUndoable(
+        UNDOABLE_ACTIONS.TOGGLE,
+        options => updateHabitCompletion(habitId, isCompleted, options),
+        before => `${isCompleted ? 'Check off' : 'Uncheck'} ${habitLabel(before, habitId)}`,
+        onRecorded
+      );
+    } catch (error) {
+      console.error('Error toggling habit completion:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Put habits in a new order
+   * @param {string[]} habitIds - Habit IDs in the new order; unlisted habits go last
+   * @returns {Promise<boolean>} Success status
+   */
+  async reorderHabits(habitIds) {
+    try {
+      return await this.runUndoable(
+        UNDOABLE_ACTIONS.REORDER,
+        options => updateHabits(habits => {
+          const position = (habit) => (habitIds.includes(habit.id) ? habitIds.indexOf(habit.id) : habitIds.length);
+          return [...habits].sort((a, b) => position(a) - position(b));
+        }, options),
+        () => 'Reorder habits'
+      );
+    } catch (error) {
+      console.error('Error reordering habits:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the undo history saved by an earlier session. Runs once; later
+   * calls wait for the first.
+   * @returns {Promise<void>}
+   */
+  loadUndoHistory() {
+    if (!this.undoHistoryLoading) {
+      this.undoHistoryLoading = (async () => {
+        const history = await getStorageData(STORAGE_KEYS.UNDO_HISTORY, null);
+        if (history && Array.isArray(history.undo) && Array.isArray(history.redo)) {
+          this.undoStack = history.undo;
+          this.redoStack = history.redo;
+        }
+        this.updateUndoLabels();
+      })();
+    }
+    return this.undoHistoryLoading;
+  }
+
+  /**
+   * Save the undo history so it survives an app restart
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveUndoHistory() {
+    this.updateUndoLabels();
+    return await setStorageData(STORAGE_KEYS.UNDO_HISTORY, {
+      undo: this.undoStack,
+      redo: this.redoStack
+    });
+  }
+
+  /**
+   * Show what undo and redo would do next
+   */
+  updateUndoLabels() {
+    const lastUndo = this.undoStack[this.undoStack.length - 1];
+    const lastRedo = this.redoStack[this.redoStack.length - 1];
+    this.setState({
+      undoLabel: lastUndo ? lastUndo.label : null,
+      redoLabel: lastRedo ? lastRedo.label : null
+    });
+  }
+
+  /**
+   * Run a habit change and record it so it can be undone. The command is
+   * built inside the queued change from the habits it touched, and the
+   * habits on show are patched with it rather than read again. A new action
+   * clears the redo history.
+   * @param {string} type - One of UNDOABLE_ACTIONS
+   * @param {Function} action - Async change given storage options ({onChange});
+   *   a falsy result means it failed
+   * @param {Function} describe - Builds the command label from the touched habits before the change
+   * @param {Function} [onRecorded] - Receives the command, e.g. to offer undoing this change only
+   * @returns {Promise<*>} Result of the action
+   */
+  async runUndoable(type, action, describe, onRecorded = null) {
+    await this.loadUndoHistory();
+
+    let command = null;
+    const result = await action({
+      onChange: change => {
+        command = createCommand(type, describe(change.before), change);
+      }
+    });
+    if (!result) return result;
+
+    if (command) {
+      this.undoStack = [...this.undoStack, command].slice(-UNDO_HISTORY_LIMIT);
+      this.redoStack = [];
+      await this.saveUndoHistory();
+      if (onRecorded) onRecorded(command);
+    }
+
+    // Patch the habits on show; read them only if they were never loaded
+    let habits = this.state.lastUpdated ? this.state.habits : null;
+    if (habits && command) habits = applyCommand(habits, command, 'redo');
+    this.setState({
+      habits: habits || await getHabits(),
+      lastUpdated: new Date().toISOString()
+    });
+    return result;
+  }
+
+  /**
+   * Undo the most recent action
+   * @param {string} [commandId] - Only undo it if it is this command, e.g.
+   *   from an Undo button shown for one change
+   * @returns {Promise<boolean>} Success status
+   */
+  async undo(commandId = null) {
+    return await this.applyHistory('undo', commandId);
+  }
+
+  /**
+   * Redo the most recently undone action
+   * @returns {Promise<boolean>} Success status
+   */
+  async redo() {
+    return await this.applyHistory('redo');
+  }
+
+  /**
+   * Apply the top command of the undo or redo stack and move it to the other
+   * @param {string} side - 'undo' or 'redo'
+   * @param {string|null} [commandId] - Apply it only if it is this command
+   * @returns {Promise<boolean>} Success status
+   */
+  async applyHistory(side, commandId = null) {
+    try {
+      await this.loadUndoHistory();
+      const stack = side === 'undo' ? this.undoStack : this.redoStack;
+      const command = stack[stack.length - 1];
+      if (!command) {
+        console.warn(`Nothing to ${side}`);
+        return false;
+      }
+      if (commandId && command.id !== commandId) {
+        // Undoing it out of turn could take back later changes to the same habits
+        console.warn(`Cannot ${side} ${commandId}: it is no longer the last change`);
+        return false;
+      }
+
+      let habits;
+      let updated;
+      const saved = await updateHabits(current => {
+        habits = current;
+        updated = applyCommand(current, command, side);
+        return updated;
+      });
+
+      if (!updated) {
+        // A habit it changed was deleted some other way; the command can't apply again
+        console.warn(`Cannot ${side} "${command.label}": a habit it changed no longer exists`);
+        this.dropHistoryCommand(side);
+        await this.saveUndoHistory();
+        return false;
+      }
+      if (!saved) {
+        return false;
+      }
+
+      const remainingIds = new Set(updated.map(habit => habit.id));
+      for (const habit of habits.filter(h => !remainingIds.has(h.id))) {
+        await cancelHabitReminders(habit.id);
+      }
+      await syncAllReminders(updated);
+
+      this.dropHistoryCommand(side);
+      if (side === 'undo') {
+        this.redoStack = [...this.redoStack, command];
+      } else {
+        this.undoStack = [...this.undoStack, command];
+      }
+      await this.saveUndoHistory();
+
+      this.setState({
+        habits: updated,
+        lastUpdated: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      console.error(`Error during ${side}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the top command of the undo or redo stack
+   * @param {string} side - 'undo' or 'redo'
+   */
+  dropHistoryCommand(side) {
+    if (side === 'undo') {
+      this.undoStack = this.undoStack.slice(0, -1);
+    } else {
+      this.redoStack = this.redoStack.slice(0, -1);
+    }
+  }
+
   /**
    * Clear all errors from state
    */
@@ -353,11 +757,12 @@ class AppStateManager {
    * @returns {Object} Habits statistics
    */
   getHabitsStats() {
-    const habits = this.state.habits;
-    const today = new Date().toISOString().split('T')[0];
+    // Archived habits are left out; habits paused today don't count toward today's rate
+    const habits = getActiveHabits(this.state.habits);
+    const trackedToday = getHabitsTrackedOn(habits);
 
     const totalHabits = habits.length;
-    const completedToday = habits.filter(h => h.isCompleted).length;
+    const completedToday = trackedToday.filter(h => h.isCompleted).length;
     const totalCompletions = habits.reduce((sum, h) => sum + h.completedDays, 0);
     const totalPossible = habits.reduce((sum, h) => sum + h.totalDays, 0);
     const overallCompletionRate = totalPossible > 0 ? Math.round((totalCompletions / totalPossible) * 100) : 0;
@@ -365,10 +770,11 @@ class AppStateManager {
     return {
       totalHabits,
       completedToday,
+      pausedToday: totalHabits - trackedToday.length,
       totalCompletions,
       totalPossible,
       overallCompletionRate,
-      todayCompletionRate: totalHabits > 0 ? Math.round((completedToday / totalHabits) * 100) : 0
+      todayCompletionRate: trackedToday.length > 0 ? Math.round((completedToday / trackedToday.length) * 100) : 0
     };
   }
 
@@ -381,7 +787,9 @@ class AppStateManager {
       loading: false,
       error: null,
       lastUpdated: null,
-      isOnline: true
+      isOnline: true,
+      undoLabel: null,
+      redoLabel: null
     });
   }
 }
@@ -406,6 +814,11 @@ export const useAppState = () => {
     updateHabit: appStateManager.updateHabit.bind(appStateManager),
     addHabit: appStateManager.addHabit.bind(appStateManager),
     deleteHabit: appStateManager.deleteHabit.bind(appStateManager),
+    editHabit: appStateManager.editHabit.bind(appStateManager),
+    toggleHabitCompletion: appStateManager.toggleHabitCompletion.bind(appStateManager),
+    reorderHabits: appStateManager.reorderHabits.bind(appStateManager),
+    undo: appStateManager.undo.bind(appStateManager),
+    redo: appStateManager.redo.bind(appStateManager),
     clearError: appStateManager.clearError.bind(appStateManager),
     setLoading: appStateManager.setLoading.bind(appStateManager),
     setOnlineStatus: appStateManager.setOnlineStatus.bind(appStateManager),
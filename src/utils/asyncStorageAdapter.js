@@ -0,0 +1,17 @@
+// AsyncStorage storage adapter
+// The default backend on devices: each storage key is an AsyncStorage item.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Create an adapter that keeps data in AsyncStorage
+ * @returns {import('./storage').StorageAdapter} - Storage adapter
+ */
+const createAsyncStorageAdapter = () => ({
+  getItem: (key) => AsyncStorage.getItem(key),
+  setItem: (key, value) => AsyncStorage.setItem(key, value),
+  multiSet: (entries) => AsyncStorage.multiSet(entries),
+  removeItem: (key) => AsyncStorage.removeItem(key),
+  getAllKeys: async () => [...await AsyncStorage.getAllKeys()]
+});
+
+export { createAsyncStorageAdapter };
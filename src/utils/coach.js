@@ -0,0 +1,253 @@
+// AI habit coach
+// A multi-turn chat with the AI provider from the user preferences. Every
+// question is sent with instructions and a summary of the habits, built from
+// analyzeHabitData, getProgressInsights and each habit's recent history, plus
+// as much of the earlier conversation as fits. Sizes are budgeted in
+// estimated tokens (about four characters each) so requests stay small for
+// local models: habits that need the most help are described first, and the
+// oldest turns are dropped first. The conversation is kept under
+// STORAGE_KEYS.COACH_CONVERSATION.
+import { getStorageData, updateStorageData } from './storage';
+import { STORAGE_KEYS, generateUUID } from './types';
+import { analyzeHabitData, getAIProvider } from './aiTips';
+import { calculateCompletionPercentage, getProgressInsights } from './progressCalculations';
+import { getCompletionHour } from './completionTimes';
+import { isDueOnDate } from './schedule';
+import { getTodayKey, getRecentDateKeys, getLocalDateKey, isDateKey } from './localDate';
+import { getActiveHabits } from './habitStatus';
+
+const COACH_LIMITS = {
+  CONTEXT_TOKENS: 1500, // Habit summary
+  HISTORY_TOKENS: 2000, // Earlier turns
+  REPLY_TOKENS: 400,
+  HISTORY_DAYS: 14, // Days of history per habit
+  STORED_MESSAGES: 200
+};
+
+const COACH_INSTRUCTIONS = `You are a friendly, practical habit coach inside a habit tracking app. Answer the user's questions about their habits using the data below. Be specific: refer to habits by name and point at patterns in their history. Keep answers short (under 150 words) and suggest one or two concrete next steps. If the data doesn't answer a question, say so rather than guessing.`;
+
+/**
+ * Message in the coach conversation
+ * @typedef {Object} CoachMessage
+ * @property {string} id - Message ID
+ * @property {'user'|'assistant'} role - Who wrote it
+ * @property {string} content - Message text
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} [source] - Provider type that wrote an assistant message
+ */
+
+/**
+ * Rough token count of a text, for budgeting
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Most common hour a habit is checked off at
+ * @param {Object} habit - Habit object
+ * @returns {number|null} - Hour from 0 to 23, or null without timestamps
+ */
+const getUsualCompletionHour = (habit) => {
+  const counts = new Map();
+  (habit.completionHistory || []).forEach(entry => {
+    const hour = getCompletionHour(entry);
+    if (hour !== null) counts.set(hour, (counts.get(hour) || 0) + 1);
+  });
+  let usual = null;
+  counts.forEach((count, hour) => {
+    if (usual === null || count > counts.get(usual)) usual = hour;
+  });
+  return usual;
+};
+
+/**
+ * A habit's recent days as one character each, oldest first: Y done,
+ * N missed, - not due
+ * @param {Object} habit - Habit object
+ * @returns {string} - Day marks
+ */
+const getRecentDayMarks = (habit) => {
+  const completed = new Set((habit.completionHistory || [])
+    .filter(entry => entry.completed)
+    .map(entry => entry.date));
+  const created = new Date(habit.createdAt);
+  let startKey = '';
+  if (isDateKey(habit.createdAt)) startKey = habit.createdAt;
+  else if (!Number.isNaN(created.getTime())) startKey = getLocalDateKey(created);
+  return getRecentDateKeys(COACH_LIMITS.HISTORY_DAYS)
+    .filter(date => date >= startKey)
+    .map(date => {
+      if (completed.has(date)) return 'Y';
+      return isDueOnDate(habit, date) ? 'N' : '-';
+    })
+    .join('');
+};
+
+/**
+ * Describe a habit for the coach
+ * @param {Object} habit - Habit object
+ * @param {boolean} detailed - Include history, insights and recommendations
+ * @returns {string} - Description
+ */
+const describeHabit = (habit, detailed) => {
+  const rate = Math.round(calculateCompletionPercentage(habit));
+  const frequency = (habit.frequency || 'daily').replace(/_/g, ' ');
+  let line = `- "${habit.name}" (${frequency}${habit.targetTime ? `, target time ${habit.targetTime}` : ''}): ${rate}% done`;
+  if (!detailed) return line;
+
+  const hour = getUsualCompletionHour(habit);
+  if (hour !== null) line += `, usually checked off around ${String(hour).padStart(2, '0')}:00`;
+
+  const { insights, recommendations } = getProgressInsights(habit);
+  const lines = [line, `  Last ${COACH_LIMITS.HISTORY_DAYS} days: ${getRecentDayMarks(habit) || 'new today'}`];
+  if (insights.length > 0) lines.push(`  Insights: ${insights.join(' ')}`);
+  if (recommendations.length > 0) lines.push(`  Suggestions: ${recommendations.join(' ')}`);
+  return lines.join('\n');
+};
+
+/**
+ * Summary of the habits for the coach, within a token budget. The overview
+ * is always included; habits with the lowest completion rates are described
+ * first, in detail while that fits, then in one line, then only counted.
+ * @param {Array} habits - Array of habit objects
+ * @param {number} [tokenBudget] - Token budget for the summary
+ * @returns {string} - Context text
+ */
+const buildCoachContext = (habits, tokenBudget = COACH_LIMITS.CONTEXT_TOKENS) => {
+  const analysis = analyzeHabitData(habits);
+  const { mostConsistent, needsAttention, recentTrend } = analysis.insights;
+
+  const lines = [
+    `Today: ${getTodayKey()}`,
+    `Active habits: ${analysis.totalHabits} (${analysis.completedToday} done today, ${analysis.pausedToday} paused today)`,
+    `Completion rate today: ${analysis.completionRate}% (${analysis.category})`,
+    `Streak of days with a habit done: ${analysis.streak}`,
+    `Trend over the last week: ${recentTrend}`
+  ];
+  if (mostConsistent) lines.push(`Most consistent: "${mostConsistent.name}" (${mostConsistent.rate}%)`);
+  if (needsAttention) lines.push(`Needs attention: "${needsAttention.name}" (${needsAttention.rate}%)`);
+  lines.push(`Habits (history marks: Y done, N missed, - not due; oldest first):`);
+
+  let used = estimateTokens(lines.join('\n'));
+  let omitted = 0;
+  getActiveHabits(habits)
+    .map(habit => ({ habit, rate: calculateCompletionPercentage(habit) }))
+    .sort((a, b) => a.rate - b.rate)
+    .forEach(({ habit }) => {
+      const description = [describeHabit(habit, true), describeHabit(habit, false)]
+        .find(text => used + estimateTokens(text) <= tokenBudget);
+      if (description) {
+        lines.push(description);
+        used += estimateTokens(description);
+      } else {
+        omitted += 1;
+      }
+    });
+  if (omitted > 0) lines.push(`(${omitted} more habit(s) left out to keep this short)`);
+
+  return lines.join('\n');
+};
+
+/**
+ * Messages to send for a question: instructions with the context, the most
+ * recent turns that fit the history budget, then the question
+ * @param {string} context - Context from buildCoachContext
+ * @param {CoachMessage[]} conversation - Earlier messages, oldest first
+ * @param {string} question - New question
+ * @param {number} [tokenBudget] - Token budget for earlier turns
+ * @returns {Array<{role: string, content: string}>} - Chat messages
+ */
+const buildCoachMessages = (context, conversation, question, tokenBudget = COACH_LIMITS.HISTORY_TOKENS) => {
+  const recent = [];
+  let used = 0;
+  for (let index = conversation.length - 1; index >= 0; index -= 1) {
+    used += estimateTokens(conversation[index].content);
+    if (used > tokenBudget) break;
+    recent.unshift(conversation[index]);
+  }
+  // Start on a question, as some providers require
+  while (recent.length > 0 && recent[0].role !== 'user') recent.shift();
+
+  return [
+    { role: 'system', content: `${COACH_INSTRUCTIONS}\n\n${context}` },
+    ...recent.map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: question }
+  ];
+};
+
+/**
+ * Stored conversation
+ * @returns {Promise<CoachMessage[]>} - Messages, oldest first
+ */
+const getCoachConversation = async () => {
+  const stored = await getStorageData(STORAGE_KEYS.COACH_CONVERSATION, {});
+  return stored && Array.isArray(stored.messages) ? stored.messages : [];
+};
+
+/**
+ * Forget the conversation. Queued like the saved replies, so one arriving
+ * while it's cleared can't bring the earlier messages back.
+ * @returns {Promise<boolean>} - Success status
+ */
+const clearCoachConversation = () => updateStorageData(STORAGE_KEYS.COACH_CONVERSATION, () => ({ messages: [] }));
+
+/**
+ * Ask the coach a question about the habits. The question and the reply are
+ * saved only when a reply comes back.
+ * @param {string} question - Question
+ * @param {Array} habits - Array of habit objects
+ * @param {Object} [options] - Options
+ * @param {Object} [options.provider] - AI provider; the one in the user preferences by default
+ * @returns {Promise<Object>} - {success, reply, messages} or {success: false, error}
+ */
+const askCoach = async (question, habits, { provider = null } = {}) => {
+  const text = (question || '').trim();
+  if (!text) {
+    return { success: false, error: 'Question is empty' };
+  }
+
+  const selected = provider || await getAIProvider();
+  try {
+    const configErrors = selected.validate();
+    if (configErrors.length > 0) {
+      throw new Error(`Configuration error: ${configErrors.join(', ')}`);
+    }
+
+    const conversation = await getCoachConversation();
+    const messages = buildCoachMessages(buildCoachContext(habits), conversation, text);
+    const result = await selected.chat(messages, { maxTokens: COACH_LIMITS.REPLY_TOKENS });
+
+    const askedAt = new Date().toISOString();
+    const asked = { id: generateUUID(), role: 'user', content: text, createdAt: askedAt };
+    const reply = {
+      id: generateUUID(),
+      role: 'assistant',
+      content: result.content.trim(),
+      createdAt: new Date().toISOString(),
+      source: selected.type
+    };
+
+    let saved = [];
+    await updateStorageData(STORAGE_KEYS.COACH_CONVERSATION, (stored) => {
+      saved = [...(stored && Array.isArray(stored.messages) ? stored.messages : []), asked, reply]
+        .slice(-COACH_LIMITS.STORED_MESSAGES);
+      return { messages: saved };
+    });
+
+    return { success: true, reply, messages: saved };
+  } catch (error) {
+    console.error('Coach request failed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export {
+  COACH_LIMITS,
+  estimateTokens,
+  buildCoachContext,
+  buildCoachMessages,
+  getCoachConversation,
+  clearCoachConversation,
+  askCoach
+};
@@ -0,0 +1,93 @@
+// Completion time-of-day analytics
+// Entries checked off on the day itself carry a completedAt timestamp. Entries
+// backfilled for past days, and everything logged before timestamps existed,
+// have completedAt null and are left out of time-of-day stats.
+import { getDayRolloverHour } from './localDate';
+import { getActiveHabits } from './habitStatus';
+
+const EARLY_HOUR_END = 9; // Completions before 9 AM count as early
+const LATE_HOUR_START = 20; // Completions from 8 PM count as late
+const HISTOGRAM_BUCKET_HOURS = 3;
+
+/**
+ * Carry a completion timestamp onto a new history entry. The first time a
+ * day is completed is kept, so logging more of a met target doesn't move it.
+ * @param {Object} entry - New history entry
+ * @param {Object|undefined} previous - Entry it replaces, if any
+ * @param {string|null} completedAt - ISO timestamp to use when newly completed (null if unknown)
+ * @returns {Object} - Entry with completedAt set, or without it when not completed
+ */
+const stampCompletionTime = (entry, previous, completedAt) => {
+  if (!entry.completed) {
+    const { completedAt: _dropped, ...rest } = entry;
+    return rest;
+  }
+  if (previous && previous.completed && previous.completedAt) {
+    return { ...entry, completedAt: previous.completedAt };
+  }
+  return { ...entry, completedAt };
+};
+
+/**
+ * Local hour a history entry was completed at
+ * @param {Object} entry - History entry
+ * @returns {number|null} - Hour from 0 to 23, or null without a usable timestamp
+ */
+const getCompletionHour = (entry) => {
+  if (!entry || !entry.completed || typeof entry.completedAt !== 'string') return null;
+  const time = new Date(entry.completedAt);
+  return Number.isNaN(time.getTime()) ? null : time.getHours();
+};
+
+// Timestamped completions across the habits that are still tracked
+const getCompletionHours = (habits) => getActiveHabits(habits)
+  .flatMap(habit => (habit.completionHistory || []).map(getCompletionHour))
+  .filter(hour => hour !== null);
+
+/**
+ * Count completions made early in the morning and late in the evening. Hours
+ * before the day rollover belong to the previous evening, so they count as late.
+ * @param {Array} habits - Array of habit objects
+ * @returns {{early: number, late: number, timed: number}} - Early, late and all timestamped completions
+ */
+const countTimedCompletions = (habits) => {
+  const rolloverHour = getDayRolloverHour();
+  const hours = getCompletionHours(habits);
+
+  return {
+    early: hours.filter(hour => hour >= rolloverHour && hour < EARLY_HOUR_END).length,
+    late: hours.filter(hour => hour >= LATE_HOUR_START || hour < rolloverHour).length,
+    timed: hours.length
+  };
+};
+
+// '12a', '3a', ... '9p'
+const formatHourLabel = (hour) => `${hour % 12 === 0 ? 12 : hour % 12}${hour < 12 ? 'a' : 'p'}`;
+
+/**
+ * Group timestamped completions by time of day
+ * @param {Array} habits - Array of habit objects
+ * @param {number} [bucketHours] - Hours per bar (a divisor of 24)
+ * @returns {Array<{startHour: number, label: string, count: number}>} - One bucket per time slot
+ */
+const getTimeOfDayHistogram = (habits, bucketHours = HISTOGRAM_BUCKET_HOURS) => {
+  const buckets = Array.from({ length: 24 / bucketHours }, (_, index) => ({
+    startHour: index * bucketHours,
+    label: formatHourLabel(index * bucketHours),
+    count: 0
+  }));
+
+  getCompletionHours(habits).forEach(hour => {
+    buckets[Math.floor(hour / bucketHours)].count++;
+  });
+  return buckets;
+};
+
+export {
+  EARLY_HOUR_END,
+  LATE_HOUR_START,
+  stampCompletionTime,
+  getCompletionHour,
+  countTimedCompletions,
+  getTimeOfDayHistogram
+};
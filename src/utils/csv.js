@@ -0,0 +1,98 @@
+// CSV reading and writing (RFC 4180)
+// Fields with commas, quotes or line breaks are quoted, and quotes inside a
+// field are doubled. Rows end with CRLF, which spreadsheet apps expect.
+
+const CSV_LINE_BREAK = '\r\n';
+
+/**
+ * Quote a value for a CSV field when it needs it
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @returns {string} - CSV field
+ */
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * Write rows as CSV text
+ * @param {string[]} header - Column names
+ * @param {Array<Array>} rows - Field values, one array per row
+ * @returns {string} - CSV text
+ */
+const formatCsv = (header, rows) => [header, ...rows]
+  .map(row => row.map(formatCsvField).join(','))
+  .join(CSV_LINE_BREAK) + CSV_LINE_BREAK;
+
+/**
+ * Read CSV text into rows of fields. Accepts CRLF or LF line breaks, quoted
+ * fields spanning several lines, and a leading byte order mark.
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Rows of fields; blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Read CSV text with a header row into one object per row
+ * @param {string} text - CSV text
+ * @returns {{header: string[], records: Object[]}} - Column names and records keyed by them
+ */
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim());
+  const records = rows.map(row => Object.fromEntries(
+    columns.map((name, index) => [name, row[index] === undefined ? '' : row[index]])
+  ));
+  return { header: columns, records };
+};
+
+export {
+  formatCsvField,
+  formatCsv,
+  parseCsv,
+  parseCsvRecords
+};
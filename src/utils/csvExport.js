@@ -0,0 +1,90 @@
+// CSV exports for spreadsheets
+// The history export has one row per habit per logged date; the summary export
+// has one row per habit with its overall progress.
+import { formatCsv } from './csv';
+import { isMeasurableHabit } from './measurement';
+import { isHabitArchived } from './habitStatus';
+import {
+  calculateCompletionPercentage,
+  calculateStreak,
+  calculateConsistencyScore
+} from './progressCalculations';
+
+const HISTORY_CSV_COLUMNS = [
+  'habit_id',
+  'habit',
+  'date',
+  'completed',
+  'amount',
+  'unit',
+  'completed_at',
+  'note'
+];
+
+const SUMMARY_CSV_COLUMNS = [
+  'habit_id',
+  'habit',
+  'frequency',
+  'completion_percent',
+  'longest_streak',
+  'streak_unit',
+  'consistency_score',
+  'consistency_rating',
+  'archived'
+];
+
+/**
+ * Build the completion history CSV. Amounts and units are filled in for
+ * measurable habits only; completed_at is empty when the time is unknown.
+ * @param {Array} habits - Array of habit objects
+ * @returns {string} - CSV text with a header row
+ */
+const buildHistoryCsv = (habits) => {
+  const rows = (habits || []).flatMap(habit => {
+    const measurable = isMeasurableHabit(habit);
+    return [...(habit.completionHistory || [])]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(entry => [
+        habit.id,
+        habit.name,
+        entry.date,
+        entry.completed ? 'true' : 'false',
+        measurable ? (typeof entry.amount === 'number' ? entry.amount : 0) : '',
+        measurable ? habit.unit : '',
+        entry.completedAt || '',
+        typeof entry.note === 'string' ? entry.note : ''
+      ]);
+  });
+  return formatCsv(HISTORY_CSV_COLUMNS, rows);
+};
+
+/**
+ * Build the per-habit summary CSV
+ * @param {Array} habits - Array of habit objects
+ * @returns {string} - CSV text with a header row
+ */
+const buildSummaryCsv = (habits) => {
+  const rows = (habits || []).map(habit => {
+    const { longestStreak, unit } = calculateStreak(habit.completionHistory, habit);
+    const { score, rating } = calculateConsistencyScore(habit);
+    return [
+      habit.id,
+      habit.name,
+      habit.frequency,
+      calculateCompletionPercentage(habit),
+      longestStreak,
+      unit,
+      score,
+      rating,
+      isHabitArchived(habit) ? 'true' : 'false'
+    ];
+  });
+  return formatCsv(SUMMARY_CSV_COLUMNS, rows);
+};
+
+export {
+  HISTORY_CSV_COLUMNS,
+  SUMMARY_CSV_COLUMNS,
+  buildHistoryCsv,
+  buildSummaryCsv
+};
@@ -0,0 +1,449 @@
+// Import habit histories from other trackers' CSV exports
+// Each supported format has a parser that reads its CSV records into imported
+// habits: a name, an optional measurement and one entry per logged date.
+// Imported habits are matched to existing ones by name, so re-importing a file
+// or importing into a habit that already exists adds only the missing days.
+import { parseCsvRecords } from './csv';
+import { createDefaultHabit } from './types';
+import { isDateKey, getTodayKey, getDayRolloverHour } from './localDate';
+import { toDayNumber, fromDayNumber } from './schedule';
+import {
+  HABIT_TYPES,
+  isMeasurableHabit,
+  validateMeasurement,
+  buildMeasuredEntry
+} from './measurement';
+import { stampCompletionTime } from './completionTimes';
+import { mergeHabitLists } from './dataTransfer';
+import { getHabits, updateHabits } from './storage';
+import { syncAllReminders } from './reminders';
+
+/**
+ * A habit read from an import file
+ * @typedef {Object} ImportedHabit
+ * @property {string} name - Habit name
+ * @property {{type: string, targetValue: number, unit: string}|null} measurement - Target for measurable habits
+ * @property {ImportedEntry[]} entries - Logged days, one per date
+ */
+
+/**
+ * A logged day read from an import file
+ * @typedef {Object} ImportedEntry
+ * @property {string} date - 'YYYY-MM-DD' key
+ * @property {boolean} completed - Whether the day was done
+ * @property {number} [amount] - Amount logged that day, when the file has one
+ */
+
+/**
+ * A problem with one row of an import file
+ * @typedef {Object} ImportRowError
+ * @property {number} row - Line of the file, counting the header as line 1
+ * @property {string} message - What is wrong with the row
+ */
+
+const TRUE_VALUES = ['true', 'yes', 'y', 'x', 'done', 'completed', '✓', '✔'];
+const FALSE_VALUES = ['false', 'no', 'n', ''];
+
+// Loop Habit Tracker checkmark values
+const LOOP_CHECKED = '2';
+const LOOP_UNCHECKED_VALUES = ['-1', '0', '1', '3']; // Unknown, no, implied by the frequency, skipped
+
+const HABITICA_TASK_TYPES = ['habit', 'daily'];
+
+const findColumn = (header, names) => header.find(column => names.includes(column.toLowerCase()));
+
+/**
+ * Check that a value is a real calendar date that is not in the future
+ * @param {string} value - Candidate date, optionally followed by a time
+ * @returns {string|null} - 'YYYY-MM-DD' key, or null when invalid
+ */
+const readDate = (value) => {
+  const dateKey = String(value).trim().slice(0, 10);
+  if (!isDateKey(dateKey)) return null;
+  const dayNumber = toDayNumber(dateKey);
+  if (Number.isNaN(dayNumber) || fromDayNumber(dayNumber) !== dateKey) return null;
+  return dateKey <= getTodayKey() ? dateKey : null;
+};
+
+/**
+ * Read a completion cell: yes/no words, check marks or a number
+ * @param {string} value - Cell text
+ * @returns {{completed: boolean, amount?: number}|null} - Parsed value, or null when unrecognized
+ */
+const readValue = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return { completed: true };
+  if (FALSE_VALUES.includes(text)) return { completed: false };
+
+  const amount = Number(text);
+  if (!Number.isFinite(amount) || amount < 0) return null;
+  return { completed: amount > 0, amount };
+};
+
+const normalizeName = (name) => name.trim().toLowerCase();
+
+/**
+ * Collects imported habits by name (ignoring case), keeping one entry per habit and date
+ */
+const createHabitCollector = () => {
+  const habits = new Map();
+
+  const getHabit = (name, measurement = null) => {
+    const key = normalizeName(name);
+    if (!habits.has(key)) {
+      habits.set(key, { name, measurement, entries: new Map() });
+    }
+    return habits.get(key);
+  };
+
+  return {
+    getHabit,
+
+    /**
+     * Record a day for a habit. Several rows for the same day add up, so a
+     * day logged in parts still counts in full.
+     */
+    addEntry: (name, date, value) => {
+      const { entries } = getHabit(name);
+      const previous = entries.get(date);
+      if (!previous) {
+        entries.set(date, { date, ...value });
+        return;
+      }
+      const amount = previous.amount !== undefined || value.amount !== undefined
+        ? (previous.amount || 0) + (value.amount || 0)
+        : undefined;
+      entries.set(date, {
+        date,
+        completed: previous.completed || value.completed,
+        ...(amount !== undefined ? { amount } : {})
+      });
+    },
+
+    /** @returns {ImportedHabit[]} - Collected habits with entries sorted by date */
+    getHabits: () => Array.from(habits.values()).map(habit => ({
+      name: habit.name,
+      measurement: habit.measurement,
+      entries: Array.from(habit.entries.values()).sort((a, b) => a.date.localeCompare(b.date))
+    }))
+  };
+};
+
+/**
+ * Loop Habit Tracker's Checkmarks.csv: a Date column followed by one column
+ * per habit. Only manual check-ins (2) count; values implied by a habit's
+ * frequency are left out so they aren't mistaken for real completions.
+ */
+const loopFormat = {
+  id: 'loop',
+  label: 'Loop Habit Tracker',
+
+  detect: (header) => header[0] === 'Date'
+    && header.length > 1
+    && !header.some(column => ['habit', 'name', 'task name'].includes(column.toLowerCase())),
+
+  parse: (header, records) => {
+    const collector = createHabitCollector();
+    const errors = [];
+    const habitColumns = header.slice(1).filter(column => column.length > 0);
+    habitColumns.forEach(name => collector.getHabit(name));
+
+    records.forEach((record, index) => {
+      const row = index + 2;
+      const date = readDate(record.Date);
+      if (!date) {
+        errors.push({ row, message: `Invalid or future date "${record.Date}"` });
+        return;
+      }
+
+      habitColumns.forEach(name => {
+        const value = String(record[name]).trim();
+        if (value === LOOP_CHECKED) {
+          collector.addEntry(name, date, { completed: true });
+        } else if (!LOOP_UNCHECKED_VALUES.includes(value) && value !== '') {
+          errors.push({ row, message: `Unrecognized checkmark "${value}" for "${name}"` });
+        }
+      });
+    });
+
+    return { habits: collector.getHabits(), errors };
+  }
+};
+
+/**
+ * Habitica's task history export: one row per recorded task value. A task's
+ * value goes up when it is done, so a rise from the previous row counts as a
+ * completion on that row's date. The first row of each task has nothing to
+ * compare with and is skipped.
+ */
+const habiticaFormat = {
+  id: 'habitica',
+  label: 'Habitica',
+
+  detect: (header) => ['Task Name', 'Task Type', 'Date', 'Value'].every(column => header.includes(column)),
+
+  parse: (header, records) => {
+    const collector = createHabitCollector();
+    const errors = [];
+    const tasks = new Map();
+
+    records.forEach((record, index) => {
+      const row = index + 2;
+      const name = record['Task Name'].trim();
+      const type = record['Task Type'].trim().toLowerCase();
+      const date = readDate(record.Date);
+      const value = Number(record.Value);
+
+      if (!name) {
+        errors.push({ row, message: 'Missing task name' });
+      } else if (!HABITICA_TASK_TYPES.includes(type)) {
+        errors.push({ row, message: `Only habits and dailies can be imported, not "${record['Task Type']}"` });
+      } else if (!date) {
+        errors.push({ row, message: `Invalid or future date "${record.Date}"` });
+      } else if (record.Value.trim() === '' || !Number.isFinite(value)) {
+        errors.push({ row, message: `Invalid value "${record.Value}"` });
+      } else {
+        const key = (record['Task ID'] || '').trim() || name;
+        if (!tasks.has(key)) tasks.set(key, { name, rows: [] });
+        tasks.get(key).rows.push({ date, time: record.Date.trim(), value });
+      }
+    });
+
+    tasks.forEach(({ name, rows }) => {
+      collector.getHabit(name);
+      rows
+        .sort((a, b) => a.time.localeCompare(b.time))
+        .forEach((current, index) => {
+          if (index > 0 && current.value > rows[index - 1].value) {
+            collector.addEntry(name, current.date, { completed: true });
+          }
+        });
+    });
+
+    return { habits: collector.getHabits(), errors };
+  }
+};
+
+const GENERIC_COLUMNS = {
+  date: ['date', 'day'],
+  habit: ['habit', 'name', 'habit_name'],
+  value: ['value', 'completed', 'done'],
+  target: ['target'],
+  unit: ['unit']
+};
+
+/**
+ * A spreadsheet with one row per habit and date. The value may be yes/no,
+ * a check mark or an amount. Habits with a target and unit become measurable.
+ */
+const genericFormat = {
+  id: 'generic',
+  label: 'Spreadsheet (date, habit, value)',
+
+  detect: (header) => Boolean(findColumn(header, GENERIC_COLUMNS.date) && findColumn(header, GENERIC_COLUMNS.habit)),
+
+  parse: (header, records) => {
+    const collector = createHabitCollector();
+    const errors = [];
+    const columns = Object.fromEntries(
+      Object.entries(GENERIC_COLUMNS).map(([key, names]) => [key, findColumn(header, names)])
+    );
+
+    records.forEach((record, index) => {
+      const row = index + 2;
+      const name = record[columns.habit].trim();
+      const date = readDate(record[columns.date]);
+      const value = columns.value ? readValue(record[columns.value]) : { completed: true };
+
+      if (!name) {
+        errors.push({ row, message: 'Missing habit name' });
+        return;
+      }
+      if (!date) {
+        errors.push({ row, message: `Invalid or future date "${record[columns.date]}"` });
+        return;
+      }
+      if (!value) {
+        errors.push({ row, message: `Unrecognized value "${record[columns.value]}"` });
+        return;
+      }
+
+      const target = columns.target ? record[columns.target].trim() : '';
+      if (target !== '') {
+        const measurement = {
+          type: HABIT_TYPES.MEASURABLE,
+          targetValue: Number(target),
+          unit: columns.unit ? record[columns.unit].trim() : ''
+        };
+        const measurementErrors = validateMeasurement(measurement.type, measurement.targetValue, measurement.unit);
+        if (measurementErrors.length > 0) {
+          errors.push({ row, message: measurementErrors[0] });
+          return;
+        }
+        const habit = collector.getHabit(name, measurement);
+        if (!habit.measurement) habit.measurement = measurement;
+      }
+
+      collector.addEntry(name, date, value);
+    });
+
+    return { habits: collector.getHabits(), errors };
+  }
+};
+
+/**
+ * Supported import formats, checked in order when detecting a file's format
+ */
+const IMPORT_FORMATS = [habiticaFormat, loopFormat, genericFormat];
+
+/**
+ * Read an import file
+ * @param {string} text - CSV text
+ * @param {string} [formatId] - One of the IMPORT_FORMATS ids (detected from the header when left out)
+ * @returns {{format: string|null, habits: ImportedHabit[], errors: ImportRowError[], rowCount: number}} - Parse result;
+ *   format is null when the file isn't recognized
+ */
+const parseHabitCsv = (text, formatId) => {
+  const { header, records } = parseCsvRecords(text);
+  const format = formatId
+    ? IMPORT_FORMATS.find(candidate => candidate.id === formatId)
+    : IMPORT_FORMATS.find(candidate => candidate.detect(header));
+
+  if (!format || !format.detect(header)) {
+    return {
+      format: null,
+      habits: [],
+      errors: [{ row: 1, message: 'Unrecognized file. Expected a Loop Habit Tracker, Habitica or date/habit/value CSV' }],
+      rowCount: records.length
+    };
+  }
+
+  const { habits, errors } = format.parse(header, records);
+  return { format: format.id, habits, errors, rowCount: records.length };
+};
+
+/**
+ * The moment a new habit's tracking starts, so its history counts toward its totals
+ * @param {string} dateKey - First tracked 'YYYY-MM-DD' key
+ * @returns {string} - ISO timestamp at the start of that local day
+ */
+const startOfDayKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day, getDayRolloverHour()).toISOString();
+};
+
+/**
+ * Build a history entry for the habit it is imported into. Completion times
+ * are unknown for imported days.
+ * @param {Object} habit - Habit receiving the entry
+ * @param {ImportedEntry} entry - Imported day
+ * @returns {Object} - History entry
+ */
+const toHistoryEntry = (habit, entry) => {
+  const historyEntry = isMeasurableHabit(habit)
+    ? buildMeasuredEntry(habit, entry.date, entry.amount !== undefined
+      ? entry.amount
+      : (entry.completed ? habit.targetValue : 0))
+    : { date: entry.date, completed: entry.completed };
+  return stampCompletionTime(historyEntry, undefined, null);
+};
+
+/**
+ * Work out the habits an import leaves. Imported habits whose name matches an
+ * existing habit (ignoring case) add their missing days to it; the others
+ * become new daily habits starting on their first imported day.
+ * @param {ImportedHabit[]} importedHabits - Habits from parseHabitCsv
+ * @param {Array} existingHabits - Habits on this device
+ * @returns {{habits: Array, added: string[], merged: string[], entriesAdded: number}} - Resulting
+ *   habits, names of new and matched habits, and the number of days added
+ */
+const planHabitCsvImport = (importedHabits, existingHabits) => {
+  const existingByName = new Map(existingHabits.map(habit => [normalizeName(habit.name), habit]));
+  const added = [];
+  const merged = [];
+
+  const incoming = importedHabits
+    .filter(imported => imported.entries.length > 0 || !existingByName.has(normalizeName(imported.name)))
+    .map(imported => {
+      const existing = existingByName.get(normalizeName(imported.name));
+      if (existing) {
+        merged.push(existing.name);
+        return {
+          ...existing,
+          completionHistory: imported.entries.map(entry => toHistoryEntry(existing, entry))
+        };
+      }
+
+      added.push(imported.name);
+      const habit = createDefaultHabit(imported.name, 'daily', null, null, imported.measurement);
+      return {
+        ...habit,
+        createdAt: imported.entries.length > 0 ? startOfDayKey(imported.entries[0].date) : habit.createdAt,
+        completionHistory: imported.entries.map(entry => toHistoryEntry(habit, entry))
+      };
+    });
+
+  const habits = mergeHabitLists(existingHabits, incoming);
+  const countEntries = (list) => list.reduce((sum, habit) => sum + (habit.completionHistory || []).length, 0);
+
+  return {
+    habits,
+    added,
+    merged,
+    entriesAdded: countEntries(habits) - countEntries(existingHabits)
+  };
+};
+
+/**
+ * Preview importing a file, without saving anything
+ * @param {string} text - CSV text
+ * @param {string} [formatId] - Format to read the file as (detected when left out)
+ * @returns {Promise<Object>} - Format, row errors, and the added and matched habit names
+ */
+const previewHabitCsv = async (text, formatId) => {
+  const parsed = parseHabitCsv(text, formatId);
+  const { added, merged, entriesAdded } = planHabitCsvImport(parsed.habits, await getHabits());
+  return { format: parsed.format, errors: parsed.errors, rowCount: parsed.rowCount, added, merged, entriesAdded };
+};
+
+/**
+ * Import a file's habits and history. Rows with errors are skipped; the rest are imported.
+ * @param {string} text - CSV text
+ * @param {string} [formatId] - Format to read the file as (detected when left out)
+ * @returns {Promise<Object>} - Result with success, format, errors, added, merged and entriesAdded
+ */
+const importHabitCsv = async (text, formatId) => {
+  try {
+    const parsed = parseHabitCsv(text, formatId);
+    if (!parsed.format) {
+      return { success: false, format: null, errors: parsed.errors, added: [], merged: [], entriesAdded: 0 };
+    }
+
+    let plan;
+    const success = await updateHabits(habits => {
+      plan = planHabitCsvImport(parsed.habits, habits);
+      return plan.habits;
+    }, { backup: true });
+    if (success) await syncAllReminders(plan.habits);
+
+    return {
+      success,
+      format: parsed.format,
+      errors: parsed.errors,
+      added: plan.added,
+      merged: plan.merged,
+      entriesAdded: plan.entriesAdded
+    };
+  } catch (error) {
+    console.error('Error importing CSV:', error);
+    return { success: false, format: null, errors: [], added: [], merged: [], entriesAdded: 0 };
+  }
+};
+
+export {
+  IMPORT_FORMATS,
+  parseHabitCsv,
+  planHabitCsvImport,
+  previewHabitCsv,
+  importHabitCsv
+};
@@ -1,7 +1,147 @@
-// Data synchronization utilities for refresh mechanisms
+// Data synchronization utilities for refresh mechanisms and syncing with a server
 
 import { handleError, ERROR_TYPES, ERROR_SEVERITY } from './errorHandler';
-import { getHabits, saveHabits, recalculateAllHabitsProgress } from './storage';
+import {
+  getHabits,
+  updateHabits,
+  recalculateAllHabitsProgress,
+  recalculateHabitProgress,
+  getStorageData,
+  setStorageData,
+  getEncryptionStatus
+} from './storage';
+import { DEFAULT_VALUES, STORAGE_KEYS, validateHabit } from './types';
+import outbox from './outbox';
+import networkStatusManager from './networkStatus';
+import { syncAllReminders, cancelHabitReminders } from './reminders';
+import { validateSchedule } from './schedule';
+import { validateMeasurement, normalizeMeasurement } from './measurement';
+
+// Server sync
+// Each habit is one record on the server (see server/syncServer.js for the
+// protocol). The client remembers the revision and contents of every record
+// as last synced, its base: a habit that differs from its base was changed
+// here, and a base without a habit was deleted here. Pulled records are
+// merged field by field against the base, so edits to different fields on
+// two devices both survive; when both devices changed the same field, its
+// conflict resolver decides, or this device's value wins.
+// A pulled record that isn't a valid habit is set aside in the sync state's
+// quarantine and the local habit is left as it was, so one bad record doesn't
+// stop the rest from syncing.
+// Syncs run through the outbox: after local changes, at launch and every
+// SYNC_INTERVAL_MS, so changes made on other devices arrive without one here.
+
+const SYNC_PATH = '/v1/changes';
+const SYNC_TIMEOUT_MS = 15000;
+const MAX_PUSH_ATTEMPTS = 3;
+const SYNC_OPERATION = 'sync';
+const SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+// Fields recalculated from the history on each device, so they aren't synced
+const DERIVED_FIELDS = ['completedDays', 'totalDays', 'isCompleted', 'lastUpdated'];
+
+/**
+ * Sync state stored under STORAGE_KEYS.SYNC_STATE
+ * @typedef {Object} SyncState
+ * @property {number} cursor - Highest server revision pulled
+ * @property {Object<string, {rev: number, deleted: boolean, base: Object|null}>} records -
+ *   Revision and last synced contents of each record by habit ID
+ * @property {Object<string, {rev: number, data: *, errors: string[]}>} [quarantine] -
+ *   Pulled records that weren't valid habits, by habit ID
+ */
+
+/**
+ * Deep equality for JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True when equal
+ */
+const isEqual = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a).filter(key => a[key] !== undefined);
+  return keys.length === Object.keys(b).filter(key => b[key] !== undefined).length
+    && keys.every(key => isEqual(a[key], b[key]));
+};
+
+/**
+ * Habit as a sync record, without the fields each device derives
+ * @param {Object} habit - Habit object
+ * @returns {Object} - Record data
+ */
+const toSyncRecord = (habit) => {
+  const record = JSON.parse(JSON.stringify(habit));
+  DERIVED_FIELDS.forEach(field => delete record[field]);
+  return record;
+};
+
+/**
+ * Habit from a sync record, with its progress recalculated
+ * @param {Object} record - Record data
+ * @returns {Object} - Habit object
+ */
+const fromSyncRecord = (record) => recalculateHabitProgress(record);
+
+/**
+ * Habit from a pulled record, checked before it can reach storage
+ * @param {string} id - Record ID
+ * @param {*} record - Record data
+ * @returns {{habit: Object|null, errors: string[]}} - Habit, or why the record isn't one
+ */
+const readSyncRecord = (id, record) => {
+  try {
+    if (!record || typeof record !== 'object' || record.id !== id) {
+      return { habit: null, errors: ['Record is not a habit with its own ID'] };
+    }
+    const habit = fromSyncRecord(record);
+    const { isValid, errors } = validateHabit(habit);
+    return isValid ? { habit, errors: [] } : { habit: null, errors };
+  } catch (error) {
+    return { habit: null, errors: [error.message] };
+  }
+};
+
+/**
+ * Merge two versions of a value against the version both started from. A side
+ * that still matches the base didn't change it, so the other side wins.
+ * @param {*} local - This device's value
+ * @param {*} remote - Server value
+ * @param {*} base - Value as last synced, undefined if never synced
+ * @param {Function} resolve - Picks the value when both sides changed it
+ * @returns {*} - Merged value
+ */
+const mergeValue = (local, remote, base, resolve) => {
+  if (isEqual(local, remote)) return local;
+  if (isEqual(local, base)) return remote;
+  if (isEqual(remote, base)) return local;
+  return resolve(local, remote, base);
+};
+
+/**
+ * Conflict resolver for completion histories: merges day by day, and when
+ * both devices changed the same day keeps the entry checked off last
+ * @param {Array} local - This device's history
+ * @param {Array} remote - Server history
+ * @param {Array} base - History as last synced
+ * @returns {Array} - Merged history, sorted by date
+ */
+const mergeCompletionHistory = (local = [], remote = [], base = []) => {
+  const byDate = (entries) => new Map((entries || []).map(entry => [entry.date, entry]));
+  const localEntries = byDate(local);
+  const remoteEntries = byDate(remote);
+  const baseEntries = byDate(base);
+  const dates = new Set([...localEntries.keys(), ...remoteEntries.keys()]);
+
+  return [...dates]
+    .map(date => mergeValue(localEntries.get(date), remoteEntries.get(date), baseEntries.get(date), (l, r) => {
+      if (!l || !r) return l || r;
+      return (r.completedAt || '') > (l.completedAt || '') ? r : l;
+    }))
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
 
 /**
  * Data synchronization manager for handling data refresh and consistency
@@ -11,7 +151,293 @@ class DataSynchronizer {
     this.syncInProgress = false;
     this.lastSyncTime = null;
     this.syncListeners = new Set();
-    this.conflictResolvers = new Map();
+    this.conflictResolvers = new Map([
+      ['completionHistory', mergeCompletionHistory]
+    ]);
+    this.serverUrl = null;
+  }
+
+  /**
+   * Set the sync server
+   * @param {string|null} serverUrl - Server base URL, e.g. 'http://192.168.1.10:8787', or null to stop syncing
+   */
+  setServerUrl(serverUrl) {
+    this.serverUrl = serverUrl ? serverUrl.replace(/\/+$/, '') : null;
+  }
+
+  /**
+   * Set how a habit field is merged when two devices both changed it
+   * @param {string} field - Habit field
+   * @param {function(*, *, *): *} resolver - Called with this device's value,
+   *   the server value and the value as last synced; returns the merged value
+   */
+  registerConflictResolver(field, resolver) {
+    this.conflictResolvers.set(field, resolver);
+  }
+
+  /**
+   * Merge a habit record changed on this device and on the server
+   * @param {Object} local - This device's record
+   * @param {Object} remote - Server record
+   * @param {Object|null} base - Record as last synced
+   * @returns {Object} - Merged record
+   */
+  mergeRecord(local, remote, base) {
+    const merged = {};
+    new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(field => {
+      const resolver = this.conflictResolvers.get(field) || (localValue => localValue);
+      const value = mergeValue(local[field], remote[field], base ? base[field] : undefined, resolver);
+      if (value !== undefined) merged[field] = value;
+    });
+    return merged;
+  }
+
+  /**
+   * Apply records pulled from the server to the local habits. Updates the
+   * sync state's revisions and bases, and quarantines records that would
+   * leave an invalid habit, keeping the local one.
+   * @param {Array} habits - Local habits
+   * @param {Object[]} changes - Server records
+   * @param {SyncState} state - Sync state
+   * @returns {Array} - Updated habits
+   */
+  applyRemoteChanges(habits, changes, state) {
+    const byId = new Map(habits.map(habit => [habit.id, habit]));
+    const quarantine = { ...state.quarantine };
+
+    changes.forEach(change => {
+      const local = byId.get(change.id);
+      const entry = state.records[change.id];
+      const base = entry && !entry.deleted ? entry.base : null;
+      const localRecord = local ? toSyncRecord(local) : null;
+
+      // The server record, then what it merges into here, must both be habits
+      const remote = change.deleted ? null : readSyncRecord(change.id, change.data);
+      let result = remote;
+      if (remote && remote.habit && local && !isEqual(localRecord, change.data) && !isEqual(localRecord, base)) {
+        result = readSyncRecord(change.id, this.mergeRecord(localRecord, change.data, base));
+      }
+
+      if (result && !result.habit) {
+        // Skipped at this revision: the local habit stays (and is pushed over
+        // it if changed here), until a later valid revision replaces it
+        console.warn(`Skipping invalid synced habit ${change.id}:`, result.errors.join('; '));
+        quarantine[change.id] = { rev: change.rev, data: change.data, errors: result.errors };
+        state.records[change.id] = { ...(entry || { deleted: true, base: null }), rev: change.rev };
+        return;
+      }
+      delete quarantine[change.id];
+
+      if (change.deleted) {
+        // A deletion loses to an edit made here since the last sync
+        if (local && isEqual(localRecord, base)) byId.delete(change.id);
+      } else if (!local) {
+        // Deleted here: stays deleted unless it was edited elsewhere since
+        if (!base || !isEqual(change.data, base)) byId.set(change.id, result.habit);
+      } else if (!isEqual(localRecord, change.data)) {
+        byId.set(change.id, result.habit);
+      }
+
+      state.records[change.id] = {
+        rev: change.rev,
+        deleted: change.deleted,
+        base: change.deleted ? null : change.data
+      };
+    });
+
+    state.quarantine = quarantine;
+    return [...byId.values()];
+  }
+
+  /**
+   * Local changes since the last sync, to push
+   * @param {Array} habits - Local habits
+   * @param {SyncState} state - Sync state
+   * @returns {Object[]} - Changes in the push format
+   */
+  collectLocalChanges(habits, state) {
+    const changes = [];
+    habits.forEach(habit => {
+      const entry = state.records[habit.id];
+      const data = toSyncRecord(habit);
+      if (!entry || entry.deleted || !isEqual(data, entry.base)) {
+        changes.push({ id: habit.id, baseRev: entry ? entry.rev : 0, deleted: false, data });
+      }
+    });
+
+    const habitIds = new Set(habits.map(habit => habit.id));
+    Object.entries(state.records).forEach(([id, entry]) => {
+      if (!entry.deleted && !habitIds.has(id)) {
+        changes.push({ id, baseRev: entry.rev, deleted: true, data: null });
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Send a request to the sync server
+   * @param {string} query - Query string, including '?'
+   * @param {Object} [body] - Body to POST; a GET is sent without one
+   * @returns {Promise<Object>} - Response body
+   */
+  async requestSync(query = '', body = null) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SYNC_TIMEOUT_MS);
+    try {
+      const response = await fetch(`${this.serverUrl}${SYNC_PATH}${query}`, {
+        method: body ? 'POST' : 'GET',
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      }).catch(error => {
+        networkStatusManager.reportNetworkFailure();
+        throw error;
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Sync server error: ${response.status} - ${errorData.error || 'Unknown error'}`);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Merge server records into the stored habits, then bring the reminders of
+   * the habits they touched up to date
+   * @param {Object[]} changes - Server records
+   * @param {SyncState} state - Sync state, updated in place once saved
+   * @returns {Promise<{merged: number, skipped: number}>} - Habits changed
+   *   or removed here, and records quarantined
+   */
+  async mergeIntoStorage(changes, state) {
+    if (changes.length === 0) return { merged: 0, skipped: 0 };
+
+    let next;
+    let before = [];
+    let after = [];
+    const saved = await updateHabits(habits => {
+      next = { ...state, records: { ...state.records } };
+      before = habits;
+      after = this.applyRemoteChanges(habits, changes, next);
+      return after;
+    });
+    if (!saved) throw new Error('Failed to save synced habits');
+    state.records = next.records;
+    state.quarantine = next.quarantine;
+
+    // Outside the storage queue, as scheduling can wait on a permission prompt
+    const changedIds = new Set(changes.map(change => change.id));
+    const keptIds = new Set(after.map(habit => habit.id));
+    const removed = before.filter(item => changedIds.has(item.id) && !keptIds.has(item.id));
+    for (const habit of removed) {
+      await cancelHabitReminders(habit.id);
+    }
+    await syncAllReminders(after.filter(habit => changedIds.has(habit.id)));
+
+    const unchanged = new Set(before);
+    return {
+      merged: removed.length + after.filter(habit => !unchanged.has(habit)).length,
+      skipped: changes.filter(change => next.quarantine[change.id]?.rev === change.rev).length
+    };
+  }
+
+  /**
+   * Sync habits with the server: pull what changed there, merge it, then push
+   * what changed here. Pushes that lose a race with another device are merged
+   * and retried.
+   * @returns {Promise<Object>} Sync result with pulled, pushed and merged
+   *   counts; merged habits aren't in the app state until it's reloaded
+   */
+  async syncWithServer() {
+    if (!this.serverUrl) {
+      return { success: false, message: 'No sync server set' };
+    }
+    if (this.syncInProgress) {
+      return { success: false, message: 'Sync already in progress' };
+    }
+
+    this.syncInProgress = true;
+    this.notifyListeners('sync_started', { server: this.serverUrl });
+
+    try {
+      const stored = await getStorageData(STORAGE_KEYS.SYNC_STATE, null);
+      const state = stored && stored.records ? stored : { cursor: 0, records: {} };
+
+      const pulled = await this.requestSync(`?since=${state.cursor}`);
+      let { merged, skipped } = await this.mergeIntoStorage(pulled.changes, state);
+      state.cursor = pulled.cursor;
+      // Saved now, so a push that fails doesn't leave the merge unrecorded
+      await setStorageData(STORAGE_KEYS.SYNC_STATE, state);
+
+      let pushed = 0;
+      let conflicts = 0;
+      for (let attempt = 0; attempt < MAX_PUSH_ATTEMPTS; attempt++) {
+        const changes = this.collectLocalChanges(await getHabits(), state);
+        if (changes.length === 0) break;
+
+        const result = await this.requestSync('', { changes });
+        result.accepted.forEach(({ id, rev }) => {
+          const change = changes.find(item => item.id === id);
+          state.records[id] = { rev, deleted: change.deleted, base: change.data };
+        });
+        pushed += result.accepted.length;
+        conflicts += result.conflicts.length;
+        const conflicted = await this.mergeIntoStorage(result.conflicts, state);
+        merged += conflicted.merged;
+        skipped += conflicted.skipped;
+        await setStorageData(STORAGE_KEYS.SYNC_STATE, state);
+        if (result.conflicts.length === 0) break;
+      }
+
+      this.lastSyncTime = new Date().toISOString();
+
+      const data = {
+        pulled: pulled.changes.length,
+        pushed,
+        conflicts,
+        merged,
+        skipped,
+        lastSyncTime: this.lastSyncTime
+      };
+      this.notifyListeners('sync_completed', data);
+      return { success: true, message: 'Sync completed successfully', data };
+
+    } catch (error) {
+      console.error('Server sync failed:', error);
+
+      const handledError = handleError(error, {
+        showAlert: false,
+        logError: true,
+        fallbackMessage: 'Could not sync with the server'
+      });
+
+      this.notifyListeners('sync_failed', {
+        error: handledError.error,
+        message: handledError.userMessage
+      });
+
+      return {
+        success: false,
+        message: handledError.userMessage,
+        error: handledError.error
+      };
+
+    } finally {
+      this.syncInProgress = false;
+    }
+  }
+
+  /**
+   * Queue a sync through the outbox, unless no server is set or the habits
+   * are locked. A sync already waiting covers it.
+   * @returns {Promise<boolean>} - True when a sync is queued
+   */
+  async requestServerSync() {
+    if (!this.serverUrl || getEncryptionStatus().locked) return false;
+    await outbox.enqueue(SYNC_OPERATION, null, { idempotencyKey: SYNC_OPERATION });
+    return true;
   }
 
   /**
@@ -80,9 +506,12 @@ class DataSynchronizer {
       if (!validationResult.isValid) {
         console.warn('Data integrity issues found:', validationResult.issues);
         
-        // Attempt to fix data issues
-        const fixedHabits = await this.fixDataIntegrity(habits, validationResult.issues);
-        await saveHabits(fixedHabits);
+        // Attempt to fix data issues. Fixes point at habits by position, so
+        // check the latest habits again in case they changed since
+        await updateHabits(async current => {
+          const { isValid, issues } = await this.validateDataIntegrity(current);
+          return isValid ? null : this.fixDataIntegrity(current, issues);
+        });
       }
 
       // Step 4: Complete sync
@@ -222,12 +651,25 @@ class DataSynchronizer {
             data: { index, id: habit.id }
           });
         }
-        if (!habit.frequency || !['daily', 'weekly'].includes(habit.frequency)) {
+        if (!habit.frequency || !DEFAULT_VALUES.FREQUENCY_OPTIONS.includes(habit.frequency)) {
           issues.push({
             type: 'invalid_frequency',
             severity: 'medium',
             data: { index, id: habit.id, frequency: habit.frequency }
           });
+        } else if (validateSchedule(habit.frequency, habit.schedule).length > 0) {
+          issues.push({
+            type: 'invalid_schedule',
+            severity: 'medium',
+            data: { index, id: habit.id, frequency: habit.frequency, schedule: habit.schedule }
+          });
+        }
+        if (validateMeasurement(habit.type, habit.targetValue, habit.unit).length > 0) {
+          issues.push({
+            type: 'invalid_measurement',
+            severity: 'medium',
+            data: { index, id: habit.id, type: habit.type, targetValue: habit.targetValue, unit: habit.unit }
+          });
         }
       });
 
@@ -323,11 +765,23 @@ class DataSynchronizer {
             break;
 
           case 'invalid_frequency':
-            // Set default frequency
+          case 'invalid_schedule':
+            // Fall back to a plain daily habit
+            if (fixedHabits[issue.data.index]) {
+              fixedHabits[issue.data.index] = {
+                ...fixedHabits[issue.data.index],
+                frequency: 'daily',
+                schedule: null
+              };
+            }
+            break;
+
+          case 'invalid_measurement':
+            // Fall back to a check habit; completed flags in history still apply
             if (fixedHabits[issue.data.index]) {
               fixedHabits[issue.data.index] = {
                 ...fixedHabits[issue.data.index],
-                frequency: 'daily'
+                ...normalizeMeasurement()
               };
             }
             break;
@@ -433,7 +887,8 @@ class DataSynchronizer {
     return {
       syncInProgress: this.syncInProgress,
       lastSyncTime: this.lastSyncTime,
-      listenersCount: this.syncListeners.size
+      listenersCount: this.syncListeners.size,
+      serverUrl: this.serverUrl
     };
   }
 
@@ -451,4 +906,5 @@ class DataSynchronizer {
 // Create singleton instance
 const dataSynchronizer = new DataSynchronizer();
 
+export { DataSynchronizer, toSyncRecord, mergeCompletionHistory, SYNC_OPERATION, SYNC_INTERVAL_MS };
 export default dataSynchronizer;
\ No newline at end of file
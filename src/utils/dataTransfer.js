@@ -0,0 +1,273 @@
+// Export and import of all app data
+// An export bundle holds the stored habit data, unlocked achievements and user
+// preferences, so it can be kept as an offline backup or moved to another
+// device. Imports are validated first and either merged into the data on this
+// device or replace it.
+import {
+  getHabits,
+  updateHabits,
+  getUserAchievements,
+  saveUserAchievements,
+  getUserPreferences,
+  validateUserPreferences,
+  saveUserPreferences,
+  recalculateHabitProgress,
+  recalculateAllHabitsProgress,
+  migrateStoredData,
+  compareVersions
+} from './storage';
+import { DEFAULT_VALUES, validateStoredData } from './types';
+import { cancelHabitReminders, syncAllReminders } from './reminders';
+import dataSynchronizer from './dataSynchronizer';
+
+/**
+ * Versioned bundle of all app data
+ * @typedef {Object} ExportBundle
+ * @property {string} format - Always EXPORT_FORMAT
+ * @property {number} formatVersion - Bundle layout version
+ * @property {Object} data - Exported data
+ * @property {import('./types').StoredData} data.habits - Stored habit data, including its schema version
+ * @property {string[]} data.achievements - Unlocked achievement IDs
+ * @property {Object} data.preferences - User preferences
+ * @property {Object} metadata - Details shown before importing
+ * @property {string} metadata.exportedAt - ISO timestamp of the export
+ * @property {number} metadata.habitCount - Number of habits
+ * @property {number} metadata.achievementCount - Number of unlocked achievements
+ */
+
+const EXPORT_FORMAT = 'ai-habit-tracker-export';
+const EXPORT_FORMAT_VERSION = 1;
+
+const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+/**
+ * Collect all app data into an export bundle
+ * @returns {Promise<ExportBundle>} - Export bundle
+ */
+const createExportBundle = async () => {
+  const exportedAt = new Date().toISOString();
+  const habits = await getHabits();
+  const achievements = await getUserAchievements();
+  const preferences = await getUserPreferences();
+
+  return {
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    data: {
+      habits: { habits, lastUpdated: exportedAt, version: DEFAULT_VALUES.VERSION },
+      achievements,
+      preferences
+    },
+    metadata: {
+      exportedAt,
+      habitCount: habits.length,
+      achievementCount: achievements.length
+    }
+  };
+};
+
+/**
+ * Turn an export bundle into text for sharing or saving
+ * @param {ExportBundle} bundle - Export bundle
+ * @returns {string} - Pretty-printed JSON
+ */
+const serializeExportBundle = (bundle) => JSON.stringify(bundle, null, 2);
+
+/**
+ * Read and validate an export. Habit data from older app versions is migrated
+ * to the current schema before it is validated.
+ * @param {string|Object} input - Exported JSON text, or an already parsed bundle
+ * @returns {{isValid: boolean, errors: string[], bundle: ExportBundle|null}} - Validation result
+ *   with the bundle ready to import
+ */
+const parseExportBundle = (input) => {
+  let bundle = input;
+  if (typeof input === 'string') {
+    try {
+      bundle = JSON.parse(input);
+    } catch (error) {
+      return { isValid: false, errors: ['The file is not valid JSON'], bundle: null };
+    }
+  }
+
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== EXPORT_FORMAT) {
+    return { isValid: false, errors: ['This is not a habit tracker export'], bundle: null };
+  }
+  if (typeof bundle.formatVersion !== 'number' || bundle.formatVersion > EXPORT_FORMAT_VERSION) {
+    return { isValid: false, errors: ['This export was made by a newer version of the app'], bundle: null };
+  }
+
+  const data = bundle.data && typeof bundle.data === 'object' ? bundle.data : {};
+  const storedHabits = data.habits;
+  if (storedHabits && typeof storedHabits.version === 'string'
+    && compareVersions(storedHabits.version, DEFAULT_VALUES.VERSION) > 0) {
+    return { isValid: false, errors: ['This export was made by a newer version of the app'], bundle: null };
+  }
+
+  const { data: habits } = migrateStoredData(storedHabits);
+  const errors = [...validateStoredData(habits).errors];
+
+  const achievements = data.achievements === undefined ? [] : data.achievements;
+  if (!Array.isArray(achievements) || !achievements.every(id => typeof id === 'string')) {
+    errors.push('Achievements must be a list of achievement IDs');
+  }
+
+  const preferences = data.preferences === undefined ? {} : data.preferences;
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    errors.push('Preferences must be an object');
+  } else {
+    errors.push(...validateUserPreferences(preferences));
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, bundle: null };
+  }
+
+  return {
+    isValid: true,
+    errors: [],
+    bundle: { ...bundle, data: { habits, achievements, preferences } }
+  };
+};
+
+/**
+ * Combine two completion histories. Days already on this device are kept as
+ * they are; days only the import has are added.
+ * @param {Array} current - History on this device
+ * @param {Array} incoming - Imported history
+ * @returns {Array} - Combined history, sorted by date
+ */
+const mergeCompletionHistories = (current = [], incoming = []) => {
+  const knownDates = new Set(current.map(entry => entry.date));
+  return current
+    .concat(incoming.filter(entry => !knownDates.has(entry.date)))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Merge imported habits into the habits on this device. Habits are matched by
+ * ID: a matching habit keeps its settings and gains the imported history days
+ * it is missing, and habits that only exist in the import are added.
+ * @param {Array} current - Habits on this device
+ * @param {Array} incoming - Imported habits
+ * @returns {Array} - Merged habits with recalculated progress
+ */
+const mergeHabitLists = (current, incoming) => {
+  const incomingById = new Map(incoming.map(habit => [habit.id, habit]));
+  const currentIds = new Set(current.map(habit => habit.id));
+
+  const merged = current.map(habit => (
+    incomingById.has(habit.id)
+      ? recalculateHabitProgress(habit, mergeCompletionHistories(
+        habit.completionHistory, incomingById.get(habit.id).completionHistory
+      ))
+      : habit
+  ));
+  const added = incoming
+    .filter(habit => !currentIds.has(habit.id))
+    .map(habit => recalculateHabitProgress(habit));
+
+  return [...merged, ...added];
+};
+
+/**
+ * Work out the data an import would leave on this device
+ * @param {ExportBundle} bundle - Validated bundle from parseExportBundle
+ * @param {string} mode - One of IMPORT_MODES
+ * @param {Object} current - Data on this device
+ * @returns {{habits: Array, achievements: string[], preferences: Object|null}} - Resulting data;
+ *   preferences is null when they stay as they are
+ */
+const resolveImport = (bundle, mode, current) => {
+  const { habits, achievements, preferences } = bundle.data;
+
+  if (mode === IMPORT_MODES.REPLACE) {
+    return {
+      habits: habits.habits.map(habit => recalculateHabitProgress(habit)),
+      achievements,
+      preferences: { ...DEFAULT_VALUES.USER_PREFERENCES, ...preferences }
+    };
+  }
+
+  return {
+    habits: mergeHabitLists(current.habits, habits.habits),
+    achievements: [...new Set([...current.achievements, ...achievements])],
+    preferences: null
+  };
+};
+
+/**
+ * Preview what importing a bundle would change, without saving anything
+ * @param {ExportBundle} bundle - Validated bundle from parseExportBundle
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Promise<Object>} - Habit changes from dataSynchronizer.detectChanges,
+ *   plus the number of achievements gained or lost
+ */
+const previewImport = async (bundle, mode) => {
+  const current = { habits: await getHabits(), achievements: await getUserAchievements() };
+  const result = resolveImport(bundle, mode, current);
+
+  return {
+    mode,
+    habits: dataSynchronizer.detectChanges(current.habits, result.habits),
+    achievementsAdded: result.achievements.filter(id => !current.achievements.includes(id)).length,
+    achievementsRemoved: current.achievements.filter(id => !result.achievements.includes(id)).length,
+    replacesPreferences: result.preferences !== null
+  };
+};
+
+/**
+ * Import a bundle, merging it into the data on this device or replacing it
+ * @param {ExportBundle} bundle - Validated bundle from parseExportBundle
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Promise<boolean>} - Success status
+ */
+const importBundle = async (bundle, mode) => {
+  if (!Object.values(IMPORT_MODES).includes(mode)) {
+    console.warn(`Invalid import mode: ${mode}`);
+    return false;
+  }
+
+  try {
+    const achievements = await getUserAchievements();
+    let current;
+    let result;
+    const saved = await updateHabits(habits => {
+      current = { habits, achievements };
+      result = resolveImport(bundle, mode, current);
+      return result.habits;
+    }, { backup: mode === IMPORT_MODES.REPLACE });
+    if (!saved) return false;
+    if (!await saveUserAchievements(result.achievements)) return false;
+    if (result.preferences) {
+      // A new rollover hour or vacation changes which days count
+      if (!await saveUserPreferences(result.preferences)) return false;
+      if (!await recalculateAllHabitsProgress()) return false;
+    }
+
+    const keptIds = new Set(result.habits.map(habit => habit.id));
+    for (const habit of current.habits.filter(item => !keptIds.has(item.id))) {
+      await cancelHabitReminders(habit.id);
+    }
+    await syncAllReminders(await getHabits());
+    return true;
+  } catch (error) {
+    console.error('Error importing data:', error);
+    return false;
+  }
+};
+
+export {
+  EXPORT_FORMAT,
+  EXPORT_FORMAT_VERSION,
+  IMPORT_MODES,
+  createExportBundle,
+  serializeExportBundle,
+  parseExportBundle,
+  mergeHabitLists,
+  previewImport,
+  importBundle
+};
@@ -2,6 +2,7 @@
 
 const { generateUUID } = require('./types');
 const { getStorageData, setStorageData } = require('./storage');
+const { getTodayKey, addDaysToKey } = require('./localDate');
 
 // Storage key for first launch detection
 const FIRST_LAUNCH_KEY = '@first_launch_completed';
@@ -12,15 +13,13 @@ const FIRST_LAUNCH_KEY = '@first_launch_completed';
  */
 const generateDummyHabits = () => {
   const now = new Date();
-  const today = now.toISOString().split('T')[0];
+  const today = getTodayKey();
   
   // Helper function to generate completion history
   const generateCompletionHistory = (daysBack, completionRate = 0.7) => {
     const history = [];
     for (let i = daysBack; i >= 0; i--) {
-      const date = new Date(now);
-      date.setDate(date.getDate() - i);
-      const dateString = date.toISOString().split('T')[0];
+      const dateString = addDaysToKey(today, -i);
       const completed = Math.random() < completionRate;
       history.push({ date: dateString, completed });
     }
@@ -75,9 +74,9 @@ const generateDummyHabits = () => {
       targetTime: null,
       createdAt: new Date(now.getTime() - (21 * 24 * 60 * 60 * 1000)), // 3 weeks ago
       completionHistory: [
-        { date: new Date(now.getTime() - (21 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0], completed: true },
-        { date: new Date(now.getTime() - (14 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0], completed: false },
-        { date: new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0], completed: true },
+        { date: addDaysToKey(today, -21), completed: true },
+        { date: addDaysToKey(today, -14), completed: false },
+        { date: addDaysToKey(today, -7), completed: true },
         { date: today, completed: false }
       ]
     },
@@ -0,0 +1,182 @@
+// Encryption at rest
+// Values are sealed with AES-256-GCM under a random data key. The data key is
+// kept wrapped (sealed) with a key derived from the user's passcode by PBKDF2,
+// so only someone with the passcode can read the data. Pure JavaScript, so it
+// runs the same on devices, on the web and in Node; the only platform needs
+// are crypto.getRandomValues and TextEncoder/TextDecoder (Expo provides both).
+import { gcm } from '@noble/ciphers/aes';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import { utf8ToBytes, bytesToUtf8 } from '@noble/hashes/utils';
+
+const KEY_DERIVATION = 'pbkdf2-sha256';
+const KEY_DERIVATION_ITERATIONS = 100000;
+const MIN_PASSCODE_LENGTH = 4;
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const NONCE_LENGTH = 12;
+const KEY_ID_LENGTH = 4;
+
+// Encrypted values are stored as 'enc1:<key id>:<base64 nonce and ciphertext>'
+const ENCRYPTED_PREFIX = 'enc1:';
+
+/**
+ * Cryptographically random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} - Random bytes
+ */
+const randomBytes = (length) => {
+  if (!globalThis.crypto || typeof globalThis.crypto.getRandomValues !== 'function') {
+    throw new Error('crypto.getRandomValues is not available');
+  }
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+};
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 text
+ */
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  // Convert in slices; one call per byte is slow and one call for all overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decode base64 text
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+const base64ToBytes = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Check that a passcode can be used
+ * @param {string} passcode - Passcode to check
+ * @returns {string[]} - Error messages; empty when the passcode is valid
+ */
+const validatePasscode = (passcode) => {
+  if (typeof passcode !== 'string' || passcode.length < MIN_PASSCODE_LENGTH) {
+    return [`Passcode must be at least ${MIN_PASSCODE_LENGTH} characters`];
+  }
+  return [];
+};
+
+/**
+ * Derive the key that wraps data keys from a passcode
+ * @param {string} passcode - User passcode
+ * @param {Uint8Array} salt - Random salt stored with the settings
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Uint8Array>} - 256-bit key
+ */
+const derivePasscodeKey = (passcode, salt, iterations) => (
+  pbkdf2Async(sha256, utf8ToBytes(passcode), salt, { c: iterations, dkLen: KEY_LENGTH })
+);
+
+/**
+ * Create a random data key
+ * @returns {{id: string, key: Uint8Array}} - Key and a short ID that marks the values it sealed
+ */
+const createDataKey = () => ({
+  id: Array.from(randomBytes(KEY_ID_LENGTH), byte => byte.toString(16).padStart(2, '0')).join(''),
+  key: randomBytes(KEY_LENGTH)
+});
+
+/**
+ * Seal bytes with a key
+ * @param {Uint8Array} key - 256-bit key
+ * @param {Uint8Array} bytes - Bytes to seal
+ * @returns {string} - Base64 nonce and ciphertext
+ */
+const seal = (key, bytes) => {
+  const nonce = randomBytes(NONCE_LENGTH);
+  const sealed = gcm(key, nonce).encrypt(bytes);
+  const combined = new Uint8Array(NONCE_LENGTH + sealed.length);
+  combined.set(nonce);
+  combined.set(sealed, NONCE_LENGTH);
+  return bytesToBase64(combined);
+};
+
+/**
+ * Open bytes sealed by seal. Throws when the key is wrong or the data was
+ * changed.
+ * @param {Uint8Array} key - 256-bit key
+ * @param {string} sealed - Base64 nonce and ciphertext
+ * @returns {Uint8Array} - Original bytes
+ */
+const open = (key, sealed) => {
+  const combined = base64ToBytes(sealed);
+  return gcm(key, combined.subarray(0, NONCE_LENGTH)).decrypt(combined.subarray(NONCE_LENGTH));
+};
+
+/**
+ * Wrap a data key with the passcode key, for storing
+ * @param {Uint8Array} passcodeKey - Key derived from the passcode
+ * @param {Uint8Array} dataKey - Data key
+ * @returns {string} - Wrapped key
+ */
+const wrapDataKey = (passcodeKey, dataKey) => seal(passcodeKey, dataKey);
+
+/**
+ * Unwrap a stored data key. Throws when the passcode key is wrong.
+ * @param {Uint8Array} passcodeKey - Key derived from the passcode
+ * @param {string} wrapped - Wrapped key
+ * @returns {Uint8Array} - Data key
+ */
+const unwrapDataKey = (passcodeKey, wrapped) => open(passcodeKey, wrapped);
+
+/**
+ * Whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean} - True for an encrypted value
+ */
+const isEncryptedValue = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * ID of the data key an encrypted value was sealed with
+ * @param {string} value - Encrypted value
+ * @returns {string} - Key ID
+ */
+const getValueKeyId = (value) => value.slice(ENCRYPTED_PREFIX.length, value.indexOf(':', ENCRYPTED_PREFIX.length));
+
+/**
+ * Encrypt a value for storing
+ * @param {{id: string, key: Uint8Array}} dataKey - Data key to seal with
+ * @param {string} text - Value to encrypt
+ * @returns {string} - Encrypted value
+ */
+const encryptValue = (dataKey, text) => `${ENCRYPTED_PREFIX}${dataKey.id}:${seal(dataKey.key, utf8ToBytes(text))}`;
+
+/**
+ * Decrypt a stored value. Throws when the key is wrong or the value was
+ * changed.
+ * @param {Uint8Array} key - Data key the value was sealed with
+ * @param {string} value - Encrypted value
+ * @returns {string} - Original value
+ */
+const decryptValue = (key, value) => (
+  bytesToUtf8(open(key, value.slice(value.indexOf(':', ENCRYPTED_PREFIX.length) + 1)))
+);
+
+export {
+  KEY_DERIVATION,
+  KEY_DERIVATION_ITERATIONS,
+  MIN_PASSCODE_LENGTH,
+  SALT_LENGTH,
+  randomBytes,
+  bytesToBase64,
+  base64ToBytes,
+  validatePasscode,
+  derivePasscodeKey,
+  createDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  isEncryptedValue,
+  getValueKeyId,
+  encryptValue,
+  decryptValue
+};
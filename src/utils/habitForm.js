@@ -0,0 +1,153 @@
+// Habit form helpers shared by the add and edit screens
+
+import { DEFAULT_VALUES } from './types';
+import { FREQUENCY_TYPES, normalizeSchedule, validateSchedule } from './schedule';
+import { HABIT_TYPES, isMeasurableHabit, normalizeMeasurement, validateMeasurement } from './measurement';
+import { validateReminderTimes } from './reminders';
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Raw form values for a new habit
+ */
+const DEFAULT_FORM_VALUES = {
+  name: '',
+  frequency: FREQUENCY_TYPES.DAILY,
+  weekdays: [1, 3, 5],
+  timesPerWeek: '3',
+  intervalDays: '2',
+  type: HABIT_TYPES.CHECK,
+  targetValue: '8',
+  unit: '',
+  targetTime: '',
+  reminderTimes: ''
+};
+
+/**
+ * Build the type, target and unit fields from the form's raw inputs
+ * @param {Object} formData - Raw form values
+ * @returns {Object} - Normalized measurement fields
+ */
+const buildMeasurement = (formData) => normalizeMeasurement({
+  type: formData.type,
+  targetValue: parseFloat(formData.targetValue),
+  unit: formData.unit
+});
+
+/**
+ * Build the schedule object from the form's raw inputs
+ * @param {Object} formData - Raw form values
+ * @returns {Object|null} - Normalized schedule
+ */
+const buildSchedule = (formData) => normalizeSchedule(formData.frequency, {
+  weekdays: formData.weekdays,
+  timesPerWeek: parseInt(formData.timesPerWeek, 10),
+  intervalDays: parseInt(formData.intervalDays, 10)
+});
+
+/**
+ * Split the comma-separated reminder times input into 'HH:MM' times
+ * @param {string} value - Raw input, e.g. '7:30, 21:00'
+ * @returns {string[]} - Trimmed times, zero-padded when valid
+ */
+const parseReminderTimes = (value) => (value || '')
+  .split(',')
+  .map(time => time.trim())
+  .filter(Boolean)
+  .map(time => (TIME_REGEX.test(time) ? time.padStart(5, '0') : time));
+
+/**
+ * Validate raw form values
+ * @param {Object} formData - Raw form values
+ * @returns {Object} - Error message per field; empty when the form is valid
+ */
+const validateHabitForm = (formData) => {
+  const errors = {};
+  const name = (formData.name || '').trim();
+
+  // Validate habit name
+  if (!name) {
+    errors.name = 'Habit name is required';
+  } else if (name.length < 2) {
+    errors.name = 'Habit name must be at least 2 characters';
+  } else if (name.length > 50) {
+    errors.name = 'Habit name must be less than 50 characters';
+  }
+
+  // Validate frequency (should always be valid from picker) and its schedule
+  if (!DEFAULT_VALUES.FREQUENCY_OPTIONS.includes(formData.frequency)) {
+    errors.frequency = 'Please select a valid frequency';
+  } else {
+    const scheduleErrors = validateSchedule(formData.frequency, buildSchedule(formData));
+    if (scheduleErrors.length > 0) {
+      errors.schedule = scheduleErrors[0];
+    }
+  }
+
+  // Validate target amount and unit for measurable habits
+  const measurement = buildMeasurement(formData);
+  const measurementErrors = validateMeasurement(measurement.type, measurement.targetValue, measurement.unit);
+  if (measurementErrors.length > 0) {
+    errors.measurement = measurementErrors[0];
+  }
+
+  // Validate target time (optional)
+  const targetTime = (formData.targetTime || '').trim();
+  if (targetTime && !TIME_REGEX.test(targetTime)) {
+    errors.targetTime = 'Please enter time in HH:MM format (e.g., 09:30)';
+  }
+
+  // Validate extra reminder times (optional)
+  const reminderErrors = validateReminderTimes(parseReminderTimes(formData.reminderTimes));
+  if (reminderErrors.length > 0) {
+    errors.reminderTimes = reminderErrors[0];
+  }
+
+  return errors;
+};
+
+/**
+ * Build the habit fields to save from valid form values
+ * @param {Object} formData - Raw form values
+ * @returns {Object} - Name, frequency, schedule, measurement, target time and reminder times
+ */
+const buildHabitData = (formData) => ({
+  name: formData.name.trim(),
+  frequency: formData.frequency,
+  schedule: buildSchedule(formData),
+  ...buildMeasurement(formData),
+  targetTime: formData.targetTime.trim() || null,
+  reminderTimes: parseReminderTimes(formData.reminderTimes)
+});
+
+/**
+ * Fill the form from a stored habit, keeping defaults for unused schedule fields
+ * @param {Object} habit - Habit object
+ * @returns {Object} - Raw form values
+ */
+const habitToFormData = (habit) => {
+  const schedule = habit.schedule || {};
+  return {
+    ...DEFAULT_FORM_VALUES,
+    name: habit.name,
+    frequency: habit.frequency,
+    weekdays: schedule.weekdays || DEFAULT_FORM_VALUES.weekdays,
+    timesPerWeek: schedule.timesPerWeek ? String(schedule.timesPerWeek) : DEFAULT_FORM_VALUES.timesPerWeek,
+    intervalDays: schedule.intervalDays ? String(schedule.intervalDays) : DEFAULT_FORM_VALUES.intervalDays,
+    type: isMeasurableHabit(habit) ? HABIT_TYPES.MEASURABLE : HABIT_TYPES.CHECK,
+    targetValue: isMeasurableHabit(habit) ? String(habit.targetValue) : DEFAULT_FORM_VALUES.targetValue,
+    unit: isMeasurableHabit(habit) ? habit.unit : DEFAULT_FORM_VALUES.unit,
+    targetTime: habit.targetTime || '',
+    reminderTimes: (habit.reminderTimes || []).join(', ')
+  };
+};
+
+export {
+  DEFAULT_FORM_VALUES,
+  buildMeasurement,
+  buildSchedule,
+  parseReminderTimes,
+  validateHabitForm,
+  buildHabitData,
+  habitToFormData
+};
@@ -0,0 +1,92 @@
+// Per-habit storage layout
+// Habits are stored as an index, one record per habit and the history split
+// into one chunk per month, so a check-in reads and writes the same few small
+// keys however long the history grows:
+//   @habits                            { habitIds, lastUpdated, version }
+//   @habits/<id>                       the habit without completionHistory, plus historyMonths
+//   @habits/<id>/history/<YYYY-MM>     that month's history entries
+// Earlier versions kept every habit and its history in one blob under @habits.
+import { STORAGE_KEYS } from './types';
+import { getWeekNumber, fromDayNumber } from './schedule';
+
+/**
+ * Storage key of a habit's record
+ * @param {string} habitId - Habit ID
+ * @returns {string} - Storage key
+ */
+const getHabitKey = (habitId) => `${STORAGE_KEYS.HABITS}/${habitId}`;
+
+/**
+ * Storage key of one month of a habit's history
+ * @param {string} habitId - Habit ID
+ * @param {string} month - 'YYYY-MM' month
+ * @returns {string} - Storage key
+ */
+const getHistoryChunkKey = (habitId, month) => `${getHabitKey(habitId)}/history/${month}`;
+
+/**
+ * Month a date key falls in
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @returns {string} - 'YYYY-MM' month
+ */
+const getMonthKey = (dateKey) => dateKey.slice(0, 7);
+
+/**
+ * Whether data read from the habits key is an index in this layout
+ * @param {*} data - Parsed value of the habits key
+ * @returns {boolean} - True for an index
+ */
+const isHabitIndex = (data) => Boolean(data) && Array.isArray(data.habitIds);
+
+/**
+ * Months spanned by the week (Monday to Sunday) containing a date
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @returns {string[]} - One or two 'YYYY-MM' months
+ */
+const getWeekMonths = (dateKey) => {
+  const monday = getWeekNumber(dateKey) * 7 - 3;
+  return Array.from(new Set([getMonthKey(fromDayNumber(monday)), getMonthKey(fromDayNumber(monday + 6))]));
+};
+
+/**
+ * Split a habit into its stored record and monthly history chunks
+ * @param {Object} habit - Habit object
+ * @returns {{record: Object, chunks: Object<string, Array>}} - Record and entries by month
+ */
+const splitHabit = (habit) => {
+  const { completionHistory, ...record } = habit;
+  const chunks = {};
+  (completionHistory || []).forEach(entry => {
+    const month = getMonthKey(entry.date);
+    chunks[month] = [...(chunks[month] || []), entry];
+  });
+  return {
+    record: { ...record, historyMonths: Object.keys(chunks).sort() },
+    chunks
+  };
+};
+
+/**
+ * Put a stored record and the loaded history chunks back together. Months
+ * that were not loaded are left out of the history.
+ * @param {Object} record - Stored habit record
+ * @param {Object<string, Array>} chunks - Loaded entries by month
+ * @returns {Object} - Habit object
+ */
+const joinHabit = (record, chunks) => {
+  const { historyMonths, ...habit } = record;
+  const completionHistory = (historyMonths || [])
+    .flatMap(month => chunks[month] || [])
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return { ...habit, completionHistory };
+};
+
+export {
+  getHabitKey,
+  getHistoryChunkKey,
+  getMonthKey,
+  isHabitIndex,
+  getWeekMonths,
+  splitHabit,
+  joinHabit
+};
@@ -0,0 +1,183 @@
+// Habit pauses, archiving and vacation mode
+// Paused days are not due: they count toward neither totalDays nor streaks.
+// A habit pauses itself with an open-ended range in habit.pausedRanges; a
+// vacation pauses every habit and is kept in user preferences, then applied
+// here at startup like the day rollover hour.
+import { isDateKey, addDaysToKey, getTodayKey } from './localDate';
+
+/**
+ * Inclusive range of paused days
+ * @typedef {Object} PauseRange
+ * @property {string} start - First paused 'YYYY-MM-DD' key
+ * @property {string|null} end - Last paused key, or null while the pause is ongoing
+ */
+
+let vacationRanges = [];
+
+/**
+ * Check a pause range. Vacations must have an end date.
+ * @param {PauseRange} range - Range to check
+ * @param {boolean} [requireEnd] - Whether an open-ended range is invalid
+ * @returns {boolean} - True when the range is well formed
+ */
+const isValidPauseRange = (range, requireEnd = false) => Boolean(range)
+  && isDateKey(range.start)
+  && (range.end === null ? !requireEnd : isDateKey(range.end) && range.end >= range.start);
+
+/**
+ * Check a vacation the user wants to schedule
+ * @param {string} start - First vacation day
+ * @param {string} end - Last vacation day
+ * @param {string} [todayKey] - Today's key
+ * @returns {string[]} - Error messages; empty when the vacation is valid
+ */
+const validateVacation = (start, end, todayKey = getTodayKey()) => {
+  const errors = [];
+  if (!isDateKey(start) || !isDateKey(end)) {
+    errors.push('Please enter dates in YYYY-MM-DD format');
+  } else if (start < todayKey) {
+    errors.push('A vacation cannot start in the past');
+  } else if (end < start) {
+    errors.push('The last day must be on or after the first day');
+  }
+  return errors;
+};
+
+/**
+ * Set the vacation ranges that pause every habit
+ * @param {PauseRange[]} ranges - Vacation ranges with end dates
+ * @returns {boolean} - True if the ranges were applied
+ */
+const setVacationRanges = (ranges) => {
+  if (!Array.isArray(ranges) || !ranges.every(range => isValidPauseRange(range, true))) {
+    console.warn('Invalid vacation ranges:', ranges);
+    return false;
+  }
+  vacationRanges = ranges.map(({ start, end }) => ({ start, end }));
+  return true;
+};
+
+/**
+ * Get the vacation ranges in effect
+ * @returns {PauseRange[]} - Vacation ranges
+ */
+const getVacationRanges = () => vacationRanges;
+
+/**
+ * The vacation that covers today or starts later, if any
+ * @param {PauseRange[]} [ranges] - Vacation ranges (defaults to the ones in effect)
+ * @param {string} [todayKey] - Today's key
+ * @returns {PauseRange|null} - Current or upcoming vacation
+ */
+const getUpcomingVacation = (ranges = vacationRanges, todayKey = getTodayKey()) => (
+  ranges.find(range => range.end >= todayKey) || null
+);
+
+const isInRange = (range, dateKey) => dateKey >= range.start && (range.end === null || dateKey <= range.end);
+
+/**
+ * Whether a habit is paused on a date, by its own pause or a vacation
+ * @param {Object} habit - Habit object
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @returns {boolean} - True if the day is paused
+ */
+const isPausedOnDate = (habit, dateKey) => (
+  (habit.pausedRanges || []).some(range => isInRange(range, dateKey))
+  || vacationRanges.some(range => isInRange(range, dateKey))
+);
+
+/**
+ * Whether any pause or vacation applies to a habit at all
+ * @param {Object} habit - Habit object
+ * @returns {boolean} - True if some days may be paused
+ */
+const hasPauses = (habit) => vacationRanges.length > 0
+  || (Array.isArray(habit.pausedRanges) && habit.pausedRanges.length > 0);
+
+/**
+ * Whether a habit is paused by its own (ongoing) pause, ignoring vacations
+ * @param {Object} habit - Habit object
+ * @returns {boolean} - True while the habit is paused
+ */
+const isHabitPaused = (habit) => (habit.pausedRanges || []).some(range => range.end === null);
+
+/**
+ * Whether a habit has been archived
+ * @param {Object} habit - Habit object
+ * @returns {boolean} - True for archived habits
+ */
+const isHabitArchived = (habit) => Boolean(habit.archivedAt);
+
+/**
+ * Habits that are still tracked (not archived)
+ * @param {Array} habits - Array of habit objects
+ * @returns {Array} - Habits that aren't archived
+ */
+const getActiveHabits = (habits) => (habits || []).filter(habit => !isHabitArchived(habit));
+
+/**
+ * Habits that can be checked off today: not archived and not paused today
+ * @param {Array} habits - Array of habit objects
+ * @param {string} [todayKey] - Today's key
+ * @returns {Array} - Habits tracked today
+ */
+const getHabitsTrackedOn = (habits, todayKey = getTodayKey()) => (
+  getActiveHabits(habits).filter(habit => !isPausedOnDate(habit, todayKey))
+);
+
+/**
+ * Pause a habit from a date onward
+ * @param {Object} habit - Habit object
+ * @param {string} dateKey - First paused day
+ * @returns {Object} - Updated habit (unchanged if already paused)
+ */
+const pauseHabitFrom = (habit, dateKey) => {
+  if (isHabitPaused(habit)) return habit;
+  return { ...habit, pausedRanges: [...(habit.pausedRanges || []), { start: dateKey, end: null }] };
+};
+
+/**
+ * Resume a paused habit from a date; the pause ends the day before. A pause
+ * that hadn't reached any day yet is dropped.
+ * @param {Object} habit - Habit object
+ * @param {string} dateKey - First tracked day again
+ * @returns {Object} - Updated habit (unchanged if not paused)
+ */
+const resumeHabitFrom = (habit, dateKey) => {
+  if (!isHabitPaused(habit)) return habit;
+  const lastPausedKey = addDaysToKey(dateKey, -1);
+  const pausedRanges = habit.pausedRanges
+    .map(range => (range.end === null ? { ...range, end: lastPausedKey } : range))
+    .filter(range => range.end >= range.start);
+  return { ...habit, pausedRanges };
+};
+
+/**
+ * End vacations so that none covers a date or later; past days stay on vacation
+ * @param {PauseRange[]} ranges - Vacation ranges
+ * @param {string} dateKey - First day that should no longer be a vacation
+ * @returns {PauseRange[]} - Updated ranges
+ */
+const endVacationsBefore = (ranges, dateKey) => {
+  const lastKey = addDaysToKey(dateKey, -1);
+  return ranges
+    .map(range => (range.end >= dateKey ? { ...range, end: lastKey } : range))
+    .filter(range => range.end >= range.start);
+};
+
+export {
+  isValidPauseRange,
+  validateVacation,
+  setVacationRanges,
+  getVacationRanges,
+  getUpcomingVacation,
+  isPausedOnDate,
+  hasPauses,
+  isHabitPaused,
+  isHabitArchived,
+  getActiveHabits,
+  getHabitsTrackedOn,
+  pauseHabitFrom,
+  resumeHabitFrom,
+  endVacationsBefore
+};
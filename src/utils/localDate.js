@@ -0,0 +1,124 @@
+// Local calendar day utilities
+// Completion history is keyed by the user's local day, not the UTC day, and a
+// day can be configured to roll over after midnight (e.g. at 3 AM) so late
+// check-ins still count toward the evening they belong to.
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+const DEFAULT_ROLLOVER_HOUR = 0;
+const MAX_ROLLOVER_HOUR = 23;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let dayRolloverHour = DEFAULT_ROLLOVER_HOUR;
+
+/**
+ * Check whether a value is a usable day-rollover hour
+ * @param {*} hour - Candidate hour
+ * @returns {boolean} - True for whole hours from 0 to 23
+ */
+const isValidRolloverHour = (hour) => (
+  Number.isInteger(hour) && hour >= 0 && hour <= MAX_ROLLOVER_HOUR
+);
+
+/**
+ * Set the hour at which a new local day starts
+ * @param {number} hour - Hour from 0 (midnight) to 23
+ * @returns {boolean} - True if the hour was applied
+ */
+const setDayRolloverHour = (hour) => {
+  if (!isValidRolloverHour(hour)) {
+    console.warn(`Ignoring invalid day rollover hour: ${hour}`);
+    return false;
+  }
+  dayRolloverHour = hour;
+  return true;
+};
+
+/**
+ * Get the hour at which a new local day starts
+ * @returns {number} - Rollover hour
+ */
+const getDayRolloverHour = () => dayRolloverHour;
+
+/**
+ * Check whether a value is already a 'YYYY-MM-DD' key
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for date keys
+ */
+const isDateKey = (value) => typeof value === 'string' && DATE_KEY_PATTERN.test(value);
+
+/**
+ * Local calendar day of an instant, as a 'YYYY-MM-DD' key. Uses the UTC offset
+ * in effect at that instant, so DST transitions land on the right day.
+ * @param {Date|string|number} [date] - Instant to convert (defaults to now)
+ * @param {number} [rolloverHour] - Hour the day starts at (defaults to the configured hour)
+ * @returns {string} - Date key
+ */
+const getLocalDateKey = (date = new Date(), rolloverHour = dayRolloverHour) => {
+  const instant = date instanceof Date ? date : new Date(date);
+  const wallClock = instant.getTime()
+    - (instant.getTimezoneOffset() * MS_PER_MINUTE)
+    - (rolloverHour * MS_PER_HOUR);
+
+  return new Date(wallClock).toISOString().split('T')[0];
+};
+
+/**
+ * Today's local date key, honouring the rollover hour
+ * @returns {string} - Date key
+ */
+const getTodayKey = () => getLocalDateKey(new Date());
+
+/**
+ * Shift a date key by whole calendar days
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - Shifted date key
+ */
+const addDaysToKey = (dateKey, days) => {
+  const time = Date.parse(`${dateKey}T00:00:00Z`) + (days * MS_PER_DAY);
+  return new Date(time).toISOString().split('T')[0];
+};
+
+/**
+ * Consecutive date keys ending on a given day, oldest first
+ * @param {number} count - Number of days
+ * @param {Date|string} [endDate] - Last day to include (defaults to today)
+ * @returns {string[]} - Date keys
+ */
+const getRecentDateKeys = (count, endDate = new Date()) => {
+  const endKey = isDateKey(endDate) ? endDate : getLocalDateKey(endDate);
+  const keys = [];
+
+  for (let offset = count - 1; offset >= 0; offset--) {
+    keys.push(addDaysToKey(endKey, -offset));
+  }
+
+  return keys;
+};
+
+/**
+ * Short, readable label for a date key, e.g. 'Mar 5'
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @returns {string} - Formatted date
+ */
+const formatDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+export {
+  DEFAULT_ROLLOVER_HOUR,
+  isValidRolloverHour,
+  setDayRolloverHour,
+  getDayRolloverHour,
+  isDateKey,
+  getLocalDateKey,
+  getTodayKey,
+  addDaysToKey,
+  getRecentDateKeys,
+  formatDateKey
+};
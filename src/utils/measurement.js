@@ -0,0 +1,145 @@
+// Measurable habits: target amounts, units and per-day progress
+
+/**
+ * Completion history entry for a measurable habit
+ * @typedef {Object} MeasuredEntry
+ * @property {string} date - 'YYYY-MM-DD' key
+ * @property {boolean} completed - True once the amount reaches the target
+ * @property {number} amount - Amount logged for the day
+ */
+
+/**
+ * Supported habit types
+ */
+const HABIT_TYPES = {
+  CHECK: 'check',
+  MEASURABLE: 'measurable'
+};
+
+const MAX_UNIT_LENGTH = 20;
+const MAX_TARGET_VALUE = 100000;
+
+/**
+ * Whether a habit tracks an amount rather than a yes/no check
+ * @param {Object} habit - Habit object
+ * @returns {boolean} - True for measurable habits
+ */
+const isMeasurableHabit = (habit) => Boolean(habit) && habit.type === HABIT_TYPES.MEASURABLE;
+
+/**
+ * Build the stored type, target and unit fields, dropping the target for check habits
+ * @param {Object} [measurement] - Raw input
+ * @param {string} [measurement.type] - Habit type
+ * @param {number|string} [measurement.targetValue] - Amount that completes a day
+ * @param {string} [measurement.unit] - Unit label
+ * @returns {{type: string, targetValue: number|null, unit: string|null}} - Normalized fields
+ */
+const normalizeMeasurement = ({ type, targetValue, unit } = {}) => {
+  if (type !== HABIT_TYPES.MEASURABLE) {
+    return { type: HABIT_TYPES.CHECK, targetValue: null, unit: null };
+  }
+  return {
+    type: HABIT_TYPES.MEASURABLE,
+    targetValue: Number(targetValue),
+    unit: typeof unit === 'string' ? unit.trim() : unit
+  };
+};
+
+/**
+ * Validate the type, target and unit of a habit
+ * @param {string} [type] - Habit type (defaults to a check habit)
+ * @param {number|null} targetValue - Amount that completes a day
+ * @param {string|null} unit - Unit label, e.g. "glasses"
+ * @returns {string[]} - Validation errors
+ */
+const validateMeasurement = (type, targetValue, unit) => {
+  const errors = [];
+
+  if (type !== undefined && !Object.values(HABIT_TYPES).includes(type)) {
+    errors.push(`Type must be one of: ${Object.values(HABIT_TYPES).join(', ')}`);
+    return errors;
+  }
+
+  if (type !== HABIT_TYPES.MEASURABLE) {
+    return errors;
+  }
+
+  if (typeof targetValue !== 'number' || !Number.isFinite(targetValue)
+    || targetValue <= 0 || targetValue > MAX_TARGET_VALUE) {
+    errors.push(`Target must be a number greater than 0 and at most ${MAX_TARGET_VALUE}`);
+  }
+  if (typeof unit !== 'string' || unit.trim().length === 0) {
+    errors.push('Unit is required for measurable habits');
+  } else if (unit.trim().length > MAX_UNIT_LENGTH) {
+    errors.push(`Unit must be less than ${MAX_UNIT_LENGTH} characters`);
+  }
+
+  return errors;
+};
+
+/**
+ * Amount logged on an entry. Check habits count a completed day as 1.
+ * @param {Object} habit - Habit object
+ * @param {Object} [entry] - Completion history entry
+ * @returns {number} - Logged amount
+ */
+const getEntryAmount = (habit, entry) => {
+  if (!entry) return 0;
+  if (isMeasurableHabit(habit)) {
+    return typeof entry.amount === 'number' && entry.amount > 0 ? entry.amount : 0;
+  }
+  return entry.completed ? 1 : 0;
+};
+
+/**
+ * Fraction of the day's target reached by an entry
+ * @param {Object} habit - Habit object
+ * @param {Object} [entry] - Completion history entry
+ * @returns {number} - Progress from 0 to 1
+ */
+const getEntryProgress = (habit, entry) => {
+  if (!entry) return 0;
+  if (!isMeasurableHabit(habit)) {
+    return entry.completed ? 1 : 0;
+  }
+  return Math.min(getEntryAmount(habit, entry) / habit.targetValue, 1);
+};
+
+/**
+ * Build a history entry for an amount, completed when it meets the target
+ * @param {Object} habit - Measurable habit
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @param {number} amount - Amount for the day
+ * @returns {MeasuredEntry} - History entry
+ */
+const buildMeasuredEntry = (habit, dateKey, amount) => {
+  const safeAmount = Math.max(0, Number(amount) || 0);
+  return {
+    date: dateKey,
+    completed: safeAmount >= habit.targetValue,
+    amount: safeAmount
+  };
+};
+
+/**
+ * Format an amount against the habit's target, e.g. "3 / 8 glasses"
+ * @param {Object} habit - Measurable habit
+ * @param {number} amount - Logged amount
+ * @returns {string} - Display text
+ */
+const formatAmount = (habit, amount) => {
+  const round = (value) => Math.round(value * 100) / 100;
+  return `${round(amount)} / ${round(habit.targetValue)} ${habit.unit}`;
+};
+
+export {
+  HABIT_TYPES,
+  MAX_UNIT_LENGTH,
+  isMeasurableHabit,
+  normalizeMeasurement,
+  validateMeasurement,
+  getEntryAmount,
+  getEntryProgress,
+  buildMeasuredEntry,
+  formatAmount
+};
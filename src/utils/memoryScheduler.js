@@ -0,0 +1,46 @@
+// In-memory reminder scheduler
+// Keeps pending reminders in a list instead of the OS notification queue.
+// Used in tests, where no OS notification queue is available.
+
+/**
+ * Create a scheduler that keeps reminders in memory
+ * @param {Object} [options] - Scheduler options
+ * @param {boolean} [options.granted] - Whether notifications are allowed
+ * @returns {import('./reminders').ReminderScheduler} - Scheduler
+ */
+const createMemoryScheduler = ({ granted = true } = {}) => {
+  let pending = [];
+  let nextId = 1;
+  const listeners = new Set();
+
+  return {
+    schedule: async (request) => {
+      if (!granted) return null;
+      const id = `reminder-${nextId++}`;
+      pending.push({ ...request, id });
+      return id;
+    },
+
+    cancel: async (id) => {
+      pending = pending.filter(item => item.id !== id);
+    },
+
+    getScheduled: async () => pending.map(item => ({ ...item })),
+
+    addActionListener: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Simulate the user acting on a delivered reminder
+     * @param {string} habitId - Habit the reminder belongs to
+     * @param {string} action - One of REMINDER_ACTIONS
+     */
+    triggerAction: (habitId, action) => {
+      listeners.forEach(listener => listener({ habitId, action }));
+    }
+  };
+};
+
+export { createMemoryScheduler };
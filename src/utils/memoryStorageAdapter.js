@@ -0,0 +1,31 @@
+// In-memory storage adapter
+// Keeps data in a plain object that is gone when the process exits. Used in
+// tests and Node scripts, and for demos that shouldn't touch saved data.
+
+/**
+ * Create an adapter that keeps data in memory
+ * @param {Object<string, string>} [entries] - Object to keep the data in,
+ *   e.g. to start from existing data or inspect what was written
+ * @returns {import('./storage').StorageAdapter} - Storage adapter
+ */
+const createMemoryStorageAdapter = (entries = {}) => ({
+  getItem: async (key) => (Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : null),
+
+  setItem: async (key, value) => {
+    entries[key] = String(value);
+  },
+
+  multiSet: async (pairs) => {
+    pairs.forEach(([key, value]) => {
+      entries[key] = String(value);
+    });
+  },
+
+  removeItem: async (key) => {
+    delete entries[key];
+  },
+
+  getAllKeys: async () => Object.keys(entries)
+});
+
+export { createMemoryStorageAdapter };
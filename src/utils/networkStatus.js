@@ -1,37 +1,226 @@
 // Network status monitoring utilities
+// Connectivity is worked out by probing endpoints that answer in a known way:
+// no answer at all means there is no network, and an answer that isn't the
+// expected one means something (usually a captive portal's login page) is in
+// the way. Once initialized, reachability is checked again on an interval,
+// and right away when a request gets no answer. When an API endpoint is set, it's probed too, so a server that is
+// down can be told apart from being offline. Probe results are cached, and
+// checks made while one is running share its result.
+// Nothing is probed by default but the API, when one is set: endpoints run by
+// third parties are only probed when the user turns them on in the
+// connectivity settings, which also take HTTPS endpoints of their own.
+// With nothing to probe, reachability is UNKNOWN: requests are still tried,
+// and the first one that gets no answer means there is no network until the
+// next check.
 
 import React from 'react';
 
+const REACHABILITY = {
+  ONLINE: 'online',
+  NO_NETWORK: 'no_network',
+  CAPTIVE_PORTAL: 'captive_portal',
+  API_UNREACHABLE: 'api_unreachable',
+  UNKNOWN: 'unknown'
+};
+
+// Reachability states in which requests are worth trying
+const ONLINE_REACHABILITY = [REACHABILITY.ONLINE, REACHABILITY.UNKNOWN];
+
 /**
- * Simple network status manager for handling online/offline states
- * Note: This is a simplified version that assumes online status
- * In a production app, you would integrate with @react-native-community/netinfo
+ * Endpoint probed for connectivity
+ * @typedef {Object} ProbeEndpoint
+ * @property {string} url - URL fetched with GET
+ * @property {number} [expectedStatus=200] - Status it answers with
+ * @property {string} [expectedBody] - Body it answers with, ignoring surrounding whitespace
+ */
+
+// Run by Cloudflare and Google for exactly this; probed only when the user
+// opts in, as every probe tells them the device is online
+const PUBLIC_PROBE_ENDPOINTS = [
+  { url: 'https://cp.cloudflare.com/generate_204', expectedStatus: 204 },
+  { url: 'https://www.gstatic.com/generate_204', expectedStatus: 204 }
+];
+
+/**
+ * Connectivity settings, kept in the user preferences
+ * @typedef {Object} ConnectivitySettings
+ * @property {boolean} usePublicProbes - Also probe PUBLIC_PROBE_ENDPOINTS
+ * @property {ProbeEndpoint[]} probeEndpoints - The user's own endpoints, HTTPS only
+ */
+const DEFAULT_CONNECTIVITY_SETTINGS = {
+  usePublicProbes: false,
+  probeEndpoints: []
+};
+
+const DEFAULT_PROBE_OPTIONS = {
+  probeEndpoints: [],
+  apiUrl: null,
+  timeoutMs: 5000,
+  // A result is reused for this long unless a check is forced
+  cacheMs: 30 * 1000,
+  // Forced checks reuse a result younger than this
+  minIntervalMs: 2 * 1000,
+  // How often reachability is checked once initialized; checks within
+  // cacheMs of the last probe reuse its result
+  recheckMs: 60 * 1000
+};
+
+const PROBE_RESULTS = {
+  EXPECTED: 'expected',
+  UNEXPECTED: 'unexpected',
+  FAILED: 'failed'
+};
+
+/**
+ * Whether a value is an https: URL
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for an HTTPS URL
+ */
+const isHttpsUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate connectivity settings
+ * @param {*} settings - Settings to check
+ * @returns {string[]} - Error messages; empty when the settings are valid
+ */
+const validateConnectivitySettings = (settings) => {
+  if (!settings || typeof settings !== 'object') return ['Invalid connectivity settings'];
+
+  const errors = [];
+  if (typeof settings.usePublicProbes !== 'boolean') {
+    errors.push('Invalid public probe setting');
+  }
+  if (!Array.isArray(settings.probeEndpoints)) {
+    errors.push('Invalid probe endpoints');
+    return errors;
+  }
+  settings.probeEndpoints.forEach(endpoint => {
+    if (!endpoint || !isHttpsUrl(endpoint.url)) {
+      errors.push(`Probe endpoint must be an HTTPS URL: ${endpoint && endpoint.url}`);
+    } else if (endpoint.expectedStatus !== undefined
+      && !(Number.isInteger(endpoint.expectedStatus) && endpoint.expectedStatus >= 200 && endpoint.expectedStatus < 400)) {
+      errors.push(`Invalid expected status for ${endpoint.url}: ${endpoint.expectedStatus}`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Endpoints to probe for connectivity settings: the user's own, then the
+ * public ones if turned on
+ * @param {ConnectivitySettings} [settings] - Connectivity settings
+ * @returns {ProbeEndpoint[]} - Endpoints for configure
+ */
+const getProbeEndpoints = (settings = DEFAULT_CONNECTIVITY_SETTINGS) => {
+  if (validateConnectivitySettings(settings).length > 0) return [];
+  return [
+    ...settings.probeEndpoints,
+    ...(settings.usePublicProbes ? PUBLIC_PROBE_ENDPOINTS : [])
+  ];
+};
+
+/**
+ * Fetch a URL, giving up after a timeout
+ * @param {string} url - URL to fetch
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {Function} readResponse - Called with the response before the timeout is cleared
+ * @returns {Promise<*>} - What readResponse returns; rejects when there is no answer
+ */
+const fetchWithTimeout = async (url, timeoutMs, readResponse) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      cache: 'no-store',
+      headers: { 'Cache-Control': 'no-cache' },
+      signal: controller.signal
+    });
+    return await readResponse(response);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Probe one connectivity endpoint
+ * @param {ProbeEndpoint} endpoint - Endpoint to probe
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<string>} - A PROBE_RESULTS value
+ */
+const probeEndpoint = async (endpoint, timeoutMs) => {
+  try {
+    return await fetchWithTimeout(endpoint.url, timeoutMs, async (response) => {
+      if (response.status !== (endpoint.expectedStatus || 200)) return PROBE_RESULTS.UNEXPECTED;
+      if (endpoint.expectedBody !== undefined && (await response.text()).trim() !== endpoint.expectedBody) {
+        return PROBE_RESULTS.UNEXPECTED;
+      }
+      return PROBE_RESULTS.EXPECTED;
+    });
+  } catch (error) {
+    return PROBE_RESULTS.FAILED;
+  }
+};
+
+/**
+ * Network status manager for handling online/offline states
  */
 class NetworkStatusManager {
   constructor() {
-    this.isOnline = true; // Assume online by default
+    this.isOnline = true; // Assume online until a probe says otherwise
+    this.reachability = REACHABILITY.ONLINE;
+    this.checkedAt = null;
+    this.options = { ...DEFAULT_PROBE_OPTIONS };
+    this.probing = null;
     this.listeners = new Set();
+    this.recheckTimer = null;
   }
 
   /**
-   * Initialize network status monitoring
-   * In a real implementation, this would set up NetInfo listeners
+   * Initialize network status monitoring: check reachability every recheckMs
    */
   initialize() {
-    console.log('Network status manager initialized (simplified version)');
-    // In production, you would set up NetInfo listeners here
+    if (!this.recheckTimer) {
+      this.recheckTimer = setInterval(() => this.checkReachability(), this.options.recheckMs);
+    }
+    console.log('Network status manager initialized');
   }
 
   /**
    * Clean up network monitoring
    */
   cleanup() {
+    clearInterval(this.recheckTimer);
+    this.recheckTimer = null;
     console.log('Network status manager cleaned up');
   }
 
+  /**
+   * Change what is probed and how results are cached; clears the cached result
+   * @param {Object} options - Options to change
+   * @param {ProbeEndpoint[]} [options.probeEndpoints] - Connectivity endpoints, tried in order
+   * @param {string|null} [options.apiUrl] - API URL that must answer (any status below 500)
+   * @param {number} [options.timeoutMs] - Timeout per probe
+   * @param {number} [options.cacheMs] - How long a result is reused
+   * @param {number} [options.minIntervalMs] - How long a result is reused by forced checks
+   * @param {number} [options.recheckMs] - How often to check while monitoring;
+   *   takes effect at the next initialize
+   */
+  configure(options) {
+    this.options = { ...this.options, ...options };
+    this.checkedAt = null;
+  }
+
   /**
    * Subscribe to network status changes
-   * @param {Function} listener - Callback function
+   * @param {Function} listener - Called with isOnline and the full state
    * @returns {Function} Unsubscribe function
    */
   subscribe(listener) {
@@ -44,7 +233,8 @@ class NetworkStatusManager {
    * @param {boolean} isOnline - Current online status
    */
   notifyListeners(isOnline) {
-    this.listeners.forEach(listener => listener(isOnline));
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(isOnline, state));
   }
 
   /**
@@ -55,41 +245,124 @@ class NetworkStatusManager {
     return this.isOnline;
   }
 
+  /**
+   * Get the current state in full
+   * @returns {{isOnline: boolean, reachability: string, checkedAt: number|null}} - State
+   */
+  getState() {
+    return { isOnline: this.isOnline, reachability: this.reachability, checkedAt: this.checkedAt };
+  }
+
+  /**
+   * Record a reachability state and tell listeners when it changed
+   * @param {string} reachability - A REACHABILITY value
+   */
+  setReachability(reachability) {
+    if (this.reachability === reachability) return;
+    this.reachability = reachability;
+    this.isOnline = ONLINE_REACHABILITY.includes(reachability);
+    this.notifyListeners(this.isOnline);
+    console.log(`Network status changed: ${reachability}`);
+  }
+
   /**
    * Simulate network status change (for testing)
    * @param {boolean} isOnline - New online status
    */
   setStatus(isOnline) {
-    if (this.isOnline !== isOnline) {
-      this.isOnline = isOnline;
-      this.notifyListeners(isOnline);
-      console.log(`Network status changed: ${isOnline ? 'Online' : 'Offline'}`);
+    this.setReachability(isOnline ? REACHABILITY.ONLINE : REACHABILITY.NO_NETWORK);
+  }
+
+  /**
+   * Work out reachability, reusing a recent result
+   * @param {Object} [options] - Check options
+   * @param {boolean} [options.force=false] - Probe again unless the last probe was moments ago
+   * @returns {Promise<string>} - A REACHABILITY value
+   */
+  checkReachability({ force = false } = {}) {
+    if (this.probing) return this.probing;
+
+    const age = this.checkedAt === null ? Infinity : Date.now() - this.checkedAt;
+    if (age < (force ? this.options.minIntervalMs : this.options.cacheMs)) {
+      return Promise.resolve(this.reachability);
+    }
+
+    this.probing = this.probe().then(reachability => {
+      this.checkedAt = Date.now();
+      this.setReachability(reachability);
+      return reachability;
+    }).finally(() => {
+      this.probing = null;
+    });
+    return this.probing;
+  }
+
+  /**
+   * Probe the connectivity endpoints, then the API; run only through checkReachability
+   * @returns {Promise<string>} - A REACHABILITY value
+   */
+  async probe() {
+    const { probeEndpoints, apiUrl, timeoutMs } = this.options;
+    if (!this.canProbe()) return REACHABILITY.UNKNOWN;
+
+    if (probeEndpoints.length > 0) {
+      const results = [];
+      for (const endpoint of probeEndpoints) {
+        results.push(await probeEndpoint(endpoint, timeoutMs));
+        if (results.includes(PROBE_RESULTS.EXPECTED)) break;
+      }
+      if (!results.includes(PROBE_RESULTS.EXPECTED)) {
+        // Answers, but never the expected one, come from something in the way
+        return results.includes(PROBE_RESULTS.UNEXPECTED)
+          ? REACHABILITY.CAPTIVE_PORTAL
+          : REACHABILITY.NO_NETWORK;
+      }
+    }
+
+    if (apiUrl) {
+      try {
+        await fetchWithTimeout(apiUrl, timeoutMs, response => {
+          if (response.status >= 500) throw new Error(`API answered ${response.status}`);
+        });
+      } catch (error) {
+        console.log('API check failed:', error.message);
+        return REACHABILITY.API_UNREACHABLE;
+      }
     }
+
+    return REACHABILITY.ONLINE;
+  }
+
+  /**
+   * Check reachability again after a request got no answer, as the network
+   * may have gone; unless the last probe was moments ago. With nothing to
+   * probe, there is no network until the next check.
+   * @returns {Promise<string>} - A REACHABILITY value
+   */
+  reportNetworkFailure() {
+    if (this.canProbe()) return this.checkReachability({ force: true });
+
+    // The failed request is the only sign there is
+    this.checkedAt = Date.now();
+    this.setReachability(REACHABILITY.NO_NETWORK);
+    return Promise.resolve(this.reachability);
+  }
+
+  /**
+   * Whether there is anything to probe
+   * @returns {boolean} - True when an endpoint or the API is set
+   */
+  canProbe() {
+    return this.options.probeEndpoints.length > 0 || Boolean(this.options.apiUrl);
   }
 
   /**
-   * Check if device is currently online
+   * Check if device is currently online, or might be when nothing can be probed
+   * @param {Object} [options] - Check options, as for checkReachability
    * @returns {Promise<boolean>} Online status
    */
-  async checkConnection() {
-    try {
-      // Simple connectivity check using fetch with timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
-      
-      await fetch('https://www.google.com', {
-        method: 'HEAD',
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      this.isOnline = true;
-      return true;
-    } catch (error) {
-      console.log('Network check failed, assuming offline:', error.message);
-      this.isOnline = false;
-      return false;
-    }
+  async checkConnection(options) {
+    return ONLINE_REACHABILITY.includes(await this.checkReachability(options));
   }
 }
 
@@ -98,17 +371,25 @@ const networkStatusManager = new NetworkStatusManager();
 
 // React hook for using network status
 export const useNetworkStatus = () => {
-  const [isOnline, setIsOnline] = React.useState(networkStatusManager.getStatus());
+  const [state, setState] = React.useState(networkStatusManager.getState());
 
   React.useEffect(() => {
-    const unsubscribe = networkStatusManager.subscribe(setIsOnline);
+    const unsubscribe = networkStatusManager.subscribe((isOnline, nextState) => setState(nextState));
     return unsubscribe;
   }, []);
 
   return {
-    isOnline,
+    ...state,
     checkConnection: networkStatusManager.checkConnection.bind(networkStatusManager)
   };
 };
 
-export default networkStatusManager;
\ No newline at end of file
+export {
+  NetworkStatusManager,
+  REACHABILITY,
+  PUBLIC_PROBE_ENDPOINTS,
+  DEFAULT_CONNECTIVITY_SETTINGS,
+  validateConnectivitySettings,
+  getProbeEndpoints
+};
+export default networkStatusManager;
@@ -0,0 +1,94 @@
+// Local-notification reminder scheduler backed by expo-notifications
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { REMINDER_ACTIONS, DEFAULT_SNOOZE_MINUTES } from './reminders';
+
+const CATEGORY_ID = 'habit-reminder';
+const CHANNEL_ID = 'habit-reminders';
+
+/**
+ * Create a scheduler that delivers reminders as local notifications.
+ * Permission is requested the first time a reminder is scheduled.
+ * @returns {import('./reminders').ReminderScheduler} - Scheduler
+ */
+const createNotificationScheduler = () => {
+  let setupPromise = null;
+
+  // Show reminders while the app is open too
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowBanner: true,
+      shouldShowList: true,
+      shouldPlaySound: true,
+      shouldSetBadge: false
+    })
+  });
+
+  // Ask for permission and register the channel and actions once
+  const setup = () => {
+    if (!setupPromise) {
+      setupPromise = (async () => {
+        const current = await Notifications.getPermissionsAsync();
+        const granted = current.granted
+          || (current.canAskAgain && (await Notifications.requestPermissionsAsync()).granted);
+        if (!granted) return false;
+
+        if (Platform.OS === 'android') {
+          await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+            name: 'Habit reminders',
+            importance: Notifications.AndroidImportance.HIGH
+          });
+        }
+        await Notifications.setNotificationCategoryAsync(CATEGORY_ID, [
+          { identifier: REMINDER_ACTIONS.COMPLETE, buttonTitle: 'Mark done', options: { opensAppToForeground: false } },
+          { identifier: REMINDER_ACTIONS.SNOOZE, buttonTitle: `Snooze ${DEFAULT_SNOOZE_MINUTES} min`, options: { opensAppToForeground: false } }
+        ]);
+        return true;
+      })().catch(error => {
+        setupPromise = null;
+        throw error;
+      });
+    }
+    return setupPromise;
+  };
+
+  return {
+    schedule: async ({ habitId, date, title, body, kind }) => {
+      if (!(await setup())) return null;
+      return Notifications.scheduleNotificationAsync({
+        content: { title, body, data: { habitId, kind }, categoryIdentifier: CATEGORY_ID },
+        trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date, channelId: CHANNEL_ID }
+      });
+    },
+
+    cancel: (id) => Notifications.cancelScheduledNotificationAsync(id),
+
+    getScheduled: async () => {
+      const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+      return scheduled
+        .filter(item => item.content.data && item.content.data.habitId)
+        .map(item => ({
+          id: item.identifier,
+          habitId: item.content.data.habitId,
+          kind: item.content.data.kind
+        }));
+    },
+
+    addActionListener: (listener) => {
+      const subscription = Notifications.addNotificationResponseReceivedListener(response => {
+        const { habitId } = response.notification.request.content.data || {};
+        if (!habitId) return;
+        listener({
+          habitId,
+          action: response.actionIdentifier === Notifications.DEFAULT_ACTION_IDENTIFIER
+            ? REMINDER_ACTIONS.OPEN
+            : response.actionIdentifier
+        });
+      });
+      return () => subscription.remove();
+    }
+  };
+};
+
+export { createNotificationScheduler };
@@ -0,0 +1,340 @@
+// Offline outbox for work that needs the network
+// Operations are recorded here and sent in order whenever the device is
+// online, so nothing is lost while it's offline. Each operation has a type,
+// sent by the handler registered for it, and an idempotency key passed to
+// that handler: an operation that was sent but not yet removed when the app
+// closed goes out again with the same key, so the receiving end can ignore
+// the repeat. Failures are retried with exponential backoff; after
+// OUTBOX_RETRY.MAX_ATTEMPTS, or at once when the handler throws an error with
+// `permanent: true`, the operation moves to the dead letters to be retried or
+// discarded by hand.
+
+import React from 'react';
+import { getStorageData, setStorageData } from './storage';
+import { STORAGE_KEYS, generateUUID } from './types';
+import networkStatusManager from './networkStatus';
+
+const OUTBOX_RETRY = {
+  MAX_ATTEMPTS: 5,
+  BASE_DELAY_MS: 2000,
+  MAX_DELAY_MS: 5 * 60 * 1000
+};
+
+/**
+ * Recorded operation
+ * @typedef {Object} OutboxOperation
+ * @property {string} id - Operation ID
+ * @property {string} type - Operation type, picks the handler
+ * @property {*} payload - Data for the handler
+ * @property {string} idempotencyKey - Key that identifies repeats of the same operation
+ * @property {string} createdAt - ISO timestamp the operation was recorded
+ * @property {number} attempts - Failed attempts so far
+ * @property {number|null} nextAttemptAt - Time (ms) before which it isn't retried
+ * @property {string|null} lastError - Message of the last failure
+ */
+
+/**
+ * Delay before the next attempt, doubling with each failure
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => Math.min(
+  OUTBOX_RETRY.BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0),
+  OUTBOX_RETRY.MAX_DELAY_MS
+);
+
+/**
+ * Persistent queue of operations waiting for the network
+ */
+class Outbox {
+  constructor() {
+    this.operations = [];
+    this.deadLetters = [];
+    this.handlers = new Map();
+    this.listeners = new Set();
+    this.loading = null;
+    this.flushing = null;
+    this.flushAgain = false;
+    this.saving = Promise.resolve();
+    this.retryTimer = null;
+    this.removeNetworkListener = null;
+  }
+
+  /**
+   * Load stored operations once
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = getStorageData(STORAGE_KEYS.OUTBOX, {}).then(stored => {
+        const { operations, deadLetters } = stored || {};
+        // Keep anything recorded before loading finished
+        this.operations = [...(Array.isArray(operations) ? operations : []), ...this.operations];
+        this.deadLetters = [...(Array.isArray(deadLetters) ? deadLetters : []), ...this.deadLetters];
+        this.notifyListeners();
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Load stored operations and send them whenever the device comes online
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.removeNetworkListener) {
+      this.removeNetworkListener = networkStatusManager.subscribe(isOnline => {
+        if (isOnline) this.flush();
+      });
+    }
+    await this.load();
+    await this.flush();
+  }
+
+  /**
+   * Stop listening for the network and cancel a scheduled retry
+   */
+  stop() {
+    if (this.removeNetworkListener) {
+      this.removeNetworkListener();
+      this.removeNetworkListener = null;
+    }
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Subscribe to changes in the queue
+   * @param {Function} listener - Called with {pendingCount, deadLetterCount}
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners of the current counts
+   */
+  notifyListeners() {
+    const counts = { pendingCount: this.operations.length, deadLetterCount: this.deadLetters.length };
+    this.listeners.forEach(listener => {
+      try {
+        listener(counts);
+      } catch (error) {
+        console.error('Error notifying outbox listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Set the function that sends operations of a type. It gets the payload and
+   * {idempotencyKey, attempt}, and throws to report a failure.
+   * @param {string} type - Operation type
+   * @param {Function} handler - Async handler
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+    // Operations recorded before their handler was registered can go now
+    if (this.operations.some(operation => operation.type === type)) this.flush();
+  }
+
+  /**
+   * Record an operation and send it right away if online. An operation whose
+   * idempotency key is already waiting isn't recorded twice.
+   * @param {string} type - Operation type
+   * @param {*} payload - Data for the handler
+   * @param {Object} [options] - Options
+   * @param {string} [options.idempotencyKey] - Key for repeats; a new one by default
+   * @returns {Promise<OutboxOperation>} - Recorded (or already waiting) operation
+   */
+  async enqueue(type, payload = null, { idempotencyKey = generateUUID() } = {}) {
+    await this.load();
+
+    const waiting = this.operations.find(operation => operation.idempotencyKey === idempotencyKey);
+    if (waiting) return waiting;
+
+    const operation = {
+      id: generateUUID(),
+      type,
+      payload,
+      idempotencyKey,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null
+    };
+    this.operations.push(operation);
+    await this.persist();
+    this.notifyListeners();
+
+    this.flush();
+    return operation;
+  }
+
+  /**
+   * Send waiting operations in order while online. Stops at an operation
+   * that is waiting to be retried, so later ones never overtake it.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.flushing) {
+      // The running flush may already be past its last check
+      this.flushAgain = true;
+      return this.flushing;
+    }
+    this.flushing = this.sendPending().finally(() => {
+      this.flushing = null;
+      if (this.flushAgain) {
+        this.flushAgain = false;
+        this.flush();
+      }
+    });
+    return this.flushing;
+  }
+
+  /**
+   * Send operations until the queue is empty, the device goes offline or
+   * the next operation has to wait; run only through flush
+   * @returns {Promise<void>}
+   */
+  async sendPending() {
+    await this.load();
+
+    while (this.operations.length > 0 && networkStatusManager.getStatus()) {
+      const operation = this.operations[0];
+      const handler = this.handlers.get(operation.type);
+      if (!handler) return;
+
+      const wait = (operation.nextAttemptAt || 0) - Date.now();
+      if (wait > 0) {
+        this.scheduleRetry(wait);
+        return;
+      }
+
+      try {
+        await handler(operation.payload, {
+          idempotencyKey: operation.idempotencyKey,
+          attempt: operation.attempts + 1
+        });
+        this.operations.shift();
+      } catch (error) {
+        const attempts = operation.attempts + 1;
+        const failed = { ...operation, attempts, lastError: error.message || String(error) };
+        if (error.permanent || attempts >= OUTBOX_RETRY.MAX_ATTEMPTS) {
+          console.warn(`Outbox operation ${operation.type} failed for good:`, failed.lastError);
+          this.operations.shift();
+          this.deadLetters.push({ ...failed, nextAttemptAt: null });
+        } else {
+          this.operations[0] = { ...failed, nextAttemptAt: Date.now() + getRetryDelay(attempts) };
+        }
+      }
+
+      await this.persist();
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Flush again once a retry is due
+   * @param {number} delay - Milliseconds until the retry
+   */
+  scheduleRetry(delay) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  /**
+   * Save the queue; saves run one after another so the last one wins
+   * @returns {Promise<boolean>} - Success status
+   */
+  persist() {
+    const snapshot = { operations: this.operations, deadLetters: this.deadLetters };
+    this.saving = this.saving.then(() => setStorageData(STORAGE_KEYS.OUTBOX, snapshot));
+    return this.saving;
+  }
+
+  /**
+   * Number of operations waiting to be sent
+   * @returns {number} - Pending count
+   */
+  getPendingCount() {
+    return this.operations.length;
+  }
+
+  /**
+   * Operations that failed for good
+   * @returns {OutboxOperation[]} - Dead letters, oldest first
+   */
+  getDeadLetters() {
+    return [...this.deadLetters];
+  }
+
+  /**
+   * Move a dead letter back to the end of the queue with fresh attempts
+   * @param {string} operationId - Operation ID
+   * @returns {Promise<boolean>} - False if there is no such dead letter
+   */
+  async retryDeadLetter(operationId) {
+    await this.load();
+    const operation = this.deadLetters.find(item => item.id === operationId);
+    if (!operation) return false;
+
+    this.deadLetters = this.deadLetters.filter(item => item.id !== operationId);
+    this.operations.push({ ...operation, attempts: 0, nextAttemptAt: null });
+    await this.persist();
+    this.notifyListeners();
+    this.flush();
+    return true;
+  }
+
+  /**
+   * Drop a dead letter
+   * @param {string} operationId - Operation ID
+   * @returns {Promise<boolean>} - False if there is no such dead letter
+   */
+  async discardDeadLetter(operationId) {
+    await this.load();
+    if (!this.deadLetters.some(item => item.id === operationId)) return false;
+
+    this.deadLetters = this.deadLetters.filter(item => item.id !== operationId);
+    await this.persist();
+    this.notifyListeners();
+    return true;
+  }
+}
+
+/**
+ * Badge for operations waiting to be sent
+ * @param {Object} counts - Counts from useOutbox
+ * @param {number} counts.pendingCount - Operations waiting to be sent
+ * @returns {{count: number, label: string}|null} - Badge, or null when nothing is waiting
+ */
+const getOutboxBadge = ({ pendingCount }) => {
+  if (!pendingCount || pendingCount <= 0) return null;
+  return {
+    count: pendingCount,
+    label: `${pendingCount} ${pendingCount === 1 ? 'item' : 'items'} waiting to be sent`
+  };
+};
+
+// Create singleton instance
+const outbox = new Outbox();
+
+// React hook for the number of operations waiting to be sent
+export const useOutbox = () => {
+  const [counts, setCounts] = React.useState({
+    pendingCount: outbox.getPendingCount(),
+    deadLetterCount: outbox.getDeadLetters().length
+  });
+
+  React.useEffect(() => outbox.subscribe(setCounts), []);
+
+  return counts;
+};
+
+export { Outbox, OUTBOX_RETRY, getRetryDelay, getOutboxBadge };
+export default outbox;
@@ -1,7 +1,76 @@
 // Progress calculation utilities for habit tracking
 
+import {
+  toDateKey,
+  toDayNumber,
+  fromDayNumber,
+  getWeekNumber,
+  isDueOnDate,
+  isPeriodicFrequency,
+  getPeriodTarget,
+  isWeekPaused,
+  hasScheduleChanges,
+  getScheduleSegments,
+  getScheduleOnDate
+} from './schedule';
+import { getTodayKey, addDaysToKey } from './localDate';
+import {
+  isMeasurableHabit,
+  getEntryAmount,
+  getEntryProgress,
+  formatAmount
+} from './measurement';
+
+/**
+ * Credit a measurable habit earns from due days that fell short of the target.
+ * Periodic habits can only earn partial credit toward each week's unmet target.
+ * @param {Object} habit - Habit object
+ * @returns {number} - Fractional occurrences earned by partial days
+ */
+const calculatePartialCredit = (habit) => {
+  if (!isMeasurableHabit(habit)) {
+    return 0;
+  }
+
+  // Each schedule the habit has followed earns credit by its own rules
+  if (hasScheduleChanges(habit)) {
+    return getScheduleSegments(habit).reduce((sum, segment) => (
+      sum + calculatePartialCredit({ ...segment.habit, completionHistory: segment.completionHistory })
+    ), 0);
+  }
+
+  const history = habit.completionHistory || [];
+
+  if (!isPeriodicFrequency(habit.frequency)) {
+    return history
+      .filter(entry => !entry.completed && isDueOnDate(habit, entry.date))
+      .reduce((sum, entry) => sum + getEntryProgress(habit, entry), 0);
+  }
+
+  const weeks = new Map();
+  history.forEach(entry => {
+    const week = getWeekNumber(toDateKey(entry.date));
+    const totals = weeks.get(week) || { completed: 0, partial: 0 };
+    if (entry.completed) {
+      totals.completed++;
+    } else {
+      totals.partial += getEntryProgress(habit, entry);
+    }
+    weeks.set(week, totals);
+  });
+
+  const target = getPeriodTarget(habit);
+  let credit = 0;
+  weeks.forEach(({ completed, partial }, week) => {
+    if (isWeekPaused(habit, week)) return;
+    credit += Math.min(partial, Math.max(target - completed, 0));
+  });
+  return credit;
+};
+
 /**
- * Calculate completion percentage for a habit
+ * Calculate completion percentage for a habit. Measurable habits also earn
+ * credit for days that reached only part of the target.
  * @param {Object} habit - Habit object with completion data
  * @returns {number} - Completion percentage (0-100)
  */
@@ -10,52 +79,217 @@ const calculateCompletionPercentage = (habit) => {
     return 0;
   }
   
-  const percentage = Math.round((habit.completedDays / habit.totalDays) * 100);
+  const credit = habit.completedDays + calculatePartialCredit(habit);
+  const percentage = Math.round((credit / habit.totalDays) * 100);
   return Math.min(percentage, 100); // Cap at 100%
 };
 
 /**
- * Calculate streak information for a habit
+ * Today's progress toward a habit's daily target
+ * @param {Object} habit - Habit object
+ * @returns {Object} - { amount, progress } where progress runs from 0 to 1
+ */
+const getTodayProgress = (habit) => {
+  const todayKey = getTodayKey();
+  const entry = (habit.completionHistory || []).find(e => e.date === todayKey);
+  return {
+    amount: getEntryAmount(habit, entry),
+    progress: getEntryProgress(habit, entry)
+  };
+};
+
+/**
+ * Summarize a chronological series of period results into streaks.
+ * Each result is true (met), false (missed) or null (not due, or the
+ * current period still in progress) - null periods neither extend nor break a streak.
+ * @param {Array<boolean|null>} results - Period results, oldest first
+ * @returns {Object} - { currentStreak, longestStreak }
+ */
+const summarizeStreaks = (results) => {
+  let longestStreak = 0;
+  let runningStreak = 0;
+
+  results.forEach(result => {
+    if (result === true) {
+      runningStreak++;
+      longestStreak = Math.max(longestStreak, runningStreak);
+    } else if (result === false) {
+      runningStreak = 0;
+    }
+  });
+
+  let currentStreak = 0;
+  for (let i = results.length - 1; i >= 0; i--) {
+    if (results[i] === false) break;
+    if (results[i] === true) currentStreak++;
+  }
+
+  return { currentStreak, longestStreak };
+};
+
+/**
+ * First day a streak can count from. Streaks carry across schedule changes
+ * while the streak unit (day or week) stays the same, and restart otherwise.
+ * @param {Object} habit - Habit object
+ * @returns {number} - Day number, or -Infinity when the streak can reach back to creation
+ */
+const getStreakStartDay = (habit) => {
+  const segments = getScheduleSegments(habit, []);
+  const periodic = isPeriodicFrequency(habit.frequency);
+  let first = segments.length - 1;
+  while (first > 0 && isPeriodicFrequency(segments[first - 1].habit.frequency) === periodic) {
+    first--;
+  }
+  return segments[first].startKey ? toDayNumber(segments[first].startKey) : -Infinity;
+};
+
+/**
+ * Build per-period results for a habit, from its first tracked day up to asOf.
+ * Day-based schedules produce one result per day; weekly and times-per-week
+ * habits produce one result per Monday-based week, met when the weekly target is reached.
+ * Each day or week is judged by the schedule in effect at the time; paused days and weeks are skipped.
  * @param {Array} completionHistory - Array of completion entries
- * @returns {Object} - Streak information
+ * @param {Object} habit - Habit providing frequency, schedule and createdAt
+ * @param {string} asOfKey - Date key of "today"
+ * @returns {Array<boolean|null>} - Period results, oldest first
  */
-const calculateStreak = (completionHistory) => {
-  if (!Array.isArray(completionHistory) || completionHistory.length === 0) {
-    return { currentStreak: 0, longestStreak: 0 };
+const buildPeriodResults = (completionHistory, habit, asOfKey) => {
+  const asOfDay = toDayNumber(asOfKey);
+  const completedDays = new Set();
+  let startDay = Infinity;
+
+  completionHistory.forEach(entry => {
+    if (!entry || typeof entry.date !== 'string') return;
+    const day = toDayNumber(toDateKey(entry.date));
+    if (Number.isNaN(day) || day > asOfDay) return;
+    startDay = Math.min(startDay, day);
+    if (entry.completed) completedDays.add(day);
+  });
+
+  const createdAt = new Date(habit.createdAt);
+  if (!Number.isNaN(createdAt.getTime())) {
+    startDay = Math.min(startDay, toDayNumber(toDateKey(habit.createdAt)));
   }
 
-  // Sort completion history by date (newest first)
-  const sortedHistory = [...completionHistory].sort((a, b) => 
-    new Date(b.date) - new Date(a.date)
-  );
+  if (!Number.isFinite(startDay)) {
+    return [];
+  }
 
-  let currentStreak = 0;
-  let longestStreak = 0;
-  let tempStreak = 0;
-
-  // Calculate current streak (from most recent date)
-  for (let i = 0; i < sortedHistory.length; i++) {
-    if (sortedHistory[i].completed) {
-      currentStreak = i === 0 ? currentStreak + 1 : currentStreak;
-      if (i === 0) currentStreak = 1;
-      else if (currentStreak === 0) break; // Current streak is broken
-    } else if (i === 0) {
-      currentStreak = 0;
-      break;
+  startDay = Math.max(startDay, getStreakStartDay(habit));
+  if (startDay > asOfDay) {
+    return [];
+  }
+
+  const results = [];
+
+  if (isPeriodicFrequency(habit.frequency)) {
+    const weekOf = (day) => getWeekNumber(fromDayNumber(day));
+    const firstWeek = weekOf(startDay);
+    const currentWeek = weekOf(asOfDay);
+    const completionsPerWeek = new Map();
+
+    completedDays.forEach(day => {
+      if (day < startDay) return;
+      const week = weekOf(day);
+      completionsPerWeek.set(week, (completionsPerWeek.get(week) || 0) + 1);
+    });
+
+    for (let week = firstWeek; week <= currentWeek; week++) {
+      // Weeks with a paused day neither extend nor break the streak
+      if (isWeekPaused(habit, week)) {
+        results.push(null);
+        continue;
+      }
+      // A week owes the target of the schedule in effect at its end (weeks run Monday to Sunday)
+      const weekEndDay = Math.min(week * 7 + 3, asOfDay);
+      const target = getPeriodTarget(getScheduleOnDate(habit, fromDayNumber(weekEndDay)));
+      const met = (completionsPerWeek.get(week) || 0) >= target;
+      results.push(met ? true : (week === currentWeek ? null : false));
     }
+    return results;
   }
 
-  // Calculate longest streak
-  for (const entry of sortedHistory.reverse()) {
-    if (entry.completed) {
-      tempStreak++;
-      longestStreak = Math.max(longestStreak, tempStreak);
+  for (let day = startDay; day <= asOfDay; day++) {
+    const dateKey = fromDayNumber(day);
+    if (!isDueOnDate(habit, dateKey)) {
+      results.push(null);
+    } else if (completedDays.has(day)) {
+      results.push(true);
     } else {
-      tempStreak = 0;
+      // Today is still in progress, so an unchecked today is not a miss yet
+      results.push(day === asOfDay ? null : false);
     }
   }
+  return results;
+};
 
-  return { currentStreak, longestStreak };
+/**
+ * Calculate streak information for a habit over its due periods.
+ * Dates without an entry count as misses; days the schedule skips are ignored.
+ * @param {Array} completionHistory - Array of completion entries
+ * @param {Object} [habit] - Habit the history belongs to (defaults to a daily habit)
+ * @param {Date|string} [asOf] - Date to measure the current streak at (defaults to today)
+ * @returns {Object} - Streak information: { currentStreak, longestStreak, unit }
+ */
+const calculateStreak = (completionHistory, habit = null, asOf = new Date()) => {
+  const scheduleHabit = habit || { frequency: 'daily' };
+  const unit = isPeriodicFrequency(scheduleHabit.frequency) ? 'week' : 'day';
+
+  if (!Array.isArray(completionHistory) || completionHistory.length === 0) {
+    return { currentStreak: 0, longestStreak: 0, unit };
+  }
+
+  const results = buildPeriodResults(completionHistory, scheduleHabit, toDateKey(asOf));
+  return { ...summarizeStreaks(results), unit };
+};
+
+/**
+ * Calculate the streak of days on which at least one habit was completed.
+ * A day with no completion only breaks the streak if some habit was due on it.
+ * @param {Array} habits - Array of habit objects
+ * @param {Date|string} [asOf] - Date to measure the current streak at (defaults to today)
+ * @returns {Object} - Streak information: { currentStreak, longestStreak, unit }
+ */
+const calculateCombinedStreak = (habits, asOf = new Date()) => {
+  if (!Array.isArray(habits) || habits.length === 0) {
+    return { currentStreak: 0, longestStreak: 0, unit: 'day' };
+  }
+
+  const asOfKey = toDateKey(asOf);
+  const asOfDay = toDayNumber(asOfKey);
+  const completedDays = new Set();
+  let startDay = Infinity;
+
+  habits.forEach(habit => {
+    (habit.completionHistory || []).forEach(entry => {
+      if (!entry || typeof entry.date !== 'string') return;
+      const day = toDayNumber(toDateKey(entry.date));
+      if (Number.isNaN(day) || day > asOfDay) return;
+      startDay = Math.min(startDay, day);
+      if (entry.completed) completedDays.add(day);
+    });
+  });
+
+  if (!Number.isFinite(startDay)) {
+    return { currentStreak: 0, longestStreak: 0, unit: 'day' };
+  }
+
+  const dayBasedHabits = habits.filter(habit => !isPeriodicFrequency(habit.frequency));
+  const results = [];
+
+  for (let day = startDay; day <= asOfDay; day++) {
+    const dateKey = fromDayNumber(day);
+    if (completedDays.has(day)) {
+      results.push(true);
+    } else if (day === asOfDay) {
+      results.push(null);
+    } else {
+      const anyDue = dayBasedHabits.length === 0 || dayBasedHabits.some(habit => isDueOnDate(habit, dateKey));
+      results.push(anyDue ? false : null);
+    }
+  }
+
+  return { ...summarizeStreaks(results), unit: 'day' };
 };
 
 /**
@@ -69,11 +303,10 @@ const calculateWeeklyCompletionRate = (completionHistory, weeksBack = 4) => {
     return 0;
   }
 
-  const now = new Date();
-  const weeksAgo = new Date(now.getTime() - (weeksBack * 7 * 24 * 60 * 60 * 1000));
+  const firstKey = addDaysToKey(getTodayKey(), 1 - (weeksBack * 7));
   
   const recentEntries = completionHistory.filter(entry => 
-    new Date(entry.date) >= weeksAgo
+    toDateKey(entry.date) >= firstKey
   );
 
   if (recentEntries.length === 0) {
@@ -105,7 +338,7 @@ const calculateConsistencyScore = (habit) => {
     return { score: 0, rating: 'No Data' };
   }
 
-  const { currentStreak } = calculateStreak(habit.completionHistory);
+  const { currentStreak } = calculateStreak(habit.completionHistory, habit);
   const completionRate = calculateCompletionPercentage(habit);
   const weeklyRate = calculateWeeklyCompletionRate(habit.completionHistory);
 
@@ -140,7 +373,7 @@ const getProgressInsights = (habit) => {
   const recommendations = [];
   
   const completionRate = calculateCompletionPercentage(habit);
-  const { currentStreak, longestStreak } = calculateStreak(habit.completionHistory);
+  const { currentStreak, longestStreak, unit } = calculateStreak(habit.completionHistory, habit);
   const weeklyRate = calculateWeeklyCompletionRate(habit.completionHistory);
 
   // Generate insights
@@ -153,11 +386,26 @@ const getProgressInsights = (habit) => {
   }
 
   if (currentStreak > 0) {
-    insights.push(`You're on a ${currentStreak}-day streak!`);
+    insights.push(`You're on a ${currentStreak}-${unit} streak!`);
   }
 
   if (longestStreak > currentStreak && longestStreak > 3) {
-    insights.push(`Your longest streak was ${longestStreak} days.`);
+    insights.push(`Your longest streak was ${longestStreak} ${unit}s.`);
+  }
+
+  // Measurable habits: report today's amount and how close logged days get
+  let averageProgress = null;
+  if (isMeasurableHabit(habit)) {
+    const { amount, progress } = getTodayProgress(habit);
+    if (amount > 0 && progress < 1) {
+      insights.push(`Today: ${formatAmount(habit, amount)} (${Math.round(progress * 100)}% of target).`);
+    }
+
+    const loggedEntries = (habit.completionHistory || []).filter(entry => getEntryAmount(habit, entry) > 0);
+    if (loggedEntries.length > 0) {
+      averageProgress = loggedEntries.reduce((sum, entry) => sum + getEntryProgress(habit, entry), 0)
+        / loggedEntries.length;
+    }
   }
 
   // Generate recommendations
@@ -174,12 +422,21 @@ const getProgressInsights = (habit) => {
     recommendations.push('Try to maintain at least 4-5 completions per week.');
   }
 
+  if (averageProgress !== null && averageProgress >= 0.5 && averageProgress < 0.9) {
+    recommendations.push(
+      `You reach ${Math.round(averageProgress * 100)}% of your target on days you log - a slightly lower target could help you finish more days.`
+    );
+  }
+
   return { insights, recommendations };
 };
 
 export {
+  calculatePartialCredit,
   calculateCompletionPercentage,
+  getTodayProgress,
   calculateStreak,
+  calculateCombinedStreak,
   calculateWeeklyCompletionRate,
   getProgressColor,
   calculateConsistencyScore,
@@ -0,0 +1,38 @@
+// Handle the actions offered on a delivered habit reminder
+
+import { getHabits, updateHabitCompletion } from './storage';
+import { REMINDER_ACTIONS, snoozeReminder } from './reminders';
+
+/**
+ * Act on a reminder the user responded to. Marking the habit done also
+ * cancels the rest of today's reminders.
+ * @param {Object} event - Reminder action
+ * @param {string} event.habitId - Habit the reminder belongs to
+ * @param {string} event.action - One of REMINDER_ACTIONS
+ * @returns {Promise<boolean>} - True if habit data changed
+ */
+const handleReminderAction = async ({ habitId, action }) => {
+  try {
+    const habits = await getHabits();
+    const habit = habits.find(item => item.id === habitId);
+    if (!habit) {
+      console.warn(`Reminder for unknown habit ${habitId}`);
+      return false;
+    }
+
+    switch (action) {
+      case REMINDER_ACTIONS.COMPLETE:
+        return await updateHabitCompletion(habitId, true);
+      case REMINDER_ACTIONS.SNOOZE:
+        await snoozeReminder(habit);
+        return false;
+      default:
+        return false;
+    }
+  } catch (error) {
+    console.error('Error handling reminder action:', error);
+    return false;
+  }
+};
+
+export { handleReminderAction };
@@ -0,0 +1,303 @@
+// Habit reminders
+// Each habit is reminded at its targetTime plus any extra reminder times, on
+// the days it is due. Reminders are one-off notifications scheduled a week
+// ahead through a pluggable scheduler (local notifications in the app, an
+// in-memory scheduler in tests), and are rebuilt whenever a habit changes and
+// when the app starts. No scheduler means reminders are off (e.g. on web).
+import { isDueOnDate, isPeriodicFrequency, getPeriodTarget, getScheduleOnDate, getWeekNumber } from './schedule';
+import { getTodayKey, addDaysToKey, getDayRolloverHour } from './localDate';
+import { isHabitArchived } from './habitStatus';
+import { isMeasurableHabit } from './measurement';
+
+/**
+ * A notification the scheduler should deliver
+ * @typedef {Object} ReminderRequest
+ * @property {string} habitId - Habit the reminder belongs to
+ * @property {Date} date - When to deliver it
+ * @property {string} title - Notification title
+ * @property {string} body - Notification body
+ * @property {'reminder'|'snooze'} kind - Regular reminder or a snoozed one
+ */
+
+/**
+ * A notification the scheduler has pending
+ * @typedef {Object} ScheduledReminder
+ * @property {string} id - Scheduler's notification ID
+ * @property {string} habitId - Habit the reminder belongs to
+ * @property {'reminder'|'snooze'} kind - Regular reminder or a snoozed one
+ */
+
+/**
+ * Scheduler interface that delivers reminders
+ * @typedef {Object} ReminderScheduler
+ * @property {(request: ReminderRequest) => Promise<string|null>} schedule - Schedule a notification; null if not allowed
+ * @property {(id: string) => Promise<void>} cancel - Cancel a pending notification
+ * @property {() => Promise<ScheduledReminder[]>} getScheduled - Pending habit notifications
+ * @property {(listener: Function) => Function} [addActionListener] - Listen for notification actions; returns an unsubscribe function
+ */
+
+const REMINDER_KINDS = {
+  REMINDER: 'reminder',
+  SNOOZE: 'snooze'
+};
+
+// Actions offered on a delivered reminder
+const REMINDER_ACTIONS = {
+  OPEN: 'open',
+  COMPLETE: 'complete',
+  SNOOZE: 'snooze'
+};
+
+const MAX_REMINDER_TIMES = 5;
+const REMINDER_WINDOW_DAYS = 7;
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const MS_PER_MINUTE = 60 * 1000;
+
+let scheduler = null;
+
+// Reminder updates run one at a time so overlapping syncs can't double-schedule
+let pendingUpdate = Promise.resolve();
+const enqueue = (task) => {
+  const result = pendingUpdate.then(task);
+  pendingUpdate = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Set the scheduler used to deliver reminders
+ * @param {ReminderScheduler|null} nextScheduler - Scheduler, or null to turn reminders off
+ */
+const setReminderScheduler = (nextScheduler) => {
+  scheduler = nextScheduler;
+};
+
+/**
+ * Get the scheduler in use
+ * @returns {ReminderScheduler|null} - Scheduler, or null when reminders are off
+ */
+const getReminderScheduler = () => scheduler;
+
+/**
+ * Check a reminder time
+ * @param {*} time - Candidate time
+ * @returns {boolean} - True for 'HH:MM' strings
+ */
+const isValidReminderTime = (time) => typeof time === 'string' && TIME_REGEX.test(time);
+
+/**
+ * Validate a habit's extra reminder times
+ * @param {*} times - Reminder times
+ * @returns {string[]} - Error messages; empty when the times are valid
+ */
+const validateReminderTimes = (times) => {
+  if (!Array.isArray(times) || !times.every(isValidReminderTime)) {
+    return ['Reminder times must be in HH:MM format (e.g., 09:30)'];
+  }
+  if (times.length > MAX_REMINDER_TIMES) {
+    return [`A habit can have at most ${MAX_REMINDER_TIMES} reminder times`];
+  }
+  return [];
+};
+
+/**
+ * All times a habit is reminded at: its target time and extra reminder times
+ * @param {Object} habit - Habit object
+ * @returns {string[]} - Sorted 'HH:MM' times without duplicates
+ */
+const getReminderTimes = (habit) => {
+  const times = [habit.targetTime, ...(habit.reminderTimes || [])]
+    .filter(isValidReminderTime)
+    .map(time => time.padStart(5, '0'));
+  return [...new Set(times)].sort();
+};
+
+/**
+ * The moment a reminder time falls on for a local day. Times before the day
+ * rollover hour belong to the early hours of the next calendar day.
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @param {string} time - 'HH:MM' time
+ * @returns {Date} - Local date and time
+ */
+const getReminderDate = (dateKey, time) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const nextDay = hours < getDayRolloverHour() ? 1 : 0;
+  return new Date(year, month - 1, day + nextDay, hours, minutes);
+};
+
+/**
+ * Whether a periodic habit already met the target of a date's week
+ * @param {Object} habit - Habit object
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @returns {boolean} - True if no more completions are needed that week
+ */
+const isWeekTargetMet = (habit, dateKey) => {
+  const week = getWeekNumber(dateKey);
+  const completions = (habit.completionHistory || [])
+    .filter(entry => entry.completed && getWeekNumber(entry.date) === week)
+    .length;
+  return completions >= getPeriodTarget(getScheduleOnDate(habit, dateKey));
+};
+
+/**
+ * Whether a habit still needs a reminder on a day: it is due there and not yet done
+ * @param {Object} habit - Habit object
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @returns {boolean} - True if the day should be reminded
+ */
+const needsReminderOn = (habit, dateKey) => {
+  if (!isDueOnDate(habit, dateKey)) return false;
+  if (isPeriodicFrequency(getScheduleOnDate(habit, dateKey).frequency)) {
+    return !isWeekTargetMet(habit, dateKey);
+  }
+  const entry = (habit.completionHistory || []).find(item => item.date === dateKey);
+  return !(entry && entry.completed);
+};
+
+/**
+ * Upcoming reminder moments for a habit over the scheduling window
+ * @param {Object} habit - Habit object
+ * @param {Date} [now] - Current time
+ * @returns {Date[]} - Future reminder dates, earliest first
+ */
+const getUpcomingReminderDates = (habit, now = new Date()) => {
+  const times = getReminderTimes(habit);
+  if (isHabitArchived(habit) || times.length === 0) return [];
+
+  const todayKey = getTodayKey();
+  const dates = [];
+  for (let offset = 0; offset < REMINDER_WINDOW_DAYS; offset++) {
+    const dateKey = addDaysToKey(todayKey, offset);
+    if (needsReminderOn(habit, dateKey)) {
+      times.forEach(time => dates.push(getReminderDate(dateKey, time)));
+    }
+  }
+  return dates.filter(date => date > now).sort((a, b) => a - b);
+};
+
+/**
+ * Notification text for a habit
+ * @param {Object} habit - Habit object
+ * @returns {{title: string, body: string}} - Title and body
+ */
+const buildReminderContent = (habit) => ({
+  title: `⏰ ${habit.name}`,
+  body: isMeasurableHabit(habit)
+    ? `Today's target: ${habit.targetValue} ${habit.unit}`
+    : 'Time to check in on your habit'
+});
+
+const cancelScheduled = async (habitId, kinds) => {
+  const scheduled = await scheduler.getScheduled();
+  const matching = scheduled.filter(item => item.habitId === habitId && kinds.includes(item.kind));
+  for (const item of matching) {
+    await scheduler.cancel(item.id);
+  }
+};
+
+/**
+ * Rebuild a habit's reminders for the coming week. Reminders stop once the
+ * day (or week, for weekly targets) is done, and skip paused and archived days.
+ * Snoozed reminders are dropped once nothing is left to do today.
+ * @param {Object} habit - Habit object
+ * @param {Date} [now] - Current time
+ * @returns {Promise<boolean>} - Success status
+ */
+const syncHabitReminders = (habit, now = new Date()) => enqueue(async () => {
+  if (!scheduler) return true;
+  try {
+    const dates = getUpcomingReminderDates(habit, now);
+    const stillDueToday = needsReminderOn(habit, getTodayKey()) && !isHabitArchived(habit);
+
+    await cancelScheduled(habit.id, stillDueToday
+      ? [REMINDER_KINDS.REMINDER]
+      : [REMINDER_KINDS.REMINDER, REMINDER_KINDS.SNOOZE]);
+
+    const content = buildReminderContent(habit);
+    for (const date of dates) {
+      await scheduler.schedule({ habitId: habit.id, date, kind: REMINDER_KINDS.REMINDER, ...content });
+    }
+    return true;
+  } catch (error) {
+    console.error('Error scheduling reminders:', error);
+    return false;
+  }
+});
+
+/**
+ * Rebuild reminders for every habit, e.g. on startup or after a vacation change
+ * @param {Array} habits - Array of habit objects
+ * @param {Date} [now] - Current time
+ * @returns {Promise<boolean>} - True if every habit was synced
+ */
+const syncAllReminders = async (habits, now = new Date()) => {
+  const results = [];
+  for (const habit of habits || []) {
+    results.push(await syncHabitReminders(habit, now));
+  }
+  return results.every(Boolean);
+};
+
+/**
+ * Cancel every pending reminder for a habit, e.g. when it is deleted
+ * @param {string} habitId - Habit ID
+ * @returns {Promise<boolean>} - Success status
+ */
+const cancelHabitReminders = (habitId) => enqueue(async () => {
+  if (!scheduler) return true;
+  try {
+    await cancelScheduled(habitId, [REMINDER_KINDS.REMINDER, REMINDER_KINDS.SNOOZE]);
+    return true;
+  } catch (error) {
+    console.error('Error cancelling reminders:', error);
+    return false;
+  }
+});
+
+/**
+ * Remind about a habit again in a few minutes
+ * @param {Object} habit - Habit object
+ * @param {number} [minutes] - Minutes to wait
+ * @param {Date} [now] - Current time
+ * @returns {Promise<boolean>} - Success status
+ */
+const snoozeReminder = (habit, minutes = DEFAULT_SNOOZE_MINUTES, now = new Date()) => enqueue(async () => {
+  if (!scheduler) return false;
+  if (!Number.isInteger(minutes) || minutes <= 0) {
+    console.warn(`Invalid snooze length: ${minutes}`);
+    return false;
+  }
+  try {
+    const id = await scheduler.schedule({
+      habitId: habit.id,
+      date: new Date(now.getTime() + minutes * MS_PER_MINUTE),
+      kind: REMINDER_KINDS.SNOOZE,
+      ...buildReminderContent(habit)
+    });
+    return id !== null;
+  } catch (error) {
+    console.error('Error snoozing reminder:', error);
+    return false;
+  }
+});
+
+export {
+  REMINDER_KINDS,
+  REMINDER_ACTIONS,
+  MAX_REMINDER_TIMES,
+  REMINDER_WINDOW_DAYS,
+  DEFAULT_SNOOZE_MINUTES,
+  setReminderScheduler,
+  getReminderScheduler,
+  isValidReminderTime,
+  validateReminderTimes,
+  getReminderTimes,
+  getReminderDate,
+  getUpcomingReminderDates,
+  syncHabitReminders,
+  syncAllReminders,
+  cancelHabitReminders,
+  snoozeReminder
+};
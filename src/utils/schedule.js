@@ -0,0 +1,510 @@
+// Habit schedule model and due-date calculations
+import { isDateKey, getLocalDateKey, addDaysToKey } from './localDate';
+import { isPausedOnDate, hasPauses, getVacationRanges } from './habitStatus';
+
+/**
+ * Habit schedule details, interpreted according to the habit's frequency
+ * @typedef {Object} HabitSchedule
+ * @property {number[]} [weekdays] - Days of the week (0 = Sunday) for 'weekdays'
+ * @property {number} [timesPerWeek] - Completions needed per week for 'times_per_week'
+ * @property {number} [intervalDays] - Days between due dates for 'interval'
+ */
+
+/**
+ * A schedule a habit followed before it was edited
+ * @typedef {Object} PastSchedule
+ * @property {string} frequency - Frequency in effect
+ * @property {HabitSchedule|null} schedule - Schedule in effect
+ * @property {string} until - Last 'YYYY-MM-DD' key the schedule applied to
+ */
+
+/**
+ * Supported frequency types
+ */
+const FREQUENCY_TYPES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  WEEKDAYS: 'weekdays',
+  TIMES_PER_WEEK: 'times_per_week',
+  INTERVAL: 'interval'
+};
+
+/**
+ * Short weekday labels indexed by Date#getDay()
+ */
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL_DAYS = 365;
+
+// Date key helpers
+// Completion history stores dates as local 'YYYY-MM-DD' keys, so all schedule
+// math works on whole day numbers derived from those keys.
+
+/**
+ * Convert a date-like value to a local 'YYYY-MM-DD' key
+ * @param {Date|string} date - Date object, ISO string or date key
+ * @returns {string} - Date key
+ */
+const toDateKey = (date) => (isDateKey(date) ? date : getLocalDateKey(date));
+
+/**
+ * Number of days between the epoch and a date key
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @returns {number} - Day number
+ */
+const toDayNumber = (dateKey) => Math.floor(Date.parse(`${dateKey}T00:00:00Z`) / MS_PER_DAY);
+
+/**
+ * Convert a day number back to a date key
+ * @param {number} dayNumber - Days since the epoch
+ * @returns {string} - 'YYYY-MM-DD' key
+ */
+const fromDayNumber = (dayNumber) => new Date(dayNumber * MS_PER_DAY).toISOString().split('T')[0];
+
+/**
+ * Weekday (0 = Sunday) of a date key
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @returns {number} - Weekday index
+ */
+const getWeekday = (dateKey) => ((toDayNumber(dateKey) % 7) + 11) % 7; // 1970-01-01 was a Thursday
+
+/**
+ * Monday-based week number of a date key
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @returns {number} - Week number
+ */
+const getWeekNumber = (dateKey) => Math.floor((toDayNumber(dateKey) + 3) / 7);
+
+/**
+ * Day number of a habit's creation date
+ * @param {Object} habit - Habit object
+ * @returns {number} - Day number, or NaN when createdAt is missing or invalid
+ */
+const getCreationDayNumber = (habit) => {
+  if (isDateKey(habit.createdAt)) return toDayNumber(habit.createdAt);
+  const createdAt = new Date(habit.createdAt);
+  return Number.isNaN(createdAt.getTime()) ? NaN : toDayNumber(toDateKey(createdAt));
+};
+
+// Schedule construction and validation
+
+/**
+ * Whether a frequency is measured per week rather than per day
+ * @param {string} frequency - Habit frequency
+ * @returns {boolean} - True for weekly and times-per-week habits
+ */
+const isPeriodicFrequency = (frequency) => (
+  frequency === FREQUENCY_TYPES.WEEKLY || frequency === FREQUENCY_TYPES.TIMES_PER_WEEK
+);
+
+/**
+ * Build the stored schedule object for a frequency, dropping unrelated fields
+ * @param {string} frequency - Habit frequency
+ * @param {HabitSchedule} [schedule] - Raw schedule input
+ * @returns {HabitSchedule|null} - Normalized schedule or null when the frequency needs none
+ */
+const normalizeSchedule = (frequency, schedule = null) => {
+  const source = schedule || {};
+
+  switch (frequency) {
+    case FREQUENCY_TYPES.WEEKDAYS:
+      return {
+        weekdays: Array.from(new Set((source.weekdays || []).map(Number))).sort((a, b) => a - b)
+      };
+    case FREQUENCY_TYPES.TIMES_PER_WEEK:
+      return { timesPerWeek: Number(source.timesPerWeek) };
+    case FREQUENCY_TYPES.INTERVAL:
+      return { intervalDays: Number(source.intervalDays) };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate a schedule against its frequency
+ * @param {string} frequency - Habit frequency
+ * @param {HabitSchedule|null} schedule - Schedule to validate
+ * @returns {string[]} - Validation errors
+ */
+const validateSchedule = (frequency, schedule) => {
+  const errors = [];
+
+  switch (frequency) {
+    case FREQUENCY_TYPES.WEEKDAYS:
+      if (!schedule || !Array.isArray(schedule.weekdays) || schedule.weekdays.length === 0) {
+        errors.push('Select at least one day of the week');
+      } else if (!schedule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        errors.push('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+      }
+      break;
+    case FREQUENCY_TYPES.TIMES_PER_WEEK: {
+      const times = schedule && schedule.timesPerWeek;
+      if (!Number.isInteger(times) || times < 1 || times > 7) {
+        errors.push('Times per week must be a whole number from 1 to 7');
+      }
+      break;
+    }
+    case FREQUENCY_TYPES.INTERVAL: {
+      const interval = schedule && schedule.intervalDays;
+      if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL_DAYS) {
+        errors.push(`Interval must be a whole number of days from 1 to ${MAX_INTERVAL_DAYS}`);
+      }
+      break;
+    }
+    default:
+      if (schedule != null && typeof schedule !== 'object') {
+        errors.push('Schedule must be an object if provided');
+      }
+  }
+
+  return errors;
+};
+
+// Schedule changes
+// Editing a habit's frequency starts a new schedule from that day. Earlier
+// schedules are kept in habit.scheduleHistory so past days are still judged by
+// the schedule that applied to them, and past totals don't shift after an edit.
+
+/**
+ * Whether a habit has followed more than one schedule
+ * @param {Object} habit - Habit object
+ * @returns {boolean} - True when scheduleHistory has entries
+ */
+const hasScheduleChanges = (habit) => Array.isArray(habit.scheduleHistory) && habit.scheduleHistory.length > 0;
+
+/**
+ * Split a habit's life into the schedules it has followed, oldest first.
+ * Each segment's habit carries that schedule and starts on the segment's first
+ * day, so interval habits re-anchor on the day their schedule changed.
+ * @param {Object} habit - Habit object
+ * @param {Array} [completionHistory] - History to split (defaults to the habit's own)
+ * @returns {Array<Object>} - Segments { habit, startKey, endKey, completionHistory };
+ *   startKey is null for the first segment and endKey is null for the current one
+ */
+const getScheduleSegments = (habit, completionHistory = habit.completionHistory) => {
+  const pastSchedules = hasScheduleChanges(habit) ? habit.scheduleHistory : [];
+  const schedules = [
+    ...pastSchedules,
+    { frequency: habit.frequency, schedule: habit.schedule, until: null }
+  ];
+
+  let startKey = null;
+  return schedules.map(({ frequency, schedule, until }) => {
+    const segment = {
+      habit: {
+        ...habit,
+        frequency,
+        schedule: schedule || null,
+        createdAt: startKey || habit.createdAt,
+        scheduleHistory: []
+      },
+      startKey,
+      endKey: until,
+      completionHistory: (completionHistory || []).filter(entry => (
+        (!startKey || entry.date >= startKey) && (!until || entry.date <= until)
+      ))
+    };
+    startKey = until ? addDaysToKey(until, 1) : null;
+    return segment;
+  });
+};
+
+/**
+ * The habit as it was scheduled on a date
+ * @param {Object} habit - Habit object
+ * @param {Date|string} date - Date to look up
+ * @returns {Object} - Habit carrying the frequency and schedule in effect on that date
+ */
+const getScheduleOnDate = (habit, date) => {
+  if (!hasScheduleChanges(habit)) return habit;
+  const dateKey = toDateKey(date);
+  return getScheduleSegments(habit, []).find(segment => !segment.endKey || dateKey <= segment.endKey).habit;
+};
+
+/**
+ * Record a new frequency and schedule that take effect on a date. The old
+ * schedule is kept for the days before it, unless it never applied to any
+ * day (it started on or after the change), in which case it is replaced.
+ * @param {Object} habit - Habit object
+ * @param {string} frequency - New frequency
+ * @param {HabitSchedule|null} schedule - New schedule
+ * @param {Date|string} [effectiveDate] - First day of the new schedule (defaults to today)
+ * @returns {Object} - Updated habit
+ */
+const changeHabitSchedule = (habit, frequency, schedule, effectiveDate = new Date()) => {
+  const normalized = normalizeSchedule(frequency, schedule);
+  const unchanged = habit.frequency === frequency
+    && JSON.stringify(normalizeSchedule(habit.frequency, habit.schedule)) === JSON.stringify(normalized);
+  if (unchanged) return habit;
+
+  const effectiveKey = toDateKey(effectiveDate);
+  const pastSchedules = hasScheduleChanges(habit) ? habit.scheduleHistory : [];
+  const segments = getScheduleSegments(habit, []);
+  const current = segments[segments.length - 1];
+  const currentStartDay = current.startKey ? toDayNumber(current.startKey) : getCreationDayNumber(habit);
+  const lastDayKey = addDaysToKey(effectiveKey, -1);
+
+  const scheduleHistory = Number.isNaN(currentStartDay) || currentStartDay > toDayNumber(lastDayKey)
+    ? pastSchedules
+    : [...pastSchedules, { frequency: habit.frequency, schedule: habit.schedule || null, until: lastDayKey }];
+
+  return { ...habit, frequency, schedule: normalized, scheduleHistory };
+};
+
+// Due-date calculations
+
+/**
+ * Number of completions a periodic habit needs each week
+ * @param {Object} habit - Habit object
+ * @returns {number} - Weekly target (1 for day-based habits)
+ */
+const getPeriodTarget = (habit) => {
+  if (habit.frequency === FREQUENCY_TYPES.TIMES_PER_WEEK && habit.schedule) {
+    return habit.schedule.timesPerWeek || 1;
+  }
+  return 1;
+};
+
+/**
+ * Day numbers a habit is paused on (by itself or a vacation) within a range
+ * @param {Object} habit - Habit object
+ * @param {number} startDay - First day number to include
+ * @param {number} endDay - Last day number to include
+ * @returns {Set<number>} - Paused day numbers
+ */
+const getPausedDayNumbers = (habit, startDay, endDay) => {
+  const pausedDays = new Set();
+  if (!hasPauses(habit)) return pausedDays;
+
+  [...(habit.pausedRanges || []), ...getVacationRanges()].forEach(range => {
+    const first = Math.max(toDayNumber(range.start), startDay);
+    const last = Math.min(range.end === null ? endDay : toDayNumber(range.end), endDay);
+    for (let day = first; day <= last; day++) {
+      pausedDays.add(day);
+    }
+  });
+  return pausedDays;
+};
+
+/**
+ * Whether any day of a Monday-based week is paused. Periodic habits owe no
+ * target for such weeks.
+ * @param {Object} habit - Habit object
+ * @param {number} week - Week number from getWeekNumber
+ * @returns {boolean} - True if the week's target is waived
+ */
+const isWeekPaused = (habit, week) => getPausedDayNumbers(habit, week * 7 - 3, week * 7 + 3).size > 0;
+
+/**
+ * Whether the schedule asks for the habit on a date, ignoring pauses
+ * @param {Object} habit - Habit object
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @returns {boolean} - True if the schedule includes that date
+ */
+const isScheduledOnDate = (habit, dateKey) => {
+  if (hasScheduleChanges(habit)) {
+    return isScheduledOnDate(getScheduleOnDate(habit, dateKey), dateKey);
+  }
+  const schedule = habit.schedule || {};
+
+  switch (habit.frequency) {
+    case FREQUENCY_TYPES.WEEKDAYS:
+      return Array.isArray(schedule.weekdays) && schedule.weekdays.includes(getWeekday(dateKey));
+    case FREQUENCY_TYPES.INTERVAL: {
+      const interval = schedule.intervalDays || 1;
+      const anchor = getCreationDayNumber(habit);
+      if (Number.isNaN(anchor)) return true;
+      const offset = toDayNumber(dateKey) - anchor;
+      return ((offset % interval) + interval) % interval === 0;
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Check whether a habit is due on a date. Weekly and times-per-week habits
+ * can be done on any day, so every day counts as due for them. Paused days are never due.
+ * @param {Object} habit - Habit object
+ * @param {Date|string} date - Date to check
+ * @returns {boolean} - True if the habit is due on that date
+ */
+const isDueOnDate = (habit, date) => {
+  const dateKey = toDateKey(date);
+  return !isPausedOnDate(habit, dateKey) && isScheduledOnDate(habit, dateKey);
+};
+
+/**
+ * Count the due occurrences between a habit's creation and a date (inclusive).
+ * Periodic habits count their weekly target once per week touched, except
+ * weeks with a paused day; day-based habits skip paused days.
+ * @param {Object} habit - Habit object
+ * @param {Date|string} [endDate] - Last date to include (defaults to today)
+ * @returns {number} - Number of due occurrences
+ */
+const countDueOccurrences = (habit, endDate = new Date()) => {
+  if (hasScheduleChanges(habit)) {
+    const endKey = toDateKey(endDate);
+    return getScheduleSegments(habit).reduce((sum, segment) => (
+      sum + countDueOccurrences(segment.habit, segment.endKey && segment.endKey < endKey ? segment.endKey : endKey)
+    ), 0);
+  }
+
+  const startDay = getCreationDayNumber(habit);
+  const endDay = toDayNumber(toDateKey(endDate));
+
+  if (Number.isNaN(startDay) || endDay < startDay) {
+    return 0;
+  }
+
+  const schedule = habit.schedule || {};
+  const days = endDay - startDay + 1;
+  const pausedDays = getPausedDayNumbers(habit, startDay, endDay);
+  const pausedDueDays = () => [...pausedDays]
+    .filter(day => isScheduledOnDate(habit, fromDayNumber(day))).length;
+
+  switch (habit.frequency) {
+    case FREQUENCY_TYPES.WEEKLY:
+    case FREQUENCY_TYPES.TIMES_PER_WEEK: {
+      const weeks = Math.floor((endDay + 3) / 7) - Math.floor((startDay + 3) / 7) + 1;
+      const pausedWeeks = new Set([...pausedDays].map(day => Math.floor((day + 3) / 7)));
+      return (weeks - pausedWeeks.size) * getPeriodTarget(habit);
+    }
+    case FREQUENCY_TYPES.WEEKDAYS: {
+      const weekdays = new Set(schedule.weekdays || []);
+      let count = 0;
+      for (let day = startDay; day <= endDay; day++) {
+        if (weekdays.has(((day % 7) + 11) % 7) && !pausedDays.has(day)) count++;
+      }
+      return count;
+    }
+    case FREQUENCY_TYPES.INTERVAL:
+      return Math.floor((days - 1) / (schedule.intervalDays || 1)) + 1 - pausedDueDays();
+    default:
+      return days - pausedDays.size;
+  }
+};
+
+/**
+ * Count completions that satisfied the schedule. Day-based habits count
+ * completed due dates; periodic habits count at most their target per week.
+ * @param {Object} habit - Habit object
+ * @param {Array} [completionHistory] - History to count (defaults to the habit's own)
+ * @returns {number} - Number of completed occurrences
+ */
+const countCompletedOccurrences = (habit, completionHistory = habit.completionHistory) => {
+  if (hasScheduleChanges(habit)) {
+    return getScheduleSegments(habit, completionHistory).reduce((sum, segment) => (
+      sum + countCompletedOccurrences(segment.habit, segment.completionHistory)
+    ), 0);
+  }
+
+  const completedEntries = (completionHistory || []).filter(entry => entry.completed);
+
+  if (isPeriodicFrequency(habit.frequency)) {
+    const perWeek = new Map();
+    completedEntries.forEach(entry => {
+      const week = getWeekNumber(entry.date);
+      perWeek.set(week, (perWeek.get(week) || 0) + 1);
+    });
+
+    const target = getPeriodTarget(habit);
+    let total = 0;
+    perWeek.forEach((count, week) => {
+      if (!isWeekPaused(habit, week)) total += Math.min(count, target);
+    });
+    return total;
+  }
+
+  return completedEntries.filter(entry => isDueOnDate(habit, entry.date)).length;
+};
+
+// Completion editing window
+
+/**
+ * Range of dates whose completion can still be edited: from the later of the
+ * creation date and the backfill limit, up to today
+ * @param {Object} habit - Habit object
+ * @param {number|null} maxDaysBack - Days before today that stay editable (null for no limit)
+ * @param {Date|string} [today] - Today's date (defaults to the current local day)
+ * @returns {{firstKey: string, lastKey: string}} - Inclusive date key range
+ */
+const getEditableDateRange = (habit, maxDaysBack, today = new Date()) => {
+  const todayDay = toDayNumber(toDateKey(today));
+  let firstDay = getCreationDayNumber(habit);
+
+  if (Number.isNaN(firstDay) || firstDay > todayDay) {
+    firstDay = todayDay;
+  }
+  if (Number.isInteger(maxDaysBack) && maxDaysBack >= 0) {
+    firstDay = Math.max(firstDay, todayDay - maxDaysBack);
+  }
+
+  return { firstKey: fromDayNumber(firstDay), lastKey: fromDayNumber(todayDay) };
+};
+
+/**
+ * Check whether a date's completion can be edited
+ * @param {Object} habit - Habit object
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @param {number|null} maxDaysBack - Days before today that stay editable (null for no limit)
+ * @param {Date|string} [today] - Today's date (defaults to the current local day)
+ * @returns {boolean} - True if the date is inside the editable range
+ */
+const isDateEditable = (habit, dateKey, maxDaysBack, today = new Date()) => {
+  const { firstKey, lastKey } = getEditableDateRange(habit, maxDaysBack, today);
+  return isDateKey(dateKey) && dateKey >= firstKey && dateKey <= lastKey;
+};
+
+/**
+ * Human readable description of a habit's schedule
+ * @param {Object} habit - Habit object
+ * @returns {string} - Schedule text, e.g. "Mon, Wed, Fri" or "3× per week"
+ */
+const getScheduleText = (habit) => {
+  const schedule = habit.schedule || {};
+
+  switch (habit.frequency) {
+    case FREQUENCY_TYPES.WEEKDAYS: {
+      const weekdays = schedule.weekdays || [];
+      if (weekdays.length === 7) return 'Every day';
+      if (weekdays.length === 5 && [1, 2, 3, 4, 5].every(day => weekdays.includes(day))) return 'Weekdays';
+      if (weekdays.length === 2 && weekdays.includes(0) && weekdays.includes(6)) return 'Weekends';
+      return weekdays.map(day => WEEKDAY_LABELS[day]).join(', ');
+    }
+    case FREQUENCY_TYPES.TIMES_PER_WEEK:
+      return `${schedule.timesPerWeek}× per week`;
+    case FREQUENCY_TYPES.INTERVAL:
+      return schedule.intervalDays === 2 ? 'Every other day' : `Every ${schedule.intervalDays} days`;
+    default: {
+      const frequency = habit.frequency || FREQUENCY_TYPES.DAILY;
+      return frequency.charAt(0).toUpperCase() + frequency.slice(1);
+    }
+  }
+};
+
+export {
+  FREQUENCY_TYPES,
+  WEEKDAY_LABELS,
+  toDateKey,
+  toDayNumber,
+  fromDayNumber,
+  getWeekday,
+  getWeekNumber,
+  isPeriodicFrequency,
+  normalizeSchedule,
+  validateSchedule,
+  getPeriodTarget,
+  isDueOnDate,
+  isWeekPaused,
+  countDueOccurrences,
+  countCompletedOccurrences,
+  hasScheduleChanges,
+  getScheduleSegments,
+  getScheduleOnDate,
+  changeHabitSchedule,
+  getEditableDateRange,
+  isDateEditable,
+  getScheduleText
+};
@@ -0,0 +1,81 @@
+// SQLite storage adapter
+// Keeps each storage key as a row of a key-value table. Takes an expo-sqlite
+// database, or any object with the same async methods (execAsync, runAsync,
+// getFirstAsync, getAllAsync, withTransactionAsync), so Node scripts can bring
+// their own SQLite driver.
+
+const SQLITE_STORAGE_TABLE = 'storage';
+
+/**
+ * Database methods the adapter uses, as provided by expo-sqlite
+ * @typedef {Object} SqliteDatabase
+ * @property {function(string): Promise<void>} execAsync - Run SQL without parameters
+ * @property {function(string, Array): Promise<*>} runAsync - Run a statement with parameters
+ * @property {function(string, Array): Promise<Object|null>} getFirstAsync - First row of a query, or null
+ * @property {function(string, Array): Promise<Object[]>} getAllAsync - Every row of a query
+ * @property {function(Function): Promise<void>} withTransactionAsync - Run a task in a
+ *   transaction, rolled back if it throws
+ */
+
+/**
+ * Create an adapter that keeps data in a SQLite database
+ * @param {SqliteDatabase} db - Open database
+ * @returns {import('./storage').StorageAdapter} - Storage adapter
+ */
+const createSqliteStorageAdapter = (db) => {
+  let ready = null;
+
+  // Create the table on first use; a failed attempt is retried next time
+  const prepare = () => {
+    if (!ready) {
+      ready = db.execAsync(
+        `CREATE TABLE IF NOT EXISTS ${SQLITE_STORAGE_TABLE} (key TEXT PRIMARY KEY NOT NULL, value TEXT NOT NULL)`
+      ).catch(error => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  };
+
+  return {
+    getItem: async (key) => {
+      await prepare();
+      const row = await db.getFirstAsync(`SELECT value FROM ${SQLITE_STORAGE_TABLE} WHERE key = ?`, [key]);
+      return row ? row.value : null;
+    },
+
+    setItem: async (key, value) => {
+      await prepare();
+      await db.runAsync(
+        `INSERT OR REPLACE INTO ${SQLITE_STORAGE_TABLE} (key, value) VALUES (?, ?)`,
+        [key, String(value)]
+      );
+    },
+
+    multiSet: async (entries) => {
+      await prepare();
+      await db.withTransactionAsync(async () => {
+        for (const [key, value] of entries) {
+          await db.runAsync(
+            `INSERT OR REPLACE INTO ${SQLITE_STORAGE_TABLE} (key, value) VALUES (?, ?)`,
+            [key, String(value)]
+          );
+        }
+      });
+    },
+
+    removeItem: async (key) => {
+      await prepare();
+      await db.runAsync(`DELETE FROM ${SQLITE_STORAGE_TABLE} WHERE key = ?`, [key]);
+    },
+
+    getAllKeys: async () => {
+      await prepare();
+      const rows = await db.getAllAsync(`SELECT key FROM ${SQLITE_STORAGE_TABLE}`, []);
+      return rows.map(row => row.key);
+    }
+  };
+};
+
+export { SQLITE_STORAGE_TABLE, createSqliteStorageAdapter };
@@ -1,320 +1,1944 @@
-// Storage utility functions for AsyncStorage operations
+// Storage utility functions on top of a pluggable storage backend
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { STORAGE_KEYS, DEFAULT_VALUES, validateStoredData, generateUUID } from './types';
+import { createAsyncStorageAdapter } from './asyncStorageAdapter';
+import {
+  KEY_DERIVATION,
+  KEY_DERIVATION_ITERATIONS,
+  SALT_LENGTH,
+  randomBytes,
+  bytesToBase64,
+  base64ToBytes,
+  validatePasscode,
+  derivePasscodeKey,
+  createDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  isEncryptedValue,
+  getValueKeyId,
+  encryptValue,
+  decryptValue
+} from './encryption';
+import { STORAGE_KEYS, DEFAULT_VALUES, validateStoredData, validateHabit, generateUUID } from './types';
+import {
+  normalizeSchedule,
+  countDueOccurrences,
+  countCompletedOccurrences,
+  getEditableDateRange,
+  isDateEditable,
+  changeHabitSchedule,
+  getWeekNumber
+} from './schedule';
+import {
+  getHabitKey,
+  getHistoryChunkKey,
+  getMonthKey,
+  isHabitIndex,
+  getWeekMonths,
+  splitHabit,
+  joinHabit
+} from './habitLayout';
+import {
+  normalizeMeasurement,
+  isMeasurableHabit,
+  buildMeasuredEntry,
+  getEntryAmount
+} from './measurement';
+import { getTodayKey, getLocalDateKey, setDayRolloverHour, isValidRolloverHour } from './localDate';
+import {
+  isValidPauseRange,
+  validateVacation,
+  setVacationRanges,
+  pauseHabitFrom,
+  resumeHabitFrom,
+  endVacationsBefore
+} from './habitStatus';
+import { stampCompletionTime } from './completionTimes';
+import {
+  syncHabitReminders,
+  syncAllReminders,
+  cancelHabitReminders
+} from './reminders';
+import { validateAIProviderSettings } from './aiProviders';
+import { validateConnectivitySettings } from './networkStatus';
+
+// Serialized writes
+// Every change to stored data runs through one queue, so a read-modify-write
+// never interleaves with another and quick successive changes can't drop each
+// other. Code already running in the queue must use the unqueued helpers
+// (setStorageData, readHabits, loadHabitsForWrite, writeHabits and the like):
+// a queued call from inside the queue would wait for itself forever.
+
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a storage change once every change queued before it has finished
+ * @param {Function} task - Async change to run
+ * @returns {Promise<*>} - Result of the task
+ */
+const queueWrite = (task) => {
+  const result = writeQueue.then(() => task());
+  // A failed change must not block the ones queued after it
+  writeQueue = result.catch(() => {});
+  return result;
+};
+
+// Storage backend
+// Everything is kept as JSON strings under string keys in a storage adapter:
+// AsyncStorage by default, or SQLite or memory when set at app start.
+
+/**
+ * Key-value backend that stored data is read from and written to
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): Promise<string|null>} getItem - Value of a key, or null if unset
+ * @property {function(string, string): Promise<void>} setItem - Store a value under a key
+ * @property {function(Array<Array<string>>): Promise<void>} multiSet - Store [key, value]
+ *   pairs in one write: all of them, or none if it fails
+ * @property {function(string): Promise<void>} removeItem - Remove a key
+ * @property {function(): Promise<string[]>} getAllKeys - Every key that is set
+ */
+
+let storageAdapter = createAsyncStorageAdapter();
+
+/**
+ * Set the backend that data is stored in. Data isn't copied between
+ * backends, so set it before anything is read.
+ * @param {StorageAdapter|null} adapter - Storage adapter, or null for AsyncStorage
+ */
+const setStorageAdapter = (adapter) => {
+  storageAdapter = adapter || createAsyncStorageAdapter();
+};
+
+/**
+ * Get the backend in use
+ * @returns {StorageAdapter} - Storage adapter
+ */
+const getStorageAdapter = () => storageAdapter;
+
+// Encryption at rest
+// With a passcode set, habits, their history, backups, undo history,
+// achievements, cached AI tips, sync state, the outbox and the coach conversation
+// are stored encrypted (see encryption.js).
+// Preferences and the encryption settings themselves stay readable, so the
+// app can start and show the lock screen. Until the passcode is entered the
+// protected keys read as missing and can't be written.
+
+/**
+ * Encryption settings stored under STORAGE_KEYS.ENCRYPTION
+ * @typedef {Object} EncryptionSettings
+ * @property {string} kdf - Key derivation function, 'pbkdf2-sha256'
+ * @property {number} iterations - Key derivation iterations
+ * @property {string} salt - Base64 salt of the passcode key
+ * @property {string} currentKeyId - ID of the data key new values are sealed with
+ * @property {Object<string, string>} keys - Wrapped data keys by ID; older keys
+ *   are kept until every value sealed with them has been re-encrypted
+ * @property {boolean} rekeying - True while values are being re-encrypted;
+ *   an interrupted run is finished on the next unlock
+ */
+
+let encryptionSettings = null;
+let dataKeys = null;
+
+/**
+ * Whether a key holds personal data that is encrypted when a passcode is set
+ * @param {string} key - Storage key
+ * @returns {boolean} - True for a protected key
+ */
+const isProtectedKey = (key) => (
+  key === STORAGE_KEYS.HABITS
+  || key.startsWith(`${STORAGE_KEYS.HABITS}/`)
+  || key === STORAGE_KEYS.BACKUPS
+  || key.startsWith(`${STORAGE_KEYS.BACKUPS}/`)
+  || [
+    STORAGE_KEYS.HABITS_BACKUP,
+    STORAGE_KEYS.UNDO_HISTORY,
+    STORAGE_KEYS.ACHIEVEMENTS,
+    STORAGE_KEYS.AI_CACHE,
+    STORAGE_KEYS.SYNC_STATE,
+    STORAGE_KEYS.OUTBOX,
+    STORAGE_KEYS.COACH_CONVERSATION,
+    STORAGE_KEYS.AI_CREDENTIALS
+  ].includes(key)
+);
+
+/**
+ * Turn a value read from the backend back into JSON
+ * @param {string} storedValue - Stored value, encrypted or not
+ * @returns {string} - JSON value
+ */
+const decodeStoredValue = (storedValue) => {
+  if (!isEncryptedValue(storedValue)) return storedValue;
+  const key = dataKeys && dataKeys.get(getValueKeyId(storedValue));
+  if (!key) throw new Error('Storage is locked');
+  return decryptValue(key, storedValue);
+};
+
+/**
+ * Turn JSON into the value written to the backend
+ * @param {string} key - Storage key
+ * @param {string} jsonValue - JSON value
+ * @returns {string} - Value to store, encrypted for protected keys
+ */
+const encodeStoredValue = (key, jsonValue) => {
+  if (!encryptionSettings || !isProtectedKey(key)) return jsonValue;
+  if (!dataKeys) throw new Error('Storage is locked');
+  const { currentKeyId } = encryptionSettings;
+  return encryptValue({ id: currentKeyId, key: dataKeys.get(currentKeyId) }, jsonValue);
+};
+
+/**
+ * Derive the passcode key and unwrap every data key in the settings
+ * @param {EncryptionSettings} settings - Stored encryption settings
+ * @param {string} passcode - User passcode
+ * @returns {Promise<Map<string, Uint8Array>|null>} - Data keys by ID, or null for a wrong passcode
+ */
+const unwrapDataKeys = async (settings, passcode) => {
+  const passcodeKey = await derivePasscodeKey(passcode, base64ToBytes(settings.salt), settings.iterations);
+  try {
+    return new Map(Object.entries(settings.keys).map(([id, wrapped]) => [id, unwrapDataKey(passcodeKey, wrapped)]));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build settings that wrap the given data keys with a new passcode
+ * @param {string} passcode - New passcode
+ * @param {Map<string, Uint8Array>} keys - Data keys by ID
+ * @param {string} currentKeyId - ID of the key new values are sealed with
+ * @returns {Promise<EncryptionSettings>} - Settings to store
+ */
+const buildEncryptionSettings = async (passcode, keys, currentKeyId) => {
+  const salt = randomBytes(SALT_LENGTH);
+  const passcodeKey = await derivePasscodeKey(passcode, salt, KEY_DERIVATION_ITERATIONS);
+  const wrapped = {};
+  keys.forEach((key, id) => {
+    wrapped[id] = wrapDataKey(passcodeKey, key);
+  });
+  return {
+    kdf: KEY_DERIVATION,
+    iterations: KEY_DERIVATION_ITERATIONS,
+    salt: bytesToBase64(salt),
+    currentKeyId,
+    keys: wrapped,
+    rekeying: keys.size > 1
+  };
+};
+
+/**
+ * Rewrite every protected value with the current data key (or as plain JSON
+ * when encryption is off), then drop data keys that are no longer used.
+ * Runs inside the write queue.
+ * @returns {Promise<void>}
+ */
+const reencryptProtectedData = async () => {
+  const keys = (await storageAdapter.getAllKeys()).filter(isProtectedKey);
+  for (const key of keys) {
+    const storedValue = await storageAdapter.getItem(key);
+    if (storedValue == null) continue;
+    if (encryptionSettings && isEncryptedValue(storedValue)
+      && getValueKeyId(storedValue) === encryptionSettings.currentKeyId) continue;
+    await storageAdapter.setItem(key, encodeStoredValue(key, decodeStoredValue(storedValue)));
+  }
+
+  if (encryptionSettings) {
+    const { currentKeyId } = encryptionSettings;
+    encryptionSettings = {
+      ...encryptionSettings,
+      keys: { [currentKeyId]: encryptionSettings.keys[currentKeyId] },
+      rekeying: false
+    };
+    dataKeys = new Map([[currentKeyId, dataKeys.get(currentKeyId)]]);
+    await storageAdapter.setItem(STORAGE_KEYS.ENCRYPTION, JSON.stringify(encryptionSettings));
+  }
+};
+
+/**
+ * Read the stored encryption settings. With a passcode set, storage starts
+ * locked until unlockStorage is called with it.
+ * @returns {Promise<{enabled: boolean, locked: boolean}>} - Encryption status
+ */
+const applyEncryptionSettings = async () => {
+  try {
+    const jsonValue = await storageAdapter.getItem(STORAGE_KEYS.ENCRYPTION);
+    encryptionSettings = jsonValue != null ? JSON.parse(jsonValue) : null;
+  } catch (error) {
+    console.error('Error loading encryption settings:', error);
+  }
+  dataKeys = null;
+  return getEncryptionStatus();
+};
+
+/**
+ * Whether a passcode is set and whether it still has to be entered
+ * @returns {{enabled: boolean, locked: boolean}} - Encryption status
+ */
+const getEncryptionStatus = () => ({
+  enabled: Boolean(encryptionSettings),
+  locked: Boolean(encryptionSettings) && !dataKeys
+});
+
+/**
+ * Unlock encrypted data with the passcode
+ * @param {string} passcode - User passcode
+ * @returns {Promise<boolean>} - True when unlocked, false for a wrong passcode
+ */
+const unlockStorage = async (passcode) => {
+  try {
+    return await queueWrite(async () => {
+      if (!encryptionSettings) return true;
+
+      const keys = await unwrapDataKeys(encryptionSettings, passcode);
+      if (!keys) return false;
+
+      dataKeys = keys;
+      if (encryptionSettings.rekeying) await reencryptProtectedData();
+      return true;
+    });
+  } catch (error) {
+    console.error('Error unlocking storage:', error);
+    return false;
+  }
+};
+
+/**
+ * Set a passcode and encrypt the protected data with it
+ * @param {string} passcode - New passcode
+ * @returns {Promise<boolean>} - Success status
+ */
+const enableEncryption = async (passcode) => {
+  try {
+    if (validatePasscode(passcode).length > 0) {
+      console.warn('Invalid passcode');
+      return false;
+    }
+
+    return await queueWrite(async () => {
+      if (encryptionSettings) {
+        console.warn('A passcode is already set');
+        return false;
+      }
+
+      const dataKey = createDataKey();
+      const keys = new Map([[dataKey.id, dataKey.key]]);
+      const settings = { ...await buildEncryptionSettings(passcode, keys, dataKey.id), rekeying: true };
+      await storageAdapter.setItem(STORAGE_KEYS.ENCRYPTION, JSON.stringify(settings));
+      encryptionSettings = settings;
+      dataKeys = keys;
+
+      // Moves an API key saved with the preferences by earlier versions
+      await writeUserPreferences({});
+      await reencryptProtectedData();
+      return true;
+    });
+  } catch (error) {
+    console.error('Error enabling encryption:', error);
+    return false;
+  }
+};
+
+/**
+ * Change the passcode. Everything is re-encrypted with a new data key; if
+ * that is interrupted, the new passcode unlocks the data and the next unlock
+ * finishes the job.
+ * @param {string} currentPasscode - Passcode in use
+ * @param {string} newPasscode - Passcode to switch to
+ * @returns {Promise<boolean>} - Success status; false for a wrong current passcode
+ */
+const changePasscode = async (currentPasscode, newPasscode) => {
+  try {
+    if (validatePasscode(newPasscode).length > 0) {
+      console.warn('Invalid passcode');
+      return false;
+    }
+
+    return await queueWrite(async () => {
+      if (!encryptionSettings) {
+        console.warn('No passcode is set');
+        return false;
+      }
+
+      const keys = await unwrapDataKeys(encryptionSettings, currentPasscode);
+      if (!keys) return false;
+
+      const dataKey = createDataKey();
+      keys.set(dataKey.id, dataKey.key);
+      const settings = await buildEncryptionSettings(newPasscode, keys, dataKey.id);
+      await storageAdapter.setItem(STORAGE_KEYS.ENCRYPTION, JSON.stringify(settings));
+      encryptionSettings = settings;
+      dataKeys = keys;
+
+      await reencryptProtectedData();
+      return true;
+    });
+  } catch (error) {
+    console.error('Error changing passcode:', error);
+    return false;
+  }
+};
+
+/**
+ * Remove the passcode and store everything unencrypted again
+ * @param {string} passcode - Passcode in use
+ * @returns {Promise<boolean>} - Success status; false for a wrong passcode
+ */
+const disableEncryption = async (passcode) => {
+  try {
+    return await queueWrite(async () => {
+      if (!encryptionSettings) return true;
+
+      const keys = await unwrapDataKeys(encryptionSettings, passcode);
+      if (!keys) return false;
+
+      // The settings are removed last, so an interrupted run can be repeated
+      dataKeys = keys;
+      const settings = encryptionSettings;
+      encryptionSettings = null;
+      try {
+        await reencryptProtectedData();
+      } catch (error) {
+        encryptionSettings = settings;
+        throw error;
+      }
+      await storageAdapter.removeItem(STORAGE_KEYS.ENCRYPTION);
+      dataKeys = null;
+      return true;
+    });
+  } catch (error) {
+    console.error('Error disabling encryption:', error);
+    return false;
+  }
+};
 
 // Generic storage helper functions
 
 /**
- * Get data from AsyncStorage with error handling
- * @param {string} key - Storage key
- * @param {*} defaultValue - Default value if key doesn't exist
- * @returns {Promise<*>} - Retrieved data or default value
+ * Get data from storage with error handling
+ * @param {string} key - Storage key
+ * @param {*} defaultValue - Default value if key doesn't exist
+ * @returns {Promise<*>} - Retrieved data or default value
+ */
+const getStorageData = async (key, defaultValue = null) => {
+  try {
+    const storedValue = await storageAdapter.getItem(key);
+    return storedValue != null ? JSON.parse(decodeStoredValue(storedValue)) : defaultValue;
+  } catch (error) {
+    console.error(`Error getting data for key ${key}:`, error);
+    return defaultValue;
+  }
+};
+
+/**
+ * Set data in storage with error handling
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {Promise<boolean>} - Success status
+ */
+const setStorageData = async (key, value) => {
+  try {
+    const jsonValue = JSON.stringify(value);
+    await storageAdapter.setItem(key, encodeStoredValue(key, jsonValue));
+    return true;
+  } catch (error) {
+    console.error(`Error setting data for key ${key}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Set several keys in one write, so a failure or crash part way leaves none
+ * of them changed
+ * @param {Array<Array>} entries - [key, value] pairs to store
+ * @returns {Promise<boolean>} - Success status
+ */
+const setStorageEntries = async (entries) => {
+  try {
+    await storageAdapter.multiSet(entries.map(([key, value]) => [key, encodeStoredValue(key, JSON.stringify(value))]));
+    return true;
+  } catch (error) {
+    console.error(`Error setting data for keys ${entries.map(([key]) => key).join(', ')}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Update data in storage with error handling
+ * @param {string} key - Storage key
+ * @param {Function} updateFunction - Function to update the data
+ * @returns {Promise<boolean>} - Success status
+ */
+const updateStorageData = async (key, updateFunction) => {
+  try {
+    return await queueWrite(async () => {
+      const currentData = await getStorageData(key, {});
+      const updatedData = updateFunction(currentData);
+      return await setStorageData(key, updatedData);
+    });
+  } catch (error) {
+    console.error(`Error updating data for key ${key}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Delete data from storage with error handling
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>} - Success status
+ */
+const deleteStorageData = async (key) => {
+  try {
+    await storageAdapter.removeItem(key);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting data for key ${key}:`, error);
+    return false;
+  }
+};
+
+// Schema migrations
+
+/**
+ * Version assumed for stored blobs written before the version field existed
+ */
+const LEGACY_VERSION = '1.0.0';
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+const compareVersions = (a, b) => {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * Apply a transform to every habit of a stored blob, leaving malformed blobs
+ * untouched so validation can report them
+ * @param {Object} data - Stored data blob
+ * @param {Function} transform - Habit transform
+ * @returns {Object} - Transformed blob
+ */
+const mapStoredHabits = (data, transform) => ({
+  ...data,
+  habits: Array.isArray(data.habits)
+    ? data.habits.map(habit => (habit && typeof habit === 'object' ? transform(habit) : habit))
+    : data.habits
+});
+
+/**
+ * Ordered registry of stored data migrations. Each entry upgrades a blob
+ * written by the previous schema version to `version`. Append new entries
+ * here and bump DEFAULT_VALUES.VERSION when the Habit shape changes.
+ */
+const MIGRATIONS = [
+  {
+    version: '1.1.0',
+    description: 'Normalize completion history: boolean flags, one entry per date, sorted',
+    up: (data) => mapStoredHabits(data, habit => {
+      if (!Array.isArray(habit.completionHistory)) {
+        return habit;
+      }
+
+      const entriesByDate = new Map();
+      habit.completionHistory
+        .filter(entry => entry && typeof entry.date === 'string')
+        .forEach(entry => {
+          entriesByDate.set(entry.date, { ...entry, completed: Boolean(entry.completed) });
+        });
+
+      const completionHistory = Array.from(entriesByDate.values())
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      return { ...habit, completionHistory };
+    })
+  },
+  {
+    version: '1.2.0',
+    description: 'Add structured schedule to habits',
+    up: (data) => mapStoredHabits(data, habit => (
+      habit.schedule === undefined ? { ...habit, schedule: null } : habit
+    ))
+  },
+  {
+    version: '1.3.0',
+    description: 'Add habit type with target amount and unit',
+    up: (data) => mapStoredHabits(data, habit => (
+      habit.type === undefined ? { ...habit, ...normalizeMeasurement() } : habit
+    ))
+  },
+  {
+    version: '1.4.0',
+    description: 'Add archive and pause state to habits',
+    up: (data) => mapStoredHabits(data, habit => ({
+      ...habit,
+      archivedAt: habit.archivedAt === undefined ? null : habit.archivedAt,
+      pausedRanges: habit.pausedRanges === undefined ? [] : habit.pausedRanges
+    }))
+  },
+  {
+    version: '1.5.0',
+    description: 'Add extra reminder times to habits',
+    up: (data) => mapStoredHabits(data, habit => ({
+      ...habit,
+      reminderTimes: Array.isArray(habit.reminderTimes) ? habit.reminderTimes : []
+    }))
+  },
+  {
+    version: '1.6.0',
+    description: 'Add completion timestamps to history entries (unknown for older entries)',
+    up: (data) => mapStoredHabits(data, habit => (
+      Array.isArray(habit.completionHistory)
+        ? { ...habit, completionHistory: habit.completionHistory.map(entry => stampCompletionTime(entry, entry, null)) }
+        : habit
+    ))
+  }
+];
+
+/**
+ * Run every migration newer than the blob's version, in order
+ * @param {Object} storedData - Raw stored data blob
+ * @returns {{data: Object, migrated: boolean, fromVersion: string, toVersion: string}} - Migration result
+ */
+const migrateStoredData = (storedData) => {
+  const fromVersion = (storedData && typeof storedData.version === 'string')
+    ? storedData.version
+    : LEGACY_VERSION;
+
+  if (compareVersions(fromVersion, DEFAULT_VALUES.VERSION) >= 0) {
+    return { data: storedData, migrated: false, fromVersion, toVersion: fromVersion };
+  }
+
+  const data = MIGRATIONS
+    .filter(migration => compareVersions(migration.version, fromVersion) > 0)
+    .reduce((current, migration) => ({
+      ...migration.up(current),
+      version: migration.version
+    }), { ...storedData, version: fromVersion });
+
+  return {
+    data: { ...data, version: DEFAULT_VALUES.VERSION },
+    migrated: true,
+    fromVersion,
+    toVersion: DEFAULT_VALUES.VERSION
+  };
+};
+
+/**
+ * Back up a pre-migration blob under its own key
+ * @param {Object} storedData - Raw stored data blob
+ * @param {string} fromVersion - Version the blob was written with
+ * @returns {Promise<boolean>} - Success status
+ */
+const backupStoredData = async (storedData, fromVersion) => {
+  return await setStorageData(STORAGE_KEYS.HABITS_BACKUP, {
+    version: fromVersion,
+    backedUpAt: new Date().toISOString(),
+    data: storedData
+  });
+};
+
+// Per-habit layout
+// See habitLayout.js for the keys. getHabits assembles the full list; writes
+// touch only the records and history months that changed.
+
+/**
+ * Load some months of a habit's history
+ * @param {string} habitId - Habit ID
+ * @param {string[]} months - 'YYYY-MM' months to load
+ * @returns {Promise<Object<string, Array>>} - Entries by month
+ */
+const readHistoryChunks = async (habitId, months) => {
+  const chunks = {};
+  for (const month of months) {
+    chunks[month] = await getStorageData(getHistoryChunkKey(habitId, month), []);
+  }
+  return chunks;
+};
+
+/**
+ * Read the stored habit data as one blob, whichever layout it is in
+ * @returns {Promise<{data: Object|null, singleBlob: boolean}>} - Stored data
+ *   ({habits, lastUpdated, version}, null if nothing is stored) and whether
+ *   it is still a single blob from before the per-habit layout
+ */
+const readStoredData = async () => {
+  const stored = await getStorageData(STORAGE_KEYS.HABITS, null);
+  if (!isHabitIndex(stored)) {
+    return { data: stored, singleBlob: Boolean(stored) };
+  }
+
+  const habits = [];
+  for (const habitId of stored.habitIds) {
+    const record = await getStorageData(getHabitKey(habitId), null);
+    if (!record) {
+      console.warn(`Stored habit ${habitId} is missing`);
+      continue;
+    }
+    habits.push(joinHabit(record, await readHistoryChunks(habitId, record.historyMonths || [])));
+  }
+  return {
+    data: { habits, lastUpdated: stored.lastUpdated, version: stored.version },
+    singleBlob: false
+  };
+};
+
+/**
+ * Number of saves recorded in the habits index, which backups are spaced by
+ * @param {Object|null} index - Parsed value of the habits key
+ * @returns {number} - Saves so far; 0 for data from before the count was kept
+ */
+const getWriteCount = (index) => (isHabitIndex(index) && index.writeCount) || 0;
+
+/**
+ * Serialize habits the way they are stored, to tell later which keys changed
+ * @param {Array} habits - Habits as read from storage
+ * @returns {Map<string, Object>} - Record and history month JSON by habit ID
+ */
+const getLayoutBaseline = (habits) => new Map(habits.map(habit => {
+  const { record, chunks } = splitHabit(habit);
+  const chunkJson = {};
+  Object.keys(chunks).forEach(month => {
+    chunkJson[month] = JSON.stringify(chunks[month]);
+  });
+  return [habit.id, { record: JSON.stringify(record), chunks: chunkJson, months: record.historyMonths }];
+}));
+
+/**
+ * Write habit data in the per-habit layout. Records and history months that
+ * match the baseline are skipped; the rest are saved with the index in one
+ * batch, so a failed save changes none of them, and keys no longer used are
+ * removed after it.
+ * @param {Object} storedData - Data to store ({habits, lastUpdated, version})
+ * @param {Map|null} baseline - getLayoutBaseline of what is stored, or null to write everything
+ * @returns {Promise<{saved: boolean, changed: boolean}>} - Success and whether anything was written
+ */
+const writeStoredData = async (storedData, baseline) => {
+  const index = await getStorageData(STORAGE_KEYS.HABITS, null);
+  const stored = baseline || new Map();
+
+  // Keys of every habit the index lists, dropped from the set as they are reused
+  const staleKeys = new Set();
+  for (const habitId of isHabitIndex(index) ? index.habitIds : []) {
+    const known = stored.get(habitId);
+    const record = known ? null : await getStorageData(getHabitKey(habitId), null);
+    const months = known ? known.months : (record && record.historyMonths) || [];
+    staleKeys.add(getHabitKey(habitId));
+    months.forEach(month => staleKeys.add(getHistoryChunkKey(habitId, month)));
+  }
+
+  const entries = [];
+  for (const habit of storedData.habits) {
+    const { record, chunks } = splitHabit(habit);
+    const before = stored.get(habit.id);
+
+    for (const month of record.historyMonths) {
+      const key = getHistoryChunkKey(habit.id, month);
+      staleKeys.delete(key);
+      if (before && before.chunks[month] === JSON.stringify(chunks[month])) continue;
+      entries.push([key, chunks[month]]);
+    }
+
+    staleKeys.delete(getHabitKey(habit.id));
+    if (before && before.record === JSON.stringify(record)) continue;
+    entries.push([getHabitKey(habit.id), record]);
+  }
+
+  const habitIds = storedData.habits.map(habit => habit.id);
+  const sameIndex = isHabitIndex(index) &&
+    index.version === storedData.version &&
+    JSON.stringify(index.habitIds) === JSON.stringify(habitIds);
+  if (entries.length === 0 && sameIndex && staleKeys.size === 0) {
+    return { saved: true, changed: false };
+  }
+
+  entries.push([STORAGE_KEYS.HABITS, {
+    habitIds,
+    lastUpdated: storedData.lastUpdated,
+    version: storedData.version,
+    writeCount: getWriteCount(index) + 1
+  }]);
+  if (!await setStorageEntries(entries)) {
+    return { saved: false, changed: false };
+  }
+  for (const key of staleKeys) {
+    await deleteStorageData(key);
+  }
+  // Backup failures are logged and never fail the save
+  await writeBackup();
+  return { saved: true, changed: true };
+};
+
+/**
+ * Load one habit with only some months of its history, for a change that
+ * touches a few dates
+ * @param {string} habitId - Habit ID
+ * @param {string[]} months - 'YYYY-MM' months to load
+ * @returns {Promise<Object|null>} - {index, record, habit} with habit null if not found,
+ *   or null when the stored data isn't in the current layout and version
+ */
+const loadPartialHabit = async (habitId, months) => {
+  const index = await getStorageData(STORAGE_KEYS.HABITS, null);
+  if (!isHabitIndex(index) || index.version !== DEFAULT_VALUES.VERSION) {
+    return null;
+  }
+
+  const record = index.habitIds.includes(habitId)
+    ? await getStorageData(getHabitKey(habitId), null)
+    : null;
+  if (!record) {
+    return { index, record: null, habit: null };
+  }
+
+  const storedMonths = record.historyMonths || [];
+  const loaded = Array.from(new Set(months)).filter(month => storedMonths.includes(month));
+  return { index, record, habit: joinHabit(record, await readHistoryChunks(habitId, loaded)) };
+};
+
+/**
+ * Habits without their history, e.g. for lists that only show names and counts
+ * @returns {Promise<Array>} - Habits with an empty completionHistory
+ */
+const getHabitSummaries = async () => {
+  try {
+    const index = await getStorageData(STORAGE_KEYS.HABITS, null);
+    if (!isHabitIndex(index) || index.version !== DEFAULT_VALUES.VERSION) {
+      return (await getHabits()).map(habit => ({ ...habit, completionHistory: [] }));
+    }
+
+    const summaries = [];
+    for (const habitId of index.habitIds) {
+      const record = await getStorageData(getHabitKey(habitId), null);
+      if (record) summaries.push(joinHabit(record, {}));
+    }
+    return summaries;
+  } catch (error) {
+    console.error('Error getting habit summaries:', error);
+    return DEFAULT_VALUES.HABITS;
+  }
+};
+
+/**
+ * Load one habit with its full history
+ * @param {string} habitId - Habit ID
+ * @returns {Promise<Object|null>} - Habit object, or null if not found
+ */
+const getHabit = async (habitId) => {
+  try {
+    const index = await getStorageData(STORAGE_KEYS.HABITS, null);
+    if (!isHabitIndex(index) || index.version !== DEFAULT_VALUES.VERSION) {
+      return (await getHabits()).find(habit => habit.id === habitId) || null;
+    }
+
+    const record = index.habitIds.includes(habitId)
+      ? await getStorageData(getHabitKey(habitId), null)
+      : null;
+    return record ? joinHabit(record, await readHistoryChunks(habitId, record.historyMonths || [])) : null;
+  } catch (error) {
+    console.error('Error getting habit:', error);
+    return null;
+  }
+};
+
+/**
+ * Load a habit's history between two dates, reading only the months needed
+ * @param {string} habitId - Habit ID
+ * @param {Object} [range] - Date range
+ * @param {string} [range.from] - First 'YYYY-MM-DD' key (defaults to the start)
+ * @param {string} [range.to] - Last 'YYYY-MM-DD' key (defaults to the end)
+ * @returns {Promise<Array>} - History entries in date order
+ */
+const getHabitHistory = async (habitId, { from = null, to = null } = {}) => {
+  try {
+    const index = await getStorageData(STORAGE_KEYS.HABITS, null);
+    let history;
+    if (!isHabitIndex(index) || index.version !== DEFAULT_VALUES.VERSION) {
+      const habit = (await getHabits()).find(item => item.id === habitId);
+      history = habit ? habit.completionHistory || [] : [];
+    } else {
+      const record = index.habitIds.includes(habitId)
+        ? await getStorageData(getHabitKey(habitId), null)
+        : null;
+      const months = ((record && record.historyMonths) || []).filter(month => (
+        (!from || month >= getMonthKey(from)) && (!to || month <= getMonthKey(to))
+      ));
+      history = record ? joinHabit(record, await readHistoryChunks(habitId, months)).completionHistory : [];
+    }
+    return history.filter(entry => (!from || entry.date >= from) && (!to || entry.date <= to));
+  } catch (error) {
+    console.error('Error getting habit history:', error);
+    return [];
+  }
+};
+
+// Habit-specific storage operations
+
+/**
+ * Read the stored habits, migrated in memory to the current schema version
+ * @returns {Promise<Object>} - {rawData, storedData, fromVersion, migrated, rewrite};
+ *   rewrite is true when the stored data has to be migrated or moved to the per-habit layout
+ */
+const readHabitData = async () => {
+  const { data, singleBlob } = await readStoredData();
+  const rawData = data || {
+    habits: DEFAULT_VALUES.HABITS,
+    lastUpdated: new Date().toISOString(),
+    version: DEFAULT_VALUES.VERSION
+  };
+
+  const { data: storedData, migrated, fromVersion } = migrateStoredData(rawData);
+  return { rawData, storedData, fromVersion, migrated, rewrite: migrated || singleBlob };
+};
+
+/**
+ * Habits of validated stored data
+ * @param {Object} storedData - Migrated stored data
+ * @returns {Array|null} - Its habits, or null when it is invalid
+ */
+const getValidHabits = (storedData) => {
+  const validation = validateStoredData(storedData);
+  if (!validation.isValid) {
+    console.warn('Invalid stored data, returning empty habits:', validation.errors);
+    return null;
+  }
+  return storedData.habits;
+};
+
+/**
+ * Read the habits and save the migration of older data; only for code
+ * already in the queue
+ * @returns {Promise<Array>} - Array of habits
+ */
+const readHabits = async () => {
+  const { rawData, storedData, fromVersion, migrated, rewrite } = await readHabitData();
+  if (!rewrite) return getValidHabits(storedData) || DEFAULT_VALUES.HABITS;
+
+  // Keep the original blob so a bad migration never costs the user their history
+  const backedUp = await backupStoredData(rawData, fromVersion || rawData.version);
+
+  const habits = getValidHabits(storedData);
+  if (!habits) return DEFAULT_VALUES.HABITS;
+
+  const label = migrated ? `from ${fromVersion} to ${DEFAULT_VALUES.VERSION}` : 'to the per-habit layout';
+  if (backedUp && (await writeStoredData(storedData, null)).saved) {
+    console.log(`Migrated stored habits ${label}`);
+  } else {
+    console.warn(`Could not migrate stored habits ${label}, migrated in memory only`);
+  }
+  return habits;
+};
+
+/**
+ * Get all habits from storage, migrating older schema versions and the
+ * single-blob layout first. The migration is saved through the write queue,
+ * so it can't interleave with a change and overwrite it.
+ * @returns {Promise<Array>} - Array of habits or empty array on error
+ */
+const getHabits = async () => {
+  try {
+    const { storedData, rewrite } = await readHabitData();
+    // A change queued in the meantime may have migrated the data already
+    if (rewrite) return await queueWrite(readHabits);
+    return getValidHabits(storedData) || DEFAULT_VALUES.HABITS;
+  } catch (error) {
+    console.error('Error getting habits:', error);
+    return DEFAULT_VALUES.HABITS;
+  }
+};
+
+/**
+ * Load the habits to change in a queued write, with a baseline that lets
+ * writeHabits skip what didn't change; only for code already in the queue
+ * @returns {Promise<{habits: Array, baseline: Map|null}>} - Habits and their stored baseline
+ */
+const loadHabitsForWrite = async () => {
+  const habits = await readHabits();
+  const index = await getStorageData(STORAGE_KEYS.HABITS, null);
+  const current = isHabitIndex(index) && index.version === DEFAULT_VALUES.VERSION;
+  return { habits, baseline: current ? getLayoutBaseline(habits) : null };
+};
+
+/**
+ * Write habits to storage without queueing; only for code already in the queue
+ * @param {Array} habits - Array of habit objects
+ * @param {Map|null} [baseline] - Baseline from loadHabitsForWrite; without it every key is rewritten
+ * @returns {Promise<boolean>} - Success status
+ */
+const writeHabits = async (habits, baseline = null) => {
+  try {
+    const storedData = {
+      habits: habits || DEFAULT_VALUES.HABITS,
+      lastUpdated: new Date().toISOString(),
+      version: DEFAULT_VALUES.VERSION
+    };
+    
+    // Validate data before saving
+    const validation = validateStoredData(storedData);
+    if (!validation.isValid) {
+      console.error('Invalid habit data, cannot save:', validation.errors);
+      return false;
+    }
+    
+    const { saved } = await writeStoredData(storedData, baseline);
+    return saved;
+  } catch (error) {
+    console.error('Error saving habits:', error);
+    return false;
+  }
+};
+
+/**
+ * Save habits to storage, replacing the stored list. To change habits based
+ * on what is stored, use updateHabits so no other change slips in between.
+ * @param {Array} habits - Array of habit objects
+ * @returns {Promise<boolean>} - Success status
+ */
+const saveHabits = (habits) => queueWrite(() => writeHabits(habits));
+
+/**
+ * What a saved change did to the habits, passed to the onChange option of
+ * the changes that take one. It is built in the queue from the habits the
+ * change touched, so nothing else slips in and no other habit is read.
+ * @typedef {Object} HabitChange
+ * @property {Array} before - Touched habits as they were; missing from after when deleted.
+ *   A single history entry change loads only the months around it.
+ * @property {Array} after - Touched habits as saved; missing from before when added
+ * @property {string[]} beforeOrder - Every habit ID in order before the change
+ * @property {string[]} afterOrder - Every habit ID in order after it
+ */
+
+/**
+ * Report a saved change to a list of habits to an onChange option. Habits
+ * kept as the same object are taken as untouched.
+ * @param {Function|undefined} onChange - Receives the HabitChange
+ * @param {Array} habits - Habits before the change
+ * @param {Array} updatedHabits - Habits as saved
+ */
+const reportHabitChange = (onChange, habits, updatedHabits) => {
+  if (!onChange) return;
+  const loaded = new Set(habits);
+  const saved = new Set(updatedHabits);
+  onChange({
+    before: habits.filter(habit => !saved.has(habit)),
+    after: updatedHabits.filter(habit => !loaded.has(habit)),
+    beforeOrder: habits.map(habit => habit.id),
+    afterOrder: updatedHabits.map(habit => habit.id)
+  });
+};
+
+/**
+ * Read, change and save the stored habits as one queued transaction. The
+ * records and history months it changes are saved in one batch: all of them,
+ * or none if the save fails.
+ * @param {Function} transform - Receives the stored habits and returns the
+ *   habits to save (or a promise of them), or null to save nothing
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.backup] - Back up the stored habits first, for a
+ *   change that replaces them; nothing is saved if that fails
+ * @param {Function} [options.onChange] - Receives the HabitChange once saved
+ * @returns {Promise<boolean>} - Success status; false when transform returned null
+ */
+const updateHabits = async (transform, { backup = false, onChange } = {}) => {
+  try {
+    return await queueWrite(async () => {
+      if (backup && !await writeBackup({ force: true })) return false;
+      const { habits, baseline } = await loadHabitsForWrite();
+      const updatedHabits = await transform(habits);
+      if (!updatedHabits || !await writeHabits(updatedHabits, baseline)) return false;
+      reportHabitChange(onChange, habits, updatedHabits);
+      return true;
+    });
+  } catch (error) {
+    console.error('Error updating habits:', error);
+    return false;
+  }
+};
+
+/**
+ * Run a queued change to one habit, then bring its reminders up to date once
+ * the change has left the queue: scheduling can wait on the notification
+ * permission prompt, and other writes mustn't wait with it. Completing today
+ * stops today's reminders; undoing it brings them back. Reminder failures
+ * are logged by the reminders module and never fail the save.
+ * @param {Function} task - Queued change; returns the saved habit, or null when nothing was saved
+ * @returns {Promise<Object|null>} - Saved habit, or null
+ */
+const queueHabitWrite = async (task) => {
+  const savedHabit = await queueWrite(task);
+  if (savedHabit) await syncHabitReminders(savedHabit);
+  return savedHabit;
+};
+
+/**
+ * Add a new habit to storage
+ * @param {Object} habitData - Habit data to add
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onChange] - Receives the HabitChange once saved
+ * @returns {Promise<Object|null>} - Created habit object or null on error
+ */
+const addHabit = async (habitData, { onChange } = {}) => {
+  try {
+    return await queueHabitWrite(async () => {
+      const { habits, baseline } = await loadHabitsForWrite();
+      const newHabit = {
+        id: generateUUID(),
+        name: habitData.name,
+        frequency: habitData.frequency,
+        schedule: normalizeSchedule(habitData.frequency, habitData.schedule),
+        ...normalizeMeasurement(habitData),
+        targetTime: habitData.targetTime || null,
+        reminderTimes: habitData.reminderTimes || [],
+        createdAt: new Date(),
+        completedDays: 0,
+        totalDays: 0,
+        completionHistory: [],
+        isCompleted: false,
+        archivedAt: null,
+        pausedRanges: []
+      };
+    
+      const updatedHabits = [...habits, newHabit];
+      if (!await writeHabits(updatedHabits, baseline)) return null;
+      reportHabitChange(onChange, habits, updatedHabits);
+      return newHabit;
+    });
+  } catch (error) {
+    console.error('Error adding habit:', error);
+    return null;
+  }
+};
+
+/**
+ * Update a specific habit in storage
+ * @param {string} habitId - ID of habit to update
+ * @param {Object} updates - Updates to apply
+ * @returns {Promise<boolean>} - Success status
+ */
+const updateHabit = async (habitId, updates) => {
+  try {
+    return Boolean(await queueHabitWrite(async () => {
+      const { habits, baseline } = await loadHabitsForWrite();
+      const habitIndex = habits.findIndex(habit => habit.id === habitId);
+    
+      if (habitIndex === -1) {
+        console.warn(`Habit with ID ${habitId} not found`);
+        return null;
+      }
+    
+      const updatedHabit = { ...habits[habitIndex], ...updates };
+      const updatedHabits = [...habits];
+      updatedHabits[habitIndex] = updatedHabit;
+    
+      return await writeHabits(updatedHabits, baseline) ? updatedHabit : null;
+    }));
+  } catch (error) {
+    console.error('Error updating habit:', error);
+    return false;
+  }
+};
+
+/**
+ * Edit a habit's details from the edit screen. History is never rewritten:
+ * - name, target time, reminder and unit changes are cosmetic
+ * - a frequency or schedule change takes effect today; earlier days keep the
+ *   schedule they were tracked under, so past totals and misses don't shift
+ * - a new target applies to today and later; past days keep their verdict
+ * - the tracking type can't change, since past entries can't be converted
+ * @param {string} habitId - ID of habit to edit
+ * @param {Object} changes - New name, frequency, schedule, targetTime, reminderTimes, targetValue or unit
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onChange] - Receives the HabitChange once saved
+ * @returns {Promise<boolean>} - Success status
+ */
+const editHabit = async (habitId, changes, { onChange } = {}) => {
+  try {
+    return Boolean(await queueHabitWrite(async () => {
+      const { habits, baseline } = await loadHabitsForWrite();
+      const habitIndex = habits.findIndex(habit => habit.id === habitId);
+    
+      if (habitIndex === -1) {
+        console.warn(`Habit with ID ${habitId} not found`);
+        return null;
+      }
+    
+      const habit = habits[habitIndex];
+      if (changes.type !== undefined && changes.type !== habit.type) {
+        console.warn(`Cannot change the type of habit ${habitId}`);
+        return null;
+      }
+    
+      let edited = { ...habit };
+      if (changes.name !== undefined) edited.name = changes.name.trim();
+      if (changes.targetTime !== undefined) edited.targetTime = changes.targetTime;
+      if (changes.reminderTimes !== undefined) edited.reminderTimes = changes.reminderTimes;
+      if (isMeasurableHabit(habit)) {
+        if (changes.targetValue !== undefined) edited.targetValue = changes.targetValue;
+        if (changes.unit !== undefined) edited.unit = changes.unit.trim();
+      }
+      if (changes.frequency !== undefined || changes.schedule !== undefined) {
+        edited = changeHabitSchedule(
+          edited,
+          changes.frequency !== undefined ? changes.frequency : habit.frequency,
+          changes.schedule !== undefined ? changes.schedule : habit.schedule,
+          getTodayKey()
+        );
+      }
+    
+      const validation = validateHabit(edited);
+      if (!validation.isValid) {
+        console.warn('Invalid habit edit:', validation.errors);
+        return null;
+      }
+    
+      // Re-judge today's amount against a new target
+      let completionHistory = edited.completionHistory || [];
+      if (isMeasurableHabit(edited) && edited.targetValue !== habit.targetValue) {
+        const today = getTodayKey();
+        completionHistory = completionHistory.map(entry => (
+          entry.date === today
+            ? stampCompletionTime(buildMeasuredEntry(edited, today, getEntryAmount(edited, entry)), entry, new Date().toISOString())
+            : entry
+        ));
+      }
+    
+      const updatedHabits = [...habits];
+      updatedHabits[habitIndex] = recalculateHabitProgress(edited, completionHistory);
+    
+      if (!await writeHabits(updatedHabits, baseline)) return null;
+      reportHabitChange(onChange, habits, updatedHabits);
+      return updatedHabits[habitIndex];
+    }));
+  } catch (error) {
+    console.error('Error editing habit:', error);
+    return false;
+  }
+};
+
+/**
+ * Apply a status change to one habit as of today and recalculate its progress
+ * @param {string} habitId - ID of habit to update
+ * @param {Function} transform - Receives the habit and today's key, returns the updated habit
+ * @returns {Promise<boolean>} - Success status
+ */
+const updateHabitStatus = async (habitId, transform) => Boolean(await queueHabitWrite(async () => {
+    const { habits, baseline } = await loadHabitsForWrite();
+    const habitIndex = habits.findIndex(habit => habit.id === habitId);
+  
+    if (habitIndex === -1) {
+      console.warn(`Habit with ID ${habitId} not found`);
+      return null;
+    }
+  
+    const updatedHabits = [...habits];
+    updatedHabits[habitIndex] = recalculateHabitProgress(transform(habits[habitIndex], getTodayKey()));
+  
+    return await writeHabits(updatedHabits, baseline) ? updatedHabits[habitIndex] : null;
+}));
+
+/**
+ * Pause a habit from today. Paused days don't count toward totals or streaks.
+ * @param {string} habitId - ID of habit to pause
+ * @returns {Promise<boolean>} - Success status
+ */
+const pauseHabit = async (habitId) => {
+  try {
+    return await updateHabitStatus(habitId, pauseHabitFrom);
+  } catch (error) {
+    console.error('Error pausing habit:', error);
+    return false;
+  }
+};
+
+/**
+ * Resume a paused habit from today
+ * @param {string} habitId - ID of habit to resume
+ * @returns {Promise<boolean>} - Success status
+ */
+const resumeHabit = async (habitId) => {
+  try {
+    return await updateHabitStatus(habitId, resumeHabitFrom);
+  } catch (error) {
+    console.error('Error resuming habit:', error);
+    return false;
+  }
+};
+
+/**
+ * Archive a habit instead of deleting it. Its history is kept and it is
+ * paused from today, so it drops out of totals, streaks and achievements.
+ * @param {string} habitId - ID of habit to archive
+ * @returns {Promise<boolean>} - Success status
+ */
+const archiveHabit = async (habitId) => {
+  try {
+    return await updateHabitStatus(habitId, (habit, today) => ({
+      ...pauseHabitFrom(habit, today),
+      archivedAt: habit.archivedAt || new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error('Error archiving habit:', error);
+    return false;
+  }
+};
+
+/**
+ * Restore an archived habit; tracking resumes from today
+ * @param {string} habitId - ID of habit to restore
+ * @returns {Promise<boolean>} - Success status
+ */
+const restoreHabit = async (habitId) => {
+  try {
+    return await updateHabitStatus(habitId, (habit, today) => ({
+      ...resumeHabitFrom(habit, today),
+      archivedAt: null
+    }));
+  } catch (error) {
+    console.error('Error restoring habit:', error);
+    return false;
+  }
+};
+
+/**
+ * Build the history entry for a completion toggle. Measurable habits are
+ * completed by logging their full target and cleared by logging zero.
+ * @param {Object} habit - Habit object
+ * @param {string} dateKey - 'YYYY-MM-DD' key
+ * @param {boolean} isCompleted - Completion status
+ * @returns {Object} - History entry
+ */
+const buildCompletionEntry = (habit, dateKey, isCompleted) => (
+  isMeasurableHabit(habit)
+    ? buildMeasuredEntry(habit, dateKey, isCompleted ? habit.targetValue : 0)
+    : { date: dateKey, completed: isCompleted }
+);
+
+/**
+ * Recalculate a habit's progress counts and today's status from its history
+ * @param {Object} habit - Habit object
+ * @param {Array} [completionHistory] - History to store (defaults to the habit's own)
+ * @returns {Object} - Updated habit
+ */
+const recalculateHabitProgress = (habit, completionHistory = habit.completionHistory || []) => {
+  // Count only the days (or weekly slots) the schedule actually asked for
+  const completedDays = countCompletedOccurrences(habit, completionHistory);
+  const totalDays = Math.max(completedDays, countDueOccurrences(habit));
+  
+  // isCompleted always mirrors today's entry, whichever date was edited
+  const todayEntry = completionHistory.find(entry => entry.date === getTodayKey());
+  
+  return {
+    ...habit,
+    isCompleted: todayEntry ? todayEntry.completed : false,
+    completedDays,
+    totalDays,
+    completionHistory,
+    lastUpdated: new Date().toISOString()
+  };
+};
+
+/**
+ * Put one history entry on a habit and recalculate its progress counts
+ * @param {Object} habit - Habit object
+ * @param {Object} entry - Entry to store, replacing any entry for the same date
+ * @returns {Object} - Updated habit
+ */
+const applyHistoryEntry = (habit, entry) => {
+  // Replace any existing entry for the date, keeping history sorted
+  const updatedHistory = (habit.completionHistory || [])
+    .filter(existing => existing.date !== entry.date)
+    .concat(entry)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  
+  return recalculateHabitProgress(habit, updatedHistory);
+};
+
+/**
+ * Put one history entry on a habit whose history is loaded only for the
+ * entry's week (and today's). Completions count week by week, so the stored
+ * count changes only by the difference within the entry's week.
+ * @param {Object} habit - Habit with a partly loaded history
+ * @param {Object} entry - Entry to store, replacing any entry for the same date
+ * @returns {Object} - Updated habit
+ */
+const applyHistoryEntryToWeek = (habit, entry) => {
+  const week = getWeekNumber(entry.date);
+  const inWeek = (history) => history.filter(existing => getWeekNumber(existing.date) === week);
+
+  const updated = applyHistoryEntry(habit, entry);
+  const completedDays = habit.completedDays
+    - countCompletedOccurrences(habit, inWeek(habit.completionHistory))
+    + countCompletedOccurrences(habit, inWeek(updated.completionHistory));
+
+  return {
+    ...updated,
+    completedDays,
+    totalDays: Math.max(completedDays, countDueOccurrences(habit))
+  };
+};
+
+/**
+ * Check an edit against the backfill limit and build its stamped entry
+ * @param {Object} habit - Habit object
+ * @param {string} dateKey - 'YYYY-MM-DD' key of the entry
+ * @param {Function} buildEntry - Builds the entry from the habit, or returns null to abort
+ * @param {number|null|undefined} maxDaysBack - Backfill limit to enforce (undefined skips the check)
+ * @returns {Object|null} - Entry to store, or null if the edit is not allowed
+ */
+const prepareHistoryEntry = (habit, dateKey, buildEntry, maxDaysBack) => {
+  if (maxDaysBack !== undefined && !isDateEditable(habit, dateKey, maxDaysBack)) {
+    const { firstKey, lastKey } = getEditableDateRange(habit, maxDaysBack);
+    console.warn(`Cannot edit ${dateKey} for habit ${habit.id}: editable range is ${firstKey} to ${lastKey}`);
+    return null;
+  }
+
+  const builtEntry = buildEntry(habit);
+  if (!builtEntry) {
+    return null;
+  }
+
+  // Only check-ins made on the day itself have a known completion time
+  const previous = (habit.completionHistory || []).find(existing => existing.date === dateKey);
+  const completedAt = dateKey === getTodayKey() ? new Date().toISOString() : null;
+  return stampCompletionTime(builtEntry, previous, completedAt);
+};
+
+/**
+ * Save one history entry by rewriting only the habit's record, the month the
+ * entry falls in and the index, together in one batch
+ * @param {Object} partial - Index and stored record from loadPartialHabit
+ * @param {Object} habit - Updated habit with a partly loaded history
+ * @param {string} dateKey - 'YYYY-MM-DD' key of the entry
+ * @returns {Promise<boolean>} - Success status
+ */
+const writeHistoryEntry = async ({ index, record: storedRecord }, habit, dateKey) => {
+  const month = getMonthKey(dateKey);
+  const { record, chunks } = splitHabit(habit);
+
+  const historyMonths = Array.from(new Set([...(storedRecord.historyMonths || []), month])).sort();
+  const savedIndex = { ...index, lastUpdated: habit.lastUpdated, writeCount: getWriteCount(index) + 1 };
+  const saved = await setStorageEntries([
+    [getHistoryChunkKey(habit.id, month), chunks[month]],
+    [getHabitKey(habit.id), { ...record, historyMonths }],
+    [STORAGE_KEYS.HABITS, savedIndex]
+  ]);
+  if (!saved) return false;
+  // Backup failures are logged and never fail the save
+  await writeBackup();
+  return true;
+};
+
+/**
+ * Load a habit, build an entry for one date and save the recalculated habit.
+ * Only the months around the entry's week and today are read and written,
+ * so the cost doesn't grow with the length of the history.
+ * @param {string} habitId - ID of habit to update
+ * @param {string} dateKey - 'YYYY-MM-DD' key of the entry
+ * @param {Function} buildEntry - Builds the entry from the stored habit, or returns null to abort
+ * @param {number|null|undefined} maxDaysBack - Backfill limit to enforce (undefined skips the check)
+ * @param {Function} [onChange] - Receives the HabitChange once saved
+ * @returns {Promise<boolean>} - Success status
+ */
+const saveHistoryEntry = async (habitId, dateKey, buildEntry, maxDaysBack, onChange) => Boolean(await queueHabitWrite(async () => {
+    const months = [...getWeekMonths(dateKey), ...getWeekMonths(getTodayKey())];
+    const partial = await loadPartialHabit(habitId, months);
+
+    // Older data is migrated by loading and saving everything once
+    if (!partial) {
+      const { habits, baseline } = await loadHabitsForWrite();
+      const habitIndex = habits.findIndex(habit => habit.id === habitId);
+      if (habitIndex === -1) {
+        console.warn(`Habit with ID ${habitId} not found`);
+        return null;
+      }
+
+      const entry = prepareHistoryEntry(habits[habitIndex], dateKey, buildEntry, maxDaysBack);
+      if (!entry) {
+        return null;
+      }
+
+      const updatedHabits = [...habits];
+      updatedHabits[habitIndex] = applyHistoryEntry(habits[habitIndex], entry);
+      if (!await writeHabits(updatedHabits, baseline)) return null;
+      reportHabitChange(onChange, habits, updatedHabits);
+      return updatedHabits[habitIndex];
+    }
+
+    if (!partial.habit) {
+      console.warn(`Habit with ID ${habitId} not found`);
+      return null;
+    }
+
+    const entry = prepareHistoryEntry(partial.habit, dateKey, buildEntry, maxDaysBack);
+    if (!entry) {
+      return null;
+    }
+
+    const updatedHabit = applyHistoryEntryToWeek(partial.habit, entry);
+    const validation = validateHabit(updatedHabit);
+    if (!validation.isValid) {
+      console.error('Invalid habit data, cannot save:', validation.errors);
+      return null;
+    }
+
+    if (!await writeHistoryEntry(partial, updatedHabit, dateKey)) return null;
+    if (onChange) {
+      const { habitIds } = partial.index;
+      onChange({ before: [partial.habit], after: [updatedHabit], beforeOrder: habitIds, afterOrder: habitIds });
+    }
+    return updatedHabit;
+}));
+
+/**
+ * Resolve the backfill limit for an edit, falling back to the stored preference
+ * @param {Object} options - Edit options
+ * @returns {Promise<number|null>} - Days before today that stay editable
+ */
+const resolveMaxDaysBack = async (options) => (
+  options.maxDaysBack !== undefined
+    ? options.maxDaysBack
+    : (await getUserPreferences()).maxBackfillDays
+);
+
+/**
+ * Check an amount before logging it on a measurable habit
+ * @param {Object} habit - Habit object
+ * @param {number} amount - Amount to log
+ * @returns {boolean} - True if the amount can be logged
+ */
+const canLogAmount = (habit, amount) => {
+  if (!isMeasurableHabit(habit)) {
+    console.warn(`Habit ${habit.id} is not measurable`);
+    return false;
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+    console.warn(`Invalid amount for habit ${habit.id}: ${amount}`);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Update habit completion status with enhanced progress tracking
+ * @param {string} habitId - ID of habit to update
+ * @param {boolean} isCompleted - New completion status
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onChange] - Receives the HabitChange once saved
+ * @returns {Promise<boolean>} - Success status
+ */
+const updateHabitCompletion = async (habitId, isCompleted, { onChange } = {}) => {
+  try {
+    const today = getTodayKey();
+    return await saveHistoryEntry(
+      habitId,
+      today,
+      habit => buildCompletionEntry(habit, today, isCompleted),
+      undefined,
+      onChange
+    );
+  } catch (error) {
+    console.error('Error updating habit completion:', error);
+    return false;
+  }
+};
+
+/**
+ * Set a habit's completion for a past date (or today), within the backfill limit
+ * @param {string} habitId - ID of habit to update
+ * @param {string} date - 'YYYY-MM-DD' key of the date to set
+ * @param {boolean} isCompleted - Completion status for that date
+ * @param {Object} [options] - Edit options
+ * @param {number|null} [options.maxDaysBack] - Days before today that stay editable
+ *   (null for no limit, defaults to the maxBackfillDays preference)
+ * @returns {Promise<boolean>} - Success status
  */
-const getStorageData = async (key, defaultValue = null) => {
+const setHabitCompletionForDate = async (habitId, date, isCompleted, options = {}) => {
   try {
-    const jsonValue = await AsyncStorage.getItem(key);
-    return jsonValue != null ? JSON.parse(jsonValue) : defaultValue;
+    const maxDaysBack = await resolveMaxDaysBack(options);
+    return await saveHistoryEntry(
+      habitId,
+      date,
+      habit => buildCompletionEntry(habit, date, isCompleted),
+      maxDaysBack
+    );
   } catch (error) {
-    console.error(`Error getting data for key ${key}:`, error);
-    return defaultValue;
+    console.error('Error setting habit completion for date:', error);
+    return false;
   }
 };
 
 /**
- * Set data in AsyncStorage with error handling
- * @param {string} key - Storage key
- * @param {*} value - Value to store
+ * Log today's amount for a measurable habit; the day completes once the target is met
+ * @param {string} habitId - ID of habit to update
+ * @param {number} amount - Total amount for today
  * @returns {Promise<boolean>} - Success status
  */
-const setStorageData = async (key, value) => {
+const updateHabitAmount = async (habitId, amount) => {
   try {
-    const jsonValue = JSON.stringify(value);
-    await AsyncStorage.setItem(key, jsonValue);
-    return true;
+    const today = getTodayKey();
+    return await saveHistoryEntry(habitId, today, habit => (
+      canLogAmount(habit, amount) ? buildMeasuredEntry(habit, today, amount) : null
+    ));
   } catch (error) {
-    console.error(`Error setting data for key ${key}:`, error);
+    console.error('Error updating habit amount:', error);
     return false;
   }
 };
 
 /**
- * Update data in AsyncStorage with error handling
- * @param {string} key - Storage key
- * @param {Function} updateFunction - Function to update the data
+ * Log a measurable habit's amount for a past date (or today), within the backfill limit
+ * @param {string} habitId - ID of habit to update
+ * @param {string} date - 'YYYY-MM-DD' key of the date to set
+ * @param {number} amount - Total amount for that date
+ * @param {Object} [options] - Edit options
+ * @param {number|null} [options.maxDaysBack] - Days before today that stay editable
+ *   (null for no limit, defaults to the maxBackfillDays preference)
  * @returns {Promise<boolean>} - Success status
  */
-const updateStorageData = async (key, updateFunction) => {
+const setHabitAmountForDate = async (habitId, date, amount, options = {}) => {
   try {
-    const currentData = await getStorageData(key, {});
-    const updatedData = updateFunction(currentData);
-    return await setStorageData(key, updatedData);
+    const maxDaysBack = await resolveMaxDaysBack(options);
+    return await saveHistoryEntry(
+      habitId,
+      date,
+      habit => (canLogAmount(habit, amount) ? buildMeasuredEntry(habit, date, amount) : null),
+      maxDaysBack
+    );
   } catch (error) {
-    console.error(`Error updating data for key ${key}:`, error);
+    console.error('Error setting habit amount for date:', error);
     return false;
   }
 };
 
 /**
- * Delete data from AsyncStorage with error handling
- * @param {string} key - Storage key
+ * Delete a habit from storage, backing up the habits first
+ * @param {string} habitId - ID of habit to delete
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onChange] - Receives the HabitChange once saved
  * @returns {Promise<boolean>} - Success status
  */
-const deleteStorageData = async (key) => {
+const deleteHabit = async (habitId, { onChange } = {}) => {
   try {
-    await AsyncStorage.removeItem(key);
-    return true;
+    const success = await queueWrite(async () => {
+      const { habits, baseline } = await loadHabitsForWrite();
+      const filteredHabits = habits.filter(habit => habit.id !== habitId);
+    
+      if (filteredHabits.length === habits.length) {
+        console.warn(`Habit with ID ${habitId} not found`);
+        return false;
+      }
+      if (!await writeBackup({ force: true })) return false;
+    
+      if (!await writeHabits(filteredHabits, baseline)) return false;
+      reportHabitChange(onChange, habits, filteredHabits);
+      return true;
+    });
+    // Outside the queue, as in queueHabitWrite
+    if (success) await cancelHabitReminders(habitId);
+    return success;
   } catch (error) {
-    console.error(`Error deleting data for key ${key}:`, error);
+    console.error('Error deleting habit:', error);
     return false;
   }
 };
 
-// Habit-specific storage operations
+/**
+ * Recalculate and save every habit's progress; only for code already in the queue
+ * @returns {Promise<boolean>} - Success status
+ */
+const writeRecalculatedHabits = async () => {
+  const { habits, baseline } = await loadHabitsForWrite();
+  // Habits whose counts still hold are kept as they are, so nothing is rewritten for them
+  const updatedHabits = habits.map(habit => {
+    const recalculated = recalculateHabitProgress(habit);
+    const unchanged = ['isCompleted', 'completedDays', 'totalDays']
+      .every(field => recalculated[field] === habit[field]);
+    return unchanged ? habit : recalculated;
+  });
+
+  return await writeHabits(updatedHabits, baseline);
+};
 
 /**
- * Get all habits from storage
- * @returns {Promise<Array>} - Array of habits or empty array on error
+ * Recalculate progress for all habits to ensure data consistency
+ * @returns {Promise<boolean>} - Success status
  */
-const getHabits = async () => {
+const recalculateAllHabitsProgress = async () => {
   try {
-    const storedData = await getStorageData(STORAGE_KEYS.HABITS, {
-      habits: DEFAULT_VALUES.HABITS,
-      lastUpdated: new Date().toISOString(),
-      version: DEFAULT_VALUES.VERSION
-    });
-    
-    // Validate stored data
-    const validation = validateStoredData(storedData);
-    if (!validation.isValid) {
-      console.warn('Invalid stored data, returning empty habits:', validation.errors);
-      return DEFAULT_VALUES.HABITS;
-    }
-    
-    return storedData.habits;
+    return await queueWrite(writeRecalculatedHabits);
   } catch (error) {
-    console.error('Error getting habits:', error);
-    return DEFAULT_VALUES.HABITS;
+    console.error('Error recalculating habits progress:', error);
+    return false;
   }
 };
 
 /**
- * Save habits to storage
- * @param {Array} habits - Array of habit objects
+ * Clear all habits from storage, backing them up first
  * @returns {Promise<boolean>} - Success status
  */
-const saveHabits = async (habits) => {
+const clearAllHabits = async () => {
   try {
-    const storedData = {
-      habits: habits || DEFAULT_VALUES.HABITS,
-      lastUpdated: new Date().toISOString(),
-      version: DEFAULT_VALUES.VERSION
-    };
-    
-    // Validate data before saving
-    const validation = validateStoredData(storedData);
-    if (!validation.isValid) {
-      console.error('Invalid habit data, cannot save:', validation.errors);
-      return false;
+    const clearedHabits = await queueWrite(async () => {
+      if (!await writeBackup({ force: true })) return null;
+      const { habits, baseline } = await loadHabitsForWrite();
+      return await writeHabits(DEFAULT_VALUES.HABITS, baseline) ? habits : null;
+    });
+    if (!clearedHabits) return false;
+
+    for (const habit of clearedHabits) {
+      await cancelHabitReminders(habit.id);
     }
-    
-    return await setStorageData(STORAGE_KEYS.HABITS, storedData);
+    return true;
   } catch (error) {
-    console.error('Error saving habits:', error);
+    console.error('Error clearing habits:', error);
     return false;
   }
 };
 
+// Rotating backups
+// Saves of the habits take a snapshot of them under its own key once every
+// BACKUP_RETENTION.WRITES_PER_BACKUP saves, or once INTERVAL_MS has passed
+// since the last one. A snapshot reads the whole history, so spacing them out
+// keeps check-ins cheap. Changes that replace or clear habits take one first,
+// whatever the count. The most recent snapshots are kept, plus the last
+// snapshot of each recent day, so one bad write or corrupted key never costs
+// more than a few changes.
+
 /**
- * Add a new habit to storage
- * @param {Object} habitData - Habit data to add
- * @returns {Promise<Object|null>} - Created habit object or null on error
+ * Snapshot of saved habit data
+ * @typedef {Object} BackupInfo
+ * @property {string} id - Backup ID
+ * @property {string} createdAt - ISO timestamp the snapshot was taken
+ * @property {string} lastUpdated - When the habits in the snapshot were saved
+ * @property {number} writeCount - Saves of the habits up to the snapshot
+ * @property {number} habitCount - Number of habits in the snapshot
+ * @property {string} version - Schema version of the snapshot
+ */
+
+const BACKUP_RETENTION = {
+  RECENT_WRITES: 10,
+  DAILY: 7,
+  WRITES_PER_BACKUP: 5,
+  INTERVAL_MS: 60 * 60 * 1000 // Most time between backups of changed habits
+};
+
+const getBackupKey = (backupId) => `${STORAGE_KEYS.BACKUPS}/${backupId}`;
+
+/**
+ * Pick the backups to keep: the most recent backups plus the last backup of
+ * each of the most recent days
+ * @param {BackupInfo[]} backups - Backups in any order
+ * @returns {BackupInfo[]} - Backups to keep, newest first
  */
-const addHabit = async (habitData) => {
+const selectBackupsToKeep = (backups) => {
+  const newestFirst = [...backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const keep = new Set(newestFirst.slice(0, BACKUP_RETENTION.RECENT_WRITES));
+
+  const lastOfDay = new Map();
+  newestFirst.forEach(backup => {
+    const dateKey = getLocalDateKey(backup.createdAt);
+    if (!lastOfDay.has(dateKey)) lastOfDay.set(dateKey, backup);
+  });
+  Array.from(lastOfDay.values()).slice(0, BACKUP_RETENTION.DAILY).forEach(backup => keep.add(backup));
+
+  return newestFirst.filter(backup => keep.has(backup));
+};
+
+/**
+ * List the stored backups
+ * @returns {Promise<BackupInfo[]>} - Backups, newest first
+ */
+const listBackups = async () => {
   try {
-    const habits = await getHabits();
-    const newHabit = {
-      id: generateUUID(),
-      name: habitData.name,
-      frequency: habitData.frequency,
-      targetTime: habitData.targetTime || null,
-      createdAt: new Date(),
-      completedDays: 0,
-      totalDays: 0,
-      completionHistory: [],
-      isCompleted: false
-    };
-    
-    const updatedHabits = [...habits, newHabit];
-    const success = await saveHabits(updatedHabits);
-    
-    return success ? newHabit : null;
+    const backups = await getStorageData(STORAGE_KEYS.BACKUPS, []);
+    return Array.isArray(backups)
+      ? [...backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      : [];
   } catch (error) {
-    console.error('Error adding habit:', error);
-    return null;
+    console.error('Error listing backups:', error);
+    return [];
   }
 };
 
 /**
- * Update a specific habit in storage
- * @param {string} habitId - ID of habit to update
- * @param {Object} updates - Updates to apply
+ * Snapshot saved habit data and drop backups that fall out of the rotation
+ * @param {Object} storedData - Stored data blob
+ * @param {number} writeCount - Saves of the habits up to this data
  * @returns {Promise<boolean>} - Success status
  */
-const updateHabit = async (habitId, updates) => {
+const recordBackup = async (storedData, writeCount) => {
   try {
-    const habits = await getHabits();
-    const habitIndex = habits.findIndex(habit => habit.id === habitId);
-    
-    if (habitIndex === -1) {
-      console.warn(`Habit with ID ${habitId} not found`);
-      return false;
+    const backup = {
+      id: generateUUID(),
+      createdAt: new Date().toISOString(),
+      lastUpdated: storedData.lastUpdated,
+      writeCount,
+      habitCount: storedData.habits.length,
+      version: storedData.version
+    };
+    if (!await setStorageData(getBackupKey(backup.id), storedData)) return false;
+
+    const backups = [backup, ...await listBackups()];
+    const kept = selectBackupsToKeep(backups);
+    if (!await setStorageData(STORAGE_KEYS.BACKUPS, kept)) return false;
+
+    const keptIds = new Set(kept.map(item => item.id));
+    for (const dropped of backups.filter(item => !keptIds.has(item.id))) {
+      await deleteStorageData(getBackupKey(dropped.id));
     }
-    
-    const updatedHabit = { ...habits[habitIndex], ...updates };
-    const updatedHabits = [...habits];
-    updatedHabits[habitIndex] = updatedHabit;
-    
-    return await saveHabits(updatedHabits);
+    return true;
   } catch (error) {
-    console.error('Error updating habit:', error);
+    console.error('Error recording backup:', error);
     return false;
   }
 };
 
 /**
- * Update habit completion status with enhanced progress tracking
- * @param {string} habitId - ID of habit to update
- * @param {boolean} isCompleted - New completion status
- * @returns {Promise<boolean>} - Success status
+ * Whether saved habits that changed since the latest backup are due another:
+ * after WRITES_PER_BACKUP saves or INTERVAL_MS, or when there is no backup yet
+ * @param {BackupInfo|undefined} latest - Latest backup
+ * @param {Object} index - Parsed value of the habits key
+ * @returns {boolean} - True when a backup is due
+ */
+const isBackupDue = (latest, index) => {
+  if (!latest) return true;
+  const writes = getWriteCount(index) - (latest.writeCount || 0);
+  return writes < 0 ||
+    writes >= BACKUP_RETENTION.WRITES_PER_BACKUP ||
+    Date.now() - new Date(latest.createdAt).getTime() >= BACKUP_RETENTION.INTERVAL_MS;
+};
+
+/**
+ * Back up the saved habits if they changed since the latest backup and one
+ * is due (see isBackupDue); only for code already in the queue. Only the
+ * small indexes are read when there is nothing to do.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Back up whenever the habits changed, e.g.
+ *   before a change that replaces or clears them
+ * @returns {Promise<boolean>} - True if the saved habits are backed up, or
+ *   there are none; false when no backup was due or it failed
  */
-const updateHabitCompletion = async (habitId, isCompleted) => {
+const writeBackup = async ({ force = false } = {}) => {
   try {
-    const habits = await getHabits();
-    const habitIndex = habits.findIndex(habit => habit.id === habitId);
-    
-    if (habitIndex === -1) {
-      console.warn(`Habit with ID ${habitId} not found`);
-      return false;
-    }
-    
-    const habit = habits[habitIndex];
-    const today = new Date().toISOString().split('T')[0];
-    
-    // Initialize completion history if it doesn't exist
-    const completionHistory = habit.completionHistory || [];
-    
-    // Update completion history
-    const existingEntryIndex = completionHistory.findIndex(entry => entry.date === today);
-    const updatedHistory = [...completionHistory];
-    
-    if (existingEntryIndex >= 0) {
-      // Update existing entry
-      updatedHistory[existingEntryIndex] = { date: today, completed: isCompleted };
-    } else {
-      // Add new entry
-      updatedHistory.push({ date: today, completed: isCompleted });
+    const index = await getStorageData(STORAGE_KEYS.HABITS, null);
+    if (!index) return true;
+
+    const [latest] = await listBackups();
+    if (latest && latest.writeCount === getWriteCount(index) && latest.lastUpdated === index.lastUpdated) {
+      return true;
     }
-    
-    // Sort completion history by date for consistency
-    updatedHistory.sort((a, b) => new Date(a.date) - new Date(b.date));
-    
-    // Recalculate completion counts based on updated history
-    const completedDays = updatedHistory.filter(entry => entry.completed).length;
-    const totalDays = updatedHistory.length;
-    
-    // Calculate days since creation for more accurate total days
-    const createdAt = new Date(habit.createdAt);
-    const daysSinceCreation = Math.floor((new Date() - createdAt) / (1000 * 60 * 60 * 24)) + 1;
-    const actualTotalDays = Math.max(totalDays, daysSinceCreation);
-    
-    const updatedHabit = {
-      ...habit,
-      isCompleted,
-      completedDays,
-      totalDays: actualTotalDays,
-      completionHistory: updatedHistory,
-      lastUpdated: new Date().toISOString()
-    };
-    
-    const updatedHabits = [...habits];
-    updatedHabits[habitIndex] = updatedHabit;
-    
-    return await saveHabits(updatedHabits);
+    if (!force && !isBackupDue(latest, index)) return false;
+
+    const { data } = await readStoredData();
+    return data && Array.isArray(data.habits) ? await recordBackup(data, getWriteCount(index)) : false;
   } catch (error) {
-    console.error('Error updating habit completion:', error);
+    console.error('Error backing up habits:', error);
     return false;
   }
 };
 
 /**
- * Delete a habit from storage
- * @param {string} habitId - ID of habit to delete
- * @returns {Promise<boolean>} - Success status
+ * Back up the saved habits if one is due, as saves do; called on a schedule
+ * and when the app goes to the background. Failures are logged and never
+ * surface.
+ * @param {Object} [options] - Options, as for writeBackup
+ * @returns {Promise<boolean>} - True if the saved habits are backed up
  */
-const deleteHabit = async (habitId) => {
+const backupHabits = async (options = {}) => {
+  if (getEncryptionStatus().locked) return false;
   try {
-    const habits = await getHabits();
-    const filteredHabits = habits.filter(habit => habit.id !== habitId);
-    
-    if (filteredHabits.length === habits.length) {
-      console.warn(`Habit with ID ${habitId} not found`);
-      return false;
-    }
-    
-    return await saveHabits(filteredHabits);
+    return await queueWrite(() => writeBackup(options));
   } catch (error) {
-    console.error('Error deleting habit:', error);
+    console.error('Error backing up habits:', error);
     return false;
   }
 };
 
 /**
- * Recalculate progress for all habits to ensure data consistency
+ * Load a backup's habits, upgraded to the current schema, e.g. to preview it
+ * @param {string} backupId - Backup ID
+ * @returns {Promise<Object|null>} - Backup info with its habits, or null if missing or unreadable
+ */
+const getBackup = async (backupId) => {
+  try {
+    const info = (await listBackups()).find(backup => backup.id === backupId);
+    const storedData = info ? await getStorageData(getBackupKey(backupId), null) : null;
+    if (!storedData) {
+      console.warn(`Backup ${backupId} not found`);
+      return null;
+    }
+
+    const { data } = migrateStoredData(storedData);
+    const validation = validateStoredData(data);
+    if (!validation.isValid) {
+      console.warn(`Backup ${backupId} is invalid:`, validation.errors);
+      return null;
+    }
+    return { ...info, habits: data.habits };
+  } catch (error) {
+    console.error('Error getting backup:', error);
+    return null;
+  }
+};
+
+/**
+ * Replace the current habits with a backup's. The habits being replaced are
+ * backed up first if they have no backup yet, so a restore can be undone.
+ * @param {string} backupId - Backup ID
  * @returns {Promise<boolean>} - Success status
  */
-const recalculateAllHabitsProgress = async () => {
+const restoreBackup = async (backupId) => {
   try {
-    const habits = await getHabits();
-    const updatedHabits = habits.map(habit => {
-      const completionHistory = habit.completionHistory || [];
-      const completedDays = completionHistory.filter(entry => entry.completed).length;
-      
-      // Calculate days since creation for accurate total days
-      const createdAt = new Date(habit.createdAt);
-      const daysSinceCreation = Math.floor((new Date() - createdAt) / (1000 * 60 * 60 * 24)) + 1;
-      const totalDays = Math.max(completionHistory.length, daysSinceCreation);
-      
-      // Check if today is completed
-      const today = new Date().toISOString().split('T')[0];
-      const todayEntry = completionHistory.find(entry => entry.date === today);
-      const isCompleted = todayEntry ? todayEntry.completed : false;
-      
-      return {
-        ...habit,
-        completedDays,
-        totalDays,
-        isCompleted,
-        lastUpdated: new Date().toISOString()
-      };
+    const restored = await queueWrite(async () => {
+      const backup = await getBackup(backupId);
+      if (!backup) return null;
+
+      if (!await writeBackup({ force: true })) return null;
+
+      const { habits: currentHabits, baseline } = await loadHabitsForWrite();
+      const habits = backup.habits.map(habit => recalculateHabitProgress(habit));
+      return await writeHabits(habits, baseline) ? { habits, currentHabits } : null;
     });
-    
-    return await saveHabits(updatedHabits);
+    if (!restored) return false;
+
+    // Outside the queue, as in queueHabitWrite
+    const restoredIds = new Set(restored.habits.map(habit => habit.id));
+    for (const habit of restored.currentHabits.filter(item => !restoredIds.has(item.id))) {
+      await cancelHabitReminders(habit.id);
+    }
+    await syncAllReminders(restored.habits);
+    return true;
   } catch (error) {
-    console.error('Error recalculating habits progress:', error);
+    console.error('Error restoring backup:', error);
     return false;
   }
 };
 
 /**
- * Clear all habits from storage
+ * Delete a backup
+ * @param {string} backupId - Backup ID
  * @returns {Promise<boolean>} - Success status
  */
-const clearAllHabits = async () => {
+const deleteBackup = async (backupId) => {
   try {
-    return await saveHabits(DEFAULT_VALUES.HABITS);
+    return await queueWrite(async () => {
+      const backups = await listBackups();
+      if (!backups.some(backup => backup.id === backupId)) {
+        console.warn(`Backup ${backupId} not found`);
+        return false;
+      }
+
+      const saved = await setStorageData(STORAGE_KEYS.BACKUPS, backups.filter(backup => backup.id !== backupId));
+      return saved && await deleteStorageData(getBackupKey(backupId));
+    });
   } catch (error) {
-    console.error('Error clearing habits:', error);
+    console.error('Error deleting backup:', error);
     return false;
   }
 };
@@ -340,7 +1964,7 @@ const getUserAchievements = async () => {
  */
 const saveUserAchievements = async (achievements) => {
   try {
-    return await setStorageData(STORAGE_KEYS.ACHIEVEMENTS, achievements || []);
+    return await queueWrite(() => setStorageData(STORAGE_KEYS.ACHIEVEMENTS, achievements || []));
   } catch (error) {
     console.error('Error saving achievements:', error);
     return false;
@@ -354,33 +1978,249 @@ const saveUserAchievements = async (achievements) => {
  */
 const unlockAchievement = async (achievementId) => {
   try {
-    const currentAchievements = await getUserAchievements();
-    if (!currentAchievements.includes(achievementId)) {
-      const updatedAchievements = [...currentAchievements, achievementId];
-      return await saveUserAchievements(updatedAchievements);
-    }
-    return true; // Already unlocked
+    return await queueWrite(async () => {
+      const currentAchievements = await getUserAchievements();
+      if (!currentAchievements.includes(achievementId)) {
+        const updatedAchievements = [...currentAchievements, achievementId];
+        return await setStorageData(STORAGE_KEYS.ACHIEVEMENTS, updatedAchievements);
+      }
+      return true; // Already unlocked
+    });
   } catch (error) {
     console.error('Error unlocking achievement:', error);
     return false;
   }
 };
 
+/**
+ * Get user preferences, filling in defaults for missing fields
+ * @returns {Promise<Object>} - User preferences
+ */
+const getUserPreferences = async () => {
+  try {
+    const preferences = await getStorageData(STORAGE_KEYS.USER_PREFERENCES, {});
+    return {
+      ...DEFAULT_VALUES.USER_PREFERENCES,
+      ...(preferences && typeof preferences === 'object' ? preferences : {})
+    };
+  } catch (error) {
+    console.error('Error getting user preferences:', error);
+    return { ...DEFAULT_VALUES.USER_PREFERENCES };
+  }
+};
+
+/**
+ * Validate user preference fields; fields that are left out are not checked
+ * @param {Object} updates - Preference fields
+ * @returns {string[]} - Error messages; empty when the fields are valid
+ */
+const validateUserPreferences = (updates) => {
+  const errors = [];
+  if (updates.dayRolloverHour !== undefined && !isValidRolloverHour(updates.dayRolloverHour)) {
+    errors.push(`Invalid day rollover hour: ${updates.dayRolloverHour}`);
+  }
+  if (updates.maxBackfillDays !== undefined && updates.maxBackfillDays !== null
+    && !(Number.isInteger(updates.maxBackfillDays) && updates.maxBackfillDays >= 0)) {
+    errors.push(`Invalid backfill limit: ${updates.maxBackfillDays}`);
+  }
+  if (updates.vacations !== undefined
+    && !(Array.isArray(updates.vacations) && updates.vacations.every(range => isValidPauseRange(range, true)))) {
+    errors.push('Invalid vacation ranges');
+  }
+  if (updates.aiProvider !== undefined) {
+    errors.push(...validateAIProviderSettings(updates.aiProvider));
+  }
+  if (updates.connectivity !== undefined) {
+    errors.push(...validateConnectivitySettings(updates.connectivity));
+  }
+  return errors;
+};
+
+/**
+ * Merge updates into the stored user preferences without queueing; only for
+ * code already in the queue
+ * @param {Object|Function} updates - Preference fields to change, or a function
+ *   from the stored preferences to them
+ * @returns {Promise<boolean>} - Success status
+ */
+const writeUserPreferences = async (updates) => {
+  const current = await getUserPreferences();
+  const changes = typeof updates === 'function' ? updates(current) : updates;
+  const errors = validateUserPreferences(changes);
+  if (errors.length > 0) {
+    console.warn('Invalid user preferences:', errors);
+    return false;
+  }
+
+  const preferences = { ...current, ...changes };
+  // The preferences are never encrypted, so the API key is kept under its
+  // own protected key. It's only changed by updates that include it, and a
+  // key saved with the preferences by an earlier version is moved there.
+  const updatesKey = Boolean(changes.aiProvider) && 'apiKey' in changes.aiProvider;
+  const legacyKey = current.aiProvider && current.aiProvider.apiKey;
+  if (updatesKey || legacyKey) {
+    const apiKey = updatesKey ? changes.aiProvider.apiKey : legacyKey;
+    if (!await setStorageData(STORAGE_KEYS.AI_CREDENTIALS, { apiKey: apiKey || null })) return false;
+  }
+  if (preferences.aiProvider) {
+    const aiProvider = { ...preferences.aiProvider };
+    delete aiProvider.apiKey;
+    preferences.aiProvider = aiProvider;
+  }
+  const success = await setStorageData(STORAGE_KEYS.USER_PREFERENCES, preferences);
+
+  if (success) {
+    setDayRolloverHour(preferences.dayRolloverHour);
+    setVacationRanges(preferences.vacations);
+  }
+  return success;
+};
+
+/**
+ * Merge updates into the stored user preferences. A new day rollover hour
+ * or vacation takes effect immediately for all date calculations.
+ * @param {Object|Function} updates - Preference fields to change, or a function
+ *   from the stored preferences to them, for changes based on what is stored
+ * @returns {Promise<boolean>} - Success status
+ */
+const saveUserPreferences = async (updates) => {
+  try {
+    return await queueWrite(() => writeUserPreferences(updates));
+  } catch (error) {
+    console.error('Error saving user preferences:', error);
+    return false;
+  }
+};
+
+/**
+ * AI provider from the preferences, with its API key
+ * @returns {Promise<import('./aiProviders').AIProviderSettings>} - Provider settings
+ */
+const getAIProviderSettings = async () => {
+  const { aiProvider } = await getUserPreferences();
+  // Saved with the preferences by an earlier version; moved on the next write
+  if (aiProvider.apiKey) return aiProvider;
+
+  const credentials = await getStorageData(STORAGE_KEYS.AI_CREDENTIALS, null);
+  return { ...aiProvider, apiKey: (credentials && credentials.apiKey) || null };
+};
+
+/**
+ * Load user preferences and apply the ones that affect date calculations
+ * @returns {Promise<Object>} - Loaded user preferences
+ */
+const applyUserPreferences = async () => {
+  const preferences = await getUserPreferences();
+  if (isValidRolloverHour(preferences.dayRolloverHour)) {
+    setDayRolloverHour(preferences.dayRolloverHour);
+  }
+  if (Array.isArray(preferences.vacations)) {
+    setVacationRanges(preferences.vacations.filter(range => isValidPauseRange(range, true)));
+  }
+  return preferences;
+};
+
+/**
+ * Start a vacation that pauses every habit from start to end (inclusive).
+ * It replaces any current or upcoming vacation; past vacations are kept.
+ * @param {string} start - First vacation day ('YYYY-MM-DD', today or later)
+ * @param {string} end - Last vacation day
+ * @returns {Promise<boolean>} - Success status
+ */
+const startVacation = async (start, end) => {
+  try {
+    if (validateVacation(start, end).length > 0) {
+      console.warn(`Invalid vacation: ${start} to ${end}`);
+      return false;
+    }
+
+    const success = await queueWrite(async () => (
+      await writeUserPreferences(({ vacations }) => ({
+        vacations: [...endVacationsBefore(vacations, getTodayKey()), { start, end }]
+      }))
+      && await writeRecalculatedHabits()
+    ));
+    if (success) await syncAllReminders(await getHabits());
+    return success;
+  } catch (error) {
+    console.error('Error starting vacation:', error);
+    return false;
+  }
+};
+
+/**
+ * End the current vacation today and cancel any upcoming one
+ * @returns {Promise<boolean>} - Success status
+ */
+const endVacation = async () => {
+  try {
+    const success = await queueWrite(async () => (
+      await writeUserPreferences(({ vacations }) => ({
+        vacations: endVacationsBefore(vacations, getTodayKey())
+      }))
+      && await writeRecalculatedHabits()
+    ));
+    if (success) await syncAllReminders(await getHabits());
+    return success;
+  } catch (error) {
+    console.error('Error ending vacation:', error);
+    return false;
+  }
+};
+
 // Export all functions
 export {
+  setStorageAdapter,
+  getStorageAdapter,
+  applyEncryptionSettings,
+  getEncryptionStatus,
+  unlockStorage,
+  enableEncryption,
+  changePasscode,
+  disableEncryption,
   getStorageData,
   setStorageData,
   updateStorageData,
   deleteStorageData,
   getHabits,
+  getHabit,
+  getHabitSummaries,
+  getHabitHistory,
   saveHabits,
+  updateHabits,
   addHabit,
   updateHabit,
+  editHabit,
   updateHabitCompletion,
+  setHabitCompletionForDate,
+  updateHabitAmount,
+  setHabitAmountForDate,
   deleteHabit,
+  pauseHabit,
+  resumeHabit,
+  archiveHabit,
+  restoreHabit,
+  recalculateHabitProgress,
   recalculateAllHabitsProgress,
   clearAllHabits,
+  BACKUP_RETENTION,
+  selectBackupsToKeep,
+  listBackups,
+  backupHabits,
+  getBackup,
+  restoreBackup,
+  deleteBackup,
   getUserAchievements,
   saveUserAchievements,
-  unlockAchievement
+  unlockAchievement,
+  getUserPreferences,
+  validateUserPreferences,
+  saveUserPreferences,
+  getAIProviderSettings,
+  applyUserPreferences,
+  startVacation,
+  endVacation,
+  migrateStoredData,
+  compareVersions,
+  MIGRATIONS
 };
\ No newline at end of file
@@ -0,0 +1,189 @@
+// AI tip cache
+// Tips from the AI provider are kept under STORAGE_KEYS.AI_CACHE, keyed by a
+// fingerprint of the habit analysis they were written for and the provider
+// (type, server and model) that wrote them. While both are unchanged and the
+// tip is younger than AI_TIP_CACHE.TTL_MS it's reused instead of asking the
+// provider again. Offline, or when the provider fails, a tip for the same
+// analysis is reused however old it is. The newest
+// AI_TIP_CACHE.HISTORY_LIMIT tips are kept as a history of past tips; built-in
+// fallback tips are never cached. A tip that can't be fetched because the
+// device is offline is requested through the outbox (AI_TIP_OPERATION), so
+// it's waiting in the cache once the device is back online.
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import { getStorageData, updateStorageData, getHabits, getAIProviderSettings } from './storage';
+import { STORAGE_KEYS, generateUUID } from './types';
+import { analyzeHabitData, generateEnhancedAITip } from './aiTips';
+import networkStatusManager from './networkStatus';
+import outbox from './outbox';
+
+const AI_TIP_CACHE = {
+  TTL_MS: 6 * 60 * 60 * 1000,
+  HISTORY_LIMIT: 30
+};
+
+// Outbox operation type for tips requested while offline; one waiting
+// request covers the habits as they are when it's sent
+const AI_TIP_OPERATION = 'aiTip';
+
+/**
+ * Cached tip
+ * @typedef {Object} CachedTip
+ * @property {string} id - Entry ID
+ * @property {string} fingerprint - Fingerprint of the analysis and provider the tip was written for
+ * @property {string} tip - Tip text
+ * @property {string} source - Provider type that wrote it
+ * @property {Object} analysis - Habit analysis the tip was written for
+ * @property {string} createdAt - ISO timestamp the tip was written
+ */
+
+/**
+ * Fingerprint of a habit analysis and the provider asked about it, so
+ * switching provider, server or model doesn't serve the other one's tips.
+ * analyzeHabitData always builds its result in the same key order, so equal
+ * analyses give equal JSON.
+ * @param {Object} analysis - Result of analyzeHabitData
+ * @param {Object} [provider] - Provider settings; only type, baseUrl and model count
+ * @returns {string} - Hex fingerprint
+ */
+const getAnalysisFingerprint = (analysis, { type = null, baseUrl = null, model = null } = {}) => {
+  const json = JSON.stringify({ provider: { type, baseUrl, model }, analysis });
+  return bytesToHex(sha256(utf8ToBytes(json))).slice(0, 32);
+};
+
+/**
+ * Cached tips, newest first
+ * @returns {Promise<CachedTip[]>} - Tip history
+ */
+const getTipHistory = async () => {
+  const cache = await getStorageData(STORAGE_KEYS.AI_CACHE, {});
+  return cache && Array.isArray(cache.tips) ? cache.tips : [];
+};
+
+/**
+ * Add a tip to the cache, dropping the oldest beyond the history limit
+ * @param {Object} entry - Tip fields (fingerprint, tip, source, analysis)
+ * @returns {Promise<CachedTip|null>} - Cached tip, or null if it couldn't be saved
+ */
+const cacheTip = async ({ fingerprint, tip, source, analysis }) => {
+  const cached = {
+    id: generateUUID(),
+    fingerprint,
+    tip,
+    source,
+    analysis,
+    createdAt: new Date().toISOString()
+  };
+  const success = await updateStorageData(STORAGE_KEYS.AI_CACHE, (cache) => ({
+    tips: [cached, ...(cache && Array.isArray(cache.tips) ? cache.tips : [])]
+      .slice(0, AI_TIP_CACHE.HISTORY_LIMIT)
+  }));
+  return success ? cached : null;
+};
+
+/**
+ * Forget every cached tip. Queued like cacheTip, so a tip being saved can't
+ * bring the cleared ones back.
+ * @returns {Promise<boolean>} - Success status
+ */
+const clearTipHistory = () => updateStorageData(STORAGE_KEYS.AI_CACHE, () => ({ tips: [] }));
+
+/**
+ * Tip response built from a cached tip
+ * @param {CachedTip} cached - Cached tip
+ * @param {boolean} stale - Whether it's past its TTL
+ * @returns {Object} - Tip response, as from generateEnhancedAITip
+ */
+const toTipResult = (cached, stale) => ({
+  success: true,
+  tip: cached.tip,
+  analysis: cached.analysis,
+  source: cached.source,
+  timestamp: cached.createdAt,
+  cached: true,
+  stale
+});
+
+/**
+ * Cached tip for an analysis fingerprint, and whether it's past its TTL
+ * @param {string} fingerprint - Analysis fingerprint
+ * @returns {Promise<{cached: CachedTip|null, stale: boolean}>} - Cached tip
+ */
+const findCachedTip = async (fingerprint) => {
+  const cached = (await getTipHistory()).find(entry => entry.fingerprint === fingerprint) || null;
+  const stale = cached !== null && Date.now() - new Date(cached.createdAt).getTime() >= AI_TIP_CACHE.TTL_MS;
+  return { cached, stale };
+};
+
+/**
+ * Outbox handler for AI_TIP_OPERATION: fetch and cache a tip for the stored
+ * habits unless a fresh one is cached already. Throws when the provider
+ * fails, so the outbox retries.
+ * @returns {Promise<void>}
+ */
+const sendQueuedTipRequest = async () => {
+  const habits = await getHabits();
+  const provider = await getAIProviderSettings();
+  const { cached, stale } = await findCachedTip(getAnalysisFingerprint(analyzeHabitData(habits), provider));
+  if (cached && !stale) return;
+
+  const result = await generateEnhancedAITip(habits, true);
+  if (!result.success || result.source === 'fallback') {
+    throw new Error(result.error || result.apiError || 'AI provider failed');
+  }
+  await cacheTip({
+    fingerprint: getAnalysisFingerprint(result.analysis, provider),
+    tip: result.tip,
+    source: result.source,
+    analysis: result.analysis
+  });
+};
+
+/**
+ * Get a tip for the habits, from the cache when one for the same analysis and
+ * provider is fresh, otherwise from the AI provider (see generateEnhancedAITip). Offline
+ * without a fresh tip, a stale or built-in tip is returned and a new one is
+ * queued for when the device is back online (queued: true).
+ * @param {Array} habitData - Array of habit objects
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.forceRefresh=false] - Ask the provider even when a fresh tip is cached
+ * @returns {Promise<Object>} - Tip response, with cached, stale and queued flags
+ */
+const getCachedAITip = async (habitData, { forceRefresh = false } = {}) => {
+  const analysis = analyzeHabitData(habitData);
+  const fingerprint = getAnalysisFingerprint(analysis, await getAIProviderSettings());
+  const { cached, stale } = await findCachedTip(fingerprint);
+
+  const isOnline = networkStatusManager.getStatus();
+  if (cached && !stale && (!forceRefresh || !isOnline)) {
+    return toTipResult(cached, stale);
+  }
+
+  if (!isOnline) {
+    await outbox.enqueue(AI_TIP_OPERATION, null, { idempotencyKey: AI_TIP_OPERATION });
+    if (cached) return { ...toTipResult(cached, stale), queued: true };
+    const fallback = await generateEnhancedAITip(habitData, false);
+    return { ...fallback, cached: false, stale: false, queued: true };
+  }
+
+  const result = await generateEnhancedAITip(habitData, true);
+  if (result.success && result.source !== 'fallback') {
+    await cacheTip({ fingerprint, tip: result.tip, source: result.source, analysis: result.analysis });
+    return { ...result, cached: false, stale: false };
+  }
+
+  // An AI tip for the same habits beats a built-in one
+  if (cached) return toTipResult(cached, stale);
+  return { ...result, cached: false, stale: false };
+};
+
+export {
+  AI_TIP_CACHE,
+  AI_TIP_OPERATION,
+  getAnalysisFingerprint,
+  getTipHistory,
+  cacheTip,
+  clearTipHistory,
+  sendQueuedTipRequest,
+  getCachedAITip
+};
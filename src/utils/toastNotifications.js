@@ -1,5 +1,6 @@
 // Toast notification utilities for user feedback
 import { Alert, ToastAndroid, Platform } from 'react-native';
+import { REACHABILITY } from './networkStatus';
 
 /**
  * Toast notification types
@@ -19,14 +20,38 @@ export const TOAST_DURATION = {
   LONG: 4000
 };
 
+// Snackbars
+// A message with a button (e.g. Undo) is shown by the Snackbar component at
+// the bottom of the screen, which doesn't block the app the way an alert
+// does. The component registers here while it is mounted.
+
+let snackbarListener = null;
+
+/**
+ * Register the component that shows snackbars
+ * @param {Function} listener - Receives {message, type, duration, action} for each snackbar
+ * @returns {Function} Unregister function
+ */
+export const setSnackbarListener = (listener) => {
+  snackbarListener = listener;
+  return () => {
+    if (snackbarListener === listener) snackbarListener = null;
+  };
+};
+
 /**
  * Show a toast notification
  * @param {string} message - Message to display
  * @param {string} type - Toast type (success, error, warning, info)
  * @param {number} duration - Duration in milliseconds
+ * @param {Object} [action] - Button shown with the message, e.g. { label: 'Undo', onPress };
+ *   dropped when no Snackbar is mounted, since native toasts can't hold one
  */
-export const showToast = (message, type = TOAST_TYPES.INFO, duration = TOAST_DURATION.SHORT) => {
-  if (Platform.OS === 'android') {
+export const showToast = (message, type = TOAST_TYPES.INFO, duration = TOAST_DURATION.SHORT, action = null) => {
+  if (action && snackbarListener) {
+    // Long enough to reach the button
+    snackbarListener({ message, type, duration: Math.max(duration, TOAST_DURATION.LONG), action });
+  } else if (Platform.OS === 'android') {
     // Use Android's native toast
     const toastDuration = duration <= TOAST_DURATION.SHORT 
       ? ToastAndroid.SHORT 
@@ -181,10 +206,16 @@ export const showLoadingFeedback = async (message, asyncOperation, options = {})
  * @param {Object} habit - Habit object
  * @param {boolean} isCompleted - New completion status
  * @param {number} completionRate - Current completion rate
+ * @param {Function} [onUndo] - Adds an Undo button that calls this
  */
-export const showHabitCompletionFeedback = (habit, isCompleted, completionRate) => {
+export const showHabitCompletionFeedback = (habit, isCompleted, completionRate, onUndo = null) => {
+  const action = onUndo ? { label: 'Undo', onPress: onUndo } : null;
+
   if (!isCompleted) {
-    // Don't show feedback for uncompleting habits
+    // Uncompleting only gets feedback when it can be undone
+    if (action) {
+      showToast(`"${habit.name}" marked as not done`, TOAST_TYPES.INFO, TOAST_DURATION.SHORT, action);
+    }
     return;
   }
 
@@ -203,7 +234,7 @@ export const showHabitCompletionFeedback = (habit, isCompleted, completionRate)
     message = `🌱 Great start! Building habits takes time!`;
   }
 
-  showToast(message, type, TOAST_DURATION.SHORT);
+  showToast(message, type, TOAST_DURATION.SHORT, action);
 };
 
 /**
@@ -215,13 +246,32 @@ export const showHabitCreationFeedback = (habit) => {
   showSuccessToast(message);
 };
 
+/**
+ * Show habit deletion feedback
+ * @param {Object} habit - Deleted habit object
+ * @param {Function} [onUndo] - Adds an Undo button that calls this
+ */
+export const showHabitDeletionFeedback = (habit, onUndo = null) => {
+  const action = onUndo ? { label: 'Undo', onPress: onUndo } : null;
+  showToast(`🗑️ "${habit.name}" deleted`, TOAST_TYPES.INFO, TOAST_DURATION.SHORT, action);
+};
+
 /**
  * Show network status feedback
  * @param {boolean} isOnline - Network status
+ * @param {string} [reachability] - Reachability state from the network status manager
  */
-export const showNetworkStatusFeedback = (isOnline) => {
+export const showNetworkStatusFeedback = (isOnline, reachability = null) => {
+  if (reachability === REACHABILITY.UNKNOWN) {
+    // Nothing could be probed, so there's nothing to tell
+    return;
+  }
   if (isOnline) {
     showInfoToast('📶 Connection restored');
+  } else if (reachability === REACHABILITY.CAPTIVE_PORTAL) {
+    showWarningToast('📶 Sign in to this Wi-Fi network to go online');
+  } else if (reachability === REACHABILITY.API_UNREACHABLE) {
+    showWarningToast('☁️ Sync server unreachable - changes will be sent later');
   } else {
     showWarningToast('📵 Working offline - some features may be limited');
   }
@@ -1,17 +1,33 @@
 // Data model interfaces and types for the AI Habit Tracker
 
+import { FREQUENCY_TYPES, normalizeSchedule, validateSchedule } from './schedule';
+import { DEFAULT_ROLLOVER_HOUR, isDateKey } from './localDate';
+import { normalizeMeasurement, validateMeasurement } from './measurement';
+import { isValidPauseRange } from './habitStatus';
+import { validateReminderTimes } from './reminders';
+import { DEFAULT_AI_PROVIDER_SETTINGS } from './aiProviders';
+import { DEFAULT_CONNECTIVITY_SETTINGS } from './networkStatus';
+
 /**
  * Habit data structure
  * @typedef {Object} Habit
  * @property {string} id - UUID for unique identification
  * @property {string} name - User-defined habit name
- * @property {'daily'|'weekly'} frequency - Tracking frequency
- * @property {string} [targetTime] - Optional target time
+ * @property {'daily'|'weekly'|'weekdays'|'times_per_week'|'interval'} frequency - Tracking frequency
+ * @property {import('./schedule').HabitSchedule|null} schedule - Frequency details (weekday set, weekly count or interval)
+ * @property {import('./schedule').PastSchedule[]} [scheduleHistory] - Schedules used before the habit was edited, oldest first
+ * @property {'check'|'measurable'} [type] - Yes/no habit or one tracked by amount
+ * @property {number|null} [targetValue] - Amount that completes a day (measurable habits)
+ * @property {string|null} [unit] - Unit of the amount, e.g. "glasses" (measurable habits)
+ * @property {string} [targetTime] - Optional target time; the habit is reminded at it
+ * @property {string[]} [reminderTimes] - Extra 'HH:MM' reminder times
  * @property {Date} createdAt - Creation timestamp
  * @property {number} completedDays - Count of completed instances
  * @property {number} totalDays - Total tracking days since creation
- * @property {Array<{date: string, completed: boolean}>} completionHistory - Detailed completion tracking
+ * @property {CompletionEntry[]} completionHistory - Detailed completion tracking
  * @property {boolean} isCompleted - Current day/period completion status
+ * @property {string|null} [archivedAt] - ISO timestamp the habit was archived, null while active
+ * @property {import('./habitStatus').PauseRange[]} [pausedRanges] - Days the habit was paused
  */
 
 /**
@@ -19,7 +35,7 @@
  * @typedef {Object} StoredData
  * @property {Habit[]} habits - Array of habit objects
  * @property {string} lastUpdated - ISO date string of last update
- * @property {string} version - App version for data migration
+ * @property {string} version - Schema version, used to pick migrations on load
  */
 
 /**
@@ -27,6 +43,9 @@
  * @typedef {Object} CompletionEntry
  * @property {string} date - ISO date string
  * @property {boolean} completed - Completion status for that date
+ * @property {number} [amount] - Amount logged that day (measurable habits)
+ * @property {string|null} [completedAt] - ISO timestamp the day was completed; null when
+ *   unknown (backfilled or logged before timestamps were recorded), absent when not completed
  */
 
 // Storage keys for AsyncStorage
@@ -34,27 +53,47 @@ const STORAGE_KEYS = {
   HABITS: '@habits',
   USER_PREFERENCES: '@user_preferences',
   AI_CACHE: '@ai_cache',
-  ACHIEVEMENTS: '@achievements'
+  ACHIEVEMENTS: '@achievements',
+  HABITS_BACKUP: '@habits_backup',
+  BACKUPS: '@backups',
+  UNDO_HISTORY: '@undo_history',
+  ENCRYPTION: '@encryption',
+  SYNC_STATE: '@sync_state',
+  OUTBOX: '@outbox',
+  COACH_CONVERSATION: '@coach_conversation',
+  AI_CREDENTIALS: '@ai_credentials'
 };
 
 // Default values
 const DEFAULT_VALUES = {
   HABITS: [],
-  VERSION: '1.0.0',
-  FREQUENCY_OPTIONS: ['daily', 'weekly']
+  VERSION: '1.6.0',
+  FREQUENCY_OPTIONS: Object.values(FREQUENCY_TYPES),
+  USER_PREFERENCES: {
+    dayRolloverHour: DEFAULT_ROLLOVER_HOUR,
+    maxBackfillDays: 7,
+    vacations: [],
+    aiProvider: DEFAULT_AI_PROVIDER_SETTINGS,
+    connectivity: DEFAULT_CONNECTIVITY_SETTINGS
+  }
 };
 
 // Default habit structure
-const createDefaultHabit = (name, frequency = 'daily', targetTime = null) => ({
+const createDefaultHabit = (name, frequency = 'daily', targetTime = null, schedule = null, measurement = null) => ({
   id: generateUUID(),
   name,
   frequency,
+  schedule: normalizeSchedule(frequency, schedule),
+  ...normalizeMeasurement(measurement || undefined),
   targetTime,
+  reminderTimes: [],
   createdAt: new Date(),
   completedDays: 0,
   totalDays: 0,
   completionHistory: [],
-  isCompleted: false
+  isCompleted: false,
+  archivedAt: null,
+  pausedRanges: []
 });
 
 // Simple UUID generator
@@ -75,13 +114,39 @@ const validateHabit = (habit) => {
   }
   
   if (!habit.frequency || !DEFAULT_VALUES.FREQUENCY_OPTIONS.includes(habit.frequency)) {
-    errors.push('Frequency must be either "daily" or "weekly"');
+    errors.push(`Frequency must be one of: ${DEFAULT_VALUES.FREQUENCY_OPTIONS.join(', ')}`);
+  } else {
+    errors.push(...validateSchedule(habit.frequency, habit.schedule));
+  }
+  
+  if (habit.scheduleHistory !== undefined) {
+    const isValidPastSchedule = (past) => past
+      && DEFAULT_VALUES.FREQUENCY_OPTIONS.includes(past.frequency)
+      && isDateKey(past.until);
+    if (!Array.isArray(habit.scheduleHistory) || !habit.scheduleHistory.every(isValidPastSchedule)) {
+      errors.push('Schedule history must be a list of past frequencies with end dates');
+    }
+  }
+  
+  errors.push(...validateMeasurement(habit.type, habit.targetValue, habit.unit));
+  
+  if (habit.archivedAt != null && (typeof habit.archivedAt !== 'string' || Number.isNaN(Date.parse(habit.archivedAt)))) {
+    errors.push('Archived date must be an ISO date string if provided');
+  }
+  
+  if (habit.pausedRanges !== undefined
+    && (!Array.isArray(habit.pausedRanges) || !habit.pausedRanges.every(range => isValidPauseRange(range)))) {
+    errors.push('Paused ranges must have a start date and an end date on or after it (or null)');
   }
   
   if (habit.targetTime && typeof habit.targetTime !== 'string') {
     errors.push('Target time must be a string if provided');
   }
   
+  if (habit.reminderTimes !== undefined) {
+    errors.push(...validateReminderTimes(habit.reminderTimes));
+  }
+  
   if (typeof habit.completedDays !== 'number' || habit.completedDays < 0) {
     errors.push('Completed days must be a non-negative number');
   }
@@ -145,9 +210,14 @@ const validateHabitCreation = (habitData) => {
   }
   
   if (!habitData.frequency || !DEFAULT_VALUES.FREQUENCY_OPTIONS.includes(habitData.frequency)) {
-    errors.push('Valid frequency is required (daily or weekly)');
+    errors.push(`Valid frequency is required (${DEFAULT_VALUES.FREQUENCY_OPTIONS.join(', ')})`);
+  } else {
+    errors.push(...validateSchedule(habitData.frequency, normalizeSchedule(habitData.frequency, habitData.schedule)));
   }
   
+  const measurement = normalizeMeasurement(habitData);
+  errors.push(...validateMeasurement(measurement.type, measurement.targetValue, measurement.unit));
+  
   return {
     isValid: errors.length === 0,
     errors